@@ -0,0 +1,137 @@
+/**
+ * Build the local drug dictionary (services/drugDictionaryService.js) from an
+ * RxNorm release. Download the full monthly release (or the prescribable
+ * subset) from https://www.nlm.nih.gov/research/umls/rxnorm/docs/rxnormfiles.html,
+ * unzip it and point this script at its rrf folder:
+ *
+ *   node build-drug-dictionary.js ~/RxNorm_full_10072024/rrf [output file]
+ *
+ * Reads RXNCONSO.RRF (names, synonyms, term types) and RXNREL.RRF (which
+ * ingredients each product has). The output defaults to DRUG_DICTIONARY_FILE,
+ * else data/drug-dictionary.json; restart the backend to pick it up.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { FORMAT, VERSION, normalizeName } = require('./services/drugDictionaryService');
+
+// Term types kept, by how far they are from an ingredient: a product's
+// ingredients are found through the concepts it is related to one level down
+const LEVELS = {
+  IN: 0,
+  PIN: 1, MIN: 1, BN: 1, SCDC: 1, SCDF: 1,
+  SBDC: 2, SBDF: 2, SCD: 2,
+  SBD: 3, GPCK: 3,
+  BPCK: 4,
+};
+// Other names of a concept (synonyms, tall-man spellings, prescribable names)
+const SYNONYM_TYPES = new Set(['SY', 'TMSY', 'PSN']);
+// Relationships that lead from a product towards its ingredients
+const INGREDIENT_RELATIONS = new Set([
+  'has_ingredient', 'ingredient_of', 'has_ingredients', 'ingredients_of',
+  'has_precise_ingredient', 'precise_ingredient_of', 'has_form', 'form_of',
+  'has_part', 'part_of', 'tradename_of', 'has_tradename',
+  'consists_of', 'constitutes', 'isa', 'inverse_isa', 'contains', 'contained_in',
+]);
+
+/**
+ * Call onRow with the fields of each line of an RRF file ("|"-separated)
+ */
+async function readRrf(file, onRow) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  let count = 0;
+  for await (const line of lines) {
+    if (!line) continue;
+    onRow(line.split('|'));
+    count++;
+  }
+  return count;
+}
+
+function releaseName(rrfDir) {
+  const dir = path.resolve(rrfDir);
+  return path.basename(dir).toLowerCase() === 'rrf' ? path.basename(path.dirname(dir)) : path.basename(dir);
+}
+
+async function build(rrfDir, outFile) {
+  const consoFile = path.join(rrfDir, 'RXNCONSO.RRF');
+  const relFile = path.join(rrfDir, 'RXNREL.RRF');
+  for (const file of [consoFile, relFile]) {
+    if (!fs.existsSync(file)) throw new Error(`${file} not found — pass the rrf folder of an RxNorm release`);
+  }
+
+  // RXNCONSO: RXCUI|LAT|TS|LUI|STT|SUI|ISPREF|RXAUI|SAUI|SCUI|SDUI|SAB|TTY|CODE|STR|SRL|SUPPRESS|CVF
+  console.log(`📖 Reading ${consoFile}`);
+  const concepts = new Map(); // rxcui → { name, tty }
+  const synonyms = []; // [rxcui, name, from RxNorm itself], kept once the concept is known to be one of ours
+  const conceptRows = await readRrf(consoFile, (row) => {
+    const [rxcui, lat, , , , , , , , , , sab, tty, , str, , suppress] = row;
+    if (lat !== 'ENG' || suppress !== 'N' || !str) return;
+    if (sab === 'RXNORM' && tty in LEVELS) concepts.set(rxcui, { name: str, tty });
+    else if (SYNONYM_TYPES.has(tty) || sab !== 'RXNORM') synonyms.push([rxcui, str, sab === 'RXNORM']);
+  });
+
+  // RXNREL: RXCUI1|RXAUI1|STYPE1|REL|RXCUI2|RXAUI2|STYPE2|RELA|RUI|SRUI|SAB|SL|RG|DIR|SUPPRESS|CVF
+  console.log(`📖 Reading ${relFile}`);
+  const below = new Map(); // rxcui → rxcuis one level closer to the ingredients
+  const relationRows = await readRrf(relFile, (row) => {
+    const [rxcui1, , , , rxcui2, , , rela, , , sab, , , , suppress] = row;
+    if (sab !== 'RXNORM' || suppress === 'O' || !INGREDIENT_RELATIONS.has(rela)) return;
+    const [a, b] = [concepts.get(rxcui1), concepts.get(rxcui2)];
+    if (!a || !b || LEVELS[a.tty] === LEVELS[b.tty]) return;
+    const [upper, lower] = LEVELS[a.tty] > LEVELS[b.tty] ? [rxcui1, rxcui2] : [rxcui2, rxcui1];
+    if (!below.has(upper)) below.set(upper, new Set());
+    below.get(upper).add(lower);
+  });
+
+  const ingredientsOf = new Map();
+  const ingredients = (rxcui) => {
+    if (concepts.get(rxcui).tty === 'IN') return [rxcui];
+    if (!ingredientsOf.has(rxcui)) {
+      const found = new Set();
+      for (const lower of below.get(rxcui) || []) ingredients(lower).forEach(id => found.add(id));
+      ingredientsOf.set(rxcui, [...found].sort());
+    }
+    return ingredientsOf.get(rxcui);
+  };
+
+  const dictionary = { format: FORMAT, version: VERSION, release: releaseName(rrfDir), builtAt: new Date().toISOString(), concepts: {}, names: {} };
+  const addName = (name, rxcui) => {
+    const key = normalizeName(name);
+    const rxcuis = (dictionary.names[key] ||= []);
+    if (!rxcuis.includes(rxcui)) rxcuis.push(rxcui);
+  };
+
+  for (const [rxcui, { name, tty }] of concepts) {
+    dictionary.concepts[rxcui] = tty === 'IN' ? [name, tty] : [name, tty, ingredients(rxcui)];
+    addName(name, rxcui);
+  }
+  let synonymCount = 0;
+  for (const [rxcui, name, fromRxNorm] of synonyms) {
+    const concept = concepts.get(rxcui);
+    // Other sources' names are kept for ingredients and brands ("paracetamol" for acetaminophen)
+    if (!concept || (!fromRxNorm && LEVELS[concept.tty] > 1)) continue;
+    addName(name, rxcui);
+    synonymCount++;
+  }
+
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(dictionary));
+
+  console.log(`   ${conceptRows} name rows, ${relationRows} relationship rows read`);
+  console.log(`✅ ${concepts.size} concepts, ${Object.keys(dictionary.names).length} names (${synonymCount} synonyms) → ${outFile}`);
+}
+
+const [rrfDir, outFile] = process.argv.slice(2);
+if (!rrfDir) {
+  console.error('Usage: node build-drug-dictionary.js <RxNorm rrf folder> [output file]');
+  process.exit(1);
+}
+
+build(rrfDir, outFile || process.env.DRUG_DICTIONARY_FILE || path.join(__dirname, 'data', 'drug-dictionary.json'))
+  .catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
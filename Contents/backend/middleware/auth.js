@@ -0,0 +1,133 @@
+/**
+ * Auth Middleware — Verifies the Supabase session JWT sent by the frontend
+ * (or LOCAL_AUTH_TOKEN with the local store) and ties each request to the
+ * patient the signed-in user owns.
+ *
+ * Set AUTH_REQUIRED=false to turn checks off for local development.
+ * ADMIN_USER_IDS (comma-separated) may use the cache administration routes.
+ */
+
+const { ErrorCodes } = require('../utils/errorCodes');
+const logger = require('../utils/logger');
+
+const log = logger.child('Auth');
+
+// Verified tokens are trusted for a short while to avoid a round trip per request
+const TOKEN_CACHE_TTL = 60 * 1000;
+const MAX_CACHED_TOKENS = 5000;
+
+function authDisabled() {
+  return process.env.AUTH_REQUIRED === 'false';
+}
+
+function readToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  // EventSource can't send headers, so SSE streams pass the token in the query
+  if (typeof req.query.access_token === 'string') return req.query.access_token;
+  return null;
+}
+
+/**
+ * Build the auth middleware around the repositories
+ * @param {Object} db - Repositories (see repositories/index.js)
+ */
+function createAuth(db) {
+  const verifiedTokens = new Map();
+
+  // Entries are kept in the order they expire: drop the expired ones from the front, and the oldest when full
+  function cacheToken(token, user) {
+    const now = Date.now();
+    verifiedTokens.delete(token);
+    for (const [key, entry] of verifiedTokens) {
+      if (entry.expiresAt > now && verifiedTokens.size < MAX_CACHED_TOKENS) break;
+      verifiedTokens.delete(key);
+    }
+    verifiedTokens.set(token, { user, expiresAt: now + TOKEN_CACHE_TTL });
+  }
+
+  async function verifyToken(token) {
+    const cached = verifiedTokens.get(token);
+    if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+    const user = await db.users.verifyToken(token);
+    if (!user) return null;
+
+    cacheToken(token, user);
+    return user;
+  }
+
+  const auth = {
+    /**
+     * Reject requests without a valid session; sets req.user and req.patient
+     * (req.patient is null until the user finishes onboarding)
+     */
+    async requireAuth(req, res, next) {
+      if (authDisabled()) {
+        req.user = null;
+        req.patient = null;
+        return next();
+      }
+
+      const token = readToken(req);
+      if (!token) {
+        return res.status(401).json({ error: 'Authentication required', code: ErrorCodes.AUTH_REQUIRED });
+      }
+
+      try {
+        const user = await verifyToken(token);
+        if (!user) {
+          return res.status(401).json({ error: 'Invalid or expired session', code: ErrorCodes.SESSION_INVALID });
+        }
+
+        const patient = await db.patients.findByUserId(user.id);
+
+        req.user = user;
+        req.patient = patient || null;
+        next();
+      } catch (err) {
+        log.error('❌ Verification failed', { error: err.message });
+        res.status(401).json({ error: 'Could not verify session', code: ErrorCodes.SESSION_INVALID, detail: err.message });
+      }
+    },
+
+    /**
+     * Whether the signed-in user may touch this patient's records
+     */
+    ownsPatient(req, patientId) {
+      if (authDisabled()) return true;
+      return Boolean(req.patient && patientId && String(req.patient.id) === String(patientId));
+    },
+
+    /**
+     * Route guard for a patient id taken from the request
+     * @param {Function} getPatientId - (req) => patient id, e.g. req => req.params.id
+     */
+    requirePatient(getPatientId) {
+      return (req, res, next) => {
+        if (!auth.ownsPatient(req, getPatientId(req))) {
+          return res.status(403).json({ error: 'Not allowed to access this patient', code: ErrorCodes.FORBIDDEN });
+        }
+        next();
+      };
+    },
+
+    /**
+     * Route guard for administrators (ADMIN_USER_IDS)
+     */
+    requireAdmin(req, res, next) {
+      if (authDisabled()) return next();
+      const admins = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+      if (!req.user || !admins.includes(req.user.id)) {
+        return res.status(403).json({ error: 'Administrator access required', code: ErrorCodes.FORBIDDEN });
+      }
+      next();
+    },
+
+    isDisabled: authDisabled,
+  };
+
+  return auth;
+}
+
+module.exports = { createAuth };
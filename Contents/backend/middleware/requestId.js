@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Request ID Middleware — Gives every request a correlation ID (or keeps the
+ * caller's X-Request-Id), returns it in the X-Request-Id header and in every
+ * error body, and logs one line per finished request.
+ */
+
+const log = logger.child('HTTP');
+
+// Accept caller-supplied IDs only if they can't be used to inject into logs
+const VALID_ID = /^[\w-]{8,64}$/;
+
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const started = Date.now();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+
+  // Error bodies carry the ID so support can find the failed request in the logs
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      return json({ ...body, requestId: id });
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    // Route pattern rather than the raw path: /api/drug/lookup/:name, not the drug
+    const route = req.route ? req.baseUrl + req.route.path : req.path;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger.runWithRequestId(id, () => {
+      log[level](`${req.method} ${route} → ${res.statusCode}`, { ms: Date.now() - started });
+    });
+  });
+
+  logger.runWithRequestId(id, next);
+}
+
+module.exports = { requestId };
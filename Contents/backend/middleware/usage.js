@@ -0,0 +1,129 @@
+const usageService = require('../services/usageService');
+const { ErrorCodes } = require('../utils/errorCodes');
+const { patientTimezone } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+const log = logger.child('Usage');
+
+/**
+ * Usage Middleware — Rate limits and daily token quotas for the AI routes,
+ * and attribution of their AI calls to the patient and endpoint.
+ *
+ * Limits are requests per minute, per patient and per IP. Override with
+ * RATE_LIMIT_<ENDPOINT>_PATIENT and RATE_LIMIT_<ENDPOINT>_IP.
+ */
+
+const WINDOW_MS = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+  prescription: { patient: 6, ip: 20 },
+  nudge: { patient: 30, ip: 60 },
+  voice: { patient: 20, ip: 40 },
+  translate: { patient: 30, ip: 60 },
+};
+
+// Sliding window of request timestamps: `${endpoint}|${key}` → [ms, ...]
+const hits = new Map();
+
+function limitsFor(endpoint) {
+  const defaults = DEFAULT_LIMITS[endpoint];
+  const env = (scope) => process.env[`RATE_LIMIT_${endpoint.toUpperCase()}_${scope}`];
+  return {
+    patient: env('PATIENT') !== undefined ? parseInt(env('PATIENT')) || 0 : defaults.patient,
+    ip: env('IP') !== undefined ? parseInt(env('IP')) || 0 : defaults.ip,
+  };
+}
+
+/**
+ * Count a request against a window. Returns seconds to wait if over the limit, else 0.
+ */
+function take(bucketKey, limit) {
+  if (!limit) return 0;
+  const now = Date.now();
+  const recent = (hits.get(bucketKey) || []).filter(t => t > now - WINDOW_MS);
+
+  if (recent.length >= limit) {
+    hits.set(bucketKey, recent);
+    return Math.ceil((recent[0] + WINDOW_MS - now) / 1000);
+  }
+  recent.push(now);
+  hits.set(bucketKey, recent);
+  return 0;
+}
+
+// Drop idle windows so the map doesn't grow forever
+setInterval(() => {
+  const cutoff = Date.now() - WINDOW_MS;
+  for (const [key, times] of hits.entries()) {
+    if (!times.some(t => t > cutoff)) hits.delete(key);
+  }
+}, 5 * 60 * 1000).unref();
+
+/**
+ * Reject requests over the rate limit or daily quota. Runs before uploads are parsed.
+ * @param {string} endpoint - prescription | nudge | voice | translate
+ */
+function guard(endpoint) {
+  return async (req, res, next) => {
+    const limits = limitsFor(endpoint);
+    const subject = usageService.subjectFor(req);
+
+    const retryAfter = take(`${endpoint}|ip:${req.ip}`, limits.ip)
+      || (subject.startsWith('ip:') ? 0 : take(`${endpoint}|${subject}`, limits.patient));
+    if (retryAfter > 0) {
+      log.warn(`🚦 Rate limited ${subject} on ${endpoint} (retry in ${retryAfter}s)`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        code: ErrorCodes.RATE_LIMITED,
+        detail: `Please wait ${retryAfter} seconds and try again.`,
+        retryAfter,
+      });
+    }
+
+    try {
+      const quota = await usageService.checkQuota(subject, endpoint, patientTimezone(req.patient));
+      if (!quota.allowed) {
+        log.warn(`🛑 Daily quota reached for ${subject} (${quota.used}/${quota.limit} tokens, ${quota.scope})`);
+        return res.status(429).json({
+          error: 'Daily AI quota reached',
+          code: ErrorCodes.QUOTA_EXCEEDED,
+          detail: 'You have used today\'s AI allowance. It resets at midnight in your timezone.',
+          quota,
+        });
+      }
+    } catch (err) {
+      // Metering must never take the feature down
+      log.error('⚠️ Quota check failed', { error: err.message });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Attribute every AI call made while handling this request
+ * @param {string} endpoint - prescription | nudge | voice | translate
+ */
+function track(endpoint) {
+  return (req, res, next) => {
+    usageService.runWithContext(
+      { subject: usageService.subjectFor(req), patientId: req.patient?.id || null, endpoint },
+      next
+    );
+  };
+}
+
+/**
+ * guard + track, for routes without a file upload in between
+ */
+function meter(endpoint) {
+  const guardEndpoint = guard(endpoint);
+  const trackEndpoint = track(endpoint);
+  return (req, res, next) => guardEndpoint(req, res, (err) => {
+    if (err) return next(err);
+    trackEndpoint(req, res, next);
+  });
+}
+
+module.exports = { guard, track, meter };
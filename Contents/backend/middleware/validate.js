@@ -0,0 +1,134 @@
+const fs = require('fs');
+const { ErrorCodes } = require('../utils/errorCodes');
+
+/**
+ * Validate Middleware — Checks req.params, req.query and req.body against a
+ * declarative schema (see schemas/index.js), replacing them with the cleaned
+ * values. Fields a schema doesn't declare are dropped, so only whitelisted
+ * columns ever reach the database.
+ *
+ * Field spec:
+ *   type      'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'json'
+ *             ('json' takes an object/array or a JSON string, as multipart forms send)
+ *   of        For 'json': 'object' | 'array'
+ *   items     For arrays: field spec every item must match
+ *   required, default, enum, pattern, min, max, maxLength, maxItems
+ *   allowEmpty  Keep '' (to clear a column) instead of treating it as not sent
+ */
+
+function checkField(name, spec, value, errors) {
+  const fail = (message) => {
+    errors.push({ field: name, message });
+    return undefined;
+  };
+
+  if (value === '' && spec.allowEmpty) return '';
+  if (value === undefined || value === null || value === '') {
+    if (spec.required) return fail('is required');
+    return spec.default !== undefined ? JSON.parse(JSON.stringify(spec.default)) : undefined;
+  }
+
+  let result = value;
+  switch (spec.type) {
+    case 'string':
+      // Numbers are fine where text is expected (age "67" vs 67)
+      if (typeof value === 'number') result = String(value);
+      if (typeof result !== 'string') return fail('must be a string');
+      result = result.trim();
+      if (spec.maxLength && result.length > spec.maxLength) fail(`must be at most ${spec.maxLength} characters`);
+      if (spec.pattern && !spec.pattern.test(result)) fail('has an invalid format');
+      break;
+
+    case 'number':
+    case 'integer':
+      result = typeof value === 'string' ? Number(value) : value;
+      if (typeof result !== 'number' || Number.isNaN(result)) return fail('must be a number');
+      if (spec.type === 'integer' && !Number.isInteger(result)) fail('must be a whole number');
+      if (spec.min !== undefined && result < spec.min) fail(`must be at least ${spec.min}`);
+      if (spec.max !== undefined && result > spec.max) fail(`must be at most ${spec.max}`);
+      break;
+
+    case 'boolean':
+      if (value === 'true' || value === true) result = true;
+      else if (value === 'false' || value === false) result = false;
+      else return fail('must be true or false');
+      break;
+
+    case 'json':
+      if (typeof value === 'string') {
+        try {
+          result = JSON.parse(value);
+        } catch {
+          return fail('must be valid JSON');
+        }
+      }
+      return checkField(name, { ...spec, type: spec.of || 'object', default: undefined }, result, errors);
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (spec.maxItems && value.length > spec.maxItems) fail(`must have at most ${spec.maxItems} items`);
+      if (spec.items) {
+        result = value.map((item, i) => checkField(`${name}[${i}]`, spec.items, item, errors));
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(result)) fail(`must be one of: ${spec.enum.join(', ')}`);
+  return result;
+}
+
+/**
+ * Check a whole section (body, query or params). Returns the cleaned copy.
+ */
+function checkSection(section, fields, input, errors) {
+  const cleaned = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    const value = checkField(`${section}.${name}`, spec, input?.[name], errors);
+    if (value !== undefined) cleaned[name] = value;
+  }
+  return cleaned;
+}
+
+// Uploaded files of rejected requests shouldn't stay on disk
+function discardUploads(req) {
+  const files = [req.file, ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())];
+  for (const file of files) {
+    if (file?.path) fs.unlink(file.path, () => {});
+  }
+}
+
+/**
+ * Build a middleware for a route schema
+ * @param {Object} schema - { params, query, body } each mapping field name → spec
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const cleaned = {};
+    for (const section of ['params', 'query', 'body']) {
+      if (schema[section]) cleaned[section] = checkSection(section, schema[section], req[section], errors);
+    }
+
+    if (errors.length > 0) {
+      discardUploads(req);
+      return res.status(400).json({
+        error: 'Invalid request',
+        code: ErrorCodes.VALIDATION_FAILED,
+        detail: errors.map(e => `${e.field} ${e.message}`).join('; '),
+        fields: errors,
+      });
+    }
+
+    Object.assign(req, cleaned);
+    next();
+  };
+}
+
+module.exports = { validate };
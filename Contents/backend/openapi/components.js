@@ -0,0 +1,521 @@
+const { ErrorCodes } = require('../utils/errorCodes');
+const { SEVERITIES, SOURCES } = require('../utils/interactions');
+
+/**
+ * OpenAPI Components — Response shapes of the Dr. Nudge API.
+ * Request shapes are generated from schemas/index.js (see openapi/index.js);
+ * these describe what handlers send back. test-contract.js checks real
+ * responses against them, so update both when a response changes.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const str = { type: 'string' };
+const int = { type: 'integer' };
+const num = { type: 'number' };
+const bool = { type: 'boolean' };
+const obj = { type: 'object' };
+const nullable = (schema) => ({ ...schema, nullable: true });
+const arrayOf = (items) => ({ type: 'array', items });
+
+const SAFETY_FLAGS = ['GREEN', 'YELLOW', 'RED'];
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: str,
+      code: { type: 'string', enum: Object.values(ErrorCodes) },
+      detail: str,
+      requestId: str,
+      fields: arrayOf({ type: 'object', properties: { field: str, message: str } }),
+      retryAfter: int,
+      quota: obj,
+      stage: str,
+      failedExtractions: arrayOf(ref('FailedExtraction')),
+      suggestions: str,
+    },
+  },
+
+  Health: {
+    type: 'object',
+    required: ['status', 'service', 'version', 'database'],
+    properties: { status: str, service: str, version: str, database: { type: 'string', enum: ['supabase', 'memory'] } },
+  },
+
+  // Drug interaction as reported by drugService (see utils/interactions.js): one per pair,
+  // drug1/drug2 in pair_key order; drug2 may be a food when source is dietary, and both are
+  // medications when source is duplicate (two medicines doing the same job)
+  Interaction: {
+    type: 'object',
+    required: ['pair_key', 'drug1', 'drug2', 'severity', 'tier', 'source', 'description'],
+    properties: {
+      pair_key: str,
+      drug1: str,
+      rxcui1: nullable(str),
+      drug2: str,
+      rxcui2: nullable(str),
+      // Brand or combination the ingredient came from ("Telma-AM 40" for amlodipine)
+      product1: nullable(str),
+      product2: nullable(str),
+      severity: { type: 'string', enum: SEVERITIES },
+      tier: { type: 'integer', enum: [1, 2, 3] },
+      source: { type: 'string', enum: SOURCES },
+      description: str,
+      recommendation: str,
+    },
+  },
+
+  SafetyFlag: {
+    type: 'object',
+    required: ['flag', 'reasoning'],
+    properties: { flag: { type: 'string', enum: SAFETY_FLAGS }, reasoning: str },
+  },
+
+  ExtractedData: {
+    type: 'object',
+    required: ['drug_name'],
+    properties: {
+      drug_name: str,
+      dosage: str,
+      frequency: str,
+      dose_timing: str,
+      dosing_source: str,
+      route: str,
+      duration: str,
+      instructions: nullable(str),
+      page: int,
+      pages: arrayOf(int),
+      name_confidence: num,
+      // Brands and combinations only ("Dolo 650"): what they contain, which safety checks use
+      generic_name: str,
+      ingredients: arrayOf({
+        type: 'object',
+        required: ['name'],
+        properties: { name: str, strength: nullable(str), rxcui: nullable(str) },
+      }),
+      drug_classes: arrayOf(ref('DrugClasses')),
+    },
+  },
+
+  // ATC codes and therapeutic classes of one ingredient (drugService.getDrugClasses);
+  // classes are those where a second medicine of the class is a duplicate
+  DrugClasses: {
+    type: 'object',
+    required: ['ingredient', 'atc', 'classes'],
+    properties: {
+      ingredient: str,
+      atc: arrayOf(str),
+      classes: arrayOf({
+        type: 'object',
+        required: ['code', 'name'],
+        properties: { code: str, name: str, job: str },
+      }),
+    },
+  },
+
+  FailedExtraction: {
+    type: 'object',
+    required: ['reason', 'code', 'message'],
+    properties: {
+      reason: { type: 'string', enum: ['unreadable_page', 'unclear_name', 'invalid_drug', 'pages_skipped'] },
+      code: { type: 'string', enum: [ErrorCodes.IMAGE_UNREADABLE, ErrorCodes.DRUG_NOT_RECOGNIZED, ErrorCodes.TOO_MANY_PAGES] },
+      page: int,
+      pagesRead: int,
+      totalPages: int,
+      originalName: str,
+      suggestions: arrayOf(str),
+      message: str,
+      extractedData: obj,
+    },
+  },
+
+  NudgeCard: {
+    type: 'object',
+    required: ['headline'],
+    properties: { headline: str, plain_instruction: str, the_why: str, habit_hook: str, warning_label: str },
+  },
+
+  ProcessedMedication: {
+    type: 'object',
+    required: ['extracted_data', 'safety_flag', 'interactions'],
+    properties: {
+      extracted_data: ref('ExtractedData'),
+      patient_facing_card: nullable(ref('NudgeCard')),
+      safety_flag: { type: 'string', enum: SAFETY_FLAGS },
+      safety_reasoning: str,
+      interactions: arrayOf(ref('Interaction')),
+      enhanced_safety: obj,
+    },
+  },
+
+  PrescriptionResult: {
+    type: 'object',
+    required: ['image_hash', 'medications', 'total_medications', 'total_pages'],
+    properties: {
+      image_hash: str,
+      medications: arrayOf(ref('ProcessedMedication')),
+      total_medications: int,
+      total_pages: int,
+      failedExtractions: arrayOf(ref('FailedExtraction')),
+      warnings: str,
+    },
+  },
+
+  OcrResult: {
+    type: 'object',
+    required: ['success', 'ocrText'],
+    properties: { success: bool, ocrText: str, patientContext: obj, warnings: str },
+  },
+
+  JobAccepted: {
+    type: 'object',
+    required: ['jobId', 'status', 'statusUrl', 'eventsUrl'],
+    properties: { jobId: str, status: str, statusUrl: str, eventsUrl: str },
+  },
+
+  Job: {
+    type: 'object',
+    required: ['id', 'status', 'stage', 'progress'],
+    properties: {
+      id: str,
+      requestId: nullable(str),
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+      stage: str,
+      stageLabel: str,
+      detail: nullable(str),
+      progress: int,
+      httpStatus: nullable(int),
+      result: nullable(obj),
+      error: nullable(str),
+      createdAt: str,
+      updatedAt: str,
+    },
+  },
+
+  NudgeBatchResult: {
+    type: 'object',
+    required: ['medications'],
+    properties: {
+      // Same as the pipeline's medications, with patient_facing_card filled in
+      medications: arrayOf(ref('ProcessedMedication')),
+    },
+  },
+
+  InteractionCheckResult: {
+    type: 'object',
+    required: ['interactions', 'safetyFlag'],
+    properties: { interactions: arrayOf(ref('Interaction')), safetyFlag: ref('SafetyFlag') },
+  },
+
+  VoiceAnswer: { type: 'object', required: ['response'], properties: { response: str } },
+
+  Translation: {
+    type: 'object',
+    required: ['original', 'translated', 'targetLanguage'],
+    properties: { original: str, translated: str, targetLanguage: str },
+  },
+
+  DrugLookup: {
+    type: 'object',
+    required: ['found', 'name'],
+    properties: { found: bool, name: str, concepts: arrayOf(obj), message: str },
+  },
+
+  Patient: {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: str,
+      user_id: nullable(str),
+      name: str,
+      age: nullable(str),
+      email: nullable(str),
+      language: nullable(str),
+      timezone: nullable(str),
+      onboarded: nullable(bool),
+    },
+  },
+
+  Medication: {
+    type: 'object',
+    required: ['id', 'patient_id', 'name'],
+    properties: {
+      id: str,
+      patient_id: str,
+      name: str,
+      dosage: nullable(str),
+      frequency: nullable(str),
+      dose_timing: nullable(str),
+      safety_flag: nullable({ type: 'string', enum: SAFETY_FLAGS }),
+      streak: nullable(int),
+      best_streak: nullable(int),
+      streak_date: nullable(str),
+      taken_doses: nullable(int),
+      total_doses: nullable(int),
+      morning_taken: nullable(bool),
+      noon_taken: nullable(bool),
+      evening_taken: nullable(bool),
+      last_reset_date: nullable(str),
+      refill_date: nullable(str),
+      active: nullable(bool),
+      discontinued_at: nullable(str),
+      discontinue_reason: nullable(str),
+      discontinue_note: nullable(str),
+      // Set when the medication is added or renamed through the API
+      drug_classes: nullable(arrayOf(ref('DrugClasses'))),
+    },
+  },
+
+  MedicationVersion: {
+    type: 'object',
+    required: ['id', 'medication_id', 'version', 'change_type', 'changes'],
+    properties: {
+      id: str,
+      medication_id: str,
+      version: int,
+      change_type: { type: 'string', enum: ['created', 'edited', 'restored'] },
+      dosage: nullable(str),
+      frequency: nullable(str),
+      dose_timing: nullable(str),
+      reason: nullable(str),
+      restored_from: nullable(int),
+      created_at: nullable(str),
+      // What differs from the version before (empty for version 1)
+      changes: arrayOf({
+        type: 'object',
+        required: ['field', 'from', 'to'],
+        properties: {
+          field: { type: 'string', enum: ['dosage', 'frequency', 'dose_timing'] },
+          from: nullable(str),
+          to: nullable(str),
+        },
+      }),
+    },
+  },
+
+  MedicationHistory: {
+    type: 'object',
+    required: ['medication_id', 'versions'],
+    properties: { medication_id: str, versions: arrayOf(ref('MedicationVersion')) },
+  },
+
+  StoredInteraction: {
+    type: 'object',
+    required: ['id', 'patient_id', 'drug1', 'drug2', 'severity'],
+    properties: {
+      id: str,
+      patient_id: str,
+      // Set on every row stored since pair keys were introduced
+      pair_key: nullable(str),
+      drug1: str,
+      rxcui1: nullable(str),
+      drug2: str,
+      rxcui2: nullable(str),
+      // Brand or combination the ingredient came from ("Telma-AM 40" for amlodipine)
+      product1: nullable(str),
+      product2: nullable(str),
+      severity: { type: 'string', enum: SEVERITIES },
+      source: nullable({ type: 'string', enum: SOURCES }),
+      description: nullable(str),
+      recommendation: nullable(str),
+      plain_explanation: nullable(str),
+      resolved: nullable(bool),
+      // Set once a drug of the pair is no longer taken
+      retired_at: nullable(str),
+    },
+  },
+
+  MedicationLog: {
+    type: 'object',
+    required: ['medication_id', 'patient_id', 'action'],
+    properties: {
+      id: str,
+      medication_id: str,
+      patient_id: str,
+      action: { type: 'string', enum: ['taken', 'undo', 'missed'] },
+      slot: nullable({ type: 'string', enum: ['morning', 'noon', 'evening'] }),
+      dose_date: nullable(str),
+      taken_at: nullable(str),
+      scheduled_at: nullable(str),
+      undone_at: nullable(str),
+      logged_at: str,
+      created_at: str,
+    },
+  },
+
+  DoseResult: {
+    type: 'object',
+    required: ['medication', 'log', 'replayed'],
+    properties: { medication: ref('Medication'), log: ref('MedicationLog'), replayed: bool, streak: ref('Streak') },
+  },
+
+  UndoResult: {
+    type: 'object',
+    required: ['medication', 'undone', 'streak'],
+    properties: { medication: ref('Medication'), undone: int, streak: ref('Streak') },
+  },
+
+  Streak: {
+    type: 'object',
+    required: ['current', 'best'],
+    properties: { current: int, best: int },
+  },
+
+  Stats: {
+    type: 'object',
+    required: ['totalMeds', 'takenToday', 'adherenceRate', 'currentStreak', 'bestStreak', 'medicationStreaks', 'recentLogs'],
+    properties: {
+      totalMeds: int,
+      takenToday: int,
+      adherenceRate: num,
+      // Overall: days on which every scheduled dose of every medication was taken
+      currentStreak: int,
+      bestStreak: int,
+      medicationStreaks: { type: 'object', additionalProperties: ref('Streak') },
+      recentLogs: arrayOf(ref('MedicationLog')),
+    },
+  },
+
+  AdherenceTally: {
+    type: 'object',
+    required: ['expected', 'taken', 'adherence'],
+    properties: {
+      expected: int,
+      taken: int,
+      adherence: nullable(num),
+      averageLatenessMinutes: nullable(int),
+      lateRate: nullable(num),
+      // Per medication only
+      name: str,
+      daysPrescribed: int,
+      daysCovered: int,
+      pdc: nullable(num),
+    },
+  },
+
+  AdherenceWindow: {
+    type: 'object',
+    required: ['days', 'expected', 'taken', 'adherence', 'pdc', 'bySlot', 'byMedication'],
+    properties: {
+      days: int,
+      expected: int,
+      taken: int,
+      adherence: nullable(num),
+      pdc: nullable(num),
+      averageLatenessMinutes: nullable(int),
+      lateRate: nullable(num),
+      bySlot: { type: 'object', additionalProperties: ref('AdherenceTally') },
+      byMedication: { type: 'object', additionalProperties: ref('AdherenceTally') },
+    },
+  },
+
+  WeakSpot: {
+    type: 'object',
+    required: ['type', 'message'],
+    properties: {
+      type: { type: 'string', enum: ['slot_missed', 'slot_late', 'medication_missed'] },
+      slot: { type: 'string', enum: ['morning', 'noon', 'evening'] },
+      medicationId: str,
+      name: str,
+      missRate: num,
+      averageLatenessMinutes: int,
+      message: str,
+    },
+  },
+
+  Adherence: {
+    type: 'object',
+    required: ['today', 'windows', 'weakSpots'],
+    properties: {
+      today: str,
+      windows: {
+        type: 'object',
+        required: ['7', '30', '90'],
+        properties: { 7: ref('AdherenceWindow'), 30: ref('AdherenceWindow'), 90: ref('AdherenceWindow') },
+      },
+      weakSpots: arrayOf(ref('WeakSpot')),
+    },
+  },
+
+  UsageReport: {
+    type: 'object',
+    required: ['days', 'since', 'total', 'byEndpoint', 'byDay', 'byModel'],
+    properties: {
+      patientId: nullable(str),
+      days: int,
+      since: str,
+      total: obj,
+      byEndpoint: obj,
+      byDay: obj,
+      byModel: obj,
+      quota: obj,
+    },
+  },
+
+  CacheCleared: {
+    type: 'object',
+    required: ['success', 'imageHash', 'memoryCleared', 'databaseRowsCleared'],
+    properties: { success: bool, imageHash: str, memoryCleared: bool, databaseRowsCleared: int },
+  },
+
+  CacheEntries: {
+    type: 'object',
+    required: ['entries', 'total'],
+    properties: { entries: arrayOf(obj), total: int },
+  },
+
+  CacheStats: {
+    type: 'object',
+    required: ['hits', 'misses', 'lookups', 'hitRate', 'memoryEntries'],
+    properties: {
+      hits: int,
+      misses: int,
+      lookups: int,
+      hitRate: num,
+      memoryEntries: int,
+      databaseEntries: int,
+      databaseExpired: int,
+      rxnorm: ref('RxNormCacheStats'),
+    },
+  },
+
+  // RxNorm lookups (see rxnormCacheService); shared = answered by an identical lookup already running
+  RxNormCacheStats: {
+    type: 'object',
+    required: ['hits', 'misses', 'lookups', 'hitRate', 'memoryEntries'],
+    properties: {
+      hits: int,
+      memoryHits: int,
+      databaseHits: int,
+      shared: int,
+      misses: int,
+      errors: int,
+      lookups: int,
+      hitRate: num,
+      byKind: {
+        type: 'object',
+        additionalProperties: { type: 'object', required: ['hits', 'misses'], properties: { hits: int, misses: int } },
+      },
+      memoryEntries: int,
+      inFlight: int,
+      queued: int,
+      databaseEntries: int,
+      databaseExpired: int,
+      since: str,
+    },
+  },
+
+  CachePurged: {
+    type: 'object',
+    required: ['success', 'memoryPurged', 'databaseRowsPurged'],
+    properties: {
+      success: bool,
+      memoryPurged: int,
+      databaseRowsPurged: int,
+      rxnorm: { type: 'object', properties: { memoryPurged: int, databaseRowsPurged: int } },
+    },
+  },
+};
+
+module.exports = { schemas, ref, arrayOf };
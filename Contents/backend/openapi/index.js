@@ -0,0 +1,238 @@
+const requestSchemas = require('../schemas');
+const { schemas: components, ref, arrayOf } = require('./components');
+
+/**
+ * OpenAPI — Machine-readable description of every API route, served at
+ * GET /api/openapi.json. Parameters and request bodies come from the same
+ * schemas the validate middleware enforces, so they can't drift from it.
+ * Add a ROUTES entry whenever a route is added to server.js
+ * (test-contract.js fails on undocumented routes).
+ */
+
+const ROUTES = [
+  { method: 'get', path: '/api/health', tag: 'System', summary: 'Health check', public: true, responses: { 200: 'Health' } },
+  { method: 'get', path: '/api/openapi.json', tag: 'System', summary: 'This document', public: true, responses: { 200: null } },
+
+  {
+    method: 'post', path: '/api/prescription/upload', tag: 'Prescriptions', summary: 'OCR a prescription image (text only)',
+    schema: 'prescriptionUpload', multipart: { image: 'single' }, responses: { 200: 'OcrResult' },
+  },
+  {
+    method: 'post', path: '/api/prescription/process', tag: 'Prescriptions',
+    summary: 'Full pipeline: extract, validate, interactions and safety for 1–10 pages',
+    description: 'With async=true answers 202 with a job to poll or stream; the job result is the same body the synchronous call returns.',
+    schema: 'prescriptionProcess', multipart: { image: 'single', images: 'multiple' }, rateLimited: true,
+    responses: { 200: 'PrescriptionResult', 202: 'JobAccepted' },
+  },
+  { method: 'get', path: '/api/jobs/{id}', tag: 'Prescriptions', summary: 'Processing job status', schema: 'job', responses: { 200: 'Job', 404: 'Error' } },
+  {
+    method: 'get', path: '/api/jobs/{id}/events', tag: 'Prescriptions', summary: 'Processing job updates (Server-Sent Events)',
+    description: 'Events: progress, completed, failed — each carries a Job. Pass the session as ?access_token= (EventSource cannot set headers).',
+    schema: 'job', eventStream: 'Job', responses: { 200: 'Job', 404: 'Error' },
+  },
+
+  {
+    method: 'post', path: '/api/nudge/generate-batch', tag: 'Nudges', summary: 'Nudge cards for confirmed medications',
+    schema: 'nudgeBatch', rateLimited: true, responses: { 200: 'NudgeBatchResult' },
+  },
+  { method: 'post', path: '/api/nudge/generate', tag: 'Nudges', summary: 'Nudge card for one medication', schema: 'nudgeGenerate', rateLimited: true, responses: { 200: 'NudgeCard' } },
+  { method: 'post', path: '/api/interaction/check', tag: 'Drugs', summary: 'Interactions of a drug with current medications', schema: 'interactionCheck', responses: { 200: 'InteractionCheckResult' } },
+  { method: 'get', path: '/api/drug/lookup/{name}', tag: 'Drugs', summary: 'RxNorm lookup', schema: 'drugLookup', responses: { 200: 'DrugLookup' } },
+  { method: 'post', path: '/api/voice/query', tag: 'Assistant', summary: 'Answer a spoken question', schema: 'voiceQuery', rateLimited: true, responses: { 200: 'VoiceAnswer' } },
+  { method: 'post', path: '/api/translate', tag: 'Assistant', summary: 'Translate medical text', schema: 'translate', rateLimited: true, responses: { 200: 'Translation' } },
+
+  { method: 'post', path: '/api/patient', tag: 'Patients', summary: 'Create the signed-in user\'s patient profile', schema: 'patientCreate', responses: { 200: 'Patient' } },
+  { method: 'get', path: '/api/patient/{id}', tag: 'Patients', summary: 'Get a patient', schema: 'patientGet', owned: true, responses: { 200: 'Patient', 404: 'Error' } },
+  { method: 'put', path: '/api/patient/{id}', tag: 'Patients', summary: 'Update a patient', schema: 'patientUpdate', owned: true, responses: { 200: 'Patient', 404: 'Error' } },
+  { method: 'get', path: '/api/patient/{id}/medications', tag: 'Medications', summary: 'Active medications', schema: 'patientGet', owned: true, responses: { 200: ['Medication'] } },
+  { method: 'get', path: '/api/patient/{id}/stats', tag: 'Medications', summary: 'Adherence summary', schema: 'patientGet', owned: true, responses: { 200: 'Stats' } },
+  {
+    method: 'get', path: '/api/patient/{id}/adherence', tag: 'Medications', summary: 'Adherence analytics over 7, 30 and 90 days',
+    description: 'Percentages are 0–100 (null when nothing was scheduled). Lateness is minutes after the slot\'s meal time; negative means early.',
+    schema: 'patientGet', owned: true, responses: { 200: 'Adherence', 404: 'Error' },
+  },
+  { method: 'get', path: '/api/patient/{id}/usage', tag: 'Usage', summary: 'AI token usage and quota for a patient', schema: 'patientUsage', owned: true, responses: { 200: 'UsageReport' } },
+
+  { method: 'post', path: '/api/medications', tag: 'Medications', summary: 'Add a medication', schema: 'medicationCreate', owned: true, responses: { 200: 'Medication' } },
+  {
+    method: 'put', path: '/api/medications/{id}', tag: 'Medications', summary: 'Replace a medication',
+    description: 'Columns not sent get their defaults. A change to dosage, frequency or dose_timing is stored as a new version, with the optional reason. A discontinued medication is a 409 MEDICATION_DISCONTINUED.',
+    schema: 'medicationReplace', owned: true, responses: { 200: 'Medication', 404: 'Error', 409: 'Error' },
+  },
+  { method: 'patch', path: '/api/medications/{id}', tag: 'Medications', summary: 'Change some columns of a medication (versioned like PUT)', schema: 'medicationUpdate', owned: true, responses: { 200: 'Medication', 404: 'Error', 409: 'Error' } },
+  {
+    method: 'delete', path: '/api/medications/{id}', tag: 'Medications', summary: 'Discontinue a medication',
+    description: 'Soft: the medication becomes inactive with the reason, and keeps its dose logs and versions.',
+    schema: 'medicationDiscontinue', owned: true, responses: { 200: 'Medication', 404: 'Error' },
+  },
+  { method: 'get', path: '/api/medications/{id}/history', tag: 'Medications', summary: 'Versions of a medication, newest first', schema: 'medicationGet', owned: true, responses: { 200: 'MedicationHistory', 404: 'Error' } },
+  {
+    method: 'post', path: '/api/medications/{id}/versions/{version}/restore', tag: 'Medications', summary: 'Restore an older version',
+    description: 'Sets the dosage, frequency and dose_timing of that version again, stored as a new version. A discontinued medication is a 409 MEDICATION_DISCONTINUED.',
+    schema: 'medicationRestore', owned: true, responses: { 200: 'Medication', 404: 'Error', 409: 'Error' },
+  },
+  {
+    method: 'post', path: '/api/medications/{id}/take', tag: 'Medications', summary: 'Log a dose as taken',
+    description: 'One dose per slot and day. Retrying with the same idempotencyKey returns the first result (replayed: true); a second dose for the same slot and day is a 409 DOSE_ALREADY_LOGGED.',
+    schema: 'medicationTake', owned: true, responses: { 200: 'DoseResult', 404: 'Error', 409: 'Error' },
+  },
+  { method: 'post', path: '/api/medications/{id}/undo', tag: 'Medications', summary: 'Undo today\'s dose for a slot (or all slots)', schema: 'medicationUndo', owned: true, responses: { 200: 'UndoResult', 404: 'Error' } },
+  {
+    method: 'get', path: '/api/patient/{id}/interactions', tag: 'Medications', summary: 'Interactions between active medications',
+    description: 'Rechecked by the backend whenever a medication is added, renamed or discontinued. Pairs with a drug no longer taken are retired and not listed.',
+    schema: 'patientGet', owned: true, responses: { 200: ['StoredInteraction'] },
+  },
+  {
+    method: 'post', path: '/api/interactions', tag: 'Medications', summary: 'Store an interaction for a patient',
+    description: 'Returns the stored one instead when the patient already has an interaction for this pair of drugs.',
+    schema: 'interactionCreate', owned: true, responses: { 200: 'StoredInteraction' },
+  },
+
+  { method: 'get', path: '/api/usage', tag: 'Usage', summary: 'AI token usage across all patients', schema: 'usage', admin: true, responses: { 200: 'UsageReport' } },
+  { method: 'post', path: '/api/cache/clear/{imageHash}', tag: 'Cache', summary: 'Forget the cached result for one image', schema: 'cacheClear', admin: true, responses: { 200: 'CacheCleared' } },
+  { method: 'get', path: '/api/cache/entries', tag: 'Cache', summary: 'List cached results', schema: 'cacheEntries', admin: true, responses: { 200: 'CacheEntries' } },
+  { method: 'get', path: '/api/cache/stats', tag: 'Cache', summary: 'Cache hit/miss statistics', admin: true, responses: { 200: 'CacheStats' } },
+  { method: 'post', path: '/api/cache/purge-expired', tag: 'Cache', summary: 'Remove expired cache entries', admin: true, responses: { 200: 'CachePurged' } },
+];
+
+const STATUS_TEXT = {
+  200: 'OK', 202: 'Accepted', 400: 'Invalid request', 401: 'Not signed in', 403: 'Not allowed',
+  404: 'Not found', 409: 'Conflict', 413: 'File too large', 429: 'Rate limit or daily AI quota reached', 500: 'Server error',
+};
+
+/**
+ * Convert a validate() field spec to an OpenAPI schema
+ */
+function fieldToSchema(spec) {
+  const schema = {};
+  switch (spec.type) {
+    case 'json':
+      // Multipart forms send these as JSON strings
+      Object.assign(schema, fieldToSchema({ ...spec, type: spec.of || 'object' }));
+      schema.description = 'JSON-encoded in multipart requests';
+      break;
+    case 'array':
+      schema.type = 'array';
+      schema.items = spec.items ? fieldToSchema(spec.items) : {};
+      if (spec.maxItems) schema.maxItems = spec.maxItems;
+      break;
+    default:
+      schema.type = spec.type || 'string';
+  }
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.pattern) schema.pattern = spec.pattern.source;
+  if (spec.maxLength) schema.maxLength = spec.maxLength;
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.default !== undefined) schema.default = spec.default;
+  return schema;
+}
+
+function objectSchema(fields) {
+  const properties = {};
+  const required = [];
+  for (const [name, spec] of Object.entries(fields)) {
+    properties[name] = fieldToSchema(spec);
+    if (spec.required) required.push(name);
+  }
+  return { type: 'object', properties, ...(required.length > 0 && { required }) };
+}
+
+function responseSchema(name) {
+  if (!name) return { type: 'object' };
+  return Array.isArray(name) ? arrayOf(ref(name[0])) : ref(name);
+}
+
+function buildOperation(route) {
+  const schema = route.schema ? requestSchemas[route.schema] : {};
+  const operation = {
+    tags: [route.tag],
+    summary: route.summary,
+    ...(route.description && { description: route.description }),
+    operationId: `${route.method}${route.path.replace(/[{}]/g, '').replace(/(^|[/.-])(\w)/g, (_, __, c) => c.toUpperCase())}`,
+    parameters: [],
+    responses: {},
+  };
+
+  for (const [location, section] of [['path', 'params'], ['query', 'query']]) {
+    for (const [name, spec] of Object.entries(schema[section] || {})) {
+      if (name === 'access_token' && !route.eventStream) continue;
+      operation.parameters.push({ name, in: location, required: location === 'path' || !!spec.required, schema: fieldToSchema(spec) });
+    }
+  }
+
+  if (route.multipart) {
+    const body = objectSchema(schema.body || {});
+    for (const [field, count] of Object.entries(route.multipart)) {
+      const file = { type: 'string', format: 'binary' };
+      body.properties[field] = count === 'multiple' ? { type: 'array', items: file, maxItems: 10 } : file;
+    }
+    operation.requestBody = { required: true, content: { 'multipart/form-data': { schema: body } } };
+  } else if (schema.body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: objectSchema(schema.body) } } };
+  }
+
+  const statuses = { ...route.responses };
+  if (route.schema) statuses[400] = 'Error';
+  if (route.multipart) statuses[413] = 'Error';
+  if (!route.public) statuses[401] = 'Error';
+  if (route.owned || route.admin) statuses[403] = 'Error';
+  if (route.rateLimited) statuses[429] = 'Error';
+  if (!route.public) statuses[500] = 'Error';
+
+  for (const [status, name] of Object.entries(statuses)) {
+    const mediaType = route.eventStream && status === '200' ? 'text/event-stream' : 'application/json';
+    operation.responses[status] = {
+      description: STATUS_TEXT[status] || 'Response',
+      content: { [mediaType]: { schema: responseSchema(name) } },
+    };
+  }
+
+  if (route.public) operation.security = [];
+  return operation;
+}
+
+/**
+ * Build the OpenAPI 3.0 document
+ */
+function buildDocument() {
+  const paths = {};
+  for (const route of ROUTES) {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Dr. Nudge API',
+      version: '2.0.0',
+      description: 'Prescription scanning, drug safety checks and adherence nudges. '
+        + 'Every error body has a stable `code` and the `requestId` of the failed request (also in the X-Request-Id header).',
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    tags: [...new Set(ROUTES.map(r => r.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Supabase session JWT (or LOCAL_AUTH_TOKEN with the local store)' },
+      },
+      schemas: components,
+    },
+  };
+}
+
+let document = null;
+
+module.exports = {
+  ROUTES,
+
+  /**
+   * The OpenAPI document (built once)
+   */
+  getDocument() {
+    if (!document) document = buildDocument();
+    return document;
+  },
+};
@@ -0,0 +1,35 @@
+const { createSupabaseStore } = require('./supabaseStore');
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Repositories — Storage for patients, medications, medication_versions,
+ * interactions, medication_logs, scan_sessions, rxnorm_cache and ai_usage
+ * behind one interface.
+ *
+ * STORAGE_DRIVER:
+ *   supabase — Hosted Supabase project (default when SUPABASE_URL is set)
+ *   memory   — Local in-memory store with demo seed data (default otherwise);
+ *              LOCAL_DB_FILE saves it to disk, SEED_DEMO_DATA=false starts empty,
+ *              LOCAL_AUTH_TOKEN is the bearer token that signs in as the demo user
+ */
+
+function resolveDriver() {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER;
+  return process.env.SUPABASE_URL ? 'supabase' : 'memory';
+}
+
+function createRepositories() {
+  const driver = resolveDriver();
+
+  if (driver === 'supabase') return createSupabaseStore();
+  if (driver === 'memory') {
+    return createMemoryStore({
+      file: process.env.LOCAL_DB_FILE || null,
+      seed: process.env.SEED_DEMO_DATA !== 'false',
+      sessionToken: process.env.LOCAL_AUTH_TOKEN || 'demo-token',
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected supabase or memory)`);
+}
+
+module.exports = createRepositories();
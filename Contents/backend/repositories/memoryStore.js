@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createSeedData } = require('./seed');
+const logger = require('../utils/logger');
+
+const log = logger.child('Storage');
+
+/**
+ * Memory Store — Repository implementation that keeps every table in memory,
+ * optionally saved to a JSON file (LOCAL_DB_FILE) so data survives restarts.
+ * Used for local development and tests without a Supabase project.
+ */
+
+const TABLES = ['patients', 'medications', 'medication_versions', 'interactions', 'medication_logs', 'scan_sessions', 'rxnorm_cache', 'ai_usage'];
+
+// Rows are copied in and out so callers can't mutate the store by accident
+const copy = (row) => (row ? JSON.parse(JSON.stringify(row)) : null);
+
+const newest = (field) => (a, b) => new Date(b[field]) - new Date(a[field]);
+
+/**
+ * @param {Object} options - { file, seed, sessionToken }
+ */
+function createMemoryStore({ file = null, seed = true, sessionToken = 'demo-token' } = {}) {
+  let tables = null;
+
+  if (file && fs.existsSync(file)) {
+    tables = JSON.parse(fs.readFileSync(file, 'utf8'));
+    log.info(`Loaded local database from ${file}`);
+  }
+  if (!tables) {
+    tables = seed ? createSeedData() : {};
+  }
+  for (const table of TABLES) tables[table] = tables[table] || [];
+
+  function persist() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(tables, null, 2));
+  }
+
+  // Same unique indexes as the Supabase schema (see SETUP-GUIDE 1.2.1)
+  const UNIQUE = {
+    medication_logs: (l, row) =>
+      (row.idempotency_key && l.idempotency_key === row.idempotency_key)
+      || (row.action === 'taken' && l.action === 'taken' && !l.undone_at && !row.undone_at
+        && l.medication_id === row.medication_id && l.dose_date === row.dose_date && l.slot === row.slot && row.slot)
+      || (row.action === 'missed' && l.action === 'missed'
+        && l.medication_id === row.medication_id && l.dose_date === row.dose_date && l.slot === row.slot && row.slot),
+    medication_versions: (v, row) => v.medication_id === row.medication_id && v.version === row.version,
+    interactions: (i, row) => Boolean(row.pair_key) && !row.retired_at && !i.retired_at
+      && i.patient_id === row.patient_id && i.pair_key === row.pair_key,
+  };
+
+  function checkUnique(table, row) {
+    if (UNIQUE[table] && tables[table].some(existing => UNIQUE[table](existing, row))) {
+      throw Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+    }
+  }
+
+  function insert(table, row) {
+    const now = new Date().toISOString();
+    const stored = { id: crypto.randomUUID(), created_at: now, ...row };
+    if (table === 'medication_logs' && !stored.logged_at) stored.logged_at = now;
+    checkUnique(table, stored);
+    tables[table].push(stored);
+    persist();
+    return copy(stored);
+  }
+
+  function findOne(table, predicate) {
+    return copy(tables[table].find(predicate));
+  }
+
+  function update(table, id, changes) {
+    const row = tables[table].find(r => r.id === id);
+    if (!row) return null;
+    Object.assign(row, changes);
+    persist();
+    return copy(row);
+  }
+
+  function remove(table, predicate) {
+    const before = tables[table].length;
+    tables[table] = tables[table].filter(row => !predicate(row));
+    const removed = before - tables[table].length;
+    if (removed > 0) persist();
+    return removed;
+  }
+
+  const isExpired = (row) => new Date(row.expires_at).getTime() <= Date.now();
+
+  // Seeded sessions: the demo token signs in as the demo patient's user
+  const localUsers = tables.patients
+    .filter(p => p.user_id)
+    .map(p => ({ id: p.user_id, email: p.email || `${p.user_id}@drnudge.local` }));
+
+  return {
+    driver: 'memory',
+
+    users: {
+      async verifyToken(token) {
+        if (!sessionToken || token !== sessionToken) return null;
+        return localUsers[0] || null;
+      },
+    },
+
+    patients: {
+      async create(row) {
+        return insert('patients', row);
+      },
+      async findById(id) {
+        return findOne('patients', p => p.id === id);
+      },
+      async findByUserId(userId) {
+        return findOne('patients', p => p.user_id === userId);
+      },
+      async update(id, changes) {
+        return update('patients', id, changes);
+      },
+    },
+
+    medications: {
+      async create(row) {
+        return insert('medications', row);
+      },
+      async findById(id) {
+        return findOne('medications', m => m.id === id);
+      },
+      async listActive(patientId) {
+        return tables.medications
+          .filter(m => m.patient_id === patientId && m.active !== false)
+          .sort(newest('created_at'))
+          .map(copy);
+      },
+      async listAllActive() {
+        return tables.medications.filter(m => m.active !== false).map(copy);
+      },
+      async update(id, changes) {
+        return update('medications', id, changes);
+      },
+      async updateIfNotResetOn(id, day, changes) {
+        const row = tables.medications.find(m => m.id === id);
+        return row && row.last_reset_date !== day ? update('medications', id, changes) : null;
+      },
+    },
+
+    medicationVersions: {
+      async create(row) {
+        return insert('medication_versions', row);
+      },
+      async listByMedication(medicationId) {
+        return tables.medication_versions
+          .filter(v => v.medication_id === medicationId)
+          .sort((a, b) => b.version - a.version)
+          .map(copy);
+      },
+    },
+
+    interactions: {
+      async create(row) {
+        return insert('interactions', row);
+      },
+      async listByPatient(patientId) {
+        return tables.interactions
+          .filter(i => i.patient_id === patientId)
+          .sort(newest('created_at'))
+          .map(copy);
+      },
+      async update(id, changes) {
+        return update('interactions', id, changes);
+      },
+    },
+
+    medicationLogs: {
+      async create(row) {
+        return insert('medication_logs', row);
+      },
+      async listRecent(patientId, limit = 100) {
+        return tables.medication_logs
+          .filter(l => l.patient_id === patientId)
+          .sort(newest('logged_at'))
+          .slice(0, limit)
+          .map(copy);
+      },
+      async findByIdempotencyKey(key) {
+        return findOne('medication_logs', l => l.idempotency_key === key);
+      },
+      async listForDay(medicationId, doseDate) {
+        return tables.medication_logs
+          .filter(l => l.medication_id === medicationId && l.dose_date === doseDate)
+          .sort(newest('logged_at'))
+          .map(copy);
+      },
+      async countTaken(medicationId) {
+        return tables.medication_logs.filter(l => l.medication_id === medicationId && l.action === 'taken' && !l.undone_at).length;
+      },
+      async listTakenDoses(patientId, { since = null } = {}) {
+        return tables.medication_logs
+          .filter(l => l.patient_id === patientId && l.action === 'taken' && !l.undone_at && l.slot
+            && (!since || l.dose_date >= since))
+          .map(l => ({ medication_id: l.medication_id, dose_date: l.dose_date, slot: l.slot, taken_at: l.taken_at }));
+      },
+      async listSince(patientId, since) {
+        return tables.medication_logs.filter(l => l.patient_id === patientId && l.dose_date >= since).map(copy);
+      },
+      async remove(id) {
+        return remove('medication_logs', l => l.id === id);
+      },
+      async update(id, changes) {
+        return update('medication_logs', id, changes);
+      },
+    },
+
+    scanSessions: {
+      async findValid(imageHash) {
+        const rows = tables.scan_sessions
+          .filter(s => s.image_hash === imageHash && !isExpired(s))
+          .sort(newest('expires_at'));
+        return copy(rows[0]);
+      },
+      async create(row) {
+        return insert('scan_sessions', row);
+      },
+      async deleteByHash(imageHash) {
+        return remove('scan_sessions', s => s.image_hash === imageHash);
+      },
+      async list(limit = 50) {
+        return tables.scan_sessions.slice().sort(newest('expires_at')).slice(0, limit).map(copy);
+      },
+      async count({ expired = false } = {}) {
+        return expired ? tables.scan_sessions.filter(isExpired).length : tables.scan_sessions.length;
+      },
+      async deleteExpired() {
+        return remove('scan_sessions', isExpired);
+      },
+    },
+
+    rxnormCache: {
+      async findValid(cacheKey) {
+        return findOne('rxnorm_cache', r => r.cache_key === cacheKey && !isExpired(r));
+      },
+      /**
+       * Store a response, replacing the one for the same key
+       */
+      async upsert(row) {
+        remove('rxnorm_cache', r => r.cache_key === row.cache_key);
+        return insert('rxnorm_cache', row);
+      },
+      async count({ expired = false } = {}) {
+        return expired ? tables.rxnorm_cache.filter(isExpired).length : tables.rxnorm_cache.length;
+      },
+      async deleteExpired() {
+        return remove('rxnorm_cache', isExpired);
+      },
+    },
+
+    aiUsage: {
+      async create(row) {
+        return insert('ai_usage', row);
+      },
+      async listSince({ subject = null, since }) {
+        return tables.ai_usage
+          .filter(u => u.created_at >= since && (!subject || u.subject === subject))
+          .map(copy);
+      },
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
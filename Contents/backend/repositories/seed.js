@@ -0,0 +1,198 @@
+/**
+ * Demo seed data for the local store — one onboarded patient with a few
+ * medications, an interaction and two weeks of dose logs, so every screen
+ * has something to show on an offline laptop.
+ */
+
+const { computeStreaks, shiftDay } = require('../utils/streaks');
+const { slotMinutes } = require('../utils/adherence');
+const { localDate, zonedTime } = require('../utils/timezone');
+
+const DEMO_USER_ID = '00000000-0000-4000-8000-000000000001';
+const DEMO_PATIENT_ID = '00000000-0000-4000-8000-000000000010';
+
+function daysAgo(days, hour = 8) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  date.setHours(hour, 0, 0, 0);
+  return date.toISOString();
+}
+
+function createSeedData() {
+  const patient = {
+    id: DEMO_PATIENT_ID,
+    user_id: DEMO_USER_ID,
+    name: 'Lakshmi Iyer',
+    age: '67',
+    email: 'demo@drnudge.local',
+    language: 'en',
+    timezone: 'Asia/Kolkata',
+    wake_time: '06:30',
+    breakfast_time: '08:00',
+    lunch_time: '13:00',
+    dinner_time: '19:30',
+    morning_routine: 'Filter coffee and a walk at 6:30',
+    motivation: 'Stay healthy for my grandchildren',
+    onboarded: true,
+    voice_enabled: true,
+    scale: '1',
+    created_at: daysAgo(30),
+  };
+
+  const med = (id, fields) => ({
+    id,
+    patient_id: DEMO_PATIENT_ID,
+    route: 'Oral',
+    dosing_source: 'prescription',
+    safety_flag: 'GREEN',
+    nudge_the_why: '',
+    nudge_warning: '',
+    streak: 0,
+    taken_doses: 0,
+    morning_taken: false,
+    noon_taken: false,
+    evening_taken: false,
+    active: true,
+    created_at: daysAgo(14),
+    ...fields,
+  });
+
+  const medications = [
+    med('00000000-0000-4000-8000-000000000101', {
+      name: 'Amlodipine',
+      dosage: '5mg',
+      frequency: 'Once daily',
+      dose_timing: '1-0-0',
+      time_of_day: '08:00 AM',
+      duration: '30 days',
+      total_doses: 30,
+      nudge_headline: 'Blood pressure pill after your morning coffee',
+      nudge_plain_instruction: 'Take 1 tablet every morning.',
+      nudge_habit_hook: 'Keep it next to the coffee filter.',
+    }),
+    med('00000000-0000-4000-8000-000000000102', {
+      name: 'Metformin',
+      dosage: '1000mg',
+      frequency: 'Twice daily',
+      dose_timing: '1-0-1',
+      time_of_day: '08:00 AM',
+      duration: '90 days',
+      total_doses: 180,
+      nudge_headline: 'Sugar tablet with breakfast and dinner',
+      nudge_plain_instruction: 'Take 1 tablet with breakfast and 1 with dinner.',
+      nudge_habit_hook: 'Take it with your first bite.',
+    }),
+    med('00000000-0000-4000-8000-000000000103', {
+      name: 'Atorvastatin',
+      dosage: '10mg',
+      frequency: 'Once daily at night',
+      dose_timing: '0-0-1',
+      time_of_day: '09:00 PM',
+      duration: '90 days',
+      total_doses: 90,
+      safety_flag: 'YELLOW',
+      nudge_headline: 'Cholesterol pill at bedtime',
+      nudge_plain_instruction: 'Take 1 tablet at night.',
+      nudge_habit_hook: 'Keep it by your reading glasses.',
+      nudge_warning: 'Avoid grapefruit juice.',
+    }),
+  ];
+
+  const interactions = [
+    {
+      id: '00000000-0000-4000-8000-000000000201',
+      patient_id: DEMO_PATIENT_ID,
+      pair_key: 'amlodipine|atorvastatin',
+      drug1: 'Amlodipine',
+      rxcui1: '17767',
+      drug2: 'Atorvastatin',
+      rxcui2: '83367',
+      severity: 'moderate',
+      source: 'rxnorm',
+      description: 'Amlodipine can raise atorvastatin levels in the blood.',
+      recommendation: 'Tell your doctor about muscle pain or weakness.',
+      plain_explanation: 'These two together can sometimes cause sore muscles.',
+      resolved: false,
+      created_at: daysAgo(14),
+    },
+  ];
+
+  // Version 1 of each medication; Metformin's dose went up last week
+  const medicationVersions = medications.map((m, i) => ({
+    id: `00000000-0000-4000-8000-${String(300 + i).padStart(12, '0')}`,
+    medication_id: m.id,
+    patient_id: DEMO_PATIENT_ID,
+    version: 1,
+    change_type: 'created',
+    dosage: m.name === 'Metformin' ? '500mg' : m.dosage,
+    frequency: m.frequency,
+    dose_timing: m.dose_timing,
+    reason: null,
+    restored_from: null,
+    created_at: m.created_at,
+  }));
+  medicationVersions.push({
+    id: '00000000-0000-4000-8000-000000000399',
+    medication_id: '00000000-0000-4000-8000-000000000102',
+    patient_id: DEMO_PATIENT_ID,
+    version: 2,
+    change_type: 'edited',
+    dosage: '1000mg',
+    frequency: 'Twice daily',
+    dose_timing: '1-0-1',
+    reason: 'Doctor increased the dose at the follow-up visit',
+    restored_from: null,
+    created_at: daysAgo(5, 11),
+  });
+
+  // Two weeks of history in the patient's timezone: mostly taken, with a few missed evening doses
+  const today = localDate(new Date(), patient.timezone);
+  const medicationLogs = [];
+  let logNumber = 0;
+  for (let day = 14; day >= 1; day--) {
+    for (const m of medications) {
+      const [morning, , evening] = m.dose_timing.split('-').map(Number);
+      const slots = [];
+      if (morning) slots.push(['morning', 8]);
+      if (evening) slots.push(['evening', 21]);
+      for (const [slot, hour] of slots) {
+        const missed = slot === 'evening' && day % 5 === 0;
+        const doseDay = shiftDay(today, -day);
+        const loggedAt = zonedTime(doseDay, hour * 60, patient.timezone).toISOString();
+        logNumber++;
+        medicationLogs.push({
+          id: `00000000-0000-4000-8000-${String(100000 + logNumber).padStart(12, '0')}`,
+          medication_id: m.id,
+          patient_id: DEMO_PATIENT_ID,
+          action: missed ? 'missed' : 'taken',
+          slot,
+          dose_date: doseDay,
+          taken_at: missed ? null : loggedAt,
+          scheduled_at: missed ? zonedTime(doseDay, slotMinutes(patient, slot), patient.timezone).toISOString() : null,
+          logged_at: loggedAt,
+        });
+      }
+    }
+  }
+
+  for (const m of medications) {
+    m.taken_doses = medicationLogs.filter(l => l.medication_id === m.id && l.action === 'taken').length;
+  }
+
+  // Streaks as streakService would have stored them
+  const streaks = computeStreaks(medications, medicationLogs.filter(l => l.action === 'taken'), today, patient.timezone);
+  const stored = (s) => ({ streak: s.current, best_streak: s.best, streak_date: s.lastDay });
+  for (const m of medications) Object.assign(m, stored(streaks.medications[m.id]));
+  Object.assign(patient, stored(streaks.overall));
+
+  return {
+    patients: [patient],
+    medications,
+    medication_versions: medicationVersions,
+    interactions,
+    medication_logs: medicationLogs,
+    scan_sessions: [],
+  };
+}
+
+module.exports = { createSeedData, DEMO_USER_ID, DEMO_PATIENT_ID };
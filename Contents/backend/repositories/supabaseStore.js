@@ -0,0 +1,372 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Supabase Store — Repository implementation backed by the hosted
+ * Supabase project (service role client).
+ */
+
+// Supabase returns { data, error }; repositories throw instead
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+function createSupabaseStore() {
+  const supabase = createClient(
+    process.env.SUPABASE_URL || 'https://placeholder.supabase.co',
+    process.env.SUPABASE_SERVICE_KEY || 'placeholder-key'
+  );
+
+  return {
+    driver: 'supabase',
+
+    users: {
+      /**
+       * Verify a Supabase session JWT. Returns the user or null.
+       */
+      async verifyToken(token) {
+        const { data, error } = await supabase.auth.getUser(token);
+        if (error || !data?.user) return null;
+        return data.user;
+      },
+    },
+
+    patients: {
+      async create(row) {
+        return unwrap(await supabase.from('patients').insert(row).select().single());
+      },
+
+      async findById(id) {
+        return unwrap(await supabase.from('patients').select('*').eq('id', id).maybeSingle());
+      },
+
+      async findByUserId(userId) {
+        return unwrap(await supabase.from('patients').select('*').eq('user_id', userId).maybeSingle());
+      },
+
+      async update(id, changes) {
+        return unwrap(await supabase.from('patients').update(changes).eq('id', id).select().maybeSingle());
+      },
+    },
+
+    medications: {
+      async create(row) {
+        return unwrap(await supabase.from('medications').insert(row).select().single());
+      },
+
+      async findById(id) {
+        return unwrap(await supabase.from('medications').select('*').eq('id', id).maybeSingle());
+      },
+
+      /**
+       * Active medications for a patient, newest first
+       */
+      async listActive(patientId) {
+        const rows = unwrap(await supabase
+          .from('medications')
+          .select('*')
+          .eq('patient_id', patientId)
+          .eq('active', true)
+          .order('created_at', { ascending: false }));
+        return rows || [];
+      },
+
+      /**
+       * Active medications of every patient (for background jobs), in pages
+       */
+      async listAllActive() {
+        const PAGE = 1000;
+        const meds = [];
+        for (let from = 0; ; from += PAGE) {
+          const rows = unwrap(await supabase
+            .from('medications')
+            .select('*')
+            .eq('active', true)
+            .order('id', { ascending: true })
+            .range(from, from + PAGE - 1)) || [];
+          meds.push(...rows);
+          if (rows.length < PAGE) return meds;
+        }
+      },
+
+      async update(id, changes) {
+        return unwrap(await supabase.from('medications').update(changes).eq('id', id).select().maybeSingle());
+      },
+
+      /**
+       * Update only if the medication hasn't been reset on this day yet (a dose
+       * taken meanwhile stamps today); null when it has
+       */
+      async updateIfNotResetOn(id, day, changes) {
+        return unwrap(await supabase
+          .from('medications')
+          .update(changes)
+          .eq('id', id)
+          .or(`last_reset_date.is.null,last_reset_date.neq.${day}`)
+          .select()
+          .maybeSingle());
+      },
+    },
+
+    medicationVersions: {
+      async create(row) {
+        return unwrap(await supabase.from('medication_versions').insert(row).select().single());
+      },
+
+      /**
+       * Every version of a medication, newest first
+       */
+      async listByMedication(medicationId) {
+        const rows = unwrap(await supabase
+          .from('medication_versions')
+          .select('*')
+          .eq('medication_id', medicationId)
+          .order('version', { ascending: false }));
+        return rows || [];
+      },
+    },
+
+    interactions: {
+      async create(row) {
+        return unwrap(await supabase.from('interactions').insert(row).select().single());
+      },
+
+      async listByPatient(patientId) {
+        const rows = unwrap(await supabase
+          .from('interactions')
+          .select('*')
+          .eq('patient_id', patientId)
+          .order('created_at', { ascending: false }));
+        return rows || [];
+      },
+
+      async update(id, changes) {
+        return unwrap(await supabase.from('interactions').update(changes).eq('id', id).select().maybeSingle());
+      },
+    },
+
+    medicationLogs: {
+      async create(row) {
+        return unwrap(await supabase.from('medication_logs').insert(row).select().single());
+      },
+
+      /**
+       * Latest logs for a patient, newest first
+       */
+      async listRecent(patientId, limit = 100) {
+        const rows = unwrap(await supabase
+          .from('medication_logs')
+          .select('*')
+          .eq('patient_id', patientId)
+          .order('logged_at', { ascending: false })
+          .limit(limit));
+        return rows || [];
+      },
+
+      async findByIdempotencyKey(key) {
+        return unwrap(await supabase.from('medication_logs').select('*').eq('idempotency_key', key).maybeSingle());
+      },
+
+      /**
+       * Every log of one medication for one dose day, newest first
+       */
+      async listForDay(medicationId, doseDate) {
+        const rows = unwrap(await supabase
+          .from('medication_logs')
+          .select('*')
+          .eq('medication_id', medicationId)
+          .eq('dose_date', doseDate)
+          .order('logged_at', { ascending: false }));
+        return rows || [];
+      },
+
+      /**
+       * Number of doses of a medication taken and not undone
+       */
+      async countTaken(medicationId) {
+        const { count, error } = await supabase
+          .from('medication_logs')
+          .select('*', { count: 'exact', head: true })
+          .eq('medication_id', medicationId)
+          .eq('action', 'taken')
+          .is('undone_at', null);
+        if (error) throw error;
+        return count || 0;
+      },
+
+      /**
+       * Every dose a patient took and didn't undo (optionally since a day) — just
+       * the columns streaks and adherence need, read in pages (Supabase returns
+       * at most 1000 rows per request)
+       */
+      async listTakenDoses(patientId, { since = null } = {}) {
+        const PAGE = 1000;
+        const doses = [];
+        for (let from = 0; ; from += PAGE) {
+          let query = supabase
+            .from('medication_logs')
+            .select('medication_id, dose_date, slot, taken_at')
+            .eq('patient_id', patientId)
+            .eq('action', 'taken')
+            .is('undone_at', null)
+            .not('slot', 'is', null);
+          if (since) query = query.gte('dose_date', since);
+          const rows = unwrap(await query
+            .order('dose_date', { ascending: true })
+            .order('id', { ascending: true })
+            .range(from, from + PAGE - 1)) || [];
+          doses.push(...rows);
+          if (rows.length < PAGE) return doses;
+        }
+      },
+
+      /**
+       * Every log of a patient for dose days from `since` (YYYY-MM-DD) on
+       */
+      async listSince(patientId, since) {
+        const rows = unwrap(await supabase
+          .from('medication_logs')
+          .select('*')
+          .eq('patient_id', patientId)
+          .gte('dose_date', since));
+        return rows || [];
+      },
+
+      async remove(id) {
+        const { count, error } = await supabase.from('medication_logs').delete({ count: 'exact' }).eq('id', id);
+        if (error) throw error;
+        return count || 0;
+      },
+
+      async update(id, changes) {
+        return unwrap(await supabase.from('medication_logs').update(changes).eq('id', id).select().maybeSingle());
+      },
+    },
+
+    scanSessions: {
+      /**
+       * Newest unexpired session for an image hash, or null
+       */
+      async findValid(imageHash) {
+        const rows = unwrap(await supabase
+          .from('scan_sessions')
+          .select('*')
+          .eq('image_hash', imageHash)
+          .gt('expires_at', new Date().toISOString())
+          .order('expires_at', { ascending: false })
+          .limit(1));
+        return rows?.[0] || null;
+      },
+
+      async create(row) {
+        return unwrap(await supabase.from('scan_sessions').insert(row).select().single());
+      },
+
+      /**
+       * Delete every session for an image hash. Returns the number removed.
+       */
+      async deleteByHash(imageHash) {
+        const { count, error } = await supabase
+          .from('scan_sessions')
+          .delete({ count: 'exact' })
+          .eq('image_hash', imageHash);
+        if (error) throw error;
+        return count || 0;
+      },
+
+      async list(limit = 50) {
+        const rows = unwrap(await supabase
+          .from('scan_sessions')
+          .select('*')
+          .order('expires_at', { ascending: false })
+          .limit(limit));
+        return rows || [];
+      },
+
+      /**
+       * Count sessions (only expired ones with { expired: true })
+       */
+      async count({ expired = false } = {}) {
+        let query = supabase.from('scan_sessions').select('*', { count: 'exact', head: true });
+        if (expired) query = query.lt('expires_at', new Date().toISOString());
+        const { count, error } = await query;
+        if (error) throw error;
+        return count || 0;
+      },
+
+      async deleteExpired() {
+        const { count, error } = await supabase
+          .from('scan_sessions')
+          .delete({ count: 'exact' })
+          .lt('expires_at', new Date().toISOString());
+        if (error) throw error;
+        return count || 0;
+      },
+    },
+
+    rxnormCache: {
+      /**
+       * Unexpired response for a cache key, or null
+       */
+      async findValid(cacheKey) {
+        return unwrap(await supabase
+          .from('rxnorm_cache')
+          .select('*')
+          .eq('cache_key', cacheKey)
+          .gt('expires_at', new Date().toISOString())
+          .maybeSingle());
+      },
+
+      /**
+       * Store a response, replacing the one for the same key
+       */
+      async upsert(row) {
+        return unwrap(await supabase.from('rxnorm_cache').upsert(row, { onConflict: 'cache_key' }).select().single());
+      },
+
+      async count({ expired = false } = {}) {
+        let query = supabase.from('rxnorm_cache').select('*', { count: 'exact', head: true });
+        if (expired) query = query.lt('expires_at', new Date().toISOString());
+        const { count, error } = await query;
+        if (error) throw error;
+        return count || 0;
+      },
+
+      async deleteExpired() {
+        const { count, error } = await supabase
+          .from('rxnorm_cache')
+          .delete({ count: 'exact' })
+          .lt('expires_at', new Date().toISOString());
+        if (error) throw error;
+        return count || 0;
+      },
+    },
+
+    aiUsage: {
+      async create(row) {
+        return unwrap(await supabase.from('ai_usage').insert(row).select().single());
+      },
+
+      /**
+       * Usage rows since a time, optionally for one subject (e.g. "patient:<id>"),
+       * in pages (PostgREST returns at most 1000 rows per request)
+       */
+      async listSince({ subject = null, since }) {
+        const PAGE = 1000;
+        const usage = [];
+        for (let from = 0; ; from += PAGE) {
+          let query = supabase.from('ai_usage').select('*').gte('created_at', since);
+          if (subject) query = query.eq('subject', subject);
+          const rows = unwrap(await query
+            .order('created_at', { ascending: true })
+            .order('id', { ascending: true })
+            .range(from, from + PAGE - 1)) || [];
+          usage.push(...rows);
+          if (rows.length < PAGE) return usage;
+        }
+      },
+    },
+  };
+}
+
+module.exports = { createSupabaseStore };
@@ -0,0 +1,240 @@
+/**
+ * Request Schemas — One declarative schema per API route, checked by
+ * middleware/validate.js. Body fields not listed here never reach a handler.
+ */
+
+const { SEVERITIES, SOURCES } = require('../utils/interactions');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SHA256 = /^[0-9a-f]{64}$/i;
+const DOSE_TIMING = /^\d+(\.\d+)?(-\d+(\.\d+)?){2,3}$/; // 1-0-1, 1-1-1-1, 0.5-0-0
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+const IDEMPOTENCY_KEY = /^[\w-]{8,64}$/;
+const TIMEZONE = /^[A-Za-z][\w+-]*(\/[\w+-]+){0,2}$/; // IANA name: Asia/Kolkata, UTC
+
+const id = { type: 'string', required: true, pattern: UUID };
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const days = { type: 'integer', min: 1, max: 90, default: 7 };
+
+const patientContext = {
+  type: 'json',
+  of: 'object',
+  default: {},
+};
+
+// Columns a patient may write about themselves
+const patientFields = {
+  name: text(120),
+  age: text(10),
+  email: text(200),
+  profile_image: text(500),
+  language: text(10),
+  wake_time: text(10),
+  breakfast_time: text(10),
+  lunch_time: text(10),
+  dinner_time: text(10),
+  timezone: text(64, { pattern: TIMEZONE }),
+  morning_routine: text(500),
+  motivation: text(500),
+  height: text(10),
+  weight: text(10),
+  onboarded: { type: 'boolean' },
+  voice_enabled: { type: 'boolean' },
+  scale: text(5),
+};
+
+// Columns a client may set on a new medication (counters and flags are server-owned)
+const medicationFields = {
+  patient_id: id,
+  name: text(200, { required: true }),
+  dosage: text(100),
+  frequency: text(100),
+  dose_timing: text(20, { pattern: DOSE_TIMING }),
+  dosing_source: text(30),
+  time_of_day: text(20),
+  route: text(50),
+  duration: text(100),
+  safety_flag: { type: 'string', enum: ['GREEN', 'YELLOW', 'RED'] },
+  nudge_headline: text(300),
+  nudge_plain_instruction: text(1000),
+  nudge_the_why: text(1000),
+  nudge_habit_hook: text(1000),
+  nudge_warning: text(2000),
+  total_doses: { type: 'integer', min: 0, max: 10000 },
+};
+
+// Columns a patient may change on an existing medication (the patient it belongs to is fixed)
+const medicationEditFields = {
+  ...medicationFields,
+  refill_date: text(30),
+  // Why the dose changed, kept with the new version ("Doctor increased the dose")
+  reason: text(500),
+};
+delete medicationEditFields.patient_id;
+
+// Free-text fields that may be sent as '' to clear them
+const clearable = (fields) => Object.fromEntries(Object.entries(fields).map(([name, spec]) => [
+  name,
+  spec.type === 'string' && !spec.enum && !spec.pattern ? { ...spec, allowEmpty: true } : spec,
+]));
+
+const DISCONTINUE_REASONS = ['course_completed', 'doctor_stopped', 'side_effects', 'replaced', 'other'];
+
+const schemas = {
+  prescriptionUpload: {
+    body: { patientContext },
+  },
+
+  prescriptionProcess: {
+    query: { async: { type: 'boolean', default: false } },
+    body: {
+      patientContext,
+      currentMeds: { type: 'json', of: 'array', items: text(200), default: [] },
+      forceRefresh: { type: 'boolean', default: false },
+      async: { type: 'boolean', default: false },
+    },
+  },
+
+  job: {
+    params: { id },
+    query: { access_token: text(4000) },
+  },
+
+  nudgeBatch: {
+    body: {
+      medications: { type: 'array', required: true, maxItems: 30, items: { type: 'object', required: true } },
+      patientContext: { type: 'object', default: {} },
+    },
+  },
+
+  interactionCheck: {
+    body: {
+      drugName: text(200, { required: true }),
+      currentMeds: { type: 'array', items: text(200), maxItems: 100, default: [] },
+    },
+  },
+
+  nudgeGenerate: {
+    body: {
+      extractedData: { type: 'object', required: true },
+      patientContext: { type: 'object', default: {} },
+    },
+  },
+
+  voiceQuery: {
+    body: { text: text(1000, { required: true }) },
+  },
+
+  translate: {
+    body: {
+      text: text(4000, { required: true }),
+      targetLanguage: text(40, { required: true }),
+    },
+  },
+
+  drugLookup: {
+    params: { name: text(200, { required: true }) },
+  },
+
+  patientCreate: {
+    body: { ...patientFields, name: text(120, { required: true }), user_id: text(100) },
+  },
+
+  patientGet: {
+    params: { id },
+  },
+
+  patientUpdate: {
+    params: { id },
+    body: patientFields,
+  },
+
+  medicationCreate: {
+    body: medicationFields,
+  },
+
+  medicationGet: {
+    params: { id },
+  },
+
+  // PUT replaces every editable column (unsent ones get their defaults)
+  medicationReplace: {
+    params: { id },
+    body: medicationEditFields,
+  },
+
+  // PATCH changes only the columns sent (text columns can be cleared with '')
+  medicationUpdate: {
+    params: { id },
+    body: { ...clearable(medicationEditFields), name: text(200) },
+  },
+
+  medicationDiscontinue: {
+    params: { id },
+    body: {
+      reason: { type: 'string', enum: DISCONTINUE_REASONS, default: 'other' },
+      note: text(500),
+    },
+  },
+
+  medicationRestore: {
+    params: { id, version: { type: 'integer', required: true, min: 1 } },
+  },
+
+  interactionCreate: {
+    body: {
+      patient_id: id,
+      drug1: text(200, { required: true }),
+      rxcui1: text(20),
+      product1: text(200),
+      drug2: text(200, { required: true }),
+      rxcui2: text(20),
+      product2: text(200),
+      severity: { type: 'string', enum: SEVERITIES, default: 'moderate' },
+      source: { type: 'string', enum: SOURCES, default: 'rxnorm' },
+      description: text(2000),
+      recommendation: text(2000),
+      plain_explanation: text(2000),
+    },
+  },
+
+  medicationTake: {
+    params: { id },
+    body: {
+      slot: { type: 'string', required: true, enum: ['morning', 'noon', 'evening'] },
+      takenAt: { type: 'string', pattern: ISO_DATETIME },
+      // Retrying with the same key returns the first result instead of logging twice
+      idempotencyKey: { type: 'string', pattern: IDEMPOTENCY_KEY },
+    },
+  },
+
+  medicationUndo: {
+    params: { id },
+    body: {
+      // Omitted: undo every slot taken today
+      slot: { type: 'string', enum: ['morning', 'noon', 'evening'] },
+    },
+  },
+
+  patientUsage: {
+    params: { id },
+    query: { days },
+  },
+
+  usage: {
+    query: { days },
+  },
+
+  cacheClear: {
+    params: { imageHash: text(64, { required: true, pattern: SHA256 }) },
+  },
+
+  cacheEntries: {
+    query: {
+      source: { type: 'string', enum: ['all', 'memory', 'database'], default: 'all' },
+      limit: { type: 'integer', min: 1, max: 500, default: 50 },
+    },
+  },
+};
+
+module.exports = schemas;
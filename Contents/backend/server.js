@@ -5,16 +5,44 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
-const { createClient } = require('@supabase/supabase-js');
 
 const ocrService = require('./services/ocrService');
 const drugService = require('./services/drugService');
 const nudgeService = require('./services/nudgeService');
 const llmService = require('./services/llmService');
-
-// ── In-memory cache for Vision API results (30 min TTL) ──
-const visionCache = new Map();
-const CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+const pdfService = require('./services/pdfService');
+const { mergePageMedications } = require('./utils/prescriptionMerger');
+const cacheService = require('./services/cacheService');
+const jobService = require('./services/jobService');
+const aiService = require('./services/aiService');
+const { createAuth } = require('./middleware/auth');
+const usage = require('./middleware/usage');
+const usageService = require('./services/usageService');
+const doseService = require('./services/doseService');
+const streakService = require('./services/streakService');
+const missedDoseService = require('./services/missedDoseService');
+const dailyResetService = require('./services/dailyResetService');
+const medicationService = require('./services/medicationService');
+const interactionService = require('./services/interactionService');
+const rxnormCacheService = require('./services/rxnormCacheService');
+const drugDictionaryService = require('./services/drugDictionaryService');
+const { validate } = require('./middleware/validate');
+const schemas = require('./schemas');
+const { ErrorCodes } = require('./utils/errorCodes');
+const { computeAdherence, WINDOWS: ADHERENCE_WINDOWS } = require('./utils/adherence');
+const { shiftDay } = require('./utils/streaks');
+const { isValidTimezone, localDate, patientTimezone } = require('./utils/timezone');
+const db = require('./repositories');
+const logger = require('./utils/logger');
+const { requestId } = require('./middleware/requestId');
+const openapi = require('./openapi');
+
+const log = logger.child('Pipeline');
+const apiLog = logger.child('API');
+const nudgeLog = logger.child('Nudge Batch');
+const cacheLog = logger.child('Cache');
+
+const CACHE_TTL = cacheService.CACHE_TTL;
 
 // Helper: Hash file content
 function hashFile(filePath) {
@@ -22,28 +50,15 @@ function hashFile(filePath) {
   return crypto.createHash('sha256').update(fileBuffer).digest('hex');
 }
 
-// Helper: Clean expired cache entries
-function cleanExpiredCache() {
-  const now = Date.now();
-  for (const [key, value] of visionCache.entries()) {
-    if (value.expiresAt < now) {
-      visionCache.delete(key);
-    }
-  }
-}
-setInterval(cleanExpiredCache, 5 * 60 * 1000); // Clean every 5 minutes
-
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// ── Supabase client (service role for backend) ──
-const supabase = createClient(
-  process.env.SUPABASE_URL || 'https://placeholder.supabase.co',
-  process.env.SUPABASE_SERVICE_KEY || 'placeholder-key'
-);
+// ── Storage (Supabase, or the local store when STORAGE_DRIVER=memory) ──
+const auth = createAuth(db);
 
 // Middleware
-app.use(cors());
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -57,7 +72,8 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
     const allowed = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'application/pdf'];
-    cb(null, allowed.includes(file.mimetype));
+    // Some browsers/phones send PDFs as application/octet-stream
+    cb(null, allowed.includes(file.mimetype) || /\.pdf$/i.test(file.originalname));
   },
 });
 
@@ -65,6 +81,93 @@ const upload = multer({
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
 
+// Multi-page uploads: a single `image` field or up to MAX_PAGES `images`
+const MAX_PAGES = 10;
+const pageUploads = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_PAGES },
+]);
+
+// Helper: Uploaded pages in order
+function getUploadedPages(req) {
+  const files = req.files || {};
+  return [...(files.image || []), ...(files.images || [])];
+}
+
+// Helper: Remove uploaded files
+function cleanupFiles(files) {
+  for (const file of files) fs.unlink(file.path, () => {});
+}
+
+// Helper: Cache key for a set of pages (a single page keeps its plain file hash)
+function hashPages(files) {
+  const hashes = files.map(f => hashFile(f.path));
+  if (hashes.length === 1) return hashes[0];
+  return crypto.createHash('sha256').update(hashes.join(':')).digest('hex');
+}
+
+// Helper: Extract medications from one page — GPT-4 Vision first, OCR + LLM fallback
+async function extractPage(filePath, pageNumber, onStage = () => {}) {
+  try {
+    onStage('vision');
+    log.info(`🔥 Page ${pageNumber}: calling Vision API...`);
+    const visionResult = await llmService.extractFromImage(filePath);
+    log.info(`✅ Page ${pageNumber} read by Vision API`, { medications: visionResult.medications });
+    return visionResult;
+  } catch (visionErr) {
+    // Fallback to OCR + LLM if Vision fails
+    log.warn(`Page ${pageNumber}: Vision API failed, falling back to OCR pipeline...`, { error: visionErr.message });
+    onStage('ocr_fallback');
+
+    const ocrText = await ocrService.extractText(filePath);
+    log.debug('OCR result', { ocrText });
+
+    const textResult = await llmService.extractDrugData(ocrText);
+    log.info('Extracted from OCR text', { medications: textResult.medications });
+    return textResult;
+  }
+}
+
+// Helper: Expand uploads into pipeline pages — images as-is, PDFs split per page
+// Returns { pages: [{ kind: 'image', path } | { kind: 'text', text }, ...], truncated: [{ pagesRead, totalPages }] }
+// (truncated lists the PDFs longer than pdfService reads)
+async function expandUploadedPages(files) {
+  const pages = [];
+  const truncated = [];
+  for (const file of files) {
+    if (pdfService.isPdf(file)) {
+      const pdf = await pdfService.toPages(file.path);
+      pages.push(...pdf.pages);
+      if (pdf.skippedPages > 0) truncated.push({ pagesRead: pdf.totalPages - pdf.skippedPages, totalPages: pdf.totalPages });
+    } else {
+      pages.push({ kind: 'image', path: file.path });
+    }
+  }
+  return { pages, truncated };
+}
+
+// Helper: What to tell the user about a PDF that wasn't read to the end
+function truncationMessage({ pagesRead, totalPages }) {
+  return `Only the first ${pagesRead} of ${totalPages} PDF pages were read`;
+}
+
+// Helper: The result's warnings — medications that couldn't be processed, PDF pages that weren't read
+function warningsFor(failedExtractions, truncated) {
+  const failed = failedExtractions.filter(f => f.reason !== 'pages_skipped').length;
+  const warnings = [
+    ...(failed > 0 ? [`${failed} medication(s) could not be processed. Please verify the extracted information.`] : []),
+    ...truncated.map(pdf => `${truncationMessage(pdf)}.`),
+  ];
+  return warnings.length > 0 ? warnings.join(' ') : undefined;
+}
+
+// Helper: Remove images rendered from PDFs
+function cleanupRenderedPages(pages) {
+  for (const page of pages) {
+    if (page.temporary && page.path) fs.unlink(page.path, () => {});
+  }
+}
+
 // ============================================================
 // ROUTES
 // ============================================================
@@ -81,12 +184,12 @@ app.get('/', (req, res) => {
           code { background: #f4f4f4; padding: 2px 6px; border-radius: 3px; }
           .endpoint { background: #f9f9f9; padding: 10px; margin: 10px 0; border-left: 3px solid #1a1a1a; }
           .method { display: inline-block; width: 70px; font-weight: bold; }
-          .status { color: ${process.env.SUPABASE_URL && process.env.SUPABASE_URL !== 'https://YOUR_PROJECT_ID.supabase.co' ? 'green' : 'orange'}; }
+          .status { color: ${db.driver === 'supabase' && process.env.SUPABASE_URL !== 'https://YOUR_PROJECT_ID.supabase.co' ? 'green' : 'orange'}; }
         </style>
       </head>
       <body>
         <h1>🩺 Dr. Nudge API v2.0</h1>
-        <p>Status: <span class="status">● ${process.env.SUPABASE_URL && process.env.SUPABASE_URL !== 'https://YOUR_PROJECT_ID.supabase.co' ? 'Running with Supabase' : 'Running (Supabase not configured)'}</span></p>
+        <p>Status: <span class="status">● ${db.driver === 'supabase' && process.env.SUPABASE_URL !== 'https://YOUR_PROJECT_ID.supabase.co' ? 'Running with Supabase' : 'Running with the local demo store'}</span></p>
         
         <h2>Available Endpoints</h2>
         
@@ -95,11 +198,23 @@ app.get('/', (req, res) => {
         </div>
         
         <div class="endpoint">
-          <span class="method">POST</span> <code>/api/prescription/upload</code> - OCR only
+          <span class="method">GET</span> <code>/api/openapi.json</code> - OpenAPI description of every endpoint
+        </div>
+        
+        <div class="endpoint">
+          <span class="method">POST</span> <code>/api/prescription/upload</code> - OCR only (images or PDF)
         </div>
         
         <div class="endpoint">
-          <span class="method">POST</span> <code>/api/prescription/process</code> - Full pipeline (OCR → Extract → Interactions → Nudge)
+          <span class="method">POST</span> <code>/api/prescription/process</code> - Full pipeline (OCR → Extract → Interactions → Nudge), one or more pages
+        </div>
+        
+        <div class="endpoint">
+          <span class="method">GET</span> <code>/api/jobs/:id</code> - Processing job status (use <code>async=true</code> on the pipeline)
+        </div>
+        
+        <div class="endpoint">
+          <span class="method">GET</span> <code>/api/jobs/:id/events</code> - Processing job progress stream (SSE)
         </div>
         
         <div class="endpoint">
@@ -138,6 +253,30 @@ app.get('/', (req, res) => {
           <span class="method">GET</span> <code>/api/patient/:id/stats</code> - Get adherence stats
         </div>
         
+        <div class="endpoint">
+          <span class="method">GET</span> <code>/api/patient/:id/usage</code> - AI token usage and quota
+        </div>
+        
+        <div class="endpoint">
+          <span class="method">GET</span> <code>/api/usage</code> - AI token usage, all patients (admin)
+        </div>
+        
+        <div class="endpoint">
+          <span class="method">POST</span> <code>/api/cache/clear/:imageHash</code> - Clear cached scan result (admin)
+        </div>
+        
+        <div class="endpoint">
+          <span class="method">GET</span> <code>/api/cache/entries</code> - List cache entries
+        </div>
+        
+        <div class="endpoint">
+          <span class="method">GET</span> <code>/api/cache/stats</code> - Cache hit/miss statistics
+        </div>
+        
+        <div class="endpoint">
+          <span class="method">POST</span> <code>/api/cache/purge-expired</code> - Purge expired cache entries
+        </div>
+        
         <p><strong>Frontend:</strong> <a href="http://localhost:3000">http://localhost:3000</a></p>
         <p><strong>Setup Guide:</strong> See SETUP-GUIDE.md in project root</p>
       </body>
@@ -147,146 +286,197 @@ app.get('/', (req, res) => {
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', service: 'Dr. Nudge API', version: '2.0.0', database: 'supabase' });
+  res.json({ status: 'ok', service: 'Dr. Nudge API', version: '2.0.0', database: db.driver });
 });
 
+// Machine-readable API description (kept in sync by test-contract.js)
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapi.getDocument());
+});
+
+// Every /api route below needs a signed-in user (Supabase session JWT)
+app.use('/api', auth.requireAuth);
+
 // -----------------------------------------------------------
 // 1. Upload & OCR prescription image (OCR only)
 // -----------------------------------------------------------
-app.post('/api/prescription/upload', upload.single('image'), async (req, res) => {
+app.post('/api/prescription/upload', upload.single('image'), validate(schemas.prescriptionUpload), async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ error: 'No image file provided' });
+    if (!req.file) return res.status(400).json({ error: 'No image file provided', code: ErrorCodes.NO_FILE });
 
-    const ocrText = await ocrService.extractText(req.file.path);
-    const patientContext = req.body.patientContext ? JSON.parse(req.body.patientContext) : {};
+    // PDFs: embedded text as-is, scanned pages through OCR
+    const { pages, truncated } = await expandUploadedPages([req.file]);
+    const pageTexts = [];
+    for (const page of pages) {
+      pageTexts.push(page.kind === 'text' ? page.text : await ocrService.extractText(page.path));
+    }
+    const ocrText = pageTexts.join('\n\n');
+    const { patientContext } = req.body;
 
     // Clean up file
     fs.unlink(req.file.path, () => {});
+    cleanupRenderedPages(pages);
 
     res.json({
       success: true,
       ocrText,
       patientContext,
+      warnings: warningsFor([], truncated),
     });
   } catch (err) {
-    console.error('OCR Error:', err);
-    res.status(500).json({ error: 'OCR processing failed', detail: err.message });
+    apiLog.error('OCR failed', { error: err.message });
+    res.status(500).json({ error: 'OCR processing failed', code: ErrorCodes.PROCESSING_FAILED, detail: err.message });
   }
 });
 
 // -----------------------------------------------------------
 // 2. Full pipeline: Image → OCR → Extract → Interactions → Nudge
-//    Optionally saves to Supabase if patientId is provided
+//    Runs synchronously, or as a background job when `async=true`
+//    (poll /api/jobs/:id or stream /api/jobs/:id/events)
 // -----------------------------------------------------------
-app.post('/api/prescription/process', upload.single('image'), async (req, res) => {
-  try {
-    console.log('\n========================================');
-    console.log('[Pipeline] New prescription processing request');
-    console.log('[Pipeline] File:', req.file ? req.file.filename : 'NO FILE');
-    console.log('[Pipeline] Body:', Object.keys(req.body));
-    console.log('========================================\n');
-    
-    if (!req.file) {
-      console.error('[Pipeline] ❌ No image file provided');
-      return res.status(400).json({ error: 'No image file provided' });
-    }
 
-    const patientContext = req.body.patientContext ? JSON.parse(req.body.patientContext) : {};
-    const currentMeds = req.body.currentMeds ? JSON.parse(req.body.currentMeds) : [];
-    const patientId = req.body.patientId || null;
-    const forceRefresh = req.body.forceRefresh === 'true';
-    
-    console.log('[Pipeline] Patient context:', patientContext);
-    console.log('[Pipeline] Current meds:', currentMeds);
-    console.log('[Pipeline] Force refresh:', forceRefresh);
+/**
+ * Run the prescription pipeline on uploaded pages.
+ * @param {Object} input - { pageFiles, patientContext, currentMeds, forceRefresh }
+ * @param {Function} onProgress - (stage, info) called as each real stage starts; see jobService.STAGES
+ * @returns {Promise<{ status: number, body: Object }>} - HTTP status and JSON body for the client
+ */
+async function runPrescriptionPipeline({ pageFiles, patientContext, currentMeds, forceRefresh }, onProgress = () => {}) {
+  let pipelinePages = [];
+  let currentStage = 'hashing';
+  const report = (stage, info) => {
+    currentStage = stage;
+    onProgress(stage, info);
+  };
 
-    // ── STEP 1: Hash the image ──
-    const imageHash = hashFile(req.file.path);
-    console.log('[Pipeline] Image hash:', imageHash);
+  try {
+    // ── STEP 1: Hash the image(s) ──
+    report('hashing');
+    const imageHash = hashPages(pageFiles);
+    log.info('Image hash', { imageHash });
 
     // ── STEP 2: Check cache (unless force refresh) ──
     if (!forceRefresh) {
+      report('cache_lookup');
+
       // Check memory cache
-      const cachedResult = visionCache.get(imageHash);
-      if (cachedResult && cachedResult.expiresAt > Date.now()) {
-        console.log('[Pipeline] ✅ Using cached result (in-memory)');
-        fs.unlink(req.file.path, () => {});
-        return res.json(cachedResult.data);
+      const cachedResult = cacheService.get(imageHash);
+      if (cachedResult) {
+        log.info('✅ Using cached result (in-memory)');
+        cacheService.recordLookup('memory');
+        return { status: 200, body: cachedResult };
       }
 
-      // Check database cache
-      const { data: dbCache } = await supabase
-        .from('scan_sessions')
-        .select('*')
-        .eq('image_hash', imageHash)
-        .gt('expires_at', new Date().toISOString())
-        .single();
+      // Check database cache (a storage outage shouldn't stop the scan)
+      const dbCache = await db.scanSessions.findValid(imageHash).catch((err) => {
+        log.warn('⚠️ Database cache lookup failed', { error: err.message });
+        return null;
+      });
 
       if (dbCache) {
-        console.log('[Pipeline] ✅ Using cached result (database)');
+        log.info('✅ Using cached result (database)');
         const result = dbCache.normalized_result;
+        cacheService.recordLookup('database');
         
         // Store in memory cache
-        visionCache.set(imageHash, {
-          data: result,
-          expiresAt: Date.now() + CACHE_TTL
-        });
-        
-        fs.unlink(req.file.path, () => {});
-        return res.json(result);
+        cacheService.set(imageHash, result);
+        return { status: 200, body: result };
       }
+
+      cacheService.recordLookup('miss');
     } else {
-      console.log('[Pipeline] 🔄 Force refresh - skipping cache lookup');
+      log.info('🔄 Force refresh - skipping cache lookup');
+      cacheService.recordLookup('forced');
     }
 
-    // ── STEP 4: Call Vision API (cache miss or forced) ──
-    let visionResult;
-
-    // 🔥 NEW APPROACH: Try GPT-4 Vision first (more accurate)
-    try {
-      const apiCallReason = forceRefresh ? 'forced refresh' : 'not cached';
-      console.log(`[Pipeline] 🔥 Calling Vision API (${apiCallReason})...`);
-      visionResult = await llmService.extractFromImage(req.file.path);
-      console.log('[Pipeline] ✅ Vision API result:', visionResult);
-    } catch (visionErr) {
-      // Fallback to OCR + LLM if Vision fails
-      console.log('[Pipeline] Vision API failed, falling back to OCR pipeline...');
-      console.log('[Pipeline] Error:', visionErr.message);
-      
-      console.log('[Pipeline] Step 1 (Fallback): OCR...');
-      const ocrText = await ocrService.extractText(req.file.path);
-      console.log('[Pipeline] OCR result:', ocrText.substring(0, 100));
-
-      console.log('[Pipeline] Step 2 (Fallback): Extracting drug data from text...');
-      const singleDrug = await llmService.extractDrugData(ocrText);
-      visionResult = { medications: [singleDrug] };
-      console.log('[Pipeline] Extracted:', visionResult);
+    // ── STEP 3: Split PDFs into pages (text pages skip Vision/OCR) ──
+    const expanded = await expandUploadedPages(pageFiles);
+    pipelinePages = expanded.pages;
+
+    // ── STEP 4: Extract each page (Vision API, OCR fallback) ──
+    const apiCallReason = forceRefresh ? 'forced refresh' : 'not cached';
+    log.info(`🔥 Extracting ${pipelinePages.length} page(s) (${apiCallReason})...`);
+
+    const pageResults = [];
+    const failedExtractions = []; // Track failed medications and unreadable pages
+
+    // Pages past the PDF page limit are never read: say so rather than drop them silently
+    for (const pdf of expanded.truncated) {
+      failedExtractions.push({
+        reason: 'pages_skipped',
+        code: ErrorCodes.TOO_MANY_PAGES,
+        pagesRead: pdf.pagesRead,
+        totalPages: pdf.totalPages,
+        message: truncationMessage(pdf),
+      });
     }
 
-    // CRITICAL: Stop if extraction failed
-    if (visionResult.error || !visionResult.medications || visionResult.medications.length === 0) {
-      fs.unlink(req.file.path, () => {});
-      return res.status(400).json({
-        error: 'Unable to read prescription',
-        detail: visionResult.note || 'The prescription image is not clear enough. Please take a clearer photo.',
-      });
+    for (let i = 0; i < pipelinePages.length; i++) {
+      const pageNumber = i + 1;
+      const page = pipelinePages[i];
+      const pageInfo = { detail: `Page ${pageNumber}`, current: pageNumber, total: pipelinePages.length };
+      try {
+        let pageResult;
+        if (page.kind === 'text') {
+          report('vision', pageInfo);
+          pageResult = await llmService.extractDrugData(page.text);
+        } else {
+          pageResult = await extractPage(page.path, pageNumber, (stage) => report(stage, pageInfo));
+        }
+        pageResults.push({ page: pageNumber, ...pageResult });
+      } catch (pageErr) {
+        log.error(`❌ Page ${pageNumber} could not be read`, { error: pageErr.message });
+        failedExtractions.push({
+          reason: 'unreadable_page',
+          code: ErrorCodes.IMAGE_UNREADABLE,
+          page: pageNumber,
+          message: `Page ${pageNumber} could not be read`,
+        });
+      }
     }
 
-    console.log(`[Pipeline] Found ${visionResult.medications.length} medication(s)`);
+    const visionResult = {
+      pages: pageResults,
+      medications: mergePageMedications(pageResults),
+    };
 
-    // Process each medication
-    const processedMedications = [];
-    const allInteractions = [];
-    const failedExtractions = []; // Track failed medications
+    // CRITICAL: Stop if extraction failed on every page
+    if (visionResult.medications.length === 0) {
+      const note = pageResults.map(r => r.note).find(Boolean);
+      return {
+        status: 400,
+        body: {
+          error: 'Unable to read prescription',
+          code: ErrorCodes.IMAGE_UNREADABLE,
+          detail: note || 'The prescription image is not clear enough. Please take a clearer photo.',
+        },
+      };
+    }
 
-    for (const extractedData of visionResult.medications) {
-      console.log(`[Pipeline] Processing: ${extractedData.drug_name}`);
+    log.info(`Found ${visionResult.medications.length} medication(s) across ${pipelinePages.length} page(s)`);
+
+    // ── STEP 5: Validate and normalize each drug name against RxNorm ──
+    const validMedications = [];
+    const totalMeds = visionResult.medications.length;
+
+    // Every name is looked up at once (drugService caches and paces RxNorm calls); results are used in order.
+    // All are awaited together, so one failing can't go unhandled while an earlier one is awaited.
+    const isLegible = (name) => name && name !== 'CLARIFICATION_NEEDED';
+    report('validation', { current: 0, total: totalMeds });
+    const validations = await Promise.all(visionResult.medications.map(m =>
+      isLegible(m.drug_name) ? drugService.validateAndNormalizeDrugName(m.drug_name) : null));
+
+    for (let i = 0; i < totalMeds; i++) {
+      const extractedData = visionResult.medications[i];
+      log.info(`Processing medication ${i + 1} of ${totalMeds}`, { drug: extractedData.drug_name });
+      report('validation', { detail: extractedData.drug_name, current: i + 1, total: totalMeds });
 
       // Skip if drug name is missing
-      if (!extractedData.drug_name || extractedData.drug_name === 'CLARIFICATION_NEEDED') {
-        console.log('[Pipeline] Skipping medication with unclear name');
+      if (!isLegible(extractedData.drug_name)) {
+        log.info('Skipping medication with unclear name');
         failedExtractions.push({
           reason: 'unclear_name',
+          code: ErrorCodes.IMAGE_UNREADABLE,
           extractedData,
           message: 'Could not read medication name clearly',
         });
@@ -294,28 +484,29 @@ app.post('/api/prescription/process', upload.single('image'), async (req, res) =
       }
 
       // 🔥 NEW: Validate and normalize drug name
-      console.log('[Pipeline] Validating drug name...');
-      const validation = await drugService.validateAndNormalizeDrugName(extractedData.drug_name);
+      const validation = validations[i];
       
       if (!validation.valid) {
-        console.log(`[Pipeline] ⚠️ Invalid drug name: "${extractedData.drug_name}"`);
+        log.warn('⚠️ Invalid drug name', { drug: extractedData.drug_name, suggestions: validation.suggestions });
         failedExtractions.push({
           reason: 'invalid_drug',
+          code: ErrorCodes.DRUG_NOT_RECOGNIZED,
           originalName: extractedData.drug_name,
           suggestions: validation.suggestions || [],
           message: `"${extractedData.drug_name}" is not a recognized medication`,
           extractedData: extractedData, // Include the original extracted data for reuse
         });
-        if (validation.suggestions && validation.suggestions.length > 0) {
-          console.log(`[Pipeline] Suggestions: ${validation.suggestions.join(', ')}`);
-        }
         // Skip invalid drugs
         continue;
       }
 
       // Keep the original extracted name - validation only confirms it's real
       if (validation.wasCorrected) {
-        console.log(`[Pipeline] ✅ Validated & corrected: "${validation.originalName}" → "${validation.correctedName}"`);
+        log.info('✅ Validated & corrected drug name', {
+          originalName: validation.originalName,
+          correctedName: validation.correctedName,
+          confidence: validation.confidence,
+        });
         // For minor corrections (>85% match), keep original name
         if (validation.confidence > 0.85) {
           extractedData.drug_name = validation.originalName;
@@ -324,33 +515,83 @@ app.post('/api/prescription/process', upload.single('image'), async (req, res) =
         }
         extractedData.name_confidence = validation.confidence;
       } else {
-        console.log(`[Pipeline] ✅ Drug name validated: "${validation.originalName}"`);
+        log.info('✅ Drug name validated', { originalName: validation.originalName });
         extractedData.drug_name = validation.originalName;
         extractedData.name_confidence = validation.confidence;
       }
 
-      // Check interactions for this drug
-      console.log('[Pipeline] Checking interactions...');
-      const interactions = await drugService.checkInteractions(
-        extractedData.drug_name,
-        currentMeds
-      );
-      console.log('[Pipeline] Interactions:', interactions.length, 'found');
-      allInteractions.push(...interactions);
+      // Brands ("Dolo 650") and combinations ("Telma-AM") stay as written for the patient; drugService checks their ingredients
+      if (validation.ingredients) {
+        const { ingredients } = validation;
+        extractedData.generic_name = ingredients.map(ingredient => ingredient.name).join(' + ');
+        extractedData.ingredients = ingredients;
+        const strengths = ingredients.map(ingredient => ingredient.strength).filter(Boolean);
+        if ((!extractedData.dosage || extractedData.dosage === 'Unknown') && strengths.length === ingredients.length) {
+          extractedData.dosage = strengths.join(' + ');
+        }
+      }
+
+      validMedications.push(extractedData);
+    }
+
+    // If no medications were successfully processed
+    if (validMedications.length === 0) {
+      return {
+        status: 400,
+        body: {
+          error: 'Unable to extract medication information',
+          // Names were read but none is a known drug, vs. nothing legible at all
+          code: failedExtractions.some(f => f.reason === 'invalid_drug')
+            ? ErrorCodes.DRUG_NOT_RECOGNIZED
+            : ErrorCodes.IMAGE_UNREADABLE,
+          detail: 'Could not read any medication names from the prescription.',
+          failedExtractions: failedExtractions.length > 0 ? failedExtractions : undefined,
+          suggestions: failedExtractions.length > 0 
+            ? 'The prescription image may be unclear. Please try taking a clearer photo with good lighting.'
+            : undefined,
+        },
+      };
+    }
+
+    // ── STEP 6: Check interactions and drug classes for each drug (all started at once, like step 5) ──
+    const interactionsByMed = [];
+    const drugNames = validMedications.map(m => m.drug_name);
+    report('interactions', { current: 0, total: validMedications.length });
+    const [interactionChecks, classChecks] = await Promise.all([
+      // The scanned and current medicines are checked against each other once (interactions
+      // and duplicates), then each scanned one on its own
+      drugService.checkMedicationList([...drugNames, ...currentMeds])
+        .then(listed => Promise.all(drugNames.map(name => drugService.checkInteractions(name, currentMeds, listed)))),
+      Promise.all(drugNames.map(name => drugService.getDrugClasses(name))),
+    ]);
+    for (let i = 0; i < validMedications.length; i++) {
+      const extractedData = validMedications[i];
+      report('interactions', { detail: extractedData.drug_name, current: i + 1, total: validMedications.length });
+
+      extractedData.drug_classes = classChecks[i];
+      const interactions = interactionChecks[i];
+      log.info(`Interactions: ${interactions.length} found`);
+      interactionsByMed.push(interactions);
+    }
+
+    // ── STEP 7: Safety flags and enhanced safety (food, age, dosage) ──
+    const processedMedications = [];
+    for (let i = 0; i < validMedications.length; i++) {
+      const extractedData = validMedications[i];
+      const interactions = interactionsByMed[i];
+      report('safety', { detail: extractedData.drug_name, current: i + 1, total: validMedications.length });
 
       // Determine safety flag
       const safetyFlag = drugService.determineSafetyFlag(interactions);
-      console.log('[Pipeline] Safety:', safetyFlag.flag);
 
       // 🔥 NEW: Enhanced safety check (food, age, dosage)
-      console.log('[Pipeline] Running enhanced safety checks...');
       const enhancedSafety = drugService.getEnhancedSafetyInfo(
         extractedData.drug_name,
         extractedData.dosage,
         patientContext.age,
         currentMeds
       );
-      console.log('[Pipeline] Enhanced safety:', enhancedSafety.overallSeverity);
+      log.info('Safety checked', { flag: safetyFlag.flag, severity: enhancedSafety.overallSeverity });
 
       // ⚡ NUDGE GENERATION MOVED TO SEPARATE ENDPOINT (after user confirms)
       // This saves OpenAI tokens when extraction fails or user rejects
@@ -365,111 +606,191 @@ app.post('/api/prescription/process', upload.single('image'), async (req, res) =
       });
     }
 
-    // If no medications were successfully processed
-    if (processedMedications.length === 0) {
-      fs.unlink(req.file.path, () => {});
-      return res.status(400).json({
-        error: 'Unable to extract medication information',
-        detail: 'Could not read any medication names from the prescription.',
-        failedExtractions: failedExtractions.length > 0 ? failedExtractions : undefined,
-        suggestions: failedExtractions.length > 0 
-          ? 'The prescription image may be unclear. Please try taking a clearer photo with good lighting.'
-          : undefined,
-      });
-    }
-
-    // ── STEP 5: Cache the result ──
+    // ── STEP 8: Cache the result ──
     const finalResult = {
+      image_hash: imageHash,
       medications: processedMedications,
       total_medications: processedMedications.length,
+      total_pages: pipelinePages.length,
       failedExtractions: failedExtractions.length > 0 ? failedExtractions : undefined,
-      warnings: failedExtractions.length > 0 
-        ? `${failedExtractions.length} medication(s) could not be processed. Please verify the extracted information.`
-        : undefined,
+      warnings: warningsFor(failedExtractions, expanded.truncated),
     };
 
     // Store in memory cache
-    visionCache.set(imageHash, {
-      data: finalResult,
-      expiresAt: Date.now() + CACHE_TTL
-    });
+    cacheService.set(imageHash, finalResult);
 
     // Store in database cache
-    await supabase.from('scan_sessions').insert({
+    await db.scanSessions.create({
       image_hash: imageHash,
       raw_vision_json: visionResult,
       normalized_result: finalResult,
       expires_at: new Date(Date.now() + CACHE_TTL).toISOString()
+    }).catch((err) => log.warn('⚠️ Database cache write failed', { error: err.message }));
+
+    log.info('✅ SUCCESS - result cached, sending response (no nudges yet)', {
+      medicationCount: processedMedications.length,
+      failedCount: failedExtractions.length,
     });
+    return { status: 200, body: finalResult };
+  } catch (err) {
+    log.error('❌ Pipeline failed', { stage: currentStage, error: err.message, stack: err.stack });
+    
+    return {
+      status: 500,
+      body: {
+        error: 'Processing failed',
+        code: ErrorCodes.PROCESSING_FAILED,
+        detail: err.message,
+        stage: err.stage || currentStage,
+      },
+    };
+  } finally {
+    // Clean up uploaded files and rendered PDF pages
+    cleanupFiles(pageFiles);
+    cleanupRenderedPages(pipelinePages);
+  }
+}
 
-    console.log('[Pipeline] ✅ Result cached');
+app.post('/api/prescription/process', usage.guard('prescription'), pageUploads, validate(schemas.prescriptionProcess), usage.track('prescription'), async (req, res) => {
+  const pageFiles = getUploadedPages(req);
 
-    // Clean up uploaded file
-    fs.unlink(req.file.path, () => {});
+  try {
+    log.info('New prescription processing request', { pages: pageFiles.length });
 
-    console.log('[Pipeline] ✅ SUCCESS - Sending response (NO NUDGES YET)');
-    res.json(finalResult);
-  } catch (err) {
-    console.error('\n========================================');
-    console.error('[Pipeline] ❌ ERROR:');
-    console.error('Error message:', err.message);
-    console.error('Error stack:', err.stack);
-    console.error('========================================\n');
-    
-    // Try to clean up
-    if (req.file?.path) fs.unlink(req.file.path, () => {});
+    if (pageFiles.length === 0) {
+      log.warn('❌ No image file provided');
+      return res.status(400).json({ error: 'No image file provided', code: ErrorCodes.NO_FILE });
+    }
+
+    const input = {
+      pageFiles,
+      patientContext: req.body.patientContext,
+      currentMeds: req.body.currentMeds,
+      forceRefresh: req.body.forceRefresh,
+    };
+    const runAsync = req.body.async || req.query.async;
     
-    res.status(500).json({ 
-      error: 'Processing failed', 
-      detail: err.message,
-      stage: err.stage || 'unknown'
+    log.info('Request input', {
+      patientContext: input.patientContext,
+      currentMeds: input.currentMeds,
+      forceRefresh: input.forceRefresh,
     });
+
+    // Async: answer with a job id right away, report real stages as they happen
+    if (runAsync) {
+      const job = jobService.create('prescription', req.user?.id);
+      log.info('Running as background job', { jobId: job.id });
+
+      runPrescriptionPipeline(input, (stage, info) => jobService.progress(job.id, stage, info))
+        .then(({ status, body }) => jobService.complete(job.id, status, body))
+        .catch((err) => {
+          // Nobody awaits the job: fail it rather than leave it running and the rejection unhandled
+          log.error('❌ Background job failed', { jobId: job.id, error: err.message });
+          jobService.complete(job.id, 500, { error: 'Processing failed', code: ErrorCodes.PROCESSING_FAILED, detail: err.message, stage: 'request' });
+        });
+
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`,
+      });
+    }
+
+    const { status, body } = await runPrescriptionPipeline(input);
+    res.status(status).json(body);
+  } catch (err) {
+    log.error('❌ Request failed', { error: err.message });
+    cleanupFiles(pageFiles);
+    res.status(500).json({ error: 'Processing failed', code: ErrorCodes.PROCESSING_FAILED, detail: err.message, stage: 'request' });
   }
 });
 
+// -----------------------------------------------------------
+// 2a. Processing jobs: status polling and Server-Sent Events
+// -----------------------------------------------------------
+app.get('/api/jobs/:id', validate(schemas.job), (req, res) => {
+  const job = jobService.get(req.params.id, req.user?.id);
+  if (!job) return res.status(404).json({ error: 'Job not found', code: ErrorCodes.NOT_FOUND });
+  res.json(job);
+});
+
+app.get('/api/jobs/:id/events', validate(schemas.job), (req, res) => {
+  const job = jobService.get(req.params.id, req.user?.id);
+  if (!job) return res.status(404).json({ error: 'Job not found', code: ErrorCodes.NOT_FOUND });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Current state first, so late subscribers don't miss anything
+  send(jobService.isFinished(job) ? job.status : 'progress', job);
+  if (jobService.isFinished(job)) return res.end();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = jobService.subscribe(job.id, (event) => {
+    send(event.type, event.job);
+    if (jobService.isFinished(event.job)) {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    }
+  });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // -----------------------------------------------------------
 // 2b. Generate nudges for confirmed medications (AFTER user confirms)
 //     This saves OpenAI tokens by only generating nudges when needed
 // -----------------------------------------------------------
-app.post('/api/nudge/generate-batch', async (req, res) => {
+app.post('/api/nudge/generate-batch', validate(schemas.nudgeBatch), usage.meter('nudge'), async (req, res) => {
   try {
-    console.log('\n========================================');
-    console.log('[Nudge Batch] Generating nudges for confirmed medications');
-    console.log('========================================\n');
-    
     const { medications, patientContext } = req.body;
-    
-    if (!medications || !Array.isArray(medications)) {
-      return res.status(400).json({ error: 'medications array is required' });
-    }
+    nudgeLog.info('Generating nudges for confirmed medications', { count: medications.length });
 
     const medicationsWithNudges = [];
     const allMedicationNames = medications.map(m => m.extracted_data?.drug_name).filter(Boolean);
+
+    // Resolve every RxCUI at once; the checks below then read them from the cache
+    await drugService.resolveRxCUIs(allMedicationNames);
     
     for (const med of medications) {
       const extractedData = med.extracted_data;
       
-      console.log(`[Nudge Batch] Processing: ${extractedData.drug_name}`);
-      console.log(`[Nudge Batch] Dosage: ${extractedData.dosage}, Frequency: ${extractedData.frequency}, Dose Timing: ${extractedData.dose_timing}`);
+      nudgeLog.info('Processing medication', {
+        drug: extractedData.drug_name,
+        dosage: extractedData.dosage,
+        frequency: extractedData.frequency,
+        doseTiming: extractedData.dose_timing,
+      });
       
       // Validate drug name (especially important for medications added from suggestions)
       if (!med.skipValidation) {
         const validation = await drugService.validateAndNormalizeDrugName(extractedData.drug_name);
         if (!validation.valid) {
-          console.log(`[Nudge Batch] ⚠️ Invalid drug name: "${extractedData.drug_name}"`);
+          nudgeLog.warn('⚠️ Invalid drug name, skipping', { drug: extractedData.drug_name });
           // Skip invalid drugs even in batch
           continue;
         }
         
         // Use corrected name if needed
         if (validation.wasCorrected) {
-          console.log(`[Nudge Batch] ✅ Using corrected name: "${validation.correctedName}"`);
+          nudgeLog.info('✅ Using corrected name', { correctedName: validation.correctedName });
           extractedData.drug_name = validation.correctedName;
         }
       }
       
       // Check interactions with other medications in this batch
-      console.log('[Nudge Batch] Checking interactions...');
       const interactions = await drugService.checkInteractions(
         extractedData.drug_name,
         allMedicationNames.filter(name => name !== extractedData.drug_name)
@@ -484,8 +805,6 @@ app.post('/api/nudge/generate-batch', async (req, res) => {
         allMedicationNames.filter(name => name !== extractedData.drug_name)
       );
       
-      console.log(`[Nudge Batch] Generating nudge for: ${extractedData.drug_name}`);
-      
       let nudgeCard;
       try {
         nudgeCard = await nudgeService.generateCard(extractedData, patientContext || {}, interactions);
@@ -500,7 +819,7 @@ app.post('/api/nudge/generate-batch', async (req, res) => {
           }
         }
       } catch (nudgeErr) {
-        console.log('[Nudge Batch] Nudge generation failed:', nudgeErr.message);
+        nudgeLog.warn('Nudge generation failed, using plain card', { error: nudgeErr.message });
         nudgeCard = {
           headline: `Take ${extractedData.drug_name} as prescribed`,
           plain_instruction: '',
@@ -520,144 +839,134 @@ app.post('/api/nudge/generate-batch', async (req, res) => {
       });
     }
     
-    console.log('[Nudge Batch] ✅ Generated', medicationsWithNudges.length, 'nudges');
+    nudgeLog.info(`✅ Generated ${medicationsWithNudges.length} nudges`);
     res.json({ medications: medicationsWithNudges });
   } catch (err) {
-    console.error('[Nudge Batch] ❌ ERROR:', err.message);
-    res.status(500).json({ error: 'Nudge generation failed', detail: err.message });
+    nudgeLog.error('❌ Batch failed', { error: err.message });
+    res.status(500).json({ error: 'Nudge generation failed', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
 // -----------------------------------------------------------
 // 3. Check drug interactions
 // -----------------------------------------------------------
-app.post('/api/interaction/check', async (req, res) => {
+app.post('/api/interaction/check', validate(schemas.interactionCheck), async (req, res) => {
   try {
     const { drugName, currentMeds } = req.body;
-    if (!drugName) return res.status(400).json({ error: 'drugName is required' });
 
-    const interactions = await drugService.checkInteractions(drugName, currentMeds || []);
+    const interactions = await drugService.checkInteractions(drugName, currentMeds);
     const safetyFlag = drugService.determineSafetyFlag(interactions);
 
     res.json({ interactions, safetyFlag });
   } catch (err) {
-    console.error('Interaction Check Error:', err);
-    res.status(500).json({ error: 'Interaction check failed', detail: err.message });
+    apiLog.error('Interaction Check failed', { error: err.message });
+    res.status(500).json({ error: 'Interaction check failed', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
 // -----------------------------------------------------------
 // 4. Generate nudge card
 // -----------------------------------------------------------
-app.post('/api/nudge/generate', async (req, res) => {
+app.post('/api/nudge/generate', validate(schemas.nudgeGenerate), usage.meter('nudge'), async (req, res) => {
   try {
     const { extractedData, patientContext } = req.body;
-    if (!extractedData) return res.status(400).json({ error: 'extractedData is required' });
 
-    const card = await nudgeService.generateCard(extractedData, patientContext || {}, []);
+    const card = await nudgeService.generateCard(extractedData, patientContext, []);
     res.json(card);
   } catch (err) {
-    console.error('Nudge Generation Error:', err);
-    res.status(500).json({ error: 'Nudge generation failed', detail: err.message });
+    apiLog.error('Nudge Generation failed', { error: err.message });
+    res.status(500).json({ error: 'Nudge generation failed', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
 // -----------------------------------------------------------
 // 5. Voice query
 // -----------------------------------------------------------
-app.post('/api/voice/query', async (req, res) => {
+app.post('/api/voice/query', validate(schemas.voiceQuery), usage.meter('voice'), async (req, res) => {
   try {
     const { text } = req.body;
-    if (!text) return res.status(400).json({ error: 'text is required' });
 
     const response = await llmService.answerVoiceQuery(text);
     res.json({ response });
   } catch (err) {
-    console.error('Voice Query Error:', err);
-    res.status(500).json({ error: 'Voice query failed', detail: err.message });
+    apiLog.error('Voice Query failed', { error: err.message });
+    res.status(500).json({ error: 'Voice query failed', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
 // -----------------------------------------------------------
 // 6. Translate text
 // -----------------------------------------------------------
-app.post('/api/translate', async (req, res) => {
+app.post('/api/translate', validate(schemas.translate), usage.meter('translate'), async (req, res) => {
   try {
     const { text, targetLanguage } = req.body;
-    if (!text || !targetLanguage) {
-      return res.status(400).json({ error: 'text and targetLanguage are required' });
-    }
 
     const translated = await llmService.translateMedicalText(text, targetLanguage);
     res.json({ original: text, translated, targetLanguage });
   } catch (err) {
-    console.error('Translation Error:', err);
-    res.status(500).json({ error: 'Translation failed', detail: err.message });
+    apiLog.error('Translation failed', { error: err.message });
+    res.status(500).json({ error: 'Translation failed', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
 // -----------------------------------------------------------
 // 7. RxNorm drug lookup
 // -----------------------------------------------------------
-app.get('/api/drug/lookup/:name', async (req, res) => {
+app.get('/api/drug/lookup/:name', validate(schemas.drugLookup), async (req, res) => {
   try {
     const info = await drugService.lookupDrug(req.params.name);
     res.json(info);
   } catch (err) {
-    console.error('Drug Lookup Error:', err);
-    res.status(500).json({ error: 'Drug lookup failed', detail: err.message });
+    apiLog.error('Drug Lookup failed', { error: err.message });
+    res.status(500).json({ error: 'Drug lookup failed', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
 // -----------------------------------------------------------
 // 8. Patient CRUD (alternative to direct Supabase from frontend)
 // -----------------------------------------------------------
-app.post('/api/patient', async (req, res) => {
+// An IANA name the runtime knows (the schema only checks its shape)
+function rejectUnknownTimezone(req, res) {
+  if (req.body.timezone === undefined || isValidTimezone(req.body.timezone)) return false;
+  res.status(400).json({ error: 'Invalid request', code: ErrorCodes.VALIDATION_FAILED, detail: `Unknown timezone "${req.body.timezone}".` });
+  return true;
+}
+
+app.post('/api/patient', validate(schemas.patientCreate), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('patients')
-      .insert(req.body)
-      .select()
-      .single();
+    if (rejectUnknownTimezone(req, res)) return;
+    // A user can only create a patient profile for themselves
+    const patient = auth.isDisabled() ? req.body : { ...req.body, user_id: req.user.id };
 
-    if (error) throw error;
+    const data = await db.patients.create(patient);
     res.json(data);
   } catch (err) {
-    console.error('Create Patient Error:', err);
-    res.status(500).json({ error: 'Failed to create patient', detail: err.message });
+    apiLog.error('Create Patient failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to create patient', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
-app.get('/api/patient/:id', async (req, res) => {
+app.get('/api/patient/:id', validate(schemas.patientGet), auth.requirePatient(req => req.params.id), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('patients')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
-
-    if (error) throw error;
+    const data = await db.patients.findById(req.params.id);
+    if (!data) return res.status(404).json({ error: 'Patient not found', code: ErrorCodes.NOT_FOUND });
     res.json(data);
   } catch (err) {
-    console.error('Get Patient Error:', err);
-    res.status(500).json({ error: 'Failed to get patient', detail: err.message });
+    apiLog.error('Get Patient failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to get patient', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
-app.put('/api/patient/:id', async (req, res) => {
+app.put('/api/patient/:id', validate(schemas.patientUpdate), auth.requirePatient(req => req.params.id), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('patients')
-      .update({ ...req.body, updated_at: new Date().toISOString() })
-      .eq('id', req.params.id)
-      .select()
-      .single();
-
-    if (error) throw error;
+    if (rejectUnknownTimezone(req, res)) return;
+    // The schema whitelist keeps id/user_id out, so ownership can't change here
+    const data = await db.patients.update(req.params.id, { ...req.body, updated_at: new Date().toISOString() });
+    if (!data) return res.status(404).json({ error: 'Patient not found', code: ErrorCodes.NOT_FOUND });
     res.json(data);
   } catch (err) {
-    console.error('Update Patient Error:', err);
-    res.status(500).json({ error: 'Failed to update patient', detail: err.message });
+    apiLog.error('Update Patient failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to update patient', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
@@ -665,233 +974,517 @@ app.put('/api/patient/:id', async (req, res) => {
 // 9. Medications for a patient
 // -----------------------------------------------------------
 
+// Editable columns, and what a new or replaced medication gets for those not sent
+const MEDICATION_DEFAULTS = {
+  dosage: '',
+  frequency: '',
+  dose_timing: '1-0-0',
+  dosing_source: 'prescription',
+  time_of_day: '08:00 AM',
+  route: 'Oral',
+  duration: '',
+  safety_flag: 'GREEN',
+  nudge_headline: '',
+  nudge_plain_instruction: '',
+  nudge_the_why: '',
+  nudge_habit_hook: '',
+  nudge_warning: '',
+  total_doses: 0,
+};
+
+function medicationColumns(body) {
+  return Object.fromEntries(Object.entries(MEDICATION_DEFAULTS).map(([column, fallback]) => [column, body[column] || fallback]));
+}
+
 /**
- * Create a new medication
+ * The medication in :id, or a 404/403 response (returns null when one was sent).
+ * With { active: true } a discontinued medication is a 409.
  */
-app.post('/api/medications', async (req, res) => {
+async function findOwnedMedication(req, res, { active = false } = {}) {
+  const med = await db.medications.findById(req.params.id);
+  if (!med) {
+    res.status(404).json({ error: 'Medication not found', code: ErrorCodes.NOT_FOUND });
+    return null;
+  }
+  if (!auth.ownsPatient(req, med.patient_id)) {
+    res.status(403).json({ error: 'Not allowed to access this patient', code: ErrorCodes.FORBIDDEN });
+    return null;
+  }
+  if (active && med.active === false) {
+    res.status(409).json({
+      error: 'Medication was discontinued',
+      code: ErrorCodes.MEDICATION_DISCONTINUED,
+      detail: 'Add it again to start taking it.',
+    });
+    return null;
+  }
+  return med;
+}
+
+/**
+ * Create a new medication (stored as version 1)
+ */
+app.post('/api/medications', validate(schemas.medicationCreate), auth.requirePatient(req => req.body.patient_id), async (req, res) => {
   try {
-    const { 
-      patient_id, name, dosage, frequency, dose_timing, dosing_source, time_of_day, route, duration,
-      safety_flag, nudge_headline, nudge_plain_instruction, nudge_the_why,
-      nudge_habit_hook, nudge_warning, total_doses 
-    } = req.body;
+    const { patient_id, name } = req.body;
 
-    if (!patient_id || !name) {
-      return res.status(400).json({ error: 'patient_id and name are required' });
-    }
+    apiLog.info('Creating medication', { name, patientId: patient_id });
 
-    console.log('Creating medication:', name, 'for patient:', patient_id);
-
-    const { data: medication, error } = await supabase
-      .from('medications')
-      .insert({
-        patient_id,
-        name,
-        dosage: dosage || '',
-        frequency: frequency || '',
-        dose_timing: dose_timing || '1-0-0',
-        dosing_source: dosing_source || 'prescription',
-        time_of_day: time_of_day || '08:00 AM',
-        route: route || 'Oral',
-        duration: duration || '',
-        safety_flag: safety_flag || 'GREEN',
-        nudge_headline: nudge_headline || '',
-        nudge_plain_instruction: nudge_plain_instruction || '',
-        nudge_the_why: nudge_the_why || '',
-        nudge_habit_hook: nudge_habit_hook || '',
-        nudge_warning: nudge_warning || '',
-        streak: 0,
-        total_doses: total_doses || 0,
-        taken_doses: 0,
-        active: true
-      })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Supabase error creating medication:', error);
-      throw error;
-    }
+    const medication = await medicationService.create({
+      patient_id,
+      name,
+      ...medicationColumns(req.body),
+      streak: 0,
+      taken_doses: 0,
+      active: true
+    });
 
-    console.log('✅ Medication created:', medication.name);
+    apiLog.info('✅ Medication created', { medicationId: medication.id });
     res.json(medication);
   } catch (err) {
-    console.error('Create Medication Error:', err);
-    res.status(500).json({ error: 'Failed to create medication', detail: err.message });
+    apiLog.error('Create Medication failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to create medication', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
 /**
- * Get all medications for a patient
+ * Replace a medication's editable columns. A change to dosage, frequency or
+ * dose timing is stored as a new version ({ reason } is kept with it).
  */
-app.get('/api/patient/:id/medications', async (req, res) => {
+app.put('/api/medications/:id', validate(schemas.medicationReplace), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('medications')
-      .select('*')
-      .eq('patient_id', req.params.id)
-      .eq('active', true)
-      .order('created_at', { ascending: false });
+    const med = await findOwnedMedication(req, res, { active: true });
+    if (!med) return;
 
-    if (error) throw error;
-    res.json(data || []);
+    const { name, refill_date, reason } = req.body;
+    const { medication } = await medicationService.update(med, { name, ...medicationColumns(req.body), refill_date: refill_date || null }, { reason });
+    res.json(medication);
   } catch (err) {
-    console.error('Get Medications Error:', err);
-    res.status(500).json({ error: 'Failed to get medications', detail: err.message });
+    apiLog.error('Replace Medication failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to update medication', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
 /**
- * Create a new drug interaction record
+ * Change some of a medication's columns (versioned like PUT)
  */
-app.post('/api/interactions', async (req, res) => {
+app.patch('/api/medications/:id', validate(schemas.medicationUpdate), async (req, res) => {
   try {
-    const { 
-      patient_id, drug1, drug2, severity, description, 
-      recommendation, plain_explanation 
-    } = req.body;
+    const med = await findOwnedMedication(req, res, { active: true });
+    if (!med) return;
 
-    if (!patient_id || !drug1 || !drug2) {
-      return res.status(400).json({ error: 'patient_id, drug1, and drug2 are required' });
-    }
+    const { reason, ...fields } = req.body;
+    const changes = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    const { medication } = await medicationService.update(med, changes, { reason: reason || null });
+    res.json(medication);
+  } catch (err) {
+    apiLog.error('Update Medication failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to update medication', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
 
-    console.log('Creating interaction:', drug1, 'with', drug2, 'for patient:', patient_id);
-
-    const { data: interaction, error } = await supabase
-      .from('interactions')
-      .insert({
-        patient_id,
-        drug1,
-        drug2,
-        severity: severity || 'moderate',
-        description: description || '',
-        recommendation: recommendation || '',
-        plain_explanation: plain_explanation || '',
-        resolved: false
-      })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Supabase error creating interaction:', error);
-      throw error;
-    }
+/**
+ * Discontinue a medication: { reason, note? }. It stays (inactive) with its logs and versions.
+ */
+app.delete('/api/medications/:id', validate(schemas.medicationDiscontinue), async (req, res) => {
+  try {
+    const med = await findOwnedMedication(req, res);
+    if (!med) return;
 
-    console.log('✅ Interaction created:', interaction.drug1, 'with', interaction.drug2);
-    res.json(interaction);
+    res.json(await medicationService.discontinue(med, req.body));
   } catch (err) {
-    console.error('Create Interaction Error:', err);
-    res.status(500).json({ error: 'Failed to create interaction', detail: err.message });
+    apiLog.error('Discontinue Medication failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to discontinue medication', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
-app.post('/api/medications/:id/take', async (req, res) => {
+/**
+ * Versions of a medication, newest first, each with what changed
+ */
+app.get('/api/medications/:id/history', validate(schemas.medicationGet), async (req, res) => {
   try {
-    // Get current med
-    const { data: med } = await supabase
-      .from('medications')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
+    const med = await findOwnedMedication(req, res);
+    if (!med) return;
 
-    if (!med) return res.status(404).json({ error: 'Medication not found' });
+    res.json({ medication_id: med.id, versions: await medicationService.history(med) });
+  } catch (err) {
+    apiLog.error('Medication History failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to get medication history', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+/**
+ * Go back to an older version's dosage, frequency and dose timing
+ */
+app.post('/api/medications/:id/versions/:version/restore', validate(schemas.medicationRestore), async (req, res) => {
+  try {
+    const med = await findOwnedMedication(req, res, { active: true });
+    if (!med) return;
+
+    const result = await medicationService.restore(med, req.params.version);
+    if (!result) return res.status(404).json({ error: 'Version not found', code: ErrorCodes.NOT_FOUND });
+    res.json(result.medication);
+  } catch (err) {
+    apiLog.error('Restore Medication failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to restore medication', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+/**
+ * Get all medications for a patient
+ */
+app.get('/api/patient/:id/medications', validate(schemas.patientGet), auth.requirePatient(req => req.params.id), async (req, res) => {
+  try {
+    const data = await db.medications.listActive(req.params.id);
+    res.json(data);
+  } catch (err) {
+    apiLog.error('Get Medications failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to get medications', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
 
-    // Update
-    const { data, error } = await supabase
-      .from('medications')
-      .update({
-        taken_doses: (med.taken_doses || 0) + 1,
-        streak: (med.streak || 0) + 1,
-      })
-      .eq('id', req.params.id)
-      .select()
-      .single();
+/**
+ * Interactions between the patient's active medications, newest first
+ * (kept up to date by the backend whenever the medication list changes)
+ */
+app.get('/api/patient/:id/interactions', validate(schemas.patientGet), auth.requirePatient(req => req.params.id), async (req, res) => {
+  try {
+    res.json(await interactionService.listCurrent(req.params.id));
+  } catch (err) {
+    apiLog.error('Get Interactions failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to get interactions', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
 
-    if (error) throw error;
+/**
+ * Record a drug interaction (the existing one is returned when the pair is already there)
+ */
+app.post('/api/interactions', validate(schemas.interactionCreate), auth.requirePatient(req => req.body.patient_id), async (req, res) => {
+  try {
+    const {
+      patient_id, drug1, rxcui1, product1, drug2, rxcui2, product2, severity, source,
+      description, recommendation, plain_explanation
+    } = req.body;
 
-    // Log the action
-    await supabase.from('medication_logs').insert({
-      medication_id: req.params.id,
-      patient_id: med.patient_id,
-      action: 'taken',
+    apiLog.info('Creating interaction', { drug1, drug2, patientId: patient_id });
+
+    const interaction = await interactionService.record({
+      patient_id,
+      drug1,
+      rxcui1,
+      // An ingredient's interaction applies while its product is taken
+      product1,
+      drug2,
+      rxcui2,
+      product2,
+      severity: severity || 'moderate',
+      // The source is part of the pair key ('duplicate:…'), so it must not be dropped
+      source,
+      description: description || '',
+      recommendation: recommendation || '',
+      plain_explanation: plain_explanation || ''
     });
 
-    res.json(data);
+    apiLog.info('✅ Interaction created', { interactionId: interaction.id });
+    res.json(interaction);
+  } catch (err) {
+    apiLog.error('Create Interaction failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to create interaction', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+/**
+ * Log one dose: { slot, takenAt?, idempotencyKey? }. A retry with the same key
+ * returns the first result; a second dose for the same slot and day is a 409.
+ */
+app.post('/api/medications/:id/take', validate(schemas.medicationTake), async (req, res) => {
+  try {
+    const med = await findOwnedMedication(req, res);
+    if (!med) return;
+
+    const { slot, takenAt, idempotencyKey } = req.body;
+    const result = await doseService.take(med, { slot, takenAt, idempotencyKey });
+
+    switch (result.status) {
+      case 'duplicate':
+        return res.status(409).json({
+          error: 'Dose already logged',
+          code: ErrorCodes.DOSE_ALREADY_LOGGED,
+          detail: `The ${slot} dose was already logged as taken on ${result.doseDate}.`,
+        });
+      case 'unscheduled':
+        return res.status(400).json({
+          error: 'Invalid request',
+          code: ErrorCodes.VALIDATION_FAILED,
+          detail: `No ${slot} dose is scheduled for this medication (${med.dose_timing || '1-0-0'}).`,
+        });
+      case 'future':
+        return res.status(400).json({ error: 'Invalid request', code: ErrorCodes.VALIDATION_FAILED, detail: 'takenAt is in the future.' });
+      case 'keyReused':
+        return res.status(400).json({
+          error: 'Invalid request',
+          code: ErrorCodes.VALIDATION_FAILED,
+          detail: 'idempotencyKey was already used for another medication.',
+        });
+      default:
+        res.json({ medication: result.medication, log: result.log, replayed: result.status === 'replayed', streak: result.streak });
+    }
   } catch (err) {
-    console.error('Take Med Error:', err);
-    res.status(500).json({ error: 'Failed to log medication', detail: err.message });
+    apiLog.error('Take Med failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to log medication', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+/**
+ * Undo today's dose for one slot ({ slot }), or for every slot ({})
+ */
+app.post('/api/medications/:id/undo', validate(schemas.medicationUndo), async (req, res) => {
+  try {
+    const med = await findOwnedMedication(req, res);
+    if (!med) return;
+
+    res.json(await doseService.undo(med, req.body.slot));
+  } catch (err) {
+    apiLog.error('Undo Med failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to undo medication', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
 // -----------------------------------------------------------
 // 10. Adherence stats
 // -----------------------------------------------------------
-app.get('/api/patient/:id/stats', async (req, res) => {
+app.get('/api/patient/:id/stats', validate(schemas.patientGet), auth.requirePatient(req => req.params.id), async (req, res) => {
   try {
-    const { data: meds } = await supabase
-      .from('medications')
-      .select('*')
-      .eq('patient_id', req.params.id)
-      .eq('active', true);
-
-    const { data: logs } = await supabase
-      .from('medication_logs')
-      .select('*')
-      .eq('patient_id', req.params.id)
-      .order('logged_at', { ascending: false })
-      .limit(100);
+    const patient = await db.patients.findById(req.params.id);
+    const meds = await db.medications.listActive(req.params.id);
+    const logs = await db.medicationLogs.listRecent(req.params.id, 100);
+    const today = localDate(new Date(), patientTimezone(patient));
 
     const totalMeds = (meds || []).length;
     // With per-slot tracking, "takenToday" counts meds where all required doses are taken
+    // (flags from before the patient's midnight don't count, even if not reset yet)
     const takenToday = (meds || []).filter((m) => {
-      const timing = (m.dose_timing || '1-0-0').split('-').map(Number);
-      const morningDone = timing[0] === 0 || m.morning_taken;
-      const noonDone = timing[1] === 0 || m.noon_taken;
-      const eveningDone = timing[2] === 0 || m.evening_taken;
-      return morningDone && noonDone && eveningDone;
+      const taken = doseService.takenSlots(m, today);
+      return doseService.scheduledSlots(m.dose_timing).every(slot => taken.has(slot));
     }).length;
-    const adherenceRate =
-      totalMeds > 0
-        ? (meds || []).reduce(
-            (sum, m) =>
-              sum + (m.total_doses > 0 ? (m.taken_doses / m.total_doses) * 100 : 0),
-            0
-          ) / totalMeds
-        : 0;
-    const bestStreak = Math.max(...(meds || []).map((m) => m.streak || 0), 0);
+    // Doses taken / doses scheduled over the last 30 days (see /adherence for the breakdown)
+    const doses = await db.medicationLogs.listTakenDoses(req.params.id, { since: shiftDay(today, -30) });
+    const adherence = computeAdherence(patient, meds || [], doses, today).windows[30];
+    // Computed from the dose log on every dose change (streakService)
+    const streaks = streakService.read(patient, meds || []);
 
     res.json({
       totalMeds,
       takenToday,
-      adherenceRate: Math.round(adherenceRate * 10) / 10,
-      bestStreak,
+      adherenceRate: adherence.adherence ?? 0,
+      currentStreak: streaks.overall.current,
+      bestStreak: streaks.overall.best,
+      medicationStreaks: streaks.medications,
       recentLogs: (logs || []).slice(0, 20),
     });
   } catch (err) {
-    console.error('Stats Error:', err);
-    res.status(500).json({ error: 'Failed to get stats', detail: err.message });
+    apiLog.error('Stats failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to get stats', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
   }
 });
 
+/**
+ * Adherence analytics: dose adherence, PDC, per-slot and per-medication
+ * breakdowns and lateness over 7, 30 and 90 days, plus weak spots
+ */
+app.get('/api/patient/:id/adherence', validate(schemas.patientGet), auth.requirePatient(req => req.params.id), async (req, res) => {
+  try {
+    const patient = await db.patients.findById(req.params.id);
+    if (!patient) return res.status(404).json({ error: 'Patient not found', code: ErrorCodes.NOT_FOUND });
+
+    const today = localDate(new Date(), patientTimezone(patient));
+    const since = shiftDay(today, -Math.max(...ADHERENCE_WINDOWS));
+    const [meds, doses] = await Promise.all([
+      db.medications.listActive(req.params.id),
+      db.medicationLogs.listTakenDoses(req.params.id, { since }),
+    ]);
+
+    res.json(computeAdherence(patient, meds || [], doses, today));
+  } catch (err) {
+    apiLog.error('Adherence failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to get adherence', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+// -----------------------------------------------------------
+// 10b. AI usage reports (tokens per endpoint, per day, quota left)
+// -----------------------------------------------------------
+app.get('/api/patient/:id/usage', validate(schemas.patientUsage), auth.requirePatient(req => req.params.id), async (req, res) => {
+  try {
+    res.json(await usageService.report({ patientId: req.params.id, days: req.query.days }));
+  } catch (err) {
+    apiLog.error('Usage Report failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to get usage report', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+/**
+ * Usage across every patient (administrators)
+ */
+app.get('/api/usage', validate(schemas.usage), auth.requireAdmin, async (req, res) => {
+  try {
+    res.json(await usageService.report({ days: req.query.days }));
+  } catch (err) {
+    apiLog.error('Usage Report failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to get usage report', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+// -----------------------------------------------------------
+// 11. Cache administration (in-memory visionCache + scan_sessions, RxNorm lookups)
+// -----------------------------------------------------------
+
+/**
+ * Clear cached results for a single image hash
+ * (a patient retrying a scan uses forceRefresh instead, which replaces the cached result)
+ */
+app.post('/api/cache/clear/:imageHash', validate(schemas.cacheClear), auth.requireAdmin, async (req, res) => {
+  try {
+    const { imageHash } = req.params;
+    const memoryCleared = cacheService.delete(imageHash);
+
+    const count = await db.scanSessions.deleteByHash(imageHash);
+
+    cacheLog.info(`🗑️ Cleared ${imageHash} (memory: ${memoryCleared}, database rows: ${count || 0})`);
+    res.json({ success: true, imageHash, memoryCleared, databaseRowsCleared: count || 0 });
+  } catch (err) {
+    apiLog.error('Cache Clear failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to clear cache', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+/**
+ * List cache entries with age and size
+ * Query: ?source=memory|database|all (default all), ?limit=50
+ */
+app.get('/api/cache/entries', validate(schemas.cacheEntries), auth.requireAdmin, async (req, res) => {
+  try {
+    const { source, limit } = req.query;
+    const entries = [];
+
+    if (source === 'all' || source === 'memory') {
+      entries.push(...cacheService.list());
+    }
+
+    if (source === 'all' || source === 'database') {
+      const rows = await db.scanSessions.list(limit);
+
+      const now = Date.now();
+      for (const row of rows) {
+        const expiresAt = new Date(row.expires_at).getTime();
+        const createdAt = row.created_at ? new Date(row.created_at).getTime() : expiresAt - CACHE_TTL;
+        entries.push({
+          imageHash: row.image_hash,
+          source: 'database',
+          ageSeconds: Math.round((now - createdAt) / 1000),
+          expiresInSeconds: Math.round((expiresAt - now) / 1000),
+          sizeBytes: Buffer.byteLength(JSON.stringify(row.normalized_result || {})),
+          medicationCount: row.normalized_result?.medications?.length || 0,
+          expired: expiresAt < now,
+        });
+      }
+    }
+
+    res.json({ entries: entries.slice(0, limit), total: entries.length });
+  } catch (err) {
+    apiLog.error('Cache List failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to list cache entries', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+/**
+ * Cache hit/miss statistics (scan results, and RxNorm lookups under `rxnorm`)
+ */
+app.get('/api/cache/stats', auth.requireAdmin, async (req, res) => {
+  try {
+    const databaseEntries = await db.scanSessions.count();
+    const databaseExpired = await db.scanSessions.count({ expired: true });
+
+    res.json({
+      ...cacheService.getStats(),
+      databaseEntries: databaseEntries || 0,
+      databaseExpired: databaseExpired || 0,
+      rxnorm: {
+        ...rxnormCacheService.getStats(),
+        databaseEntries: await db.rxnormCache.count(),
+        databaseExpired: await db.rxnormCache.count({ expired: true }),
+      },
+    });
+  } catch (err) {
+    apiLog.error('Cache Stats failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to get cache stats', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+/**
+ * Purge expired entries from memory, the scan_sessions table and the RxNorm cache
+ */
+app.post('/api/cache/purge-expired', auth.requireAdmin, async (req, res) => {
+  try {
+    const memoryPurged = cacheService.purgeExpired();
+
+    const count = await db.scanSessions.deleteExpired();
+    const rxnorm = await rxnormCacheService.purgeExpired();
+
+    cacheLog.info(`🧹 Purged ${memoryPurged} memory entries, ${count || 0} database rows`, { rxnorm });
+    res.json({ success: true, memoryPurged, databaseRowsPurged: count || 0, rxnorm });
+  } catch (err) {
+    apiLog.error('Cache Purge failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to purge cache', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+  }
+});
+
+// Errors thrown by middleware (upload limits, malformed JSON bodies)
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    return res.status(tooLarge ? 413 : 400).json({
+      error: tooLarge ? 'File is too large (max 10 MB)' : 'Invalid upload',
+      code: tooLarge ? ErrorCodes.FILE_TOO_LARGE : ErrorCodes.VALIDATION_FAILED,
+      detail: err.message,
+    });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid request', code: ErrorCodes.VALIDATION_FAILED, detail: 'Body is not valid JSON' });
+  }
+  apiLog.error('Unhandled route error', { error: err.message, stack: err.stack });
+  res.status(500).json({ error: 'Internal server error', code: ErrorCodes.INTERNAL_ERROR, detail: err.message });
+});
+
 // Global error handlers
 process.on('uncaughtException', (err) => {
-  console.error('\n❌ UNCAUGHT EXCEPTION:');
-  console.error(err);
+  logger.child('Process').error('❌ UNCAUGHT EXCEPTION', { error: err.message, stack: err.stack });
   process.exit(1);
 });
 
 process.on('unhandledRejection', (err) => {
-  console.error('\n❌ UNHANDLED REJECTION:');
-  console.error(err);
+  logger.child('Process').error('❌ UNHANDLED REJECTION', { error: err?.message || String(err), stack: err?.stack });
   process.exit(1);
 });
 
-// Start server
-app.listen(PORT, () => {
+// Start server (unless loaded by a test script, which listens itself)
+if (require.main === module) app.listen(PORT, () => {
   console.log(`\n🩺 Dr. Nudge API v2.0 running on http://localhost:${PORT}`);
   console.log(`   Health check: http://localhost:${PORT}/api/health`);
-  console.log(`   Database: Supabase ${process.env.SUPABASE_URL ? '✅' : '⚠️  not configured'}\n`);
+  console.log(`   Database: ${db.driver === 'supabase' ? 'Supabase ✅' : '💾 local memory store (demo data)'}`);
+  console.log(`   Auth: ${auth.isDisabled() ? '⚠️  disabled (AUTH_REQUIRED=false)' : `✅ session required${db.driver === 'memory' ? ' (local token: LOCAL_AUTH_TOKEN)' : ''}`}`);
+  const dictionary = drugDictionaryService.describe();
+  console.log(`   Drug dictionary: ${dictionary ? `📚 ${dictionary.release} (${dictionary.names} names)` : '⚠️  not built, names checked online (npm run build:drug-dictionary)'}`);
+  console.log(`   AI mode: ${aiService.getMode()}`);
+  for (const { task, provider, model, available } of aiService.describe()) {
+    console.log(`   AI ${task}: ${provider} (${model}) ${available ? '✅' : '⚠️  not configured, using fallback'}`);
+  }
+  console.log('');
+  missedDoseService.start();
+  dailyResetService.start();
 }).on('error', (err) => {
   console.error('\n❌ SERVER ERROR:', err);
   process.exit(1);
 });
+
+module.exports = app;
@@ -0,0 +1,139 @@
+const { createOpenAIProvider } = require('./providers/openaiProvider');
+const { createFixtureProvider } = require('./providers/fixtureProvider');
+const { createReplayProvider, createRecorder } = require('./providers/recordingProvider');
+const path = require('path');
+const usageService = require('./usageService');
+
+/**
+ * AI Service — Routes each AI task to its configured provider and model.
+ *
+ * Tasks: vision (image extraction), extraction (text extraction), nudge,
+ * voice, translation. Configure per task with AI_<TASK>_PROVIDER and
+ * AI_<TASK>_MODEL, or for every task with AI_PROVIDER.
+ *
+ * Providers:
+ *   openai  — OpenAI (OPENAI_API_KEY)
+ *   local   — OpenAI-compatible server (LOCAL_LLM_BASE_URL, LOCAL_LLM_API_KEY, LOCAL_LLM_MODEL)
+ *   fixture — Deterministic canned responses, no network (AI_FIXTURES_FILE)
+ *
+ * AI_MODE:
+ *   live   — Call the configured providers (default)
+ *   mock   — Never touch the network: replay recordings keyed by input hash,
+ *            falling back to fixtures (or failing, with AI_MOCK_STRICT=true)
+ *   record — Call the configured providers and save every response for mock mode
+ */
+
+const AI_MODES = ['live', 'mock', 'record'];
+const RECORDINGS_DIR = process.env.AI_RECORDINGS_DIR || path.join(__dirname, '..', 'fixtures', 'ai-recordings');
+
+// Models used when nothing is configured (what each task has always used)
+const TASK_DEFAULTS = {
+  vision: 'gpt-4o',
+  extraction: 'gpt-4',
+  nudge: 'gpt-4o',
+  voice: 'gpt-4',
+  translation: 'gpt-4',
+};
+
+const PROVIDER_FACTORIES = {
+  openai: () => createOpenAIProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+  }),
+  local: () => createOpenAIProvider({
+    name: 'local',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+    defaultModel: process.env.LOCAL_LLM_MODEL || null,
+    requiresKey: false,
+  }),
+  fixture: () => createFixtureProvider(),
+  replay: () => createReplayProvider({
+    dir: RECORDINGS_DIR,
+    strict: process.env.AI_MOCK_STRICT === 'true',
+    fallback: getProvider('fixture'),
+  }),
+};
+
+const providers = new Map();
+
+function getProvider(name) {
+  if (!providers.has(name)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) throw new Error(`Unknown AI provider "${name}"`);
+    let provider = factory();
+    // In record mode every real response is also saved for replay
+    if (aiService.getMode() === 'record' && name !== 'replay') {
+      provider = createRecorder(provider, RECORDINGS_DIR);
+    }
+    providers.set(name, provider);
+  }
+  return providers.get(name);
+}
+
+const aiService = {
+  TASKS: Object.keys(TASK_DEFAULTS),
+
+  /**
+   * Current AI_MODE: 'live' | 'mock' | 'record'
+   */
+  getMode() {
+    const mode = process.env.AI_MODE || 'live';
+    if (!AI_MODES.includes(mode)) throw new Error(`Unknown AI_MODE "${mode}"`);
+    return mode;
+  },
+
+  /**
+   * Resolve the provider and model for a task
+   * @param {string} task - One of TASKS
+   * @returns {{ task: string, provider: string, model: string }}
+   */
+  getTaskConfig(task) {
+    if (!TASK_DEFAULTS[task]) throw new Error(`Unknown AI task "${task}"`);
+    const prefix = `AI_${task.toUpperCase()}_`;
+    const providerName = this.getMode() === 'mock'
+      ? 'replay'
+      : process.env[`${prefix}PROVIDER`] || process.env.AI_PROVIDER || 'openai';
+    const provider = getProvider(providerName);
+    const model = process.env[`${prefix}MODEL`] || provider.defaultModel || TASK_DEFAULTS[task];
+    return { task, provider: providerName, model };
+  },
+
+  /**
+   * Whether the task's provider is usable (callers fall back when it isn't)
+   */
+  isAvailable(task) {
+    const { provider } = this.getTaskConfig(task);
+    return getProvider(provider).isAvailable();
+  },
+
+  /**
+   * Run a chat completion for a task
+   * @param {string} task - One of TASKS
+   * @param {Object} request - { messages, temperature, max_tokens, response_format }
+   * @returns {Promise<{ content: string, usage: Object|null, provider: string, model: string }>}
+   */
+  async complete(task, request) {
+    const config = this.getTaskConfig(task);
+    const provider = getProvider(config.provider);
+    if (!provider.isAvailable()) {
+      throw new Error(`AI provider "${config.provider}" is not configured for ${task}`);
+    }
+
+    const result = await provider.chat({ ...request, task, model: config.model });
+    usageService.record({ task, provider: config.provider, model: result.model, usage: result.usage });
+    return { ...result, provider: config.provider };
+  },
+
+  /**
+   * Provider/model per task, for startup logs and diagnostics
+   */
+  describe() {
+    return this.TASKS.map(task => {
+      const config = this.getTaskConfig(task);
+      return { ...config, available: getProvider(config.provider).isAvailable() };
+    });
+  },
+};
+
+module.exports = aiService;
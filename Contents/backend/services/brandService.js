@@ -0,0 +1,166 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+const log = logger.child('Brands');
+
+/**
+ * Brand Service — Indian brand names ("Dolo 650", "Telma 40", "Glycomet")
+ * mapped to the generic ingredients they contain. RxNorm only knows US
+ * products, so brands are recognized here first; the brand is what the
+ * patient sees, the ingredients are what safety checks look at.
+ *
+ * Each brand lists its ingredients (RxNorm ingredient names, so they match
+ * the drug dictionary and the safety tables) and the strengths it is sold
+ * in, keyed by the number printed after the brand, with the amount of each
+ * ingredient in the same order. Without a number, `default` is assumed.
+ *
+ * More brands can be added without a code change: BRAND_NAMES_FILE is a JSON
+ * array of entries in the same shape; an entry for a brand already listed
+ * replaces it.
+ */
+
+const BRANDS = [
+  // Pain and fever
+  { brand: 'Dolo', ingredients: ['acetaminophen'], strengths: { 500: ['500 mg'], 650: ['650 mg'] }, default: '650' },
+  { brand: 'Crocin', ingredients: ['acetaminophen'], strengths: { 500: ['500 mg'], 650: ['650 mg'] }, default: '500' },
+  { brand: 'Crocin Advance', ingredients: ['acetaminophen'], strengths: { 500: ['500 mg'] }, default: '500' },
+  { brand: 'Calpol', ingredients: ['acetaminophen'], strengths: { 500: ['500 mg'], 650: ['650 mg'] }, default: '500' },
+  { brand: 'Brufen', ingredients: ['ibuprofen'], strengths: { 200: ['200 mg'], 400: ['400 mg'], 600: ['600 mg'] }, default: '400' },
+
+  // Heart and blood pressure
+  { brand: 'Ecosprin', ingredients: ['aspirin'], strengths: { 75: ['75 mg'], 150: ['150 mg'], 325: ['325 mg'] }, default: '75' },
+  { brand: 'Telma', ingredients: ['telmisartan'], strengths: { 20: ['20 mg'], 40: ['40 mg'], 80: ['80 mg'] }, default: '40' },
+  { brand: 'Amlong', ingredients: ['amlodipine'], strengths: { 2.5: ['2.5 mg'], 5: ['5 mg'], 10: ['10 mg'] }, default: '5' },
+  { brand: 'Stamlo', ingredients: ['amlodipine'], strengths: { 2.5: ['2.5 mg'], 5: ['5 mg'], 10: ['10 mg'] }, default: '5' },
+  { brand: 'Losar', ingredients: ['losartan'], strengths: { 25: ['25 mg'], 50: ['50 mg'] }, default: '50' },
+  { brand: 'Met XL', ingredients: ['metoprolol'], strengths: { 12.5: ['12.5 mg'], 25: ['25 mg'], 50: ['50 mg'] }, default: '25' },
+  { brand: 'Atorva', ingredients: ['atorvastatin'], strengths: { 10: ['10 mg'], 20: ['20 mg'], 40: ['40 mg'], 80: ['80 mg'] }, default: '10' },
+  { brand: 'Storvas', ingredients: ['atorvastatin'], strengths: { 10: ['10 mg'], 20: ['20 mg'], 40: ['40 mg'] }, default: '10' },
+  { brand: 'Rosuvas', ingredients: ['rosuvastatin'], strengths: { 5: ['5 mg'], 10: ['10 mg'], 20: ['20 mg'] }, default: '10' },
+  { brand: 'Clopilet', ingredients: ['clopidogrel'], strengths: { 75: ['75 mg'] }, default: '75' },
+  { brand: 'Deplatt', ingredients: ['clopidogrel'], strengths: { 75: ['75 mg'] }, default: '75' },
+
+  // Diabetes and thyroid
+  { brand: 'Glycomet', ingredients: ['metformin'], strengths: { 250: ['250 mg'], 500: ['500 mg'], 850: ['850 mg'], 1000: ['1000 mg'] }, default: '500' },
+  { brand: 'Glycomet SR', ingredients: ['metformin'], strengths: { 500: ['500 mg'], 1000: ['1000 mg'] }, default: '500' },
+  { brand: 'Thyronorm', ingredients: ['levothyroxine'], strengths: { 25: ['25 mcg'], 50: ['50 mcg'], 75: ['75 mcg'], 100: ['100 mcg'] }, default: '50' },
+  { brand: 'Eltroxin', ingredients: ['levothyroxine'], strengths: { 25: ['25 mcg'], 50: ['50 mcg'], 100: ['100 mcg'] }, default: '50' },
+
+  // Stomach
+  { brand: 'Pan', ingredients: ['pantoprazole'], strengths: { 20: ['20 mg'], 40: ['40 mg'] }, default: '40' },
+  { brand: 'Pantocid', ingredients: ['pantoprazole'], strengths: { 20: ['20 mg'], 40: ['40 mg'] }, default: '40' },
+  { brand: 'Omez', ingredients: ['omeprazole'], strengths: { 10: ['10 mg'], 20: ['20 mg'], 40: ['40 mg'] }, default: '20' },
+  { brand: 'Razo', ingredients: ['rabeprazole'], strengths: { 10: ['10 mg'], 20: ['20 mg'] }, default: '20' },
+
+  // Infections and allergy
+  { brand: 'Azithral', ingredients: ['azithromycin'], strengths: { 250: ['250 mg'], 500: ['500 mg'] }, default: '500' },
+  { brand: 'Ciplox', ingredients: ['ciprofloxacin'], strengths: { 250: ['250 mg'], 500: ['500 mg'] }, default: '500' },
+  { brand: 'Montair', ingredients: ['montelukast'], strengths: { 4: ['4 mg'], 5: ['5 mg'], 10: ['10 mg'] }, default: '10' },
+  { brand: 'Zyloric', ingredients: ['allopurinol'], strengths: { 100: ['100 mg'], 300: ['300 mg'] }, default: '100' },
+
+  // Fixed-dose combinations — one amount per ingredient, in order
+  { brand: 'Telma-AM', ingredients: ['telmisartan', 'amlodipine'], strengths: { 40: ['40 mg', '5 mg'], 80: ['80 mg', '5 mg'] }, default: '40' },
+  { brand: 'Telma-H', ingredients: ['telmisartan', 'hydrochlorothiazide'], strengths: { 40: ['40 mg', '12.5 mg'], 80: ['80 mg', '12.5 mg'] }, default: '40' },
+  { brand: 'Stamlo Beta', ingredients: ['amlodipine', 'atenolol'], strengths: { 5: ['5 mg', '50 mg'] }, default: '5' },
+  { brand: 'Ecosprin-AV', ingredients: ['aspirin', 'atorvastatin'], strengths: { 75: ['75 mg', '10 mg'], 150: ['150 mg', '20 mg'] }, default: '75' },
+  {
+    brand: 'Glycomet-GP',
+    ingredients: ['metformin', 'glimepiride'],
+    strengths: {
+      0.5: ['500 mg', '0.5 mg'], 1: ['500 mg', '1 mg'], 2: ['500 mg', '2 mg'],
+      '1 forte': ['1000 mg', '1 mg'], '2 forte': ['1000 mg', '2 mg'],
+    },
+    default: '1',
+  },
+  { brand: 'Combiflam', ingredients: ['ibuprofen', 'acetaminophen'], strengths: { 400: ['400 mg', '325 mg'] }, default: '400' },
+  { brand: 'Crocin Pain Relief', ingredients: ['acetaminophen', 'caffeine'], strengths: { 650: ['650 mg', '50 mg'] }, default: '650' },
+  { brand: 'Pan-D', ingredients: ['pantoprazole', 'domperidone'], strengths: { 40: ['40 mg', '30 mg'] }, default: '40' },
+  { brand: 'Montair-LC', ingredients: ['montelukast', 'levocetirizine'], strengths: { 10: ['10 mg', '5 mg'] }, default: '10' },
+  { brand: 'Augmentin', ingredients: ['amoxicillin', 'clavulanate'], strengths: { 375: ['250 mg', '125 mg'], 625: ['500 mg', '125 mg'] }, default: '625' },
+];
+
+// Dose forms and units written around a brand name ("Tab. Dolo-650 mg")
+const FORM_PREFIX = /^(tab|tabs|tablet|cap|caps|capsule|syp|syrup|inj)\b\.?\s*/;
+const UNIT_SUFFIX = /(\s*(mg|mcg|gm|g|ml|tablets?|tabs?|capsules?|caps?)\.?)+$/;
+
+/**
+ * Brand or medication name as brands are matched ("Tab. Dolo-650" → "dolo 650")
+ */
+function normalize(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9.+ ]+/g, ' ')
+    .replace(/([a-z])(\d)/g, '$1 $2')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(FORM_PREFIX, '');
+}
+
+function loadBrands() {
+  const byName = new Map(BRANDS.map(entry => [normalize(entry.brand), entry]));
+  const file = process.env.BRAND_NAMES_FILE;
+  if (file) {
+    try {
+      const extra = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const valid = extra.filter(entry => entry?.brand && Array.isArray(entry.ingredients) && entry.ingredients.length > 0);
+      valid.forEach(entry => byName.set(normalize(entry.brand), { strengths: {}, ...entry }));
+      log.info(`🏷️ ${valid.length} brand(s) added from ${file}`);
+    } catch (err) {
+      log.warn(`⚠️ Could not read brand names file ${file}`, { error: err.message });
+    }
+  }
+  // Longest first, so "Glycomet SR 500" is Glycomet SR, not Glycomet
+  return [...byName].sort(([a], [b]) => b.length - a.length);
+}
+
+let brands;
+const allBrands = () => (brands ||= loadBrands());
+
+const brandService = {
+  /**
+   * The brand a medication name is, with its ingredients at the strength named
+   * @param {string} drugName - As written ("Dolo 650", "Telma 40 mg", "Glycomet")
+   * @returns {Object|null} { brand, strength, ingredients: [{ name, strength }] },
+   *   strength null when the number isn't one the brand is sold in; null for names
+   *   with more words after the brand (another product of the same maker)
+   *   unless they name a strength ("Glycomet GP 2 Forte")
+   */
+  resolve(drugName) {
+    const name = normalize(drugName);
+    for (const [key, entry] of allBrands()) {
+      if (name !== key && !name.startsWith(`${key} `)) continue;
+
+      const rest = name.slice(key.length).replace(UNIT_SUFFIX, '').trim();
+      const label = rest || entry.default || '';
+      // "650" and "650.0" are the same strength
+      const strengthKey = Object.keys(entry.strengths || {}).find(s => s === label || Number(s) === Number(label));
+      // Other words after the brand make it another product ("Crocin Pain Relief")
+      if (!strengthKey && rest && !/^\d+(\.\d+)?$/.test(rest)) continue;
+
+      const amounts = strengthKey ? entry.strengths[strengthKey] : [];
+      return {
+        brand: entry.brand,
+        strength: strengthKey || null,
+        ingredients: entry.ingredients.map((ingredient, i) => ({ name: ingredient, strength: amounts[i] || null })),
+      };
+    }
+    return null;
+  },
+
+  /**
+   * First known brand in free text (OCR of a prescription), as it is written there
+   * @returns {string|null} e.g. "Dolo 650"
+   */
+  findInText(text) {
+    const lower = String(text || '').toLowerCase();
+    for (const [key] of allBrands()) {
+      const pattern = key.split(' ').map(word => word.replace(/[.+]/g, '\\$&')).join('[\\s-]*');
+      // The strength after it, but not a dose schedule ("Telma AM 1-0-0")
+      const match = lower.match(new RegExp(`\\b${pattern}(?![a-z])(?:[\\s-]*\\d+(?:\\.\\d+)?(?![\\d.]|-\\d))?`));
+      if (match) return String(text).slice(match.index, match.index + match[0].length).replace(/\s+/g, ' ').trim();
+    }
+    return null;
+  },
+};
+
+module.exports = brandService;
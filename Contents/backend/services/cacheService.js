@@ -0,0 +1,116 @@
+/**
+ * Cache Service — In-memory cache for Vision API results, plus hit/miss statistics.
+ * The database copy lives in the `scan_sessions` table and is managed from server.js.
+ */
+
+const CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+
+const visionCache = new Map();
+
+const stats = {
+  memoryHits: 0,
+  databaseHits: 0,
+  misses: 0,
+  forcedRefreshes: 0,
+  cleared: 0,
+  purged: 0,
+  since: new Date().toISOString(),
+};
+
+const cacheService = {
+  CACHE_TTL,
+
+  /**
+   * Get a cached result by image hash (null if missing or expired)
+   */
+  get(imageHash) {
+    const entry = visionCache.get(imageHash);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      visionCache.delete(imageHash);
+      return null;
+    }
+    return entry.data;
+  },
+
+  /**
+   * Store a result in memory
+   */
+  set(imageHash, data, ttl = CACHE_TTL) {
+    visionCache.set(imageHash, {
+      data,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ttl,
+      sizeBytes: Buffer.byteLength(JSON.stringify(data)),
+    });
+  },
+
+  /**
+   * Remove a single entry. Returns true if something was removed.
+   */
+  delete(imageHash) {
+    const removed = visionCache.delete(imageHash);
+    if (removed) stats.cleared++;
+    return removed;
+  },
+
+  /**
+   * Remove all expired entries. Returns the number removed.
+   */
+  purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, value] of visionCache.entries()) {
+      if (value.expiresAt < now) {
+        visionCache.delete(key);
+        removed++;
+      }
+    }
+    stats.purged += removed;
+    return removed;
+  },
+
+  /**
+   * List in-memory entries with age and size
+   */
+  list() {
+    const now = Date.now();
+    return Array.from(visionCache.entries()).map(([imageHash, entry]) => ({
+      imageHash,
+      source: 'memory',
+      ageSeconds: Math.round((now - entry.createdAt) / 1000),
+      expiresInSeconds: Math.round((entry.expiresAt - now) / 1000),
+      sizeBytes: entry.sizeBytes,
+      medicationCount: entry.data?.medications?.length || 0,
+      expired: entry.expiresAt < now,
+    }));
+  },
+
+  /**
+   * Record a cache lookup outcome: 'memory' | 'database' | 'miss' | 'forced'
+   */
+  recordLookup(outcome) {
+    if (outcome === 'memory') stats.memoryHits++;
+    else if (outcome === 'database') stats.databaseHits++;
+    else if (outcome === 'forced') stats.forcedRefreshes++;
+    else stats.misses++;
+  },
+
+  getStats() {
+    const hits = stats.memoryHits + stats.databaseHits;
+    const lookups = hits + stats.misses;
+    return {
+      ...stats,
+      hits,
+      lookups,
+      hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 10 : 0,
+      memoryEntries: visionCache.size,
+      memorySizeBytes: Array.from(visionCache.values()).reduce((sum, e) => sum + e.sizeBytes, 0),
+    };
+  },
+};
+
+// Clean expired entries every 5 minutes
+setInterval(() => cacheService.purgeExpired(), 5 * 60 * 1000).unref();
+
+module.exports = cacheService;
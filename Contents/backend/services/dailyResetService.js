@@ -0,0 +1,102 @@
+const db = require('../repositories');
+const logger = require('../utils/logger');
+const missedDoseService = require('./missedDoseService');
+const { SLOTS } = require('../utils/streaks');
+const { localDate, patientTimezone } = require('../utils/timezone');
+
+const log = logger.child('Daily Reset');
+
+/**
+ * Daily Reset Service — Starts each patient's new day at their local
+ * midnight: records how the day that just ended went (every scheduled dose
+ * not taken is logged as missed, see missedDoseService), then clears the
+ * medications' morning/noon/evening flags and stamps last_reset_date.
+ *
+ * Runs whether or not the app is open. Until a medication is reset, the API
+ * already treats flags from an earlier day as not taken (doseService).
+ *
+ * DAILY_RESET_CHECK_MINUTES — how often to look for patients past midnight (default 5, 0 = off)
+ */
+
+function config() {
+  const value = parseInt(process.env.DAILY_RESET_CHECK_MINUTES, 10);
+  return { checkMinutes: Number.isFinite(value) && value >= 0 ? value : 5 };
+}
+
+let running = false;
+
+const dailyResetService = {
+  config,
+
+  /**
+   * Reset one patient's medications that haven't been reset on their local today
+   * @param {Object} patient - Patient row (timezone)
+   * @param {Object[]} medications - The patient's active medications
+   * @returns {Object} { reset, missed } — medications reset, missed-dose logs written
+   */
+  async resetPatient(patient, medications, now = new Date()) {
+    const today = localDate(now, patientTimezone(patient));
+    const stale = medications.filter(m => m.last_reset_date !== today);
+    if (stale.length === 0) return { reset: 0, missed: 0 };
+
+    // Record the day that ended before its flags are gone
+    const missed = await missedDoseService.recordMissed(patient, medications, now);
+
+    // The medications were read before this patient's turn: one whose dose was taken
+    // since (after midnight, so last_reset_date is already today) is left as it is
+    const cleared = { last_reset_date: today };
+    for (const slot of SLOTS) cleared[`${slot}_taken`] = false;
+    const updated = await Promise.all(stale.map(m => db.medications.updateIfNotResetOn(m.id, today, cleared)));
+    const reset = updated.filter(Boolean).length;
+
+    log.debug('Patient day reset', { patientId: patient.id, today, medications: reset, missed });
+    return { reset, missed };
+  },
+
+  /**
+   * Reset every patient whose local day has rolled over
+   * @returns {Object} { patients, reset, missed }
+   */
+  async run(now = new Date()) {
+    if (running) return { patients: 0, reset: 0, missed: 0 };
+    running = true;
+    try {
+      const totals = { patients: 0, reset: 0, missed: 0 };
+      for (const [patientId, medications] of await missedDoseService.activeByPatient()) {
+        try {
+          const patient = await db.patients.findById(patientId);
+          if (!patient) continue;
+          const result = await this.resetPatient(patient, medications, now);
+          if (result.reset === 0) continue;
+          totals.patients++;
+          totals.reset += result.reset;
+          totals.missed += result.missed;
+        } catch (err) {
+          log.error('Reset failed for patient', { patientId, error: err.message });
+        }
+      }
+
+      if (totals.patients > 0) log.info(`🌅 Started a new day for ${totals.patients} patient(s)`, totals);
+      return totals;
+    } finally {
+      running = false;
+    }
+  },
+
+  /**
+   * Check now and then every DAILY_RESET_CHECK_MINUTES (called once the server is listening)
+   */
+  start() {
+    const { checkMinutes } = config();
+    if (checkMinutes === 0) {
+      log.info('Daily resets are off (DAILY_RESET_CHECK_MINUTES=0)');
+      return;
+    }
+    const run = () => dailyResetService.run().catch(err => log.error('Reset failed', { error: err.message }));
+    run();
+    setInterval(run, checkMinutes * 60 * 1000).unref();
+    log.info(`Resetting dose slots at each patient's midnight (checked every ${checkMinutes} min)`);
+  },
+};
+
+module.exports = dailyResetService;
@@ -0,0 +1,168 @@
+const db = require('../repositories');
+const logger = require('../utils/logger');
+const streakService = require('./streakService');
+const { SLOTS, scheduledSlots } = require('../utils/streaks');
+const { localDate, patientTimezone } = require('../utils/timezone');
+
+const log = logger.child('Dose');
+
+/**
+ * Dose Service — Logs doses per slot (morning / noon / evening) and keeps the
+ * medication's slot flags and counters in step with medication_logs.
+ *
+ * One "taken" per medication, slot and day: a retry with the same idempotency
+ * key gets the original result back, a second tap with a new key is rejected.
+ * Undoing a dose keeps the log row (marked undone_at) and adds an "undo" row,
+ * so the slot can be taken again. A dose taken after missedDoseService marked
+ * it missed replaces the missed log. Streaks are recomputed from the log after
+ * every change (see streakService).
+ *
+ * Dose days are the patient's local days; dailyResetService clears the slot
+ * flags at their midnight.
+ */
+
+// A dose may be logged a little ahead of the server clock (phone clocks drift)
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Day a dose belongs to in the patient's timezone, as YYYY-MM-DD
+ * @param {Date|string} date
+ * @param {Object} patient - Patient row (timezone)
+ */
+function doseDate(date, patient) {
+  return localDate(date, patientTimezone(patient));
+}
+
+// Slot flags are for today only; a medication not reset yet today has none taken
+function takenSlots(med, today) {
+  if (med.last_reset_date && med.last_reset_date !== today) return new Set();
+  return new Set(SLOTS.filter(slot => med[`${slot}_taken`]));
+}
+
+/**
+ * Rewrite a medication's slot flags and taken count from its logs, after
+ * a dose was logged or undone. Reading them back from the log (rather than
+ * adding to the row the request started with) keeps concurrent doses of the
+ * same medication from overwriting each other.
+ * @param {Object} med - Medication row
+ * @param {string} today - The patient's today, YYYY-MM-DD
+ */
+async function syncMedication(med, today) {
+  const [todayLogs, takenDoses] = await Promise.all([
+    db.medicationLogs.listForDay(med.id, today),
+    db.medicationLogs.countTaken(med.id),
+  ]);
+  const taken = new Set(todayLogs.filter(l => l.action === 'taken' && !l.undone_at).map(l => l.slot));
+  const changes = { taken_doses: takenDoses, last_reset_date: today };
+  for (const s of SLOTS) changes[`${s}_taken`] = taken.has(s);
+  return db.medications.update(med.id, changes);
+}
+
+const isUniqueViolation = (err) => err?.code === '23505';
+
+const doseService = {
+  SLOTS,
+  doseDate,
+  scheduledSlots,
+  takenSlots,
+
+  /**
+   * Log a dose as taken
+   * @param {Object} med - Medication row
+   * @param {Object} dose - { slot, takenAt, idempotencyKey }
+   * @returns {Object} { status, medication, log, doseDate, streak } — streak is the overall { current, best }.
+   *   status is 'logged', 'replayed' (same idempotency key as an earlier call), 'duplicate' (slot already taken that day),
+   *   'unscheduled' (dose timing has no such slot), 'future' (takenAt is ahead of now)
+   *   or 'keyReused' (the key was already used for another medication)
+   */
+  async take(med, { slot, takenAt, idempotencyKey }) {
+    if (idempotencyKey) {
+      const earlier = await db.medicationLogs.findByIdempotencyKey(idempotencyKey);
+      if (earlier) {
+        return earlier.medication_id === med.id
+          ? { status: 'replayed', medication: med, log: earlier }
+          : { status: 'keyReused', medication: med };
+      }
+    }
+
+    if (!scheduledSlots(med.dose_timing).includes(slot)) {
+      return { status: 'unscheduled', medication: med };
+    }
+
+    const takenTime = takenAt ? new Date(takenAt) : new Date();
+    if (takenTime.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+      return { status: 'future', medication: med };
+    }
+
+    const patient = await db.patients.findById(med.patient_id);
+    const date = doseDate(takenTime, patient);
+    const sameDay = await db.medicationLogs.listForDay(med.id, date);
+    const existing = sameDay.find(l => l.action === 'taken' && l.slot === slot && !l.undone_at);
+    if (existing) return { status: 'duplicate', medication: med, log: existing, doseDate: date };
+
+    let entry;
+    try {
+      entry = await db.medicationLogs.create({
+        medication_id: med.id,
+        patient_id: med.patient_id,
+        action: 'taken',
+        slot,
+        dose_date: date,
+        taken_at: takenTime.toISOString(),
+        idempotency_key: idempotencyKey || null,
+      });
+    } catch (err) {
+      // Lost a race with a concurrent request for the same dose
+      if (!isUniqueViolation(err)) throw err;
+      const winner = idempotencyKey && await db.medicationLogs.findByIdempotencyKey(idempotencyKey);
+      return winner
+        ? { status: 'replayed', medication: med, log: winner }
+        : { status: 'duplicate', medication: med, doseDate: date };
+    }
+
+    // Taken late: the dose is no longer missed
+    const missed = sameDay.find(l => l.action === 'missed' && l.slot === slot);
+    if (missed) await db.medicationLogs.remove(missed.id);
+
+    // Slot flags only describe today; late logs for earlier days just count the dose
+    await syncMedication(med, doseDate(new Date(), patient));
+    const streaks = await streakService.refresh(med.patient_id, { day: date });
+    log.info('✅ Dose logged', { medicationId: med.id, slot, doseDate: date });
+    return { status: 'logged', medication: await db.medications.findById(med.id), log: entry, doseDate: date, streak: streaks.overall };
+  },
+
+  /**
+   * Undo today's dose for one slot, or every slot taken today
+   * @param {Object} med - Medication row
+   * @param {string} [slot]
+   * @returns {Object} { medication, undone, streak } — undone is the number of doses taken back
+   */
+  async undo(med, slot) {
+    const patient = await db.patients.findById(med.patient_id);
+    const today = doseDate(new Date(), patient);
+    const logs = await db.medicationLogs.listForDay(med.id, today);
+    const taken = logs.filter(l => l.action === 'taken' && !l.undone_at && (!slot || l.slot === slot));
+    if (taken.length === 0) {
+      return { medication: med, undone: 0, streak: streakService.read(patient, []).overall };
+    }
+
+    const now = new Date().toISOString();
+    for (const entry of taken) {
+      await db.medicationLogs.update(entry.id, { undone_at: now });
+      await db.medicationLogs.create({
+        medication_id: med.id,
+        patient_id: med.patient_id,
+        action: 'undo',
+        slot: entry.slot,
+        dose_date: today,
+      });
+    }
+
+    await syncMedication(med, today);
+    const streaks = await streakService.refresh(med.patient_id, { day: today, removed: true });
+    log.info('↩️ Dose undone', { medicationId: med.id, slots: taken.map(l => l.slot).join(',') });
+    return { medication: await db.medications.findById(med.id), undone: taken.length, streak: streaks.overall };
+  },
+};
+
+module.exports = doseService;
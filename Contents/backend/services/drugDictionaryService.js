@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { drugKey } = require('../utils/interactions');
+const { compareNames, MIN_SIMILARITY } = require('../utils/levenshtein');
+
+const log = logger.child('DrugDictionary');
+
+/**
+ * Drug Dictionary Service — Drug names answered from a local copy of RxNorm,
+ * so prescriptions can be validated without reaching rxnav.nlm.nih.gov.
+ *
+ * The dictionary is built from the RxNorm release files (RRF) by
+ * build-drug-dictionary.js and read once, on first use, from
+ * DRUG_DICTIONARY_FILE (default data/drug-dictionary.json). Without it every
+ * lookup returns null and drugService asks RxNorm as before.
+ *
+ * File layout:
+ *   { format, version, release, builtAt,
+ *     concepts: { [rxcui]: [name, termType, [ingredient rxcuis]] },
+ *     names: { [normalized name or synonym]: [rxcui, ...] } }
+ */
+
+const FORMAT = 'dr-nudge-drug-dictionary';
+const VERSION = 1;
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'drug-dictionary.json');
+
+// Which concept a name stands for when it names several, most general first
+const TERM_TYPE_RANK = ['IN', 'MIN', 'PIN', 'BN', 'SCD', 'SBD', 'SCDC', 'SCDF', 'SBDF', 'GPCK', 'BPCK'];
+// Spelling corrections are only made to ingredient and brand names
+const FUZZY_TERM_TYPES = new Set(['IN', 'MIN', 'PIN', 'BN']);
+
+const rankOf = (tty) => {
+  const rank = TERM_TYPE_RANK.indexOf(tty);
+  return rank === -1 ? TERM_TYPE_RANK.length : rank;
+};
+
+/**
+ * Name as it is keyed in the dictionary ("Metformin  Hydrochloride" → "metformin hydrochloride")
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+let index; // undefined = not read yet, null = no dictionary
+
+function load() {
+  if (index !== undefined) return index;
+  const file = process.env.DRUG_DICTIONARY_FILE || DEFAULT_FILE;
+  index = null;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') log.info(`No drug dictionary at ${file}, names are checked online only`);
+    else log.warn(`⚠️ Could not read drug dictionary ${file}`, { error: err.message });
+    return index;
+  }
+  if (data.format !== FORMAT || data.version !== VERSION) {
+    log.warn(`⚠️ ${file} is not a version ${VERSION} drug dictionary, rebuild it with build-drug-dictionary.js`);
+    return index;
+  }
+
+  const byName = new Map(Object.entries(data.names));
+  // Ingredient and brand names by length, so a misspelling is only compared with names of about its size
+  const byLength = [];
+  for (const [name, rxcuis] of byName) {
+    if (!rxcuis.some(rxcui => FUZZY_TERM_TYPES.has(data.concepts[rxcui]?.[1]))) continue;
+    (byLength[name.length] ||= []).push(name);
+  }
+
+  index = { release: data.release, builtAt: data.builtAt, concepts: data.concepts, byName, byLength };
+  log.info(`📚 Drug dictionary loaded (${data.release})`, {
+    concepts: Object.keys(data.concepts).length,
+    names: byName.size,
+  });
+  return index;
+}
+
+function toConcept(rxcui) {
+  const [name, tty, ingredients = []] = index.concepts[rxcui];
+  return {
+    rxcui,
+    name,
+    tty,
+    ingredients: tty === 'IN'
+      ? [{ rxcui, name }]
+      : ingredients.filter(id => index.concepts[id]).map(id => ({ rxcui: id, name: index.concepts[id][0] })),
+  };
+}
+
+// Concepts a dictionary name stands for, most general first
+function conceptsNamed(name) {
+  return (index.byName.get(name) || [])
+    .filter(rxcui => index.concepts[rxcui])
+    .sort((a, b) => rankOf(index.concepts[a][1]) - rankOf(index.concepts[b][1]))
+    .map(toConcept);
+}
+
+/**
+ * Ingredient and brand names closest to a name, closest first
+ * @returns {Object[]} [{ name, distance, similarity }]
+ */
+function nearestNames(name, minSimilarity, limit) {
+  const nearest = [];
+  // Names too much shorter or longer can't reach minSimilarity
+  const shortest = Math.ceil(name.length * minSimilarity);
+  const longest = Math.floor(name.length / minSimilarity);
+  for (let length = shortest; length <= longest; length++) {
+    for (const candidate of index.byLength[length] || []) {
+      const { distance, similarity } = compareNames(name, candidate);
+      if (similarity > minSimilarity) nearest.push({ name: candidate, distance, similarity });
+    }
+  }
+  return nearest.sort((a, b) => a.distance - b.distance).slice(0, limit);
+}
+
+const drugDictionaryService = {
+  FORMAT,
+  VERSION,
+  normalizeName,
+
+  /**
+   * Whether a dictionary was built and could be read
+   */
+  isAvailable() {
+    return load() !== null;
+  },
+
+  /**
+   * Release and size of the loaded dictionary, or null
+   */
+  describe() {
+    if (!load()) return null;
+    return { release: index.release, builtAt: index.builtAt, names: index.byName.size };
+  },
+
+  /**
+   * Concepts known by exactly this name or synonym (strength and dose form ignored
+   * when the full name isn't known), most general first
+   * @param {string} drugName
+   * @returns {Object[]|null} [{ rxcui, name, tty, ingredients: [{ rxcui, name }] }], null without a dictionary
+   */
+  lookup(drugName) {
+    if (!load()) return null;
+    const exact = conceptsNamed(normalizeName(drugName));
+    return exact.length > 0 ? exact : conceptsNamed(drugKey(drugName));
+  },
+
+  /**
+   * The concept a prescribed name most likely means: an exact name, else the
+   * closest ingredient or brand name (same rule as the online spelling correction)
+   * @param {string} drugName
+   * @returns {Object|null} { concept, confidence, wasCorrected } or null (also without a dictionary)
+   */
+  match(drugName) {
+    const exact = this.lookup(drugName);
+    if (!exact) return null;
+    if (exact.length > 0) return { concept: exact[0], confidence: 1.0, wasCorrected: false };
+
+    const [closest] = nearestNames(drugKey(drugName), MIN_SIMILARITY, 1);
+    if (!closest) return null;
+    return { concept: conceptsNamed(closest.name)[0], confidence: closest.similarity, wasCorrected: true };
+  },
+
+  /**
+   * Names to offer when a drug isn't recognized
+   * @returns {string[]}
+   */
+  suggest(drugName, limit = 3) {
+    if (!load()) return [];
+    // Several names (synonyms) can stand for one concept
+    const names = nearestNames(drugKey(drugName), 0.4, limit * 3).map(({ name }) => conceptsNamed(name)[0].name);
+    return [...new Set(names)].slice(0, limit);
+  },
+};
+
+module.exports = drugDictionaryService;
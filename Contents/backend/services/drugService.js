@@ -1,58 +1,249 @@
 const axios = require('axios');
-const { comprehensiveSafetyCheck } = require('../utils/safetyChecker');
+const { comprehensiveSafetyCheck, productSafetyCheck } = require('../utils/safetyChecker');
+const { drugKey, normalizeSeverity, makeInteraction, mergeInteractions } = require('../utils/interactions');
+const { compareNames, MIN_SIMILARITY } = require('../utils/levenshtein');
+const { atcCodesOf, classesOf, sameSubstance } = require('../utils/drugClasses');
+const rxnormCache = require('./rxnormCacheService');
+const drugDictionary = require('./drugDictionaryService');
+const brandService = require('./brandService');
+const logger = require('../utils/logger');
+
+const log = logger.child('Drug');
+const validatorLog = logger.child('DrugValidator');
 
 const RXNORM_BASE = process.env.RXNORM_BASE_URL || 'https://rxnav.nlm.nih.gov/REST';
 const OPENFDA_BASE = process.env.OPENFDA_BASE_URL || 'https://api.fda.gov/drug';
+// false = names only from the local drug dictionary, interactions only from the fallback list
+const RXNORM_ONLINE = process.env.RXNORM_ONLINE !== 'false';
 
 /**
- * Calculate Levenshtein distance for fuzzy string matching
+ * GET an RxNorm endpoint through the cache (see rxnormCacheService)
+ * @param {string} kind - rxcui | drugs | approximate | rxclass | interaction | interactionList
+ * @param {string} endpoint - Path under RXNORM_BASE
+ * @param {Object} params - Query parameters (also the cache key)
+ * @param {Function} [isNotFound] - Whether a response means "not found" (cached for less time)
+ * @returns {Object} Response body
  */
-function levenshteinDistance(str1, str2) {
-  const len1 = str1.length;
-  const len2 = str2.length;
-  const matrix = [];
+function rxnormGet(kind, endpoint, params, isNotFound) {
+  if (!RXNORM_ONLINE) return Promise.reject(new Error('RxNorm lookups are off (RXNORM_ONLINE=false)'));
+  const key = Object.entries(params).map(([name, value]) => `${name}=${String(value).trim().toLowerCase()}`).join('&');
+  return rxnormCache.fetch(kind, key, async () => {
+    const res = await axios.get(`${RXNORM_BASE}/${endpoint}`, { params, timeout: 10000 });
+    return res.data;
+  }, { isNotFound });
+}
+
+// Known major interactions (simplified), used when RxNorm can't be reached
+const KNOWN_INTERACTIONS = {
+  warfarin: ['aspirin', 'ibuprofen', 'naproxen'],
+  metformin: ['alcohol', 'contrast dye'],
+  lisinopril: ['potassium supplements', 'spironolactone'],
+  sertraline: ['tramadol', 'sumatriptan', 'maoi'],
+};
+
+// "paracetamol + caffeine", "amlodipine / atorvastatin", "metformin and glimepiride"
+const COMBINATION_SEPARATOR = /\s*(?:\+|\/|,|&|\band\b|\bwith\b)\s*/i;
+const PART_STRENGTH = /\s+(\d+(?:\.\d+)?\s*(?:mg|mcg|g|ml|iu|%)?)$/i;
+// A prescribed dosage is an amount ("1000mg") or a number of tablets ("2 tablets", "2 tabs")
+const DOSE_AMOUNT = /\d+(?:\.\d+)?\s*(?:mg|mcg|g)\b/i;
+const TABLET_COUNT = /(?<![\d./])(\d+(?:\.\d+)?)\s*(?:tab(?:let)?s?|cap(?:sule)?s?)\b/i;
 
-  for (let i = 0; i <= len1; i++) {
-    matrix[i] = [i];
+// "150 mg" × 3 → "450 mg"
+function scaleStrength(strength, count) {
+  return strength.replace(/\d+(?:\.\d+)?/, amount => String(Number(amount) * count));
+}
+
+/**
+ * What safety checks look at for a medication: its active ingredients. A brand
+ * has those listed in brandService ("Telma-AM" → telmisartan, amlodipine), a
+ * combination written out is split into its parts; any other name is one ingredient.
+ * @param {string} drugName - Medication name as the patient has it
+ * @returns {Object[]} [{ name, strength, product }] — product is drugName for a
+ *   brand or combination, null when the medication is the ingredient itself
+ */
+function ingredientsOf(drugName) {
+  const brand = brandService.resolve(drugName);
+  if (brand) return brand.ingredients.map(ingredient => ({ ...ingredient, product: drugName }));
+
+  const parts = String(drugName || '').split(COMBINATION_SEPARATOR).map(part => part.trim());
+  // "Insulin 70/30" is one drug: every part of a combination is named
+  if (parts.length > 1 && parts.every(part => /[a-z]{3}/i.test(part))) {
+    return parts.flatMap(part => {
+      const inner = brandService.resolve(part);
+      if (inner) return inner.ingredients.map(ingredient => ({ ...ingredient, product: drugName }));
+      const strength = part.match(PART_STRENGTH);
+      return [{ name: strength ? part.slice(0, strength.index) : part, strength: strength?.[1] || null, product: drugName }];
+    });
   }
-  for (let j = 0; j <= len2; j++) {
-    matrix[0][j] = j;
+  return [{ name: drugName, strength: null, product: null }];
+}
+
+function isKnownPair(drugA, drugB) {
+  const [a, b] = [drugKey(drugA), drugKey(drugB)];
+  return Boolean(KNOWN_INTERACTIONS[a]?.includes(b) || KNOWN_INTERACTIONS[b]?.includes(a));
+}
+
+/**
+ * Known interaction between two ingredients (each { name, rxcui, product }), or null
+ */
+function knownInteraction(a, b) {
+  if (!isKnownPair(a.name, b.name)) return null;
+  return makeInteraction(a, b, {
+    severity: 'high',
+    source: 'fallback',
+    description: `Known interaction between ${a.name} and ${b.name}. This combination may be dangerous.`,
+    recommendation: 'Contact your physician immediately before taking both medications.',
+  });
+}
+
+/**
+ * What two medications have in common (each as getDrugClasses returns it):
+ * an ingredient, else a therapeutic class
+ * @returns {Object|null} { ingredient } or { drugClass }
+ */
+function sharedUse(first, second) {
+  for (const a of first) {
+    for (const b of second) {
+      if (drugKey(a.ingredient) === drugKey(b.ingredient) || sameSubstance(a.atc, b.atc)) return { ingredient: a.ingredient };
+    }
   }
+  for (const a of first) {
+    for (const b of second) {
+      const drugClass = a.classes.find(c => b.classes.some(other => other.code === c.code));
+      if (drugClass) return { drugClass };
+    }
+  }
+  return null;
+}
 
-  for (let i = 1; i <= len1; i++) {
-    for (let j = 1; j <= len2; j++) {
-      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-      matrix[i][j] = Math.min(
-        matrix[i - 1][j] + 1,
-        matrix[i][j - 1] + 1,
-        matrix[i - 1][j - 1] + cost
-      );
+/**
+ * Duplication between two medications, as an interaction with source 'duplicate'
+ */
+function duplicateInteraction(first, second, { ingredient, drugClass }) {
+  const details = ingredient
+    ? {
+      severity: 'high',
+      description: `${first} and ${second} both contain ${ingredient}. Taking both can add up to more than a safe dose.`,
+      recommendation: 'Ask your doctor or pharmacist which one to take before taking both.',
     }
+    : {
+      severity: 'moderate',
+      description: `${first} and ${second} are both ${drugClass.name}: two medicines doing the same job (${drugClass.job}).`,
+      recommendation: 'Check with your doctor that both are meant to be taken; usually one is enough.',
+    };
+  return makeInteraction({ name: first }, { name: second }, { ...details, source: 'duplicate' });
+}
+
+/**
+ * Validation of a brand or combination: valid when every ingredient is.
+ * A brand's ingredients come from the curated list; written-out ones are
+ * checked like any other name.
+ */
+async function validateProduct(drugName, ingredients) {
+  const brand = brandService.resolve(drugName);
+  const checks = await Promise.all(ingredients.map(async ingredient => (brand
+    ? { valid: true, confidence: 1.0, rxcui: await drugService.getRxCUI(ingredient.name) }
+    : drugService.validateAndNormalizeDrugName(ingredient.name))));
+
+  if (checks.some(check => !check.valid)) {
+    validatorLog.info('❌ Combination with an unrecognized ingredient', { drugName });
+    return {
+      valid: false,
+      originalName: drugName,
+      correctedName: null,
+      confidence: 0,
+      suggestions: checks.flatMap(check => check.suggestions || []).slice(0, 3),
+    };
   }
 
-  return matrix[len1][len2];
+  validatorLog.info(brand ? '🏷️ Brand name recognized' : '🧩 Combination recognized', {
+    drugName,
+    correctedName: ingredients.map(ingredient => ingredient.name).join(' + '),
+  });
+  return {
+    valid: true,
+    originalName: drugName,
+    correctedName: drugName,
+    confidence: Math.min(...checks.map(check => check.confidence)),
+    rxcui: ingredients.length === 1 ? checks[0].rxcui || null : null,
+    ...(brand && { brand: brand.brand }),
+    ingredients: ingredients.map(({ name, strength }, i) => ({ name, strength, rxcui: checks[i].rxcui || null })),
+  };
+}
+
+/**
+ * RxNorm interactionPair → interaction between its two concepts
+ * @param {Object} pair - interactionPair from the RxNorm interaction API
+ * @param {number} tier - Tier when RxNorm gives no usable severity ("N/A")
+ * @param {Object[]} [drugs] - [{ name, rxcui, product }] to use instead of the pair's concepts
+ */
+function fromRxNormPair(pair, tier, drugs) {
+  const [first, second] = drugs || (pair.interactionConcept || [])
+    .map(c => ({ name: c.minConceptItem?.name, rxcui: c.minConceptItem?.rxcui }));
+  if (!first?.name || !second?.name) return null;
+
+  const lifeThreatening = pair.description?.toLowerCase().includes('life-threatening');
+  const interaction = makeInteraction(first, second, {
+    severity: lifeThreatening ? 'high' : normalizeSeverity(pair.severity, tier),
+    source: 'rxnorm',
+    description: pair.description || 'Interaction detected',
+  });
+  interaction.recommendation = drugService.getRecommendation(interaction.tier);
+  return interaction;
 }
 
 /**
- * Drug Service — Handles drug lookups, interaction checks via RxNorm & OpenFDA
+ * Drug Service — Handles drug lookups, interaction checks via RxNorm & OpenFDA.
+ * Brands and combinations are taken apart into their ingredients first, and
+ * every check runs per ingredient, naming the product it came from.
+ * Names are looked up in the local drug dictionary first (drugDictionaryService);
+ * RxNorm is asked only for names it doesn't know, and for interactions.
  */
 const drugService = {
   /**
-   * Validate and normalize drug name using RxNorm
-   * Returns corrected name if found, or suggestions if not found
+   * Validate and normalize drug name: brands and combinations, then the local dictionary, then RxNorm
+   * Returns corrected name if found, or suggestions if not found. A brand or
+   * combination is returned as written, with its `ingredients` ([{ name, strength,
+   * rxcui }]) added, and `brand` for a brand.
    */
   async validateAndNormalizeDrugName(drugName) {
     if (!drugName || drugName === 'CLARIFICATION_NEEDED') {
       return { valid: false, originalName: drugName, correctedName: null, confidence: 0 };
     }
 
+    // Step 0: Brand or combination — kept as written, checked through its ingredients
+    const ingredients = ingredientsOf(drugName);
+    if (ingredients[0].product) return validateProduct(drugName, ingredients);
+
+    // Step 1: Local dictionary (exact name, then spelling correction) — works offline
+    const local = drugDictionary.match(drugName);
+    if (local) {
+      validatorLog.info(local.wasCorrected ? '📝 Spelling correction (local)' : '✅ Exact match found (local)', {
+        drugName,
+        correctedName: local.concept.name,
+        confidence: Number(local.confidence.toFixed(2)),
+      });
+      return {
+        valid: true,
+        originalName: drugName,
+        correctedName: local.concept.name,
+        confidence: local.confidence,
+        rxcui: local.concept.rxcui,
+        ...(local.wasCorrected && { wasCorrected: true }),
+      };
+    }
+    if (!RXNORM_ONLINE) {
+      validatorLog.info('❌ No valid drug found (local)', { drugName });
+      return { valid: false, originalName: drugName, correctedName: null, confidence: 0, suggestions: drugDictionary.suggest(drugName) };
+    }
+
     try {
-      console.log(`[DrugValidator] Checking: "${drugName}"`);
+      validatorLog.debug('Checking', { drugName });
       
-      // Step 1: Check exact match
+      // Step 2: Check exact match with RxNorm
       const exactMatch = await this.lookupDrug(drugName);
       if (exactMatch.found && exactMatch.concepts && exactMatch.concepts.length > 0) {
-        console.log(`[DrugValidator] ✅ Exact match found: ${exactMatch.concepts[0].name}`);
+        validatorLog.info('✅ Exact match found', { drugName, correctedName: exactMatch.concepts[0].name });
         return {
           valid: true,
           originalName: drugName,
@@ -62,13 +253,11 @@ const drugService = {
         };
       }
 
-      // Step 2: Try approximate spelling search
-      const approxRes = await axios.get(`${RXNORM_BASE}/approximateTerm.json`, {
-        params: { term: drugName, maxEntries: 5 },
-        timeout: 10000,
-      });
+      // Step 3: Try approximate spelling search
+      const approx = await rxnormGet('approximate', 'approximateTerm.json', { term: drugName, maxEntries: 5 },
+        data => !data?.approximateGroup?.candidate?.length);
 
-      const candidates = approxRes.data?.approximateGroup?.candidate;
+      const candidates = approx?.approximateGroup?.candidate;
       if (candidates && candidates.length > 0) {
         // Find best match using Levenshtein distance
         let bestMatch = null;
@@ -83,13 +272,9 @@ const drugService = {
             continue;
           }
           
-          const distance = levenshteinDistance(
-            drugName.toLowerCase(),
-            candidateName.toLowerCase()
-          );
-          const similarity = 1 - (distance / Math.max(drugName.length, candidateName.length));
+          const { distance, similarity } = compareNames(drugName, candidateName);
           
-          if (distance < bestScore && similarity > 0.6) {
+          if (distance < bestScore && similarity > MIN_SIMILARITY) {
             bestScore = distance;
             bestMatch = {
               name: candidateName,
@@ -100,7 +285,11 @@ const drugService = {
         }
 
         if (bestMatch) {
-          console.log(`[DrugValidator] 📝 Spelling correction: "${drugName}" → "${bestMatch.name}" (confidence: ${(bestMatch.confidence * 100).toFixed(0)}%)`);
+          validatorLog.info('📝 Spelling correction', {
+            drugName,
+            correctedName: bestMatch.name,
+            confidence: Number(bestMatch.confidence.toFixed(2)),
+          });
           return {
             valid: true,
             originalName: drugName,
@@ -112,11 +301,11 @@ const drugService = {
         }
       }
 
-      // Step 3: No valid match found
-      console.log(`[DrugValidator] ❌ No valid drug found for: "${drugName}"`);
+      // Step 4: No valid match found
+      validatorLog.info('❌ No valid drug found', { drugName });
       const suggestions = candidates 
         ? candidates.slice(0, 3).map(c => typeof c === 'string' ? c : c.name).filter(Boolean)
-        : [];
+        : drugDictionary.suggest(drugName);
       return {
         valid: false,
         originalName: drugName,
@@ -125,22 +314,24 @@ const drugService = {
         suggestions
       };
     } catch (err) {
-      console.error('[DrugValidator] Validation failed:', err.message);
-      return { valid: false, originalName: drugName, correctedName: null, confidence: 0 };
+      validatorLog.error('Validation failed', { error: err.message });
+      return { valid: false, originalName: drugName, correctedName: null, confidence: 0, suggestions: drugDictionary.suggest(drugName) };
     }
   },
 
   /**
-   * Lookup drug info from RxNorm
+   * Lookup drug info from the local dictionary, else RxNorm
    */
   async lookupDrug(drugName) {
+    const local = drugDictionary.lookup(drugName);
+    if (local?.length > 0) {
+      return { found: true, name: drugName, concepts: local.map(({ rxcui, name, tty }) => ({ rxcui, name, synonym: '', tty })) };
+    }
+
     try {
-      const res = await axios.get(`${RXNORM_BASE}/drugs.json`, {
-        params: { name: drugName },
-        timeout: 10000,
-      });
+      const data = await rxnormGet('drugs', 'drugs.json', { name: drugName }, body => !body?.drugGroup?.conceptGroup);
 
-      const group = res.data?.drugGroup;
+      const group = data?.drugGroup;
       if (!group || !group.conceptGroup) {
         return { found: false, name: drugName, message: 'Drug not found in RxNorm' };
       }
@@ -159,117 +350,210 @@ const drugService = {
 
       return { found: true, name: drugName, concepts };
     } catch (err) {
-      console.error('[Drug] RxNorm lookup failed:', err.message);
+      log.error('RxNorm lookup failed', { error: err.message });
       return { found: false, name: drugName, message: err.message };
     }
   },
 
   /**
-   * Get RxCUI (RxNorm Concept Unique Identifier) for a drug
+   * Get RxCUI (RxNorm Concept Unique Identifier) for a drug (its ingredient's, for a single-ingredient brand)
    */
   async getRxCUI(drugName) {
+    const ingredients = ingredientsOf(drugName);
+    const name = ingredients.length === 1 ? ingredients[0].name : drugName;
+    const local = drugDictionary.lookup(name);
+    if (local?.length > 0) return local[0].rxcui;
+    if (!RXNORM_ONLINE) return null;
+
     try {
-      const res = await axios.get(`${RXNORM_BASE}/rxcui.json`, {
-        params: { name: drugName, search: 1 },
-        timeout: 10000,
-      });
-      const ids = res.data?.idGroup?.rxnormId;
+      const data = await rxnormGet('rxcui', 'rxcui.json', { name, search: 1 }, body => !body?.idGroup?.rxnormId?.length);
+      const ids = data?.idGroup?.rxnormId;
       return ids && ids.length > 0 ? ids[0] : null;
     } catch (err) {
-      console.error('[Drug] RxCUI lookup failed:', err.message);
+      log.error('RxCUI lookup failed', { error: err.message });
       return null;
     }
   },
 
   /**
-   * Check drug interactions using RxNorm interaction API
+   * RxCUIs of several drugs, looked up concurrently
+   * @param {string[]} drugNames
+   * @returns {Array<string|null>} In the same order as drugNames
    */
-  async checkInteractions(drugName, currentMeds = []) {
+  async resolveRxCUIs(drugNames) {
+    return Promise.all(drugNames.map(name => this.getRxCUI(name)));
+  },
+
+  /**
+   * Check drug interactions using RxNorm interaction API, for each ingredient of the drug
+   * @param {string} drugName - Drug being checked
+   * @param {string[]} currentMeds - The patient's other medications
+   * @param {Object[]} [listed] - checkMedicationList of a list the drug is in, when the caller
+   *   checks several drugs against the same medications (one list check, not one per drug)
+   * @returns {Object[]} One interaction per pair (see utils/interactions.js), duplicates of
+   *   current meds included (source 'duplicate')
+   */
+  async checkInteractions(drugName, currentMeds = [], listed = null) {
     const interactions = [];
+    const ingredients = ingredientsOf(drugName);
+    const key = drugKey(drugName);
+    const involvesDrug = i => drugKey(i.product1 || i.drug1) === key || drugKey(i.product2 || i.drug2) === key;
+    // Interactions and duplicates with the other medications (the list check works without RxNorm too)
+    const withOthers = (listed || (currentMeds.length > 0 ? await this.checkMedicationList([drugName, ...currentMeds]) : []))
+      .filter(involvesDrug);
+    const fallback = () => mergeInteractions([...this.getFallbackInteractions(drugName, currentMeds), ...withOthers]);
+    if (!RXNORM_ONLINE) return fallback();
 
     try {
-      // Get RxCUI for the new drug
-      const rxcui = await this.getRxCUI(drugName);
-      if (!rxcui) {
-        console.log(`[Drug] No RxCUI found for ${drugName}, using fallback`);
-        return this.getFallbackInteractions(drugName, currentMeds);
+      // Get RxCUI for each ingredient of the new drug
+      const rxcuis = await this.resolveRxCUIs(ingredients.map(ingredient => ingredient.name));
+      if (!rxcuis.some(Boolean)) {
+        log.info('No RxCUI found, using fallback', { drugName });
+        return fallback();
       }
 
       // Check interactions via RxNorm
-      const res = await axios.get(`${RXNORM_BASE}/interaction/interaction.json`, {
-        params: { rxcui },
-        timeout: 10000,
-      });
+      const reports = await Promise.all(rxcuis.map(rxcui => (rxcui ? rxnormGet('interaction', 'interaction/interaction.json', { rxcui }) : null)));
 
-      const groups = res.data?.interactionTypeGroup;
-      if (groups) {
-        for (const group of groups) {
+      reports.forEach((data, i) => {
+        for (const group of data?.interactionTypeGroup || []) {
           for (const type of group.interactionType || []) {
             for (const pair of type.interactionPair || []) {
-              const interacting = pair.interactionConcept?.map(c => c.minConceptItem?.name).join(' + ');
-              const severity = pair.severity || 'N/A';
-
-              // Determine tier based on severity
-              let tier = 3;
-              if (severity === 'high' || pair.description?.toLowerCase().includes('life-threatening')) {
-                tier = 1;
-              } else if (severity === 'moderate' || severity === 'medium') {
-                tier = 2;
-              }
-
-              interactions.push({
-                tier,
-                drug: interacting || drugName,
-                description: pair.description || 'Interaction detected',
-                severity,
-                recommendation: this.getRecommendation(tier),
-              });
+              // The ingredient checked is named with the product it is in
+              const drugs = (pair.interactionConcept || []).map(c => ({
+                name: c.minConceptItem?.name,
+                rxcui: c.minConceptItem?.rxcui,
+                product: c.minConceptItem?.rxcui === rxcuis[i] ? ingredients[i].product : null,
+              }));
+              const interaction = fromRxNormPair(pair, 3, drugs);
+              if (interaction) interactions.push(interaction);
             }
           }
         }
-      }
+      });
 
-      // Also check against current meds
-      if (currentMeds.length > 0) {
-        const allRxcuis = [rxcui];
-        for (const med of currentMeds) {
-          const medRxcui = await this.getRxCUI(med);
-          if (medRxcui) allRxcuis.push(medRxcui);
-        }
+      // Interactions and duplicates with the current meds
+      interactions.push(...withOthers);
 
-        if (allRxcuis.length > 1) {
-          const listRes = await axios.get(`${RXNORM_BASE}/interaction/list.json`, {
-            params: { rxcuis: allRxcuis.join('+') },
-            timeout: 10000,
-          });
+      // Add common dietary interactions
+      interactions.push(...this.getDietaryInteractions(drugName, rxcuis));
 
-          const fullInteractions = listRes.data?.fullInteractionTypeGroup;
-          if (fullInteractions) {
-            for (const group of fullInteractions) {
-              for (const type of group.fullInteractionType || []) {
-                for (const pair of type.interactionPair || []) {
-                  interactions.push({
-                    tier: 2,
-                    drug: pair.interactionConcept?.map(c => c.minConceptItem?.name).join(' + ') || 'Unknown',
-                    description: pair.description || 'Interaction with current medication',
-                    recommendation: 'Consult your physician about this combination.',
-                  });
+    } catch (err) {
+      log.error('Interaction check failed', { error: err.message });
+      return fallback();
+    }
+
+    return mergeInteractions(interactions);
+  },
+
+  /**
+   * Drug–drug interactions among a list of medications, one per pair, checked
+   * between the ingredients of different medications, and therapeutic
+   * duplicates (see checkDuplicates). Known combinations are found even when
+   * RxNorm is unavailable.
+   * @param {string[]} drugNames - Medication names as the patient has them
+   * @returns {Object[]} Interactions (see utils/interactions.js) whose drug1 and drug2 are names
+   *   from drugNames — or, for brands and combinations, product1 and product2
+   */
+  async checkMedicationList(drugNames) {
+    const names = [...new Set(drugNames.filter(Boolean))];
+    if (names.length < 2) return [];
+
+    // Every ingredient of every medication, with the medication it belongs to
+    const entries = names.flatMap((name, med) => ingredientsOf(name).map(ingredient => ({ ...ingredient, med })));
+
+    const interactions = entries.flatMap((a, i) => entries.slice(i + 1)
+      .filter(b => b.med !== a.med)
+      .map(b => knownInteraction(a, b))
+      .filter(Boolean));
+
+    try {
+      const rxcuis = await this.resolveRxCUIs(entries.map(entry => entry.name));
+      const byRxcui = new Map();
+      entries.forEach((entry, i) => {
+        if (!rxcuis[i]) return;
+        entry.rxcui = rxcuis[i];
+        byRxcui.set(entry.rxcui, [...(byRxcui.get(entry.rxcui) || []), entry]);
+      });
+
+      if (RXNORM_ONLINE && byRxcui.size > 1) {
+        // Sorted, so the same medications in any order are one cache entry
+        const data = await rxnormGet('interactionList', 'interaction/list.json', { rxcuis: [...byRxcui.keys()].sort().join('+') });
+
+        for (const group of data?.fullInteractionTypeGroup || []) {
+          for (const type of group.fullInteractionType || []) {
+            for (const pair of type.interactionPair || []) {
+              const [first = [], second = []] = (pair.interactionConcept || []).map(c => byRxcui.get(c.minConceptItem?.rxcui));
+              for (const a of first) {
+                for (const b of second) {
+                  if (a.med !== b.med) interactions.push(fromRxNormPair(pair, 2, [a, b]));
                 }
               }
             }
           }
         }
       }
+    } catch (err) {
+      log.error('Interaction list check failed', { error: err.message });
+    }
 
-      // Add common dietary interactions
-      interactions.push(...this.getDietaryInteractions(drugName));
+    interactions.push(...await this.checkDuplicates(names));
+    return mergeInteractions(interactions);
+  },
 
+  /**
+   * Therapeutic duplication among a list of medications: two with the same
+   * ingredient ("Dolo 650" and "Crocin", both paracetamol) or of the same class
+   * (two NSAIDs, two statins), typically from different prescriptions
+   * @param {string[]} drugNames - Medication names as the patient has them
+   * @returns {Object[]} Interactions with source 'duplicate' whose drug1 and drug2 are names from drugNames
+   */
+  async checkDuplicates(drugNames) {
+    const names = [...new Set(drugNames.filter(Boolean))];
+    if (names.length < 2) return [];
+
+    const classes = await Promise.all(names.map(name => this.getDrugClasses(name)));
+    const duplicates = [];
+    names.forEach((first, i) => {
+      names.slice(i + 1).forEach((second, k) => {
+        const shared = sharedUse(classes[i], classes[i + 1 + k]);
+        if (shared) duplicates.push(duplicateInteraction(first, second, shared));
+      });
+    });
+    return duplicates;
+  },
+
+  /**
+   * ATC codes and therapeutic classes of each ingredient of a medication —
+   * from the built-in list (utils/drugClasses.js), else RxClass
+   * @param {string} drugName
+   * @returns {Object[]} [{ ingredient, atc: [codes], classes: [{ code, name, job }] }]
+   */
+  async getDrugClasses(drugName) {
+    return Promise.all(ingredientsOf(drugName).map(async ({ name }) => {
+      const atc = atcCodesOf(name) || await this.getAtcClasses(name);
+      return { ingredient: name, atc, classes: classesOf(atc) };
+    }));
+  },
+
+  /**
+   * ATC class codes of an ingredient from RxClass ([] when unknown or RxClass can't be reached)
+   * @param {string} ingredient
+   */
+  async getAtcClasses(ingredient) {
+    if (!RXNORM_ONLINE) return [];
+    try {
+      const data = await rxnormGet('rxclass', 'rxclass/class/byDrugName.json',
+        { drugName: drugKey(ingredient), relaSource: 'ATC' },
+        res => !res?.rxclassDrugInfoList);
+      const codes = (data?.rxclassDrugInfoList?.rxclassDrugInfo || [])
+        .map(info => info.rxclassMinConceptItem?.classId)
+        .filter(Boolean);
+      return [...new Set(codes)];
     } catch (err) {
-      console.error('[Drug] Interaction check failed:', err.message);
-      return this.getFallbackInteractions(drugName, currentMeds);
+      log.warn('Drug class lookup failed', { drugName: ingredient, error: err.message });
+      return [];
     }
-
-    return interactions;
   },
 
   /**
@@ -304,49 +588,33 @@ const drugService = {
   },
 
   /**
-   * Get dietary interactions for common drugs
+   * Get dietary interactions for common drugs, for each of its ingredients
+   * @param {string} drugName
+   * @param {Array<string|null>} [rxcuis] - RxCUIs of its ingredients, in order, when known
    */
-  getDietaryInteractions(drugName) {
+  getDietaryInteractions(drugName, rxcuis = []) {
     const dietaryMap = {
-      amlodipine: [{ tier: 3, drug: 'Grapefruit', description: 'Grapefruit may increase blood levels of amlodipine, increasing the risk of side effects.', recommendation: 'Avoid grapefruit juice while on this medication.' }],
-      atorvastatin: [{ tier: 3, drug: 'Grapefruit', description: 'Grapefruit can increase statin levels in the blood.', recommendation: 'Limit grapefruit consumption to small amounts.' }],
-      warfarin: [{ tier: 2, drug: 'Vitamin K foods', description: 'Foods high in Vitamin K (spinach, kale) can reduce warfarin effectiveness.', recommendation: 'Keep vitamin K intake consistent day to day.' }],
-      metformin: [{ tier: 3, drug: 'Alcohol', description: 'Alcohol increases the risk of lactic acidosis with metformin.', recommendation: 'Limit alcohol consumption.' }],
-      lisinopril: [{ tier: 3, drug: 'Potassium-rich foods', description: 'Lisinopril can increase potassium. Avoid excess bananas, oranges, salt substitutes.', recommendation: 'Do not take potassium supplements without doctor advice.' }],
-      ciprofloxacin: [{ tier: 3, drug: 'Dairy products', description: 'Calcium in dairy can reduce ciprofloxacin absorption.', recommendation: 'Take 2 hours before or 6 hours after dairy products.' }],
+      amlodipine: [{ tier: 3, food: 'Grapefruit', description: 'Grapefruit may increase blood levels of amlodipine, increasing the risk of side effects.', recommendation: 'Avoid grapefruit juice while on this medication.' }],
+      atorvastatin: [{ tier: 3, food: 'Grapefruit', description: 'Grapefruit can increase statin levels in the blood.', recommendation: 'Limit grapefruit consumption to small amounts.' }],
+      warfarin: [{ tier: 2, food: 'Vitamin K foods', description: 'Foods high in Vitamin K (spinach, kale) can reduce warfarin effectiveness.', recommendation: 'Keep vitamin K intake consistent day to day.' }],
+      metformin: [{ tier: 3, food: 'Alcohol', description: 'Alcohol increases the risk of lactic acidosis with metformin.', recommendation: 'Limit alcohol consumption.' }],
+      lisinopril: [{ tier: 3, food: 'Potassium-rich foods', description: 'Lisinopril can increase potassium. Avoid excess bananas, oranges, salt substitutes.', recommendation: 'Do not take potassium supplements without doctor advice.' }],
+      ciprofloxacin: [{ tier: 3, food: 'Dairy products', description: 'Calcium in dairy can reduce ciprofloxacin absorption.', recommendation: 'Take 2 hours before or 6 hours after dairy products.' }],
     };
 
-    const key = drugName.toLowerCase();
-    return dietaryMap[key] || [];
+    return ingredientsOf(drugName).flatMap(({ name, product }, i) =>
+      (dietaryMap[drugKey(name)] || []).map(({ food, ...details }) =>
+        makeInteraction({ name, rxcui: rxcuis[i], product }, { name: food }, { ...details, source: 'dietary' })));
   },
 
   /**
    * Fallback interactions when API is unavailable
    */
   getFallbackInteractions(drugName, currentMeds) {
-    const interactions = [];
-
-    // Known major interactions (simplified)
-    const knownInteractions = {
-      warfarin: ['aspirin', 'ibuprofen', 'naproxen'],
-      metformin: ['alcohol', 'contrast dye'],
-      lisinopril: ['potassium supplements', 'spironolactone'],
-      sertraline: ['tramadol', 'sumatriptan', 'maoi'],
-    };
-
-    const key = drugName.toLowerCase();
-    if (knownInteractions[key]) {
-      for (const med of currentMeds) {
-        if (knownInteractions[key].includes(med.toLowerCase())) {
-          interactions.push({
-            tier: 1,
-            drug: med,
-            description: `Known interaction between ${drugName} and ${med}. This combination may be dangerous.`,
-            recommendation: 'Contact your physician immediately before taking both medications.',
-          });
-        }
-      }
-    }
+    const others = currentMeds.flatMap(med => ingredientsOf(med));
+    const interactions = ingredientsOf(drugName)
+      .flatMap(ingredient => others.map(other => knownInteraction(ingredient, other)))
+      .filter(Boolean);
 
     interactions.push(...this.getDietaryInteractions(drugName));
     return interactions;
@@ -359,12 +627,24 @@ const drugService = {
   },
 
   /**
-   * Enhanced safety check with food, age, and dosage warnings
+   * Enhanced safety check with food, age, and dosage warnings — per ingredient
+   * for a brand or combination, each warning naming its ingredient
    */
   getEnhancedSafetyInfo(drugName, dosage, patientAge, currentMeds = []) {
-    return comprehensiveSafetyCheck(drugName, dosage, patientAge, currentMeds);
+    const ingredients = ingredientsOf(drugName);
+    if (!ingredients[0].product) return comprehensiveSafetyCheck(drugName, dosage, patientAge, currentMeds);
+    // A prescribed amount is the ingredient's when there is one ("Dolo 650" at 1000mg);
+    // a number of tablets multiplies each ingredient's strength
+    const amount = ingredients.length === 1 && DOSE_AMOUNT.test(dosage || '') ? dosage : null;
+    const tablets = Number(String(dosage || '').match(TABLET_COUNT)?.[1]) || 1;
+    const strengths = ingredients.map(({ name, strength }) => ({
+      name,
+      strength: amount || (strength ? scaleStrength(strength, tablets) : null),
+    }));
+    return productSafetyCheck(drugName, strengths, patientAge, currentMeds);
   },
 
+
   /**
    * Generate complete safety warning text for patient
    */
@@ -380,9 +660,10 @@ const drugService = {
       }
     }
     
-    // Age warnings
+    // Age warnings (per ingredient, for a brand or combination)
+    const about = item => (item.ingredient ? ` (${item.ingredient})` : '');
     safetyReport.ageWarnings.forEach(warning => {
-      warnings.push(`👵 AGE WARNING: ${warning.warning}`);
+      warnings.push(`👵 AGE WARNING: ${warning.warning}${about(warning)}`);
       if (warning.note) {
         warnings.push(`   Note: ${warning.note}`);
       }
@@ -393,7 +674,7 @@ const drugService = {
     
     // Dosage alerts
     safetyReport.dosageAlerts.forEach(alert => {
-      warnings.push(`💊 DOSAGE ALERT: ${alert.alert}`);
+      warnings.push(`💊 DOSAGE ALERT: ${alert.alert}${about(alert)}`);
       if (alert.note) {
         warnings.push(`   ${alert.note}`);
       }
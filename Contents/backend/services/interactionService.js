@@ -0,0 +1,146 @@
+const db = require('../repositories');
+const drugService = require('./drugService');
+const logger = require('../utils/logger');
+const { drugKey, pairKey, makeInteraction } = require('../utils/interactions');
+
+const log = logger.child('Interactions');
+
+/**
+ * Interaction Service — Keeps a patient's interactions in step with their
+ * active medications. Whenever the list changes (a medication added, renamed
+ * or discontinued) every pair is checked again:
+ *   - pairs found for the first time are inserted
+ *   - pairs with a drug the patient no longer takes are retired (retired_at
+ *     is set; the row stays for the record)
+ *   - pairs that still apply are kept as they are, resolved or not, and a
+ *     retired pair whose drugs are both back is brought back the same way
+ *
+ * A pair both drugs of which are still taken is never retired, even when the
+ * check no longer finds it (RxNorm may simply be unavailable).
+ *
+ * Each pair is stored once while it applies: rows are matched on pair_key
+ * (utils/interactions.js), which the database also keeps unique. Copies of a
+ * pair stored before that are retired, keeping the one the patient resolved.
+ */
+
+const isUniqueViolation = (err) => err?.code === '23505';
+
+// Rows stored before pair_key existed get it from their drug names
+const keyOf = (row) => row.pair_key || pairKey(row.drug1, row.drug2, row.source);
+
+// interactions columns of an interaction (tier is derived from severity)
+function columns(interaction) {
+  const { tier, ...row } = interaction;
+  return row;
+}
+
+// One reconciliation at a time per patient, so two changes can't insert the same pair
+const queues = new Map();
+
+function serialized(patientId, task) {
+  const run = (queues.get(patientId) || Promise.resolve()).catch(() => {}).then(task);
+  queues.set(patientId, run);
+  run.catch(() => {}).finally(() => {
+    if (queues.get(patientId) === run) queues.delete(patientId);
+  });
+  return run;
+}
+
+const interactionService = {
+  /**
+   * Interactions that currently apply (not retired), newest first
+   * @param {string} patientId
+   */
+  async listCurrent(patientId) {
+    const rows = await db.interactions.listByPatient(patientId);
+    return rows.filter(row => !row.retired_at);
+  },
+
+  /**
+   * Save an interaction unless the pair is already there (returns the existing row then)
+   * @param {Object} row - { patient_id, drug1, rxcui1, product1, drug2, rxcui2, product2, severity,
+   *   source, description, recommendation, plain_explanation }
+   */
+  async record({ patient_id, drug1, rxcui1, product1, drug2, rxcui2, product2, plain_explanation, ...details }) {
+    const interaction = makeInteraction(
+      { name: drug1, rxcui: rxcui1, product: product1 },
+      { name: drug2, rxcui: rxcui2, product: product2 },
+      details
+    );
+    const current = async () => (await this.listCurrent(patient_id)).find(row => keyOf(row) === interaction.pair_key);
+
+    return serialized(patient_id, async () => {
+      const existing = await current();
+      if (existing) return existing;
+      try {
+        return await db.interactions.create({
+          patient_id,
+          ...columns(interaction),
+          plain_explanation: plain_explanation || '',
+          resolved: false,
+          retired_at: null,
+        });
+      } catch (err) {
+        // Stored meanwhile by another server
+        if (isUniqueViolation(err)) return current();
+        throw err;
+      }
+    });
+  },
+
+  /**
+   * Recompute a patient's interactions from their active medications
+   * @param {string} patientId
+   * @returns {Object} { added, retired, restored }
+   */
+  async reconcile(patientId) {
+    return serialized(patientId, async () => {
+      const medications = await db.medications.listActive(patientId);
+      const active = new Set(medications.map(m => drugKey(m.name)));
+      const found = await drugService.checkMedicationList(medications.map(m => m.name));
+
+      // Current rows first, resolved ones first among them: when a pair is
+      // stored more than once, the row kept is the current one the patient resolved
+      const rank = (row) => (row.retired_at ? 2 : 0) + (row.resolved ? 0 : 1);
+      const rows = (await db.interactions.listByPatient(patientId)).sort((a, b) => rank(a) - rank(b));
+
+      const kept = new Map();
+      const retire = [];
+      for (const row of rows) {
+        const key = keyOf(row);
+        // An ingredient of a combination applies while that product is taken
+        const applies = active.has(drugKey(row.product1 || row.drug1)) && active.has(drugKey(row.product2 || row.drug2));
+        if (applies && !kept.has(key)) kept.set(key, row);
+        else if (!row.retired_at) retire.push(row);
+      }
+
+      // Retire first, so a row brought back never meets a current one with its key
+      const now = new Date().toISOString();
+      for (const row of retire) await db.interactions.update(row.id, { retired_at: now });
+      const restored = [...kept].filter(([, row]) => row.retired_at || !row.pair_key);
+      for (const [key, row] of restored) await db.interactions.update(row.id, { pair_key: key, retired_at: null });
+
+      const totals = { added: 0, retired: retire.length, restored: restored.filter(([, row]) => row.retired_at).length };
+
+      for (const interaction of found) {
+        if (kept.has(interaction.pair_key)) continue;
+        kept.set(interaction.pair_key, interaction);
+        await db.interactions.create({
+          patient_id: patientId,
+          ...columns(interaction),
+          plain_explanation: interaction.description,
+          resolved: false,
+          retired_at: null,
+        });
+        totals.added++;
+      }
+
+      if (totals.added || totals.retired || totals.restored) {
+        log.info('🔁 Interactions reconciled', { patientId, ...totals });
+      }
+      return totals;
+    });
+  },
+};
+
+module.exports = interactionService;
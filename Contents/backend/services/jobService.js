@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Job Service — Tracks long-running prescription processing jobs in memory
+ * so clients can poll or stream (SSE) the real pipeline stages.
+ */
+
+const JOB_TTL = 30 * 60 * 1000; // Keep finished jobs for 30 minutes
+
+/**
+ * Pipeline stages in order, with the overall progress each one starts at
+ */
+const STAGES = {
+  queued: { order: 0, progress: 0, label: 'Waiting to start' },
+  hashing: { order: 1, progress: 5, label: 'Preparing image' },
+  cache_lookup: { order: 2, progress: 10, label: 'Checking previous scans' },
+  vision: { order: 3, progress: 20, label: 'Reading prescription' },
+  ocr_fallback: { order: 4, progress: 35, label: 'Reading prescription (OCR)' },
+  validation: { order: 5, progress: 50, label: 'Checking medicine names' },
+  interactions: { order: 6, progress: 65, label: 'Checking interactions' },
+  safety: { order: 7, progress: 80, label: 'Safety check' },
+  done: { order: 8, progress: 100, label: 'Complete' },
+};
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open SSE connection
+
+function publicView(job) {
+  return {
+    id: job.id,
+    requestId: job.requestId,
+    status: job.status,
+    stage: job.stage,
+    stageLabel: STAGES[job.stage]?.label || job.stage,
+    detail: job.detail,
+    progress: job.progress,
+    httpStatus: job.httpStatus,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+const jobService = {
+  STAGES,
+
+  /**
+   * Create a new job
+   * @param {string} type - e.g. 'prescription'
+   * @param {string} [ownerId] - User who started it; only they can read it back
+   */
+  create(type, ownerId = null) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      ownerId,
+      requestId: logger.getRequestId(), // Request that started it, for tracing in the logs
+      status: 'queued',
+      stage: 'queued',
+      detail: null,
+      progress: 0,
+      httpStatus: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    jobs.set(job.id, job);
+    return publicView(job);
+  },
+
+  /**
+   * Get a job (null if missing or started by someone else)
+   * @param {string} jobId
+   * @param {string} [userId] - Requesting user
+   */
+  get(jobId, userId = null) {
+    const job = jobs.get(jobId);
+    if (!job || (job.ownerId && job.ownerId !== userId)) return null;
+    return publicView(job);
+  },
+
+  /**
+   * Report a stage change
+   * @param {string} jobId
+   * @param {string} stage - One of STAGES
+   * @param {Object} [info] - { detail, current, total } for per-item stages (e.g. drug 2 of 5)
+   */
+  progress(jobId, stage, info = {}) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    const stageInfo = STAGES[stage] || {};
+    let progress = stageInfo.progress ?? job.progress;
+
+    // Spread per-item progress across the gap to the next stage
+    if (info.total > 0 && info.current) {
+      const next = Object.values(STAGES).find(s => s.order === stageInfo.order + 1);
+      const span = (next?.progress ?? 100) - progress;
+      progress += Math.round(span * ((info.current - 1) / info.total));
+    }
+
+    Object.assign(job, {
+      status: 'running',
+      stage,
+      detail: info.detail || null,
+      progress: Math.max(job.progress, progress),
+      updatedAt: new Date().toISOString(),
+    });
+    events.emit(jobId, { type: 'progress', job: publicView(job) });
+  },
+
+  /**
+   * Finish a job with the HTTP status and body the synchronous route would have returned
+   */
+  complete(jobId, httpStatus, body) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    Object.assign(job, {
+      status: httpStatus < 400 ? 'completed' : 'failed',
+      stage: 'done',
+      detail: null,
+      progress: 100,
+      httpStatus,
+      result: body,
+      error: httpStatus < 400 ? null : body?.error || 'Processing failed',
+      updatedAt: new Date().toISOString(),
+      finishedAt: Date.now(),
+    });
+    events.emit(jobId, { type: job.status, job: publicView(job) });
+  },
+
+  /**
+   * Subscribe to a job's events. Returns an unsubscribe function.
+   */
+  subscribe(jobId, listener) {
+    events.on(jobId, listener);
+    return () => events.off(jobId, listener);
+  },
+
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  },
+
+  /**
+   * Drop finished jobs older than JOB_TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - JOB_TTL;
+    for (const [id, job] of jobs.entries()) {
+      if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+    }
+  },
+};
+
+setInterval(() => jobService.cleanup(), 5 * 60 * 1000).unref();
+
+module.exports = jobService;
@@ -1,12 +1,14 @@
-const OpenAI = require('openai');
 const fs = require('fs');
+const aiService = require('./aiService');
+const brandService = require('./brandService');
+const logger = require('../utils/logger');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY || 'demo-key',
-});
+const log = logger.child('Vision');
+const llmLog = logger.child('LLM');
 
 /**
- * LLM Service — Uses ChatGPT for medical reasoning, drug extraction, and translation.
+ * LLM Service — Uses the configured AI provider (see aiService) for medical
+ * reasoning, drug extraction, and translation.
  */
 const llmService = {
 
@@ -15,12 +17,12 @@ const llmService = {
    * This is MORE ACCURATE than OCR→text→LLM pipeline
    */
   async extractFromImage(imagePath) {
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'demo-key') {
-      throw new Error('OpenAI API key required for Vision API');
+    if (!aiService.isAvailable('vision')) {
+      throw new Error('No AI provider configured for Vision extraction');
     }
 
     try {
-      console.log('[Vision] Analyzing prescription image with GPT-4 Vision...');
+      log.info('Analyzing prescription image with GPT-4 Vision...');
       
       // Convert image to base64
       const imageBuffer = fs.readFileSync(imagePath);
@@ -28,8 +30,7 @@ const llmService = {
       const imageExt = imagePath.split('.').pop().toLowerCase();
       const mimeType = imageExt === 'png' ? 'image/png' : 'image/jpeg';
 
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4o',
+      const response = await aiService.complete('vision', {
         messages: [
           {
             role: 'system',
@@ -105,8 +106,8 @@ Example 3 - Clear frequency: "Betaloc 100mg - 1 tab BID"
         response_format: { type: "json_object" }, // Force JSON output
       });
 
-      const content = response.choices[0].message.content;
-      console.log('[Vision] Raw response:', content);
+      const content = response.content;
+      log.debug('Raw response', { content });
       
       // Clean and parse JSON response
       let cleaned = content.trim();
@@ -117,16 +118,13 @@ Example 3 - Clear frequency: "Betaloc 100mg - 1 tab BID"
       try {
         json = JSON.parse(cleaned);
       } catch (parseErr) {
-        console.error('[Vision] JSON parse failed:', parseErr.message);
-        console.error('[Vision] Raw content was:', content);
+        log.error('JSON parse failed', { error: parseErr.message, content });
         throw new Error('Vision API returned invalid JSON format');
       }
       
-      console.log('[Vision] Parsed JSON:', json);
-      
       // Validate response structure
       if (!json.medications || !Array.isArray(json.medications)) {
-        console.error('[Vision] Invalid structure - missing medications array');
+        log.error('Invalid structure - missing medications array');
         return { 
           medications: [],
           error: 'INVALID_RESPONSE',
@@ -137,7 +135,7 @@ Example 3 - Clear frequency: "Betaloc 100mg - 1 tab BID"
       // Filter out invalid medications
       const validMedications = json.medications.filter(med => {
         if (!med.drug_name || med.drug_name === 'CLARIFICATION_NEEDED') {
-          console.log('[Vision] Skipping unclear medication:', med);
+          log.info('Skipping unclear medication', { extractedData: med });
           return false;
         }
         // Ensure required fields exist
@@ -148,7 +146,7 @@ Example 3 - Clear frequency: "Betaloc 100mg - 1 tab BID"
         return true;
       });
       
-      console.log(`[Vision] Validated ${validMedications.length} medications`);
+      log.info(`Validated ${validMedications.length} medications`);
       
       // Return empty if no valid medications
       if (validMedications.length === 0) {
@@ -161,36 +159,44 @@ Example 3 - Clear frequency: "Betaloc 100mg - 1 tab BID"
       
       return { medications: validMedications };
     } catch (err) {
-      console.error('[Vision] Failed:', err.message);
+      log.error('Failed', { error: err.message });
       throw err;
     }
   },
 
   /**
-   * Extract structured drug data from OCR text using ChatGPT (FALLBACK)
+   * Extract structured drug data from prescription text using ChatGPT
+   * Used for OCR text (FALLBACK) and for the embedded text of PDF e-prescriptions
+   * @returns {Promise<{ medications: Array }>} - Same shape as extractFromImage
    */
   async extractDrugData(ocrText) {
-    // If no API key, use pattern-based extraction
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'demo-key') {
-      return this.extractDrugDataFallback(ocrText);
+    // If no AI provider, use pattern-based extraction
+    if (!aiService.isAvailable('extraction')) {
+      return { medications: [this.extractDrugDataFallback(ocrText)] };
     }
 
     try {
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
+      const response = await aiService.complete('extraction', {
         messages: [
           {
             role: 'system',
             content: `You are Dr. Nudge, a Precision Adherence expert. Extract drug data from prescription text.
+The text may list several medications - extract each one separately.
 Return ONLY valid JSON with this exact structure:
 {
-  "drug_name": "Standardized drug name",
-  "dosage": "Amount + Unit (e.g., 10mg)",
-  "frequency": "Plain English (e.g., Once Daily, Twice Daily)",
-  "duration": "e.g., 30 days",
-  "route": "e.g., Oral, Topical"
+  "medications": [
+    {
+      "drug_name": "Medicine name as written, brand names included (e.g., Dolo 650, Telma 40)",
+      "dosage": "Amount + Unit (e.g., 10mg)",
+      "frequency": "Plain English (e.g., Once Daily, Twice Daily)",
+      "dose_timing": "M-N-E format showing NUMBER of tablets (e.g., 1-0-0, 1-0-1, 1-1-1)",
+      "dosing_source": "prescription" OR "ai_generated" (if frequency was not in the text),
+      "duration": "e.g., 30 days",
+      "route": "e.g., Oral, Topical"
+    }
+  ]
 }
-If text is ambiguous or illegible, set drug_name to "CLARIFICATION_NEEDED" and explain in a "note" field.`,
+If a medication is ambiguous or illegible, set its drug_name to "CLARIFICATION_NEEDED" and explain in a "note" field.`,
           },
           {
             role: 'user',
@@ -198,15 +204,17 @@ If text is ambiguous or illegible, set drug_name to "CLARIFICATION_NEEDED" and e
           },
         ],
         temperature: 0.1,
-        max_tokens: 300,
+        max_tokens: 800,
       });
 
-      const content = response.choices[0].message.content;
+      const content = response.content;
       const json = JSON.parse(content.replace(/```json?\n?/g, '').replace(/```/g, '').trim());
-      return json;
+      // Tolerate the model answering with a bare medication object
+      const medications = Array.isArray(json.medications) ? json.medications : [json];
+      return { medications };
     } catch (err) {
-      console.error('[LLM] Drug extraction failed:', err.message);
-      return this.extractDrugDataFallback(ocrText);
+      llmLog.error('Drug extraction failed', { error: err.message });
+      return { medications: [this.extractDrugDataFallback(ocrText)] };
     }
   },
 
@@ -237,7 +245,11 @@ If text is ambiguous or illegible, set drug_name to "CLARIFICATION_NEEDED" and e
     let drugName = 'CLARIFICATION_NEEDED';
     let dosage = 'Unknown';
 
-    for (const pattern of drugPatterns) {
+    // Indian brands (brandService) as written, e.g. "Dolo 650" — checked through their ingredients later
+    const brand = brandService.findInText(ocrText);
+    if (brand) drugName = brand;
+
+    for (const pattern of brand ? [] : drugPatterns) {
       const match = ocrText.match(pattern.regex);
       if (match) {
         drugName = pattern.name;
@@ -273,13 +285,12 @@ If text is ambiguous or illegible, set drug_name to "CLARIFICATION_NEEDED" and e
    * Answer a voice query about medications
    */
   async answerVoiceQuery(text) {
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'demo-key') {
+    if (!aiService.isAvailable('voice')) {
       return this.answerVoiceQueryFallback(text);
     }
 
     try {
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
+      const response = await aiService.complete('voice', {
         messages: [
           {
             role: 'system',
@@ -296,9 +307,9 @@ If you're unsure about a specific medication, recommend they ask their doctor.`,
         max_tokens: 150,
       });
 
-      return response.choices[0].message.content;
+      return response.content;
     } catch (err) {
-      console.error('[LLM] Voice query failed:', err.message);
+      llmLog.error('Voice query failed', { error: err.message });
       return this.answerVoiceQueryFallback(text);
     }
   },
@@ -329,13 +340,12 @@ If you're unsure about a specific medication, recommend they ask their doctor.`,
    * Translate medical text to patient's language
    */
   async translateMedicalText(text, targetLanguage) {
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'demo-key') {
+    if (!aiService.isAvailable('translation')) {
       return `[${targetLanguage} translation]: ${text}`;
     }
 
     try {
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
+      const response = await aiService.complete('translation', {
         messages: [
           {
             role: 'system',
@@ -352,9 +362,9 @@ If the target language uses a non-Latin script, provide both the script and a tr
         max_tokens: 300,
       });
 
-      return response.choices[0].message.content;
+      return response.content;
     } catch (err) {
-      console.error('[LLM] Translation failed:', err.message);
+      llmLog.error('Translation failed', { error: err.message });
       return `[Translation unavailable] ${text}`;
     }
   },
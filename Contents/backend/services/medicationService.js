@@ -0,0 +1,169 @@
+const db = require('../repositories');
+const interactionService = require('./interactionService');
+const drugService = require('./drugService');
+const logger = require('../utils/logger');
+
+const log = logger.child('Medication');
+
+/**
+ * Medication Service — Creates, edits and discontinues medications, keeping a
+ * numbered version in medication_versions for every change to what the
+ * patient takes (dosage, frequency, dose timing), so the history can say
+ * "dose changed from 500mg to 1000mg on 3 Oct" and an older version can be
+ * restored (as a new version).
+ *
+ * Medications are never deleted: discontinuing one marks it inactive with a
+ * reason, and its logs, streaks and versions stay.
+ *
+ * Adding, renaming or discontinuing a medication rechecks the patient's
+ * interactions (see interactionService). Its drug classes (ATC) are stored
+ * with it when it is added or renamed.
+ */
+
+const VERSIONED_FIELDS = ['dosage', 'frequency', 'dose_timing'];
+
+const isUniqueViolation = (err) => err?.code === '23505';
+
+const snapshot = (med) => Object.fromEntries(VERSIONED_FIELDS.map(field => [field, med[field] ?? null]));
+
+// A failed interaction check mustn't undo the medication change itself
+async function reconcileInteractions(patientId) {
+  try {
+    await interactionService.reconcile(patientId);
+  } catch (err) {
+    log.error('Interaction reconciliation failed', { patientId, error: err.message });
+  }
+}
+
+/**
+ * Store the next version of a medication. Medications created before
+ * versioning get their current values stored as version 1 first.
+ */
+async function addVersion(before, after, { changeType, reason = null, restoredFrom = null }) {
+  // Two edits at once: the loser retries with the next number
+  for (let attempt = 0; ; attempt++) {
+    const versions = await db.medicationVersions.listByMedication(before.id);
+    let next = (versions[0]?.version || 0) + 1;
+    try {
+      if (versions.length === 0 && changeType !== 'created') {
+        await db.medicationVersions.create({
+          medication_id: before.id,
+          patient_id: before.patient_id,
+          version: next++,
+          change_type: 'created',
+          ...snapshot(before),
+          created_at: before.created_at,
+        });
+      }
+      return await db.medicationVersions.create({
+        medication_id: after.id,
+        patient_id: after.patient_id,
+        version: next,
+        change_type: changeType,
+        ...snapshot(after),
+        reason,
+        restored_from: restoredFrom,
+      });
+    } catch (err) {
+      if (!isUniqueViolation(err) || attempt >= 2) throw err;
+    }
+  }
+}
+
+const medicationService = {
+  VERSIONED_FIELDS,
+
+  /**
+   * Add a medication (version 1)
+   * @param {Object} row - medications row
+   */
+  async create(row) {
+    const medication = await db.medications.create({ ...row, drug_classes: await drugService.getDrugClasses(row.name) });
+    await addVersion(medication, medication, { changeType: 'created' });
+    await reconcileInteractions(medication.patient_id);
+    return medication;
+  },
+
+  /**
+   * Change a medication; a new version is stored when a versioned field changed
+   * @param {Object} med - Current medications row
+   * @param {Object} changes - Columns to set
+   * @param {Object} [options] - { reason, changeType, restoredFrom }
+   * @returns {Object} { medication, version } — version is null when nothing versioned changed
+   */
+  async update(med, changes, { reason = null, changeType = 'edited', restoredFrom = null } = {}) {
+    const renamed = changes.name !== undefined && changes.name !== med.name;
+    const medication = await db.medications.update(med.id, {
+      ...changes,
+      ...(renamed && { drug_classes: await drugService.getDrugClasses(changes.name) }),
+      updated_at: new Date().toISOString(),
+    });
+    if (medication.name !== med.name || medication.active !== med.active) {
+      await reconcileInteractions(med.patient_id);
+    }
+    const changed = VERSIONED_FIELDS.some(field => (med[field] ?? null) !== (medication[field] ?? null));
+    if (!changed) return { medication, version: null };
+
+    const version = await addVersion(med, medication, { changeType, reason, restoredFrom });
+    log.info('✏️ Medication changed', { medicationId: med.id, version: version.version, changeType });
+    return { medication, version };
+  },
+
+  /**
+   * Stop a medication (soft: it stays, inactive, with the reason)
+   * @param {Object} med - medications row
+   * @param {Object} details - { reason, note }
+   */
+  async discontinue(med, { reason, note = null }) {
+    if (med.active === false) return med;
+    const medication = await db.medications.update(med.id, {
+      active: false,
+      discontinued_at: new Date().toISOString(),
+      discontinue_reason: reason,
+      discontinue_note: note,
+      updated_at: new Date().toISOString(),
+    });
+    log.info('⏹️ Medication discontinued', { medicationId: med.id, reason });
+    await reconcileInteractions(med.patient_id);
+    return medication;
+  },
+
+  /**
+   * Versions newest first, each with what changed from the one before
+   * @param {Object} med - medications row
+   * @returns {Object[]} versions with changes: [{ field, from, to }]
+   */
+  async history(med) {
+    const versions = await db.medicationVersions.listByMedication(med.id);
+    return versions.map((version, i) => {
+      const previous = versions[i + 1];
+      return {
+        ...version,
+        changes: previous
+          ? VERSIONED_FIELDS
+            .filter(field => (previous[field] ?? null) !== (version[field] ?? null))
+            .map(field => ({ field, from: previous[field] ?? null, to: version[field] ?? null }))
+          : [],
+      };
+    });
+  },
+
+  /**
+   * Go back to an older version's dosage, frequency and dose timing (stored as a new version)
+   * @param {Object} med - medications row
+   * @param {number} versionNumber
+   * @returns {Object|null} { medication, version }, null when there's no such version
+   */
+  async restore(med, versionNumber) {
+    const versions = await db.medicationVersions.listByMedication(med.id);
+    const target = versions.find(v => v.version === versionNumber);
+    if (!target) return null;
+    return this.update(med, snapshot(target), {
+      changeType: 'restored',
+      reason: `Restored version ${versionNumber}`,
+      restoredFrom: versionNumber,
+    });
+  },
+};
+
+module.exports = medicationService;
@@ -0,0 +1,170 @@
+const db = require('../repositories');
+const logger = require('../utils/logger');
+const streakService = require('./streakService');
+const { scheduledSlots, shiftDay } = require('../utils/streaks');
+const { slotMinutes } = require('../utils/adherence');
+const { localDate, patientTimezone, zonedTime } = require('../utils/timezone');
+
+const log = logger.child('Missed Doses');
+
+/**
+ * Missed Dose Service — Closes dose slots once their grace window has passed
+ * and records every scheduled dose that wasn't taken as a "missed" log
+ * (with its slot and scheduled time). A dose taken late afterwards replaces
+ * its missed log (see doseService).
+ *
+ * A slot is scheduled at the patient's meal time for it (breakfast, lunch,
+ * dinner) in their timezone. Once their day is over every untaken dose of it
+ * is missed, grace window or not (dailyResetService records them at local
+ * midnight). Sweeps look back a few days, so doses that came due while the
+ * server was down are still recorded.
+ *
+ * MISSED_DOSE_GRACE_MINUTES — how long after the scheduled time a dose still counts as on its way (default 120)
+ * MISSED_DOSE_SWEEP_MINUTES — how often to sweep (default 15, 0 = off)
+ * MISSED_DOSE_LOOKBACK_DAYS — days back to check, today included (default 2)
+ */
+
+function config() {
+  const number = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    graceMinutes: number('MISSED_DOSE_GRACE_MINUTES', 120),
+    sweepMinutes: number('MISSED_DOSE_SWEEP_MINUTES', 15),
+    lookbackDays: Math.max(1, number('MISSED_DOSE_LOOKBACK_DAYS', 2)),
+  };
+}
+
+// When a slot's dose was due on a dose day
+function scheduledAt(patient, day, slot) {
+  return zonedTime(day, slotMinutes(patient, slot), patientTimezone(patient));
+}
+
+let running = false;
+
+const missedDoseService = {
+  config,
+
+  /**
+   * Missed-dose logs a patient is owed as of `now` (not written)
+   * @param {Object} patient - Patient row (meal times, timezone)
+   * @param {Object[]} medications - The patient's active medications
+   * @param {Object[]} logs - The patient's logs for the lookback days
+   * @param {Date} now
+   * @returns {Object[]} medication_logs rows to insert
+   */
+  findMissed(patient, medications, logs, now = new Date()) {
+    const { graceMinutes, lookbackDays } = config();
+    const today = localDate(now, patientTimezone(patient));
+    const closed = new Set(logs
+      .filter(l => l.slot && ((l.action === 'taken' && !l.undone_at) || l.action === 'missed'))
+      .map(l => `${l.medication_id}|${l.dose_date}|${l.slot}`));
+
+    const missed = [];
+    for (let i = lookbackDays - 1; i >= 0; i--) {
+      const day = shiftDay(today, -i);
+      for (const med of medications) {
+        for (const slot of scheduledSlots(med.dose_timing)) {
+          const due = scheduledAt(patient, day, slot);
+          // Today's dose still within the grace window, or the medication was added after the dose was due
+          if (day === today && now.getTime() < due.getTime() + graceMinutes * 60000) continue;
+          if (med.created_at && new Date(med.created_at) > due) continue;
+          if (closed.has(`${med.id}|${day}|${slot}`)) continue;
+
+          missed.push({
+            medication_id: med.id,
+            patient_id: med.patient_id,
+            action: 'missed',
+            slot,
+            dose_date: day,
+            scheduled_at: due.toISOString(),
+          });
+        }
+      }
+    }
+    return missed;
+  },
+
+  /**
+   * Every active medication, grouped by patient
+   * @returns {Map<string, Object[]>} patient id → medications
+   */
+  async activeByPatient() {
+    const byPatient = new Map();
+    for (const med of await db.medications.listAllActive()) {
+      if (!byPatient.has(med.patient_id)) byPatient.set(med.patient_id, []);
+      byPatient.get(med.patient_id).push(med);
+    }
+    return byPatient;
+  },
+
+  /**
+   * Record the missed doses of one patient and refresh their streaks
+   * @param {Object} patient - Patient row
+   * @param {Object[]} medications - The patient's active medications
+   * @returns {number} Missed-dose logs written
+   */
+  async recordMissed(patient, medications, now = new Date()) {
+    const { lookbackDays } = config();
+    const since = shiftDay(localDate(now, patientTimezone(patient)), -(lookbackDays - 1));
+    const logs = await db.medicationLogs.listSince(patient.id, since);
+
+    let written = 0;
+    for (const row of this.findMissed(patient, medications, logs, now)) {
+      try {
+        await db.medicationLogs.create(row);
+        written++;
+      } catch (err) {
+        // Another instance (or the other job) recorded it first
+        if (err?.code !== '23505') throw err;
+      }
+    }
+    if (written > 0) await streakService.refresh(patient.id);
+    return written;
+  },
+
+  /**
+   * Record missed doses for every patient with active medications
+   * @returns {Object} { patients, missed } — patients checked, logs written
+   */
+  async sweep(now = new Date()) {
+    if (running) return { patients: 0, missed: 0 };
+    running = true;
+    try {
+      const byPatient = await this.activeByPatient();
+
+      let written = 0;
+      for (const [patientId, medications] of byPatient) {
+        try {
+          const patient = await db.patients.findById(patientId);
+          if (patient) written += await this.recordMissed(patient, medications, now);
+        } catch (err) {
+          log.error('Sweep failed for patient', { patientId, error: err.message });
+        }
+      }
+
+      if (written > 0) log.info(`🕒 Recorded ${written} missed dose(s)`, { patients: byPatient.size });
+      return { patients: byPatient.size, missed: written };
+    } finally {
+      running = false;
+    }
+  },
+
+  /**
+   * Sweep now and then every MISSED_DOSE_SWEEP_MINUTES (called once the server is listening)
+   */
+  start() {
+    const { sweepMinutes, graceMinutes } = config();
+    if (sweepMinutes === 0) {
+      log.info('Missed-dose sweeps are off (MISSED_DOSE_SWEEP_MINUTES=0)');
+      return;
+    }
+    const sweep = () => missedDoseService.sweep().catch(err => log.error('Sweep failed', { error: err.message }));
+    sweep();
+    setInterval(sweep, sweepMinutes * 60 * 1000).unref();
+    log.info(`Sweeping for missed doses every ${sweepMinutes} min`, { graceMinutes });
+  },
+};
+
+module.exports = missedDoseService;
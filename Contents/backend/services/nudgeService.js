@@ -2,12 +2,11 @@
  * Nudge Service — Uses AI to generate personalized adherence instructions.
  * NO GENERIC DEFAULTS - Everything is AI-generated based on the actual prescription.
  */
-const OpenAI = require('openai');
+const aiService = require('./aiService');
 const { validatePlainLanguage, simplifyText } = require('../utils/readability');
+const logger = require('../utils/logger');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY || 'demo-key',
-});
+const log = logger.child('Nudge');
 
 const nudgeService = {
 
@@ -24,8 +23,8 @@ const nudgeService = {
       throw new Error('Cannot generate nudge: Drug name not extracted from prescription');
     }
 
-    // If no OpenAI key, return minimal card with only extracted data
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'demo-key') {
+    // If no AI provider, return minimal card with only extracted data
+    if (!aiService.isAvailable('nudge')) {
       return {
         headline: extractedData.instructions || '',
         plain_instruction: extractedData.instructions || '',
@@ -71,8 +70,7 @@ Example shape (fields must exist, but content must be customized):
   "warning_label": "Specific warnings for this drug if any, otherwise empty string"
 }`;
 
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4o',
+      const response = await aiService.complete('nudge', {
         messages: [
           { role: 'system', content: 'You are a medical adherence expert. Generate personalized, accurate medication instructions. Never invent information that was not provided.' },
           { role: 'user', content: prompt },
@@ -81,7 +79,7 @@ Example shape (fields must exist, but content must be customized):
         max_tokens: 400,
       });
 
-      const content = response.choices[0].message.content;
+      const content = response.content;
       const json = JSON.parse(content.replace(/```json?\n?/g, '').replace(/```/g, '').trim());
       
       // Validate plain language
@@ -113,8 +111,7 @@ Example shape (fields must exist, but content must be customized):
       }
       
       if (!readability.isPlain) {
-        console.log(`[Nudge] ⚠️ Text not plain enough (Grade ${readability.gradeLevel})`);
-        console.log('[Nudge] Jargon found:', readability.jargon);
+        log.info(`⚠️ Text not plain enough (Grade ${readability.gradeLevel})`, { jargon: readability.jargon });
         
         // Attempt automatic simplification
         finalCard = {
@@ -125,14 +122,14 @@ Example shape (fields must exist, but content must be customized):
           warning_label: simplifyText(json.warning_label || (interactions.length > 0 ? 'May interact with other medications' : '')),
         };
         
-        console.log('[Nudge] ✅ Applied automatic simplification');
+        log.info('✅ Applied automatic simplification');
       } else {
-        console.log(`[Nudge] ✅ Plain language validated (Grade ${readability.gradeLevel})`);
+        log.info(`✅ Plain language validated (Grade ${readability.gradeLevel})`);
       }
       
       return finalCard;
     } catch (err) {
-      console.error('[Nudge] AI generation failed:', err.message);
+      log.error('AI generation failed', { error: err.message });
       // Return minimal card with only extracted data
       return {
         headline: extractedData.instructions || '',
@@ -2,6 +2,9 @@ const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
+const logger = require('../utils/logger');
+
+const log = logger.child('OCR');
 
 /**
  * OCR Service — Extracts text from prescription images using Tesseract.js
@@ -15,7 +18,9 @@ const ocrService = {
    */
   async extractText(imagePath) {
     try {
-      console.log(`[OCR] Processing image: ${imagePath}`);
+      // Upload file names can contain the patient's name
+      log.info('Processing image');
+      log.debug('Image path', { path: imagePath });
 
       // Preprocess image first
       const processedPath = await this.preprocessImage(imagePath);
@@ -23,13 +28,14 @@ const ocrService = {
       const result = await Tesseract.recognize(processedPath, 'eng+hin', {
         logger: (m) => {
           if (m.status === 'recognizing text') {
-            console.log(`[OCR] Progress: ${Math.round(m.progress * 100)}%`);
+            log.debug(`Progress: ${Math.round(m.progress * 100)}%`);
           }
         },
       });
 
       const text = result.data.text.trim();
-      console.log(`[OCR] Extracted ${text.length} characters`);
+      log.info(`Extracted ${text.length} characters`);
+      log.debug('OCR text', { ocrText: text });
 
       // Clean up processed image if different from original
       if (processedPath !== imagePath && fs.existsSync(processedPath)) {
@@ -42,7 +48,7 @@ const ocrService = {
 
       return text;
     } catch (error) {
-      console.error('[OCR] Extraction failed:', error);
+      log.error('Extraction failed', { error: error.message });
       throw new Error(`OCR failed: ${error.message}`);
     }
   },
@@ -53,7 +59,7 @@ const ocrService = {
    */
   async preprocessImage(imagePath) {
     try {
-      console.log('[OCR] Preprocessing image...');
+      log.debug('Preprocessing image...');
       const outputPath = imagePath.replace(/\.(jpg|jpeg|png)$/i, '_processed.png');
 
       await sharp(imagePath)
@@ -76,10 +82,10 @@ const ocrService = {
         .toFormat('png')
         .toFile(outputPath);
 
-      console.log('[OCR] ✅ Image preprocessed successfully');
+      log.debug('✅ Image preprocessed successfully');
       return outputPath;
     } catch (error) {
-      console.error('[OCR] Preprocessing failed, using original:', error.message);
+      log.warn('Preprocessing failed, using original', { error: error.message });
       return imagePath; // Fallback to original if preprocessing fails
     }
   },
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+const log = logger.child('PDF');
+
+/**
+ * PDF Service — Handles PDF prescriptions and e-prescriptions.
+ * Text-based PDFs give back their embedded text; scanned PDFs are rasterized
+ * page by page into PNGs for the Vision/OCR pipeline.
+ */
+
+// Below this many letters a page is treated as a scanned image, not text
+const MIN_TEXT_CHARS = 40;
+// Render scale for rasterizing (2x ≈ 144 DPI, enough for Vision and Tesseract)
+const RENDER_SCALE = 2;
+const MAX_PDF_PAGES = 10;
+
+// pdfjs-dist ships as an ES module, so it has to be loaded with import()
+let pdfjsPromise = null;
+function loadPdfjs() {
+  if (!pdfjsPromise) pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsPromise;
+}
+
+async function openDocument(pdfPath) {
+  const pdfjs = await loadPdfjs();
+  const data = new Uint8Array(fs.readFileSync(pdfPath));
+  return pdfjs.getDocument({ data, useSystemFonts: true, isEvalSupported: false }).promise;
+}
+
+const pdfService = {
+  /**
+   * Check if an uploaded file is a PDF
+   * @param {Object} file - Multer file object
+   */
+  isPdf(file) {
+    return file.mimetype === 'application/pdf' || /\.pdf$/i.test(file.originalname || file.path || '');
+  },
+
+  /**
+   * Extract the embedded text of each page (the first MAX_PDF_PAGES)
+   * @param {string} pdfPath - Path to the PDF file
+   * @returns {Promise<Object>} - { texts: one string per page read (empty for image-only pages), totalPages }
+   */
+  async extractText(pdfPath) {
+    const doc = await openDocument(pdfPath);
+    try {
+      const texts = [];
+      const pageCount = Math.min(doc.numPages, MAX_PDF_PAGES);
+      for (let i = 1; i <= pageCount; i++) {
+        const page = await doc.getPage(i);
+        const content = await page.getTextContent();
+        // Items flagged hasEOL end a line; keep line breaks so dose lines stay separate
+        const text = content.items
+          .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+          .join('')
+          .replace(/[ \t]+/g, ' ')
+          .trim();
+        texts.push(text);
+        page.cleanup();
+      }
+      return { texts, totalPages: doc.numPages };
+    } finally {
+      await doc.destroy();
+    }
+  },
+
+  /**
+   * Render each page to a PNG next to the original file
+   * @param {string} pdfPath - Path to the PDF file
+   * @returns {Promise<string[]>} - Paths of the rendered PNGs (caller deletes them)
+   */
+  async rasterize(pdfPath) {
+    const doc = await openDocument(pdfPath);
+    const outputPaths = [];
+    try {
+      const pageCount = Math.min(doc.numPages, MAX_PDF_PAGES);
+      for (let i = 1; i <= pageCount; i++) {
+        const page = await doc.getPage(i);
+        const viewport = page.getViewport({ scale: RENDER_SCALE });
+        const { canvas, context } = doc.canvasFactory.create(
+          Math.ceil(viewport.width),
+          Math.ceil(viewport.height)
+        );
+
+        // Scanned pages can be transparent; paint white so OCR sees dark-on-light
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: context, viewport }).promise;
+
+        const outputPath = pdfPath.replace(/\.pdf$/i, '') + `_page${i}.png`;
+        fs.writeFileSync(outputPath, canvas.toBuffer('image/png'));
+        outputPaths.push(outputPath);
+
+        doc.canvasFactory.destroy({ canvas, context });
+        page.cleanup();
+      }
+      log.info(`✅ Rasterized ${outputPaths.length} page(s)`);
+      return outputPaths;
+    } catch (error) {
+      for (const p of outputPaths) fs.unlink(p, () => {});
+      throw error;
+    } finally {
+      await doc.destroy();
+    }
+  },
+
+  /**
+   * Split a PDF into pipeline pages: text pages carry their text,
+   * scanned pages are rasterized to images. Only the first MAX_PDF_PAGES
+   * are read; the caller reports the rest (skippedPages).
+   * @param {string} pdfPath - Path to the PDF file
+   * @returns {Promise<Object>} - { pages: [{ kind: 'text', text } | { kind: 'image', path, temporary: true }], totalPages, skippedPages }
+   */
+  async toPages(pdfPath) {
+    log.debug('Processing', { path: pdfPath });
+    const { texts, totalPages } = await this.extractText(pdfPath);
+    const skippedPages = totalPages - texts.length;
+    if (skippedPages > 0) log.warn(`PDF has ${totalPages} pages, only the first ${texts.length} are read`);
+    const isTextPage = texts.map(t => t.replace(/[^a-z]/gi, '').length >= MIN_TEXT_CHARS);
+
+    if (isTextPage.every(Boolean)) {
+      log.info(`Text-based PDF (${texts.length} page(s))`);
+      return { pages: texts.map(text => ({ kind: 'text', text })), totalPages, skippedPages };
+    }
+
+    log.info(`Scanned PDF — rasterizing ${texts.length} page(s)`);
+    const imagePaths = await this.rasterize(pdfPath);
+    const pages = imagePaths.map((imagePath, i) => (
+      isTextPage[i]
+        ? { kind: 'text', text: texts[i], path: imagePath, temporary: true }
+        : { kind: 'image', path: imagePath, temporary: true }
+    ));
+    return { pages, totalPages, skippedPages };
+  },
+};
+
+module.exports = pdfService;
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const logger = require('../../utils/logger');
+
+const log = logger.child('AI');
+
+/**
+ * Fixture Provider — Deterministic canned responses, no network.
+ * Every task answers the same way for the same input, so the pipeline
+ * can be exercised offline. Responses can be overridden per task with a
+ * JSON file (AI_FIXTURES_FILE): { "vision": { ... }, "voice": "..." }
+ */
+
+const DEFAULT_FIXTURES = {
+  vision: {
+    medications: [
+      {
+        drug_name: 'Amlodipine',
+        dosage: '5mg',
+        frequency: 'Once daily',
+        dose_timing: '1-0-0',
+        dosing_source: 'prescription',
+        duration: '30 days',
+        route: 'Oral',
+      },
+    ],
+  },
+  extraction: {
+    medications: [
+      {
+        drug_name: 'Amlodipine',
+        dosage: '5mg',
+        frequency: 'Once daily',
+        dose_timing: '1-0-0',
+        dosing_source: 'prescription',
+        duration: '30 days',
+        route: 'Oral',
+      },
+    ],
+  },
+  nudge: {
+    headline: 'Take your medicine with breakfast',
+    plain_instruction: 'Take one tablet every morning as your doctor said.',
+    the_why: '',
+    habit_hook: 'Keep it next to your tea cup.',
+    warning_label: '',
+  },
+  voice: 'Take your medicine at the same time every day. Ask your doctor if you are not sure.',
+};
+
+function loadFixtures() {
+  const file = process.env.AI_FIXTURES_FILE;
+  if (!file) return DEFAULT_FIXTURES;
+  try {
+    return { ...DEFAULT_FIXTURES, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    log.warn(`⚠️ Could not read fixtures file ${file}`, { error: err.message });
+    return DEFAULT_FIXTURES;
+  }
+}
+
+function lastUserText(messages) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  if (!last) return '';
+  if (typeof last.content === 'string') return last.content;
+  return last.content.filter(part => part.type === 'text').map(part => part.text).join(' ');
+}
+
+function createFixtureProvider() {
+  const fixtures = loadFixtures();
+
+  return {
+    name: 'fixture',
+    defaultModel: 'fixture',
+
+    isAvailable() {
+      return true;
+    },
+
+    async chat({ task, model, messages }) {
+      let content;
+      if (task === 'translation') {
+        // Echo the text so callers can see what would have been translated
+        content = `[translated] ${lastUserText(messages)}`;
+      } else {
+        const fixture = fixtures[task];
+        if (fixture === undefined) throw new Error(`No fixture for task "${task}"`);
+        content = typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+      }
+
+      // Rough token estimate (~4 characters per token) so usage metering works offline too
+      const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+      return {
+        content,
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+        model: model || 'fixture',
+      };
+    },
+  };
+}
+
+module.exports = { createFixtureProvider };
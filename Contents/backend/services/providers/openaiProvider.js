@@ -0,0 +1,53 @@
+const OpenAI = require('openai');
+
+/**
+ * OpenAI Provider — Chat completions against OpenAI, or any server that speaks
+ * the OpenAI API (llama.cpp, vLLM, Ollama, LM Studio...) when given a baseURL.
+ */
+
+/**
+ * Create an OpenAI-style provider
+ * @param {Object} options - { name, apiKey, baseURL, defaultModel, requiresKey }
+ */
+function createOpenAIProvider({ name, apiKey, baseURL, defaultModel = null, requiresKey = true }) {
+  const client = new OpenAI({
+    apiKey: apiKey || 'not-needed',
+    ...(baseURL ? { baseURL } : {}),
+  });
+
+  return {
+    name,
+    defaultModel,
+
+    /**
+     * Whether this provider can take requests (key set, or server configured)
+     */
+    isAvailable() {
+      if (requiresKey) return Boolean(apiKey) && apiKey !== 'demo-key';
+      return Boolean(baseURL);
+    },
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - { model, messages, temperature, max_tokens, response_format }
+     * @returns {Promise<{ content: string, usage: Object|null, model: string }>}
+     */
+    async chat({ model, messages, temperature, max_tokens, response_format }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens,
+        ...(response_format ? { response_format } : {}),
+      });
+
+      return {
+        content: response.choices[0].message.content,
+        usage: response.usage || null,
+        model: response.model || model,
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const log = logger.child('AI');
+
+/**
+ * Recording Provider — Record-and-replay for AI calls.
+ * Each request is keyed by a hash of its task and input (messages and
+ * generation settings), so the same prescription image, OCR text, card
+ * request, question or translation always maps to the same recording.
+ *
+ * Recordings live in <dir>/<task>/<hash>.json.
+ */
+
+/**
+ * Hash of everything that determines a response, except the model name,
+ * so recordings survive switching the model a task runs on
+ */
+function requestHash(task, { messages, temperature, max_tokens, response_format }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ task, messages, temperature, max_tokens, response_format: response_format || null }))
+    .digest('hex');
+}
+
+function recordingPath(dir, task, hash) {
+  return path.join(dir, task, `${hash}.json`);
+}
+
+// Short, human-readable hint of what was asked (images are left out)
+function describeInput(messages) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  if (!last) return '';
+  const text = typeof last.content === 'string'
+    ? last.content
+    : last.content.map(part => (part.type === 'text' ? part.text : `[${part.type}]`)).join(' ');
+  return text.slice(0, 200);
+}
+
+/**
+ * Replay recorded responses; unknown inputs go to `fallback` unless strict
+ * @param {Object} options - { dir, strict, fallback }
+ */
+function createReplayProvider({ dir, strict = false, fallback }) {
+  return {
+    name: 'replay',
+    defaultModel: 'recorded',
+
+    isAvailable() {
+      return true;
+    },
+
+    async chat(request) {
+      const hash = requestHash(request.task, request);
+      const file = recordingPath(dir, request.task, hash);
+
+      if (fs.existsSync(file)) {
+        const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+        log.info(`▶️ Replaying ${request.task} recording ${hash.slice(0, 12)}`);
+        return { content: recording.content, usage: recording.usage || null, model: recording.model };
+      }
+
+      if (strict) {
+        throw new Error(`No recorded ${request.task} response for input ${hash.slice(0, 12)} (AI_MOCK_STRICT is on)`);
+      }
+      log.info(`No ${request.task} recording for ${hash.slice(0, 12)}, using fixture`);
+      return fallback.chat(request);
+    },
+  };
+}
+
+/**
+ * Wrap a provider so every response it gives is written to disk for replay
+ * @param {Object} provider - Provider to record
+ * @param {string} dir - Recordings directory
+ */
+function createRecorder(provider, dir) {
+  return {
+    name: provider.name,
+    defaultModel: provider.defaultModel,
+
+    isAvailable() {
+      return provider.isAvailable();
+    },
+
+    async chat(request) {
+      const result = await provider.chat(request);
+      const hash = requestHash(request.task, request);
+      const file = recordingPath(dir, request.task, hash);
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        task: request.task,
+        hash,
+        provider: provider.name,
+        model: result.model,
+        recordedAt: new Date().toISOString(),
+        input: describeInput(request.messages),
+        content: result.content,
+        usage: result.usage,
+      }, null, 2));
+      log.info(`⏺️ Recorded ${request.task} response ${hash.slice(0, 12)}`);
+
+      return result;
+    },
+  };
+}
+
+module.exports = { createReplayProvider, createRecorder, requestHash };
@@ -0,0 +1,197 @@
+const db = require('../repositories');
+const logger = require('../utils/logger');
+
+const log = logger.child('RxNorm Cache');
+
+/**
+ * RxNorm Cache Service — Keeps RxNorm responses (RxCUIs, drug lookups,
+ * spelling suggestions, drug classes, interactions) so that a rescan or a second
+ * generate-batch makes no calls to RxNorm at all.
+ *
+ * Responses are kept in memory and in the rxnorm_cache table, which survives
+ * restarts. Each kind of lookup has its own TTL; a "not found" answer is kept
+ * for a day only, in case RxNorm adds the drug. Identical lookups running at
+ * the same time share one request, and at most RXNORM_CONCURRENCY requests
+ * go to RxNorm at once, so callers can resolve whole medication lists in parallel.
+ *
+ * RXNORM_CACHE_DAYS — drug names, RxCUIs, spelling suggestions and classes (default 30, 0 = no cache)
+ * RXNORM_INTERACTION_CACHE_DAYS — interaction lookups (default 7, 0 = no cache)
+ * RXNORM_CONCURRENCY — requests to RxNorm at once (default 4)
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOT_FOUND_DAYS = 1;
+const MAX_MEMORY_ENTRIES = 5000;
+
+// Lookup kind → which TTL it uses
+const KINDS = {
+  rxcui: 'lookup',
+  drugs: 'lookup',
+  approximate: 'lookup',
+  rxclass: 'lookup',
+  interaction: 'interaction',
+  interactionList: 'interaction',
+};
+
+function config() {
+  const number = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    lookupDays: number('RXNORM_CACHE_DAYS', 30),
+    interactionDays: number('RXNORM_INTERACTION_CACHE_DAYS', 7),
+    concurrency: Math.max(1, Math.floor(number('RXNORM_CONCURRENCY', 4))),
+  };
+}
+
+const memory = new Map();
+const inFlight = new Map();
+
+const stats = {
+  memoryHits: 0,
+  databaseHits: 0,
+  misses: 0,
+  shared: 0,
+  errors: 0,
+  byKind: Object.fromEntries(Object.keys(KINDS).map(kind => [kind, { hits: 0, misses: 0 }])),
+  since: new Date().toISOString(),
+};
+
+function record(kind, outcome) {
+  if (outcome === 'memory') stats.memoryHits++;
+  else if (outcome === 'database') stats.databaseHits++;
+  else if (outcome === 'shared') stats.shared++;
+  else stats.misses++;
+  stats.byKind[kind][outcome === 'miss' ? 'misses' : 'hits']++;
+}
+
+function remember(key, response, expiresAt) {
+  // Oldest first out once full (Maps keep insertion order)
+  if (memory.size >= MAX_MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+  memory.set(key, { response, expiresAt: new Date(expiresAt).getTime() });
+}
+
+// At most RXNORM_CONCURRENCY requests at once; the rest wait their turn
+let active = 0;
+const waiting = [];
+
+function acquire() {
+  if (active < config().concurrency) {
+    active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+function release() {
+  const next = waiting.shift();
+  if (next) next();
+  else active--;
+}
+
+async function limited(task) {
+  await acquire();
+  try {
+    return await task();
+  } finally {
+    release();
+  }
+}
+
+const rxnormCacheService = {
+  config,
+
+  /**
+   * A cached RxNorm response, or the loader's (then cached)
+   * @param {string} kind - rxcui | drugs | approximate | rxclass | interaction | interactionList
+   * @param {string} key - What was looked up, normalized (e.g. "name=metformin")
+   * @param {Function} load - Makes the request, resolves to the response body
+   * @param {Object} [options] - { isNotFound(response) } — such responses are kept for a day
+   */
+  async fetch(kind, key, load, { isNotFound = () => false } = {}) {
+    const { lookupDays, interactionDays } = config();
+    const days = KINDS[kind] === 'interaction' ? interactionDays : lookupDays;
+    if (days === 0) return limited(load);
+
+    const cacheKey = `${kind}:${key}`;
+    const cached = memory.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      record(kind, 'memory');
+      return cached.response;
+    }
+    if (inFlight.has(cacheKey)) {
+      record(kind, 'shared');
+      return inFlight.get(cacheKey);
+    }
+
+    const pending = (async () => {
+      const row = await db.rxnormCache.findValid(cacheKey).catch((err) => {
+        log.warn('Cache read failed', { error: err.message });
+        return null;
+      });
+      if (row) {
+        record(kind, 'database');
+        remember(cacheKey, row.response, row.expires_at);
+        return row.response;
+      }
+
+      record(kind, 'miss');
+      let response;
+      try {
+        response = await limited(load);
+      } catch (err) {
+        stats.errors++;
+        throw err;
+      }
+
+      const keepDays = isNotFound(response) ? Math.min(NOT_FOUND_DAYS, days) : days;
+      const expiresAt = new Date(Date.now() + keepDays * DAY).toISOString();
+      remember(cacheKey, response, expiresAt);
+      await db.rxnormCache.upsert({ cache_key: cacheKey, kind, response, expires_at: expiresAt }).catch((err) => {
+        log.warn('Cache write failed', { error: err.message });
+      });
+      return response;
+    })();
+
+    inFlight.set(cacheKey, pending);
+    try {
+      return await pending;
+    } finally {
+      inFlight.delete(cacheKey);
+    }
+  },
+
+  /**
+   * Remove expired entries from memory and the rxnorm_cache table
+   * @returns {Object} { memoryPurged, databaseRowsPurged }
+   */
+  async purgeExpired() {
+    const now = Date.now();
+    let memoryPurged = 0;
+    for (const [key, entry] of memory.entries()) {
+      if (entry.expiresAt <= now) {
+        memory.delete(key);
+        memoryPurged++;
+      }
+    }
+    const databaseRowsPurged = await db.rxnormCache.deleteExpired();
+    return { memoryPurged, databaseRowsPurged: databaseRowsPurged || 0 };
+  },
+
+  getStats() {
+    const hits = stats.memoryHits + stats.databaseHits + stats.shared;
+    const lookups = hits + stats.misses;
+    return {
+      ...stats,
+      hits,
+      lookups,
+      hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 10 : 0,
+      memoryEntries: memory.size,
+      inFlight: inFlight.size,
+      queued: waiting.length,
+    };
+  },
+};
+
+module.exports = rxnormCacheService;
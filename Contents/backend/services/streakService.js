@@ -0,0 +1,120 @@
+const db = require('../repositories');
+const logger = require('../utils/logger');
+const { completeDays, computeStreaks, liveStreak, shiftDay, startedOn } = require('../utils/streaks');
+const { localDate, patientTimezone } = require('../utils/timezone');
+
+const log = logger.child('Streak');
+
+/**
+ * Streak Service — Recomputes a patient's streaks from medication_logs
+ * whenever their doses change, and stores them on the rows so reads are cheap:
+ * medications.{streak, best_streak, streak_date} per medication and
+ * patients.{streak, best_streak, streak_date} overall (streak_date is the
+ * last day of the current run, so a stored streak can be expired on read).
+ * Days are the patient's local days.
+ *
+ * Only the recent part of the log is read: back from the changed day to a day
+ * every streak was broken on, so the runs a change can touch are read whole
+ * and older runs are already counted in the stored best.
+ */
+
+// Days of dose log read at first; doubled until every streak has a broken day in them
+const WINDOW_DAYS = 30;
+
+function today(patient) {
+  return localDate(new Date(), patientTimezone(patient));
+}
+
+const view = (row, day) => ({
+  current: liveStreak(row?.streak, row?.streak_date, day),
+  best: row?.best_streak || 0,
+});
+
+// Whether a streak was broken on a day from `since` up to `day`
+function brokenIn(complete, since, day) {
+  for (let d = since; d < day; d = shiftDay(d, 1)) {
+    if (!complete.has(d)) return true;
+  }
+  return false;
+}
+
+/**
+ * Taken doses from far enough back for a change on `day`
+ * @returns {Object} { doses, since } — since is null when the whole log was read
+ */
+async function readDoses(patientId, timeZone, medications, day) {
+  if (medications.length === 0) return { doses: [], since: null };
+  const firstDay = medications.map(m => startedOn(m, timeZone)).sort()[0];
+  for (let days = WINDOW_DAYS; ; days *= 2) {
+    const since = shiftDay(day, -days);
+    // Back before the first medication: the window is the whole history
+    if (since < firstDay) {
+      return { doses: await db.medicationLogs.listTakenDoses(patientId), since: null };
+    }
+    const doses = await db.medicationLogs.listTakenDoses(patientId, { since });
+    const complete = completeDays(medications, doses, timeZone);
+    if (brokenIn(complete.overall, since, day) && [...complete.medications.values()].every(c => brokenIn(c, since, day))) {
+      return { doses, since };
+    }
+  }
+}
+
+const streakService = {
+  /**
+   * Recompute and store every streak of a patient
+   * @param {string} patientId
+   * @param {Object} [change] - { day, removed }: the earliest dose day that changed (today when
+   *   not given), and whether doses were taken back
+   * @returns {Object} { overall: { current, best }, medications: { [id]: { current, best } } }
+   */
+  async refresh(patientId, { day = null, removed = false } = {}) {
+    const [patient, medications] = await Promise.all([
+      db.patients.findById(patientId),
+      db.medications.listActive(patientId),
+    ]);
+    const rows = [patient, ...medications].filter(Boolean);
+
+    // Taking a dose back shortens the current run; when that was the best one, the
+    // best before it is unknown without the whole log
+    const rereadBest = removed && rows.some(r => r.streak > 0 && (r.best_streak || 0) <= r.streak);
+    const { doses, since } = rereadBest
+      ? { doses: await db.medicationLogs.listTakenDoses(patientId), since: null }
+      : await readDoses(patientId, patientTimezone(patient), medications, day || today(patient));
+    const streaks = computeStreaks(medications, doses, today(patient), patientTimezone(patient));
+    if (since) {
+      const keepBest = (s, row) => { s.best = Math.max(s.best, row?.best_streak || 0); };
+      keepBest(streaks.overall, patient);
+      medications.forEach(m => keepBest(streaks.medications[m.id], m));
+    }
+
+    const stored = (s) => ({ streak: s.current, best_streak: s.best, streak_date: s.lastDay });
+    await Promise.all(medications
+      .filter(m => {
+        const s = streaks.medications[m.id];
+        return m.streak !== s.current || m.best_streak !== s.best || (m.streak_date || null) !== s.lastDay;
+      })
+      .map(m => db.medications.update(m.id, stored(streaks.medications[m.id]))));
+    await db.patients.update(patientId, stored(streaks.overall));
+
+    log.debug('Streaks refreshed', { patientId, current: streaks.overall.current, best: streaks.overall.best });
+    return {
+      overall: { current: streaks.overall.current, best: streaks.overall.best },
+      medications: Object.fromEntries(Object.entries(streaks.medications).map(([id, s]) => [id, { current: s.current, best: s.best }])),
+    };
+  },
+
+  /**
+   * Stored streaks, without recomputing
+   * @param {Object} patient - Patient row
+   * @param {Object[]} medications - Medication rows
+   */
+  read(patient, medications) {
+    const day = today(patient);
+    return {
+      overall: view(patient, day),
+      medications: Object.fromEntries(medications.map(m => [m.id, view(m, day)])),
+    };
+  },
+};
+
+module.exports = streakService;
@@ -0,0 +1,186 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const db = require('../repositories');
+const logger = require('../utils/logger');
+const { defaultTimezone, localDate, patientTimezone, zonedTime } = require('../utils/timezone');
+
+const log = logger.child('Usage');
+
+/**
+ * Usage Service — Meters AI token spend per patient and per endpoint,
+ * enforces daily token quotas, and builds usage reports.
+ *
+ * Requests are attributed through an async context (set by the usage
+ * middleware), so aiService can record usage without every service
+ * having to pass the patient along.
+ *
+ * A patient's day runs midnight to midnight in their timezone; other
+ * subjects use the default timezone.
+ *
+ * AI_DAILY_TOKEN_QUOTA            — tokens per patient per day, all endpoints (0 = unlimited)
+ * AI_DAILY_TOKEN_QUOTA_<ENDPOINT> — tokens per patient per day for one endpoint group
+ *                                   (PRESCRIPTION, NUDGE, VOICE, TRANSLATE)
+ */
+
+const DEFAULT_DAILY_TOKEN_QUOTA = 200000;
+const ENDPOINTS = ['prescription', 'nudge', 'voice', 'translate'];
+
+const context = new AsyncLocalStorage();
+
+// Today's totals per subject, loaded from storage on first use: subject → { day, timeZone, total, byEndpoint }
+const dailyTotals = new Map();
+
+function startOfDay(timeZone, date = new Date()) {
+  return zonedTime(localDate(date, timeZone), 0, timeZone);
+}
+
+function dayKey(timeZone, date = new Date()) {
+  return localDate(date, timeZone);
+}
+
+function quotaFor(endpoint) {
+  const specific = process.env[`AI_DAILY_TOKEN_QUOTA_${endpoint.toUpperCase()}`];
+  const overall = process.env.AI_DAILY_TOKEN_QUOTA;
+  return {
+    overall: overall !== undefined ? parseInt(overall) || 0 : DEFAULT_DAILY_TOKEN_QUOTA,
+    endpoint: specific !== undefined ? parseInt(specific) || 0 : 0,
+  };
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+}
+
+function addRow(totals, row) {
+  totals.requests += 1;
+  totals.promptTokens += row.prompt_tokens || 0;
+  totals.completionTokens += row.completion_tokens || 0;
+  totals.totalTokens += row.total_tokens || 0;
+}
+
+async function loadToday(subject, timeZone, now = new Date()) {
+  const cached = dailyTotals.get(subject);
+  if (cached && cached.timeZone === timeZone && cached.day === dayKey(timeZone, now)) return cached;
+
+  const rows = await db.aiUsage.listSince({ subject, since: startOfDay(timeZone, now).toISOString() });
+  const today = { day: dayKey(timeZone, now), timeZone, total: 0, byEndpoint: {} };
+  for (const row of rows) {
+    today.total += row.total_tokens || 0;
+    today.byEndpoint[row.endpoint] = (today.byEndpoint[row.endpoint] || 0) + (row.total_tokens || 0);
+  }
+  dailyTotals.set(subject, today);
+  return today;
+}
+
+const usageService = {
+  ENDPOINTS,
+
+  /**
+   * Who a request is billed to: the patient, else the signed-in user, else the IP
+   */
+  subjectFor(req) {
+    if (req.patient?.id) return `patient:${req.patient.id}`;
+    if (req.user?.id) return `user:${req.user.id}`;
+    return `ip:${req.ip}`;
+  },
+
+  /**
+   * Run `fn` with AI calls attributed to this patient and endpoint
+   * @param {Object} attribution - { subject, patientId, endpoint }
+   */
+  runWithContext(attribution, fn) {
+    return context.run(attribution, fn);
+  },
+
+  /**
+   * Record token usage for the current request (called by aiService after every completion)
+   * @param {Object} call - { task, provider, model, usage } where usage is the OpenAI usage object
+   */
+  record({ task, provider, model, usage }) {
+    const attribution = context.getStore();
+    if (!attribution || !usage) return;
+
+    const row = {
+      subject: attribution.subject,
+      patient_id: attribution.patientId || null,
+      endpoint: attribution.endpoint,
+      task,
+      provider,
+      model,
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+    };
+
+    const today = dailyTotals.get(row.subject);
+    if (today && today.day === dayKey(today.timeZone)) {
+      today.total += row.total_tokens;
+      today.byEndpoint[row.endpoint] = (today.byEndpoint[row.endpoint] || 0) + row.total_tokens;
+    }
+
+    log.info(`${row.endpoint}/${task}: ${row.total_tokens} tokens (${model})`);
+    db.aiUsage.create(row).catch((err) => {
+      log.warn('⚠️ Could not store usage', { error: err.message });
+    });
+  },
+
+  /**
+   * Check the daily quota before running an AI endpoint
+   * @param {string} timeZone - IANA timezone whose midnight starts the subject's day
+   * @returns {Promise<{ allowed: boolean, limit: number, used: number, scope: string, resetsAt: string }>}
+   */
+  async checkQuota(subject, endpoint, timeZone = defaultTimezone(), now = new Date()) {
+    const quota = quotaFor(endpoint);
+    const today = await loadToday(subject, timeZone, now);
+    const resetsAt = startOfDay(timeZone, new Date(startOfDay(timeZone, now).getTime() + 36 * 60 * 60 * 1000)).toISOString();
+
+    if (quota.endpoint > 0 && (today.byEndpoint[endpoint] || 0) >= quota.endpoint) {
+      return { allowed: false, limit: quota.endpoint, used: today.byEndpoint[endpoint], scope: endpoint, resetsAt };
+    }
+    if (quota.overall > 0 && today.total >= quota.overall) {
+      return { allowed: false, limit: quota.overall, used: today.total, scope: 'all', resetsAt };
+    }
+    return { allowed: true, limit: quota.overall, used: today.total, scope: 'all', resetsAt };
+  },
+
+  /**
+   * Usage report grouped by endpoint and by day (the patient's days, else the default timezone's)
+   * @param {Object} filter - { patientId, days } (no patientId = every subject)
+   */
+  async report({ patientId = null, days = 7 }) {
+    const timeZone = patientTimezone(patientId ? await db.patients.findById(patientId) : null);
+    const since = startOfDay(timeZone, new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+    const rows = await db.aiUsage.listSince({
+      subject: patientId ? `patient:${patientId}` : null,
+      since: since.toISOString(),
+    });
+
+    const total = emptyTotals();
+    const byEndpoint = {};
+    const byDay = {};
+    const byModel = {};
+    const bucket = (map, key) => (map[key] = map[key] || emptyTotals());
+    for (const row of rows) {
+      addRow(total, row);
+      addRow(bucket(byEndpoint, row.endpoint), row);
+      addRow(bucket(byDay, dayKey(timeZone, new Date(row.created_at))), row);
+      addRow(bucket(byModel, row.model), row);
+    }
+
+    const report = { patientId, days, since: since.toISOString(), total, byEndpoint, byDay, byModel };
+
+    if (patientId) {
+      const today = await loadToday(`patient:${patientId}`, timeZone);
+      const { overall } = quotaFor('all');
+      report.quota = {
+        dailyTokens: overall || null,
+        usedToday: today.total,
+        remainingToday: overall > 0 ? Math.max(overall - today.total, 0) : null,
+        endpoints: Object.fromEntries(ENDPOINTS.map(endpoint => [endpoint, quotaFor(endpoint).endpoint || null])),
+      };
+    }
+
+    return report;
+  },
+};
+
+module.exports = usageService;
@@ -0,0 +1,387 @@
+/**
+ * Contract test for the API description (GET /api/openapi.json).
+ * Starts the API offline (AI mock mode, local store), then checks that:
+ *   - every route in server.js is documented, and every documented route exists
+ *   - every call in frontend/src/services/api.js targets a documented route
+ *   - real responses of the pipeline, job, nudge, interaction, stats and cache
+ *     routes match the documented schema for the status they returned
+ *
+ * Run: node test-contract.js   (exits non-zero on any mismatch)
+ */
+
+process.env.AI_MODE = process.env.AI_MODE || 'mock';
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+delete process.env.SUPABASE_URL;
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const app = require('./server');
+const openapi = require('./openapi');
+const db = require('./repositories');
+const doseService = require('./services/doseService');
+
+const TOKEN = process.env.LOCAL_AUTH_TOKEN || 'demo-token';
+const PATIENT_ID = '00000000-0000-4000-8000-000000000010';
+const FRONTEND_API = path.join(__dirname, '../frontend/src/services/api.js');
+
+const doc = openapi.getDocument();
+const failures = [];
+let checks = 0;
+
+function check(ok, message) {
+  checks++;
+  console.log(`${ok ? '✅' : '❌'} ${message}`);
+  if (!ok) failures.push(message);
+}
+
+/**
+ * Minimal OpenAPI schema check ($ref, type, nullable, required, properties, additionalProperties, items, enum).
+ * Returns a list of problems, empty when the value matches.
+ */
+function validateSchema(schema, value, at = 'body') {
+  if (schema.$ref) {
+    return validateSchema(doc.components.schemas[schema.$ref.split('/').pop()], value, at);
+  }
+  if (value === null) return schema.nullable ? [] : [`${at} is null`];
+
+  const problems = [];
+  const type = Array.isArray(value) ? 'array' : typeof value;
+  if (schema.type === 'integer') {
+    if (!Number.isInteger(value)) problems.push(`${at} should be an integer, got ${JSON.stringify(value)}`);
+  } else if (schema.type && schema.type !== type) {
+    return [`${at} should be ${schema.type}, got ${type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at} should be one of ${schema.enum.join('|')}, got ${JSON.stringify(value)}`);
+  }
+  if (type === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) problems.push(`${at}.${field} is missing`);
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) problems.push(...validateSchema(fieldSchema, value[field], `${at}.${field}`));
+    }
+    if (schema.additionalProperties) {
+      for (const [field, item] of Object.entries(value)) {
+        if (!schema.properties?.[field]) problems.push(...validateSchema(schema.additionalProperties, item, `${at}.${field}`));
+      }
+    }
+  }
+  if (type === 'array' && schema.items) {
+    value.forEach((item, i) => problems.push(...validateSchema(schema.items, item, `${at}[${i}]`)));
+  }
+  return problems;
+}
+
+// '/api/patient/{id}' → /^\/api\/patient\/[^/]+$/
+function pathPattern(template) {
+  return new RegExp(`^${template.replace(/[.]/g, '\\.').replace(/\{[^}]+\}/g, '[^/]+')}$`);
+}
+
+function findOperation(method, urlPath) {
+  for (const [template, operations] of Object.entries(doc.paths)) {
+    if (pathPattern(template).test(urlPath) && operations[method]) return { template, operation: operations[method] };
+  }
+  return null;
+}
+
+/**
+ * Send a request and check the response against the documented schema
+ */
+async function call(baseUrl, method, urlPath, { json, form, query = '' } = {}) {
+  const headers = { Authorization: `Bearer ${TOKEN}` };
+  let body;
+  if (json) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(json);
+  } else if (form) {
+    body = form;
+  }
+
+  const res = await fetch(`${baseUrl}${urlPath}${query}`, { method: method.toUpperCase(), headers, body });
+  const data = await res.json();
+  const label = `${method.toUpperCase()} ${urlPath} → ${res.status}`;
+
+  const found = findOperation(method, urlPath);
+  const documented = found?.operation.responses[res.status];
+  if (!documented) {
+    check(false, `${label} is not a documented response`);
+    return { status: res.status, data };
+  }
+  const schema = documented.content['application/json'].schema;
+  const problems = validateSchema(schema, data);
+  check(problems.length === 0, `${label} matches ${(schema.$ref || schema.items?.$ref || 'schema').split('/').pop()}${problems.length ? `: ${problems.slice(0, 5).join('; ')}` : ''}`);
+  if (res.status >= 400) check(!!data.requestId, `${label} carries a requestId`);
+  return { status: res.status, data };
+}
+
+function checkRouteCoverage() {
+  console.log('\n── Routes in server.js vs. the document ──');
+  const registered = app._router.stack
+    .filter(layer => layer.route && layer.route.path.startsWith('/api'))
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method,
+      template: layer.route.path.replace(/:(\w+)/g, '{$1}'),
+    })));
+
+  for (const { method, template } of registered) {
+    check(!!doc.paths[template]?.[method], `${method.toUpperCase()} ${template} is documented`);
+  }
+  for (const [template, operations] of Object.entries(doc.paths)) {
+    for (const method of Object.keys(operations)) {
+      check(registered.some(r => r.method === method && r.template === template), `${method.toUpperCase()} ${template} exists in server.js`);
+    }
+  }
+}
+
+function checkFrontendCalls() {
+  console.log('\n── Calls in frontend/src/services/api.js ──');
+  if (!fs.existsSync(FRONTEND_API)) {
+    console.log('⚠️  Frontend not found, skipping');
+    return;
+  }
+  const source = fs.readFileSync(FRONTEND_API, 'utf8');
+  const calls = [
+    ...[...source.matchAll(/api\.(get|post|put|patch|delete)\(\s*[`'"]([^`'"]+)[`'"]/g)].map(m => [m[1], m[2]]),
+    ...[...source.matchAll(/fetch\(\s*`\$\{API\}([^`?]+)[^`]*`,\s*\{\s*method:\s*'(\w+)'/g)].map(m => [m[2].toLowerCase(), m[1]]),
+  ];
+
+  for (const [method, callPath] of calls) {
+    const urlPath = `/api${callPath.split('?')[0].replace(/\$\{[^}]+\}/g, 'x')}`;
+    const found = findOperation(method, urlPath);
+    check(!!found, `${method.toUpperCase()} ${callPath} → ${found ? found.template : 'NO SUCH ROUTE'}`);
+  }
+}
+
+// A text PDF with one line per page (pdfjs reads it without a font file)
+function textPdf(lines) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+  const kids = [];
+  for (const line of lines) {
+    const stream = `BT /F1 12 Tf 50 700 Td (${line}) Tj ET`;
+    kids.push(`${objects.length + 1} 0 R`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length + 2} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  }
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${lines.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+async function waitForJob(baseUrl, jobId) {
+  for (let i = 0; i < 60; i++) {
+    const res = await fetch(`${baseUrl}/api/jobs/${jobId}`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+    const job = await res.json();
+    if (job.status === 'completed' || job.status === 'failed') return;
+    await new Promise(r => setTimeout(r, 250));
+  }
+}
+
+async function checkResponses(baseUrl) {
+  console.log('\n── Real responses ──');
+  const image = await sharp({ create: { width: 20, height: 20, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  const scanForm = () => {
+    const form = new FormData();
+    form.append('image', new Blob([image], { type: 'image/png' }), 'rx.png');
+    form.append('currentMeds', JSON.stringify(['Aspirin']));
+    form.append('patientContext', JSON.stringify({ age: 67 }));
+    return form;
+  };
+
+  await call(baseUrl, 'get', '/api/health');
+  await call(baseUrl, 'get', '/api/openapi.json');
+
+  // Pipeline: 200 with RxNorm reachable, 400 DRUG_NOT_RECOGNIZED offline — both are part of the contract
+  const scan = await call(baseUrl, 'post', '/api/prescription/process', { form: scanForm() });
+  const accepted = await call(baseUrl, 'post', '/api/prescription/process', { form: scanForm(), query: '?async=true' });
+  if (accepted.data.jobId) {
+    await waitForJob(baseUrl, accepted.data.jobId);
+    const job = await call(baseUrl, 'get', `/api/jobs/${accepted.data.jobId}`);
+    const resultSchema = job.data.httpStatus < 400 ? 'PrescriptionResult' : 'Error';
+    const problems = validateSchema({ $ref: `#/components/schemas/${resultSchema}` }, job.data.result);
+    check(problems.length === 0, `job result matches ${resultSchema}${problems.length ? `: ${problems.slice(0, 5).join('; ')}` : ''}`);
+  }
+  await call(baseUrl, 'post', '/api/prescription/process', { form: (() => { const f = new FormData(); f.append('currentMeds', '{'); return f; })() });
+
+  // Pages of a PDF past the page limit are reported, not dropped
+  const pdfForm = new FormData();
+  const pdfPages = Array.from({ length: 12 }, (_, i) => `Tab. Metformin 500mg 1-0-1 after food, page ${i + 1}`);
+  pdfForm.append('image', new Blob([textPdf(pdfPages)], { type: 'application/pdf' }), 'rx.pdf');
+  const longPdf = await call(baseUrl, 'post', '/api/prescription/process', { form: pdfForm });
+  check((longPdf.data.failedExtractions || []).some(f => f.reason === 'pages_skipped' && f.pagesRead === 10 && f.totalPages === 12),
+    'a 12-page PDF reports the 2 pages past the limit as skipped');
+
+  const medications = scan.data.medications || [{
+    extracted_data: { drug_name: 'Amlodipine', dosage: '5mg', frequency: 'Once daily', dose_timing: '1-0-0' },
+    safety_flag: 'GREEN',
+    interactions: [],
+    skipValidation: true,
+  }];
+  await call(baseUrl, 'post', '/api/nudge/generate-batch', { json: { medications: medications.map(m => ({ ...m, skipValidation: true })), patientContext: { age: 67 } } });
+  await call(baseUrl, 'post', '/api/nudge/generate', { json: { extractedData: medications[0].extracted_data } });
+  // Dosage alerts go by the prescribed dosage: an amount for one ingredient, a number of tablets for each
+  const prescribed = await call(baseUrl, 'post', '/api/nudge/generate-batch', { json: { medications: [
+    { extracted_data: { drug_name: 'Ecosprin 75', dosage: '325mg', dose_timing: '1-0-0' }, skipValidation: true },
+    { extracted_data: { drug_name: 'Ecosprin 150 + Clopidogrel 75', dosage: '3 tablets', dose_timing: '1-0-0' }, skipValidation: true },
+  ] } });
+  const aspirinAlerts = (prescribed.data.medications || []).map(m => (m.enhanced_safety?.dosageAlerts || []).filter(a => a.ingredient === 'aspirin').length);
+  check(aspirinAlerts[0] === 1 && aspirinAlerts[1] === 1,
+    'dosage alerts use the prescribed dosage (Ecosprin 75 at 325mg, 3 tablets of aspirin 150 + clopidogrel)');
+  await call(baseUrl, 'post', '/api/interaction/check', { json: { drugName: 'Warfarin', currentMeds: ['Aspirin'] } });
+  // Indian brands are checked through their ingredients (Ecosprin is aspirin), RxNorm reachable or not
+  const brandCheck = await call(baseUrl, 'post', '/api/interaction/check', { json: { drugName: 'Ecosprin 75', currentMeds: ['Warfarin'] } });
+  check((brandCheck.data.interactions || []).some(i => i.drug1 === 'aspirin' && i.product1 === 'Ecosprin 75' && i.drug2 === 'Warfarin'),
+    'a brand name is checked through its ingredient (aspirin from Ecosprin 75 + Warfarin)');
+  // Combinations are checked per ingredient, each naming the product it came from
+  const comboCheck = await call(baseUrl, 'post', '/api/interaction/check', { json: { drugName: 'Telma-AM 40', currentMeds: [] } });
+  check((comboCheck.data.interactions || []).some(i => i.drug1 === 'amlodipine' && i.product1 === 'Telma-AM 40' && i.source === 'dietary'),
+    'each ingredient of a combination is checked (amlodipine from Telma-AM 40 + grapefruit)');
+  // Two medicines doing the same job (both PPIs) are reported as a duplication
+  const duplicateCheck = await call(baseUrl, 'post', '/api/interaction/check', { json: { drugName: 'Pan 40', currentMeds: ['Omez 20'] } });
+  check((duplicateCheck.data.interactions || []).some(i => i.source === 'duplicate' && i.pair_key === 'duplicate:omez|pan'),
+    'therapeutic duplication is reported (Pan 40 + Omez 20, both PPIs)');
+  await call(baseUrl, 'post', '/api/interaction/check', { json: {} });
+
+  await call(baseUrl, 'get', `/api/patient/${PATIENT_ID}/stats`);
+  await call(baseUrl, 'get', `/api/patient/${PATIENT_ID}/adherence`);
+  await call(baseUrl, 'get', `/api/patient/${PATIENT_ID}/medications`);
+  await call(baseUrl, 'get', '/api/patient/not-a-uuid/stats');
+  const badZone = await call(baseUrl, 'put', `/api/patient/${PATIENT_ID}`, { json: { timezone: 'Asia/Nowhere' } });
+  check(badZone.status === 400, 'unknown timezone is rejected');
+  await call(baseUrl, 'put', `/api/patient/${PATIENT_ID}`, { json: { timezone: 'Asia/Kolkata' } });
+
+  // Dose logging: a retry with the same key is replayed, a second dose for the slot is a 409
+  const amlodipine = '00000000-0000-4000-8000-000000000101';
+  const dose = { slot: 'morning', idempotencyKey: `contract-${Date.now()}` };
+  await call(baseUrl, 'post', `/api/medications/${amlodipine}/undo`, { json: {} });
+  const first = await call(baseUrl, 'post', `/api/medications/${amlodipine}/take`, { json: dose });
+  const retry = await call(baseUrl, 'post', `/api/medications/${amlodipine}/take`, { json: dose });
+  check(first.data.replayed === false && retry.data.replayed === true && retry.data.log?.id === first.data.log?.id,
+    'retried dose returns the first log');
+  const second = await call(baseUrl, 'post', `/api/medications/${amlodipine}/take`, { json: { slot: 'morning' } });
+  check(second.data.code === 'DOSE_ALREADY_LOGGED', 'second dose for the same slot is rejected');
+  await call(baseUrl, 'post', `/api/medications/${amlodipine}/take`, { json: { slot: 'evening' } });
+  await call(baseUrl, 'post', `/api/medications/${amlodipine}/undo`, { json: { slot: 'morning' } });
+
+  // Doses taken at the same time all count, each starting from the same medication row (taken through the
+  // service: the local store answers each request before the next one arrives)
+  const thrice = await call(baseUrl, 'post', '/api/medications', { json: { patient_id: PATIENT_ID, name: 'Vitamin C', dose_timing: '1-1-1' } });
+  const thriceRow = await db.medications.findById(thrice.data.id);
+  await Promise.all(['morning', 'noon', 'evening'].map(slot => doseService.take(thriceRow, { slot })));
+  const afterTakes = await call(baseUrl, 'get', `/api/patient/${PATIENT_ID}/medications`);
+  const taken = (afterTakes.data || []).find(m => m.id === thrice.data.id);
+  check(taken?.taken_doses === 3 && taken.morning_taken && taken.noon_taken && taken.evening_taken,
+    'concurrent doses of one medication are all counted');
+  await call(baseUrl, 'delete', `/api/medications/${thrice.data.id}`, { json: { reason: 'other' } });
+
+  // Medication lifecycle: edits are versioned, an older version can be restored, delete discontinues
+  const metformin = '00000000-0000-4000-8000-000000000102';
+  const edited = await call(baseUrl, 'patch', `/api/medications/${metformin}`, { json: { dosage: '850mg', reason: 'Contract test' } });
+  const history = await call(baseUrl, 'get', `/api/medications/${metformin}/history`);
+  check(history.data.versions?.[0]?.changes.some(c => c.field === 'dosage' && c.to === edited.data.dosage),
+    'dosage change is versioned');
+  const restored = await call(baseUrl, 'post', `/api/medications/${metformin}/versions/2/restore`);
+  check(restored.data.dosage === '1000mg', 'restoring a version sets its dosage again');
+  await call(baseUrl, 'post', `/api/medications/${metformin}/versions/99/restore`);
+  const created = await call(baseUrl, 'post', '/api/medications', { json: { patient_id: PATIENT_ID, name: 'Pantoprazole', dosage: '40mg' } });
+  await call(baseUrl, 'put', `/api/medications/${created.data.id}`, { json: { name: 'Pantoprazole', dosage: '20mg', dose_timing: '1-0-0' } });
+  const stopped = await call(baseUrl, 'delete', `/api/medications/${created.data.id}`, { json: { reason: 'course_completed' } });
+  check(stopped.data.active === false && stopped.data.discontinue_reason === 'course_completed', 'delete discontinues with the reason');
+  const editStopped = await call(baseUrl, 'patch', `/api/medications/${created.data.id}`, { json: { dosage: '20mg' } });
+  const restoreStopped = await call(baseUrl, 'post', `/api/medications/${created.data.id}/versions/1/restore`);
+  check([editStopped, restoreStopped].every(r => r.status === 409 && r.data.code === 'MEDICATION_DISCONTINUED'),
+    'a discontinued medication can\'t be edited or restored');
+
+  // Interactions follow the medication list: a new pair is found, a stopped drug retires it
+  const warfarin = await call(baseUrl, 'post', '/api/medications', { json: { patient_id: PATIENT_ID, name: 'Warfarin', dosage: '5mg' } });
+  const aspirin = await call(baseUrl, 'post', '/api/medications', { json: { patient_id: PATIENT_ID, name: 'Aspirin', dosage: '75mg' } });
+  const isPair = (i) => [i.drug1, i.drug2].sort().join('+') === 'Aspirin+Warfarin';
+  const withPair = await call(baseUrl, 'get', `/api/patient/${PATIENT_ID}/interactions`);
+  const pair = (withPair.data || []).find(isPair);
+  check(pair?.severity === 'high', 'adding a medication records its interactions');
+  const again = await call(baseUrl, 'post', '/api/interactions', { json: { patient_id: PATIENT_ID, drug1: 'aspirin', drug2: 'warfarin', severity: 'high' } });
+  check(again.data.id === pair?.id, 'an interaction already stored is not stored twice');
+  const reversed = await call(baseUrl, 'post', '/api/interactions', { json: { patient_id: PATIENT_ID, drug1: 'Warfarin 5mg', drug2: 'ASPIRIN', source: 'fallback' } });
+  check(pair?.pair_key === 'aspirin|warfarin' && reversed.data.id === pair?.id, 'pair key is the same in either order');
+  const recorded = await call(baseUrl, 'post', '/api/interactions', {
+    json: { patient_id: PATIENT_ID, drug1: 'Metformin', rxcui1: '6809', drug2: 'Alcohol', severity: 'moderate', source: 'fallback' },
+  });
+  check(recorded.data.source === 'fallback' && recorded.data.drug2 === 'Metformin' && recorded.data.rxcui2 === '6809',
+    'a recorded interaction keeps its RxCUIs and source');
+  await call(baseUrl, 'delete', `/api/medications/${aspirin.data.id}`, { json: { reason: 'doctor_stopped' } });
+  const withoutPair = await call(baseUrl, 'get', `/api/patient/${PATIENT_ID}/interactions`);
+  check(!(withoutPair.data || []).some(isPair), 'discontinuing a medication retires its interactions');
+  await call(baseUrl, 'delete', `/api/medications/${warfarin.data.id}`, { json: { reason: 'other' } });
+
+  // An ingredient's interaction saved from a scan stays while the combination it came from is taken
+  const telma = await call(baseUrl, 'post', '/api/medications', { json: { patient_id: PATIENT_ID, name: 'Telma-AM 40' } });
+  const simvastatin = await call(baseUrl, 'post', '/api/medications', { json: { patient_id: PATIENT_ID, name: 'Simvastatin', dosage: '20mg' } });
+  const fromProduct = await call(baseUrl, 'post', '/api/interactions', {
+    json: { patient_id: PATIENT_ID, drug1: 'amlodipine', product1: 'Telma-AM 40', drug2: 'simvastatin', severity: 'moderate', source: 'rxnorm' },
+  });
+  check(fromProduct.data.product1 === 'Telma-AM 40', 'a recorded interaction keeps the product its ingredient came from');
+  const vitamin = await call(baseUrl, 'post', '/api/medications', { json: { patient_id: PATIENT_ID, name: 'Cholecalciferol' } });
+  const afterRecheck = await call(baseUrl, 'get', `/api/patient/${PATIENT_ID}/interactions`);
+  check((afterRecheck.data || []).some(i => i.id === fromProduct.data.id && i.product1 === 'Telma-AM 40'),
+    'an ingredient\'s interaction is kept while its product is taken');
+  for (const med of [telma, simvastatin, vitamin]) {
+    await call(baseUrl, 'delete', `/api/medications/${med.data.id}`, { json: { reason: 'other' } });
+  }
+
+  // A duplication saved from a scan is the one the medication recheck found, not a second alert
+  const pan = await call(baseUrl, 'post', '/api/medications', { json: { patient_id: PATIENT_ID, name: 'Pan 40' } });
+  const omez = await call(baseUrl, 'post', '/api/medications', { json: { patient_id: PATIENT_ID, name: 'Omez 20' } });
+  const savedDuplicate = await call(baseUrl, 'post', '/api/interactions', {
+    json: { patient_id: PATIENT_ID, drug1: 'Omez 20', drug2: 'Pan 40', severity: 'moderate', source: 'duplicate', description: 'Both PPIs' },
+  });
+  check(savedDuplicate.data.pair_key === 'duplicate:omez|pan' && savedDuplicate.data.source === 'duplicate',
+    'a duplication is stored with its duplicate: pair key');
+  const withDuplicate = await call(baseUrl, 'get', `/api/patient/${PATIENT_ID}/interactions`);
+  const omezPan = (withDuplicate.data || []).filter(i => /omez\|pan$/.test(i.pair_key || ''));
+  check(omezPan.length === 1 && omezPan[0].id === savedDuplicate.data.id, 'a saved duplication is not stored twice');
+  for (const med of [pan, omez]) {
+    await call(baseUrl, 'delete', `/api/medications/${med.data.id}`, { json: { reason: 'other' } });
+  }
+
+  // Only administrators clear cached results; a patient retrying a scan forces a refresh instead
+  const imageHash = scan.data.image_hash || require('crypto').createHash('sha256').update(image).digest('hex');
+  const cleared = await call(baseUrl, 'post', `/api/cache/clear/${imageHash}`);
+  check(cleared.status === 403, 'a patient can\'t clear a cached scan result');
+}
+
+async function runTests() {
+  console.log(`\n🧪 API contract test (${Object.keys(doc.paths).length} documented paths)\n`);
+  console.log('='.repeat(70));
+
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    checkRouteCoverage();
+    checkFrontendCalls();
+    await checkResponses(baseUrl);
+  } catch (err) {
+    check(false, `Test crashed: ${err.message}`);
+  } finally {
+    server.close();
+  }
+
+  console.log('\n' + '='.repeat(70));
+  console.log(failures.length === 0
+    ? `✅ All ${checks} contract checks passed\n`
+    : `❌ ${failures.length} of ${checks} contract checks failed\n`);
+  process.exit(failures.length === 0 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,353 @@
+/**
+ * Checks for the date arithmetic behind dose logging, streaks, adherence,
+ * missed doses and timezones, fed fixed dates and dose logs with known answers:
+ *   - doses: the patient's day a dose belongs to, the slots a dose timing schedules,
+ *     slot flags that only describe today
+ *   - streaks: run boundaries (across a month end), an unfinished today that
+ *     doesn't break a streak, a missed yesterday that does, the overall streak,
+ *     refreshing from the recent log only
+ *   - adherence: doses expected and taken, PDC (proportion of days covered),
+ *     lateness against the patient's meal times, weak spots
+ *   - missed doses: grace windows, a day that is over, doses already closed,
+ *     the lookback days
+ *   - timezones: the day rollover in India, meal times across daylight saving
+ *   - daily reset: a dose taken while the sweep runs isn't cleared
+ *   - AI quota: the day's token count starts at the patient's local midnight
+ *
+ * Run: node test-dates.js   (exits non-zero on any mismatch)
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.SEED_DEMO_DATA = 'false';
+delete process.env.LOCAL_DB_FILE;
+delete process.env.DEFAULT_TIMEZONE;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.MISSED_DOSE_GRACE_MINUTES = '120';
+process.env.MISSED_DOSE_LOOKBACK_DAYS = '2';
+delete process.env.SUPABASE_URL;
+
+const db = require('./repositories');
+const doseService = require('./services/doseService');
+const streakService = require('./services/streakService');
+const { computeStreaks, liveStreak, shiftDay } = require('./utils/streaks');
+const { computeAdherence } = require('./utils/adherence');
+const { localDate, patientTimezone, zonedTime } = require('./utils/timezone');
+const missedDoseService = require('./services/missedDoseService');
+const dailyResetService = require('./services/dailyResetService');
+const usageService = require('./services/usageService');
+
+const failures = [];
+let checks = 0;
+
+function check(ok, message) {
+  checks++;
+  console.log(`${ok ? '✅' : '❌'} ${message}`);
+  if (!ok) failures.push(message);
+}
+
+// Check a value equals the expected one (compared as JSON), showing both when it doesn't
+function same(actual, expected, message) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  check(ok, ok ? message : `${message}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+}
+
+async function checkDoses() {
+  console.log('\n— Doses —');
+  const patient = await db.patients.create({ name: 'Test patient', timezone: 'Asia/Kolkata' });
+  same([doseService.doseDate('2026-03-09T18:29:59Z', patient), doseService.doseDate('2026-03-09T18:30:00Z', patient)], ['2026-03-09', '2026-03-10'],
+    'A dose belongs to the patient\'s day it was taken on (India: the day starts at 18:30 UTC)');
+  same(['1-0-1', '0-1-0', '1-1-1', '0-0-0', null].map(timing => doseService.scheduledSlots(timing)),
+    [['morning', 'evening'], ['noon'], ['morning', 'noon', 'evening'], [], ['morning']],
+    'A dose timing schedules its non-zero slots (once in the morning when unset)');
+
+  const medication = await db.medications.create({
+    patient_id: patient.id,
+    name: 'Metformin',
+    dose_timing: '1-0-1',
+    active: true,
+    taken_doses: 0,
+  });
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const late = await doseService.take(medication, { slot: 'morning', takenAt: yesterday.toISOString() });
+  same([late.status, late.log.dose_date, late.medication.taken_doses, late.medication.morning_taken ?? false],
+    ['logged', doseService.doseDate(yesterday, patient), 1, false],
+    'A dose logged late for yesterday counts, but leaves today\'s slot flags alone');
+  const onTime = await doseService.take(late.medication, { slot: 'morning' });
+  same([onTime.status, onTime.medication.taken_doses, onTime.medication.morning_taken, onTime.medication.last_reset_date],
+    ['logged', 2, true, doseService.doseDate(new Date(), patient)], 'Today\'s dose sets the slot flag for today');
+}
+
+// Taken doses of a medication on each day from `from` to `to`, for the given slots
+function takenDays(medicationId, from, to, slots) {
+  const doses = [];
+  for (let day = from; day <= to; day = shiftDay(day, 1)) {
+    for (const slot of slots) doses.push({ medication_id: medicationId, dose_date: day, slot });
+  }
+  return doses;
+}
+
+function checkStreaks() {
+  console.log('\n— Streaks —');
+  const twiceDaily = { id: 'a', dose_timing: '1-0-1', created_at: '2026-02-20T09:00:00Z' };
+  const streakOf = (doses, today) => computeStreaks([twiceDaily], doses, today).medications.a;
+
+  // 2–4 March complete, 5 March only the morning dose, 6–9 March complete
+  const history = [
+    ...takenDays('a', '2026-03-02', '2026-03-04', ['morning', 'evening']),
+    { medication_id: 'a', dose_date: '2026-03-05', slot: 'morning' },
+    ...takenDays('a', '2026-03-06', '2026-03-09', ['morning', 'evening']),
+  ];
+  same(streakOf(history, '2026-03-10'), { current: 4, best: 4, lastDay: '2026-03-09' },
+    'A day with a dose missing ends the run; nothing taken yet today keeps it');
+  same(streakOf([...history, { medication_id: 'a', dose_date: '2026-03-10', slot: 'morning' }], '2026-03-10'),
+    { current: 4, best: 4, lastDay: '2026-03-09' },
+    'An unfinished today doesn\'t break the streak or extend it');
+  same(streakOf([...history, ...takenDays('a', '2026-03-10', '2026-03-10', ['morning', 'evening'])], '2026-03-10'),
+    { current: 5, best: 5, lastDay: '2026-03-10' },
+    'A complete today extends the streak');
+  same(streakOf(history, '2026-03-11'), { current: 0, best: 4, lastDay: null },
+    'A missed yesterday breaks the streak (best is kept)');
+  same(streakOf(takenDays('a', '2026-02-27', '2026-03-01', ['morning', 'evening']), '2026-03-02'),
+    { current: 3, best: 3, lastDay: '2026-03-01' },
+    'A run carries over the end of February');
+  same(streakOf([
+    ...takenDays('a', '2026-03-01', '2026-03-01', ['morning', 'evening']),
+    ...takenDays('b', '2026-03-02', '2026-03-09', ['morning', 'evening']),
+    { medication_id: 'a', dose_date: '2026-03-09' },
+  ], '2026-03-10'), { current: 0, best: 1, lastDay: null },
+    'Doses of other medications and doses without a slot are ignored');
+
+  // A noon medication added on 7 March, missed on 8 March
+  const noon = { id: 'b', dose_timing: '0-1-0', created_at: '2026-03-07T10:00:00Z' };
+  const none = { id: 'c', dose_timing: '0-0-0', created_at: '2026-02-20T09:00:00Z' };
+  const doses = [
+    ...takenDays('a', '2026-03-02', '2026-03-09', ['morning', 'evening']),
+    { medication_id: 'b', dose_date: '2026-03-07', slot: 'noon' },
+    { medication_id: 'b', dose_date: '2026-03-09', slot: 'noon' },
+  ];
+  const streaks = computeStreaks([twiceDaily, noon, none], doses, '2026-03-10');
+  same(streaks.overall, { current: 1, best: 6, lastDay: '2026-03-09' },
+    'Overall: a day counts once every medication started by then is complete');
+  same(streaks.medications.b, { current: 1, best: 1, lastDay: '2026-03-09' }, 'Each medication keeps its own streak');
+  same(streaks.medications.c, { current: 0, best: 0, lastDay: null }, 'A medication with no scheduled slot has no streak');
+
+  // Added at 01:30 on 7 March in India, still 6 March in UTC
+  const addedAtNight = { id: 'd', dose_timing: '1-0-0', created_at: '2026-03-06T20:00:00Z' };
+  same(computeStreaks([twiceDaily, addedAtNight], [
+    ...takenDays('a', '2026-03-06', '2026-03-07', ['morning', 'evening']),
+    { medication_id: 'd', dose_date: '2026-03-07', slot: 'morning' },
+  ], '2026-03-08', 'Asia/Kolkata').overall, { current: 2, best: 2, lastDay: '2026-03-07' },
+    'Overall: a medication counts from the day it was added in the patient\'s timezone');
+
+  same([
+    liveStreak(4, '2026-03-10', '2026-03-10'),
+    liveStreak(4, '2026-03-09', '2026-03-10'),
+    liveStreak(4, '2026-03-08', '2026-03-10'),
+    liveStreak(4, null, '2026-03-10'),
+  ], [4, 4, 0, 0], 'A stored streak is live until the day after its last day');
+}
+
+async function checkStreakRefresh() {
+  console.log('\n— Streak refresh —');
+  const patient = await db.patients.create({ name: 'Test patient', timezone: 'Asia/Kolkata', best_streak: 50 });
+  const today = doseService.doseDate(new Date(), patient);
+  const medication = await db.medications.create({
+    patient_id: patient.id, name: 'Atorvastatin', dose_timing: '0-0-1', active: true,
+    best_streak: 50, created_at: `${shiftDay(today, -200)}T04:00:00Z`,
+  });
+  // Taken every evening for the last 100 days but one, 50 days ago; the 50-day run before it was stored as the best
+  for (let day = shiftDay(today, -100); day < today; day = shiftDay(day, 1)) {
+    if (day === shiftDay(today, -50)) continue;
+    await db.medicationLogs.create({ medication_id: medication.id, patient_id: patient.id, action: 'taken', slot: 'evening', dose_date: day });
+  }
+
+  const reads = [];
+  const listTakenDoses = db.medicationLogs.listTakenDoses;
+  db.medicationLogs.listTakenDoses = (patientId, options) => {
+    reads.push(options?.since || null);
+    return listTakenDoses(patientId, options);
+  };
+  try {
+    const refreshed = await streakService.refresh(patient.id, { day: today });
+    same(reads, [shiftDay(today, -30), shiftDay(today, -60)], 'A refresh reads back to the last day the streak was broken, not the whole log');
+    same(refreshed.medications[medication.id], { current: 49, best: 50 }, 'The best run before that is kept from the stored best');
+
+    await db.medications.update(medication.id, { streak: 50, best_streak: 50 });
+    reads.length = 0;
+    await streakService.refresh(patient.id, { day: today, removed: true });
+    same(reads, [null], 'Taking back a dose of the best run reads the whole log');
+  } finally {
+    db.medicationLogs.listTakenDoses = listTakenDoses;
+  }
+}
+
+function checkAdherence() {
+  console.log('\n— Adherence —');
+  // India (UTC+5:30): breakfast at 07:30 is 02:00 UTC, dinner at 20:00 is 14:30 UTC
+  const patient = { timezone: 'Asia/Kolkata', breakfast_time: '07:30', dinner_time: '20:00' };
+  const metformin = { id: 'a', name: 'Metformin', dose_timing: '1-0-1', created_at: '2026-02-01T04:00:00Z' };
+  // Amlodipine was added at 01:30 on 6 March in India (still 5 March in UTC)
+  const amlodipine = { id: 'b', name: 'Amlodipine', dose_timing: '1-0-0', created_at: '2026-03-05T20:00:00Z' };
+  const dose = (medicationId, day, slot, takenAt) => ({ medication_id: medicationId, dose_date: day, slot, taken_at: `${day}T${takenAt}Z` });
+
+  // Last 7 full days (3–9 March): Metformin every morning 10 minutes late, in the
+  // evening 90 minutes late on 3–6 March only; Amlodipine (from 6 March) 90
+  // minutes late, missed on 8 March. Today's dose is left out.
+  const doses = [];
+  for (let day = '2026-03-03'; day <= '2026-03-09'; day = shiftDay(day, 1)) {
+    doses.push(dose('a', day, 'morning', '02:10:00'));
+    if (day <= '2026-03-06') doses.push(dose('a', day, 'evening', '16:00:00'));
+    if (day >= '2026-03-06' && day !== '2026-03-08') doses.push(dose('b', day, 'morning', '03:30:00'));
+  }
+  doses.push(dose('b', '2026-03-10', 'morning', '03:30:00'));
+
+  const { windows, weakSpots } = computeAdherence(patient, [metformin, amlodipine], doses, '2026-03-10');
+  const week = windows[7];
+  same({ expected: week.expected, taken: week.taken, adherence: week.adherence }, { expected: 18, taken: 14, adherence: 77.8 },
+    '7 days: one dose expected per scheduled slot of each day, today left out');
+  same({ averageLatenessMinutes: week.averageLatenessMinutes, lateRate: week.lateRate }, { averageLatenessMinutes: 50, lateRate: 50 },
+    '7 days: lateness measured from the patient\'s meal times in their timezone');
+  same(week.byMedication.a, {
+    name: 'Metformin', expected: 14, taken: 11, adherence: 78.6, averageLatenessMinutes: 39, lateRate: 36.4,
+    daysPrescribed: 7, daysCovered: 4, pdc: 57.1,
+  }, '7 days: a day counts towards PDC only with every scheduled dose taken');
+  same([week.byMedication.b.daysPrescribed, week.byMedication.b.daysCovered, week.byMedication.b.pdc], [4, 3, 75],
+    '7 days: a medication added mid-window is only prescribed from the day it was added, in the patient\'s timezone');
+  same(week.pdc, 66.1, '7 days: overall PDC is the average of the medications\'');
+  same(week.bySlot.noon, { expected: 0, taken: 0, adherence: null, averageLatenessMinutes: null, lateRate: null },
+    '7 days: a slot nothing is scheduled in has no adherence');
+  same([windows[30].byMedication.a.daysPrescribed, windows[90].byMedication.a.daysPrescribed, windows[90].byMedication.a.pdc],
+    [30, 37, 10.8], '30 and 90 days: a medication is prescribed from the day it was added');
+
+  same(weakSpots.map(s => [s.type, s.slot || s.name, s.missRate ?? s.averageLatenessMinutes]), [
+    ['slot_missed', 'evening', 86.7],
+    ['medication_missed', 'Metformin', 81.7],
+    ['slot_missed', 'morning', 70.6],
+    ['medication_missed', 'Amlodipine', 25],
+    ['slot_late', 'evening', 90],
+  ], 'Weak spots over 30 days, missed doses worst first, then late ones');
+  same(weakSpots[0].message, 'Evening doses missed 87% of the time', 'Weak spots say how often doses are missed');
+}
+
+function checkMissedDoses() {
+  console.log('\n— Missed doses (grace window 120 min, 2 days back) —');
+  // India (UTC+5:30): breakfast at 08:00 is 02:30 UTC, dinner at 23:30 is 18:00 UTC
+  const patient = { id: 'p', timezone: 'Asia/Kolkata', dinner_time: '23:30' };
+  const med = { id: 'a', patient_id: 'p', dose_timing: '1-0-1', created_at: '2026-03-01T04:00:00Z' };
+  const missed = (logs, now, medications = [med]) => missedDoseService.findMissed(patient, medications, logs, new Date(now))
+    .map(row => `${row.medication_id} ${row.dose_date} ${row.slot} ${row.scheduled_at}`);
+  const log = (action, day, slot, extra = {}) => ({ medication_id: 'a', action, dose_date: day, slot, ...extra });
+  const yesterday = [log('taken', '2026-03-09', 'morning'), log('taken', '2026-03-09', 'evening')];
+
+  same(missed(yesterday, '2026-03-10T04:29:59Z'), [],
+    'A dose isn\'t missed until its grace window is over (09:59 for 08:00)');
+  same(missed(yesterday, '2026-03-10T04:30:00Z'), ['a 2026-03-10 morning 2026-03-10T02:30:00.000Z'],
+    'A dose is missed once its grace window is over (10:00 for 08:00)');
+  same(missed([yesterday[0]], '2026-03-09T19:00:00Z'), ['a 2026-03-09 evening 2026-03-09T18:00:00.000Z'],
+    'Once the patient\'s day is over its untaken doses are missed, grace window or not');
+  same(missed([], '2026-03-10T04:00:00Z'), [
+    'a 2026-03-09 morning 2026-03-09T02:30:00.000Z',
+    'a 2026-03-09 evening 2026-03-09T18:00:00.000Z',
+  ], 'Only the lookback days are checked, oldest first');
+  same(missed([
+    log('taken', '2026-03-09', 'morning', { undone_at: '2026-03-09T05:00:00Z' }),
+    log('missed', '2026-03-09', 'evening'),
+  ], '2026-03-10T04:00:00Z'), ['a 2026-03-09 morning 2026-03-09T02:30:00.000Z'],
+    'An undone dose is missed; a dose already recorded as missed isn\'t recorded again');
+  same(missed([], '2026-03-10T04:00:00Z', [{ ...med, created_at: '2026-03-09T12:00:00Z' }]),
+    ['a 2026-03-09 evening 2026-03-09T18:00:00.000Z'],
+    'Doses due before the medication was added aren\'t missed');
+}
+
+function checkTimezones() {
+  console.log('\n— Timezones —');
+  const india = 'Asia/Kolkata';
+  const newYork = 'America/New_York';
+  const iso = (date) => date.toISOString();
+
+  same([localDate('2026-03-09T18:29:59Z', india), localDate('2026-03-09T18:30:00Z', india)], ['2026-03-09', '2026-03-10'],
+    'India: the day rolls over at 18:30 UTC');
+  same([iso(zonedTime('2026-03-10', 0, india)), iso(zonedTime('2026-03-10', 23 * 60 + 59, india))],
+    ['2026-03-09T18:30:00.000Z', '2026-03-10T18:29:00.000Z'], 'India: a local day starts and ends on the UTC day before and of it');
+  same([patientTimezone({ timezone: 'Mars/Olympus' }), patientTimezone({}), patientTimezone({ timezone: newYork })],
+    [india, india, newYork], 'Patients without a valid timezone are in India');
+
+  // Clocks go forward on 8 March 2026 at 02:00 and back on 1 November at 02:00
+  same(['2026-03-07', '2026-03-08', '2026-10-31', '2026-11-01'].map(day => iso(zonedTime(day, 8 * 60, newYork))), [
+    '2026-03-07T13:00:00.000Z',
+    '2026-03-08T12:00:00.000Z',
+    '2026-10-31T12:00:00.000Z',
+    '2026-11-01T13:00:00.000Z',
+  ], 'New York: 08:00 stays 08:00 local across both daylight saving changes');
+  same([iso(zonedTime('2026-03-08', 0, newYork)), iso(zonedTime('2026-11-01', 0, newYork))],
+    ['2026-03-08T05:00:00.000Z', '2026-11-01T04:00:00.000Z'], 'New York: midnight before a change keeps the old offset');
+  same([localDate('2026-03-08T04:59:59Z', newYork), localDate('2026-03-08T05:00:00Z', newYork), localDate('2026-03-09T04:00:00Z', newYork)],
+    ['2026-03-07', '2026-03-08', '2026-03-09'], 'New York: the day after clocks go forward is 23 hours long');
+
+  const patient = { id: 'p', timezone: newYork };
+  const med = { id: 'a', patient_id: 'p', dose_timing: '1-0-0', created_at: '2026-03-01T12:00:00Z' };
+  same(missedDoseService.findMissed(patient, [med], [], new Date('2026-03-08T15:00:00Z')).map(row => row.scheduled_at),
+    ['2026-03-07T13:00:00.000Z', '2026-03-08T12:00:00.000Z'], 'Missed doses are due at the local meal time on either side of a change');
+}
+
+async function checkDailyReset() {
+  console.log('\n— Daily reset —');
+  const patient = await db.patients.create({ name: 'Test patient', timezone: 'Asia/Kolkata' });
+  const medication = (name) => db.medications.create({
+    patient_id: patient.id,
+    name,
+    dose_timing: '1-0-0',
+    active: true,
+    morning_taken: true,
+    last_reset_date: '2026-03-09',
+    created_at: '2026-03-01T04:00:00Z',
+  });
+  const medications = [await medication('Metformin'), await medication('Amlodipine')];
+
+  // The sweep read the medications; then, just after midnight, the patient took Amlodipine
+  await db.medications.update(medications[1].id, { morning_taken: true, last_reset_date: '2026-03-10' });
+  const result = await dailyResetService.resetPatient(patient, medications, new Date('2026-03-09T18:35:00Z'));
+  const [metformin, amlodipine] = await Promise.all(medications.map(m => db.medications.findById(m.id)));
+
+  same(result.reset, 1, 'Only the medication nobody touched since the sweep read it is reset');
+  same([metformin.morning_taken, metformin.last_reset_date], [false, '2026-03-10'], 'A reset clears the flags and stamps the new day');
+  same([amlodipine.morning_taken, amlodipine.last_reset_date], [true, '2026-03-10'], 'A dose taken after midnight stays taken');
+}
+
+async function checkUsageQuota() {
+  console.log('\n— AI quota —');
+  process.env.AI_DAILY_TOKEN_QUOTA = '1000';
+  const usage = (createdAt, tokens) => db.aiUsage.create({
+    subject: 'patient:quota', patient_id: 'quota', endpoint: 'nudge', total_tokens: tokens, created_at: createdAt,
+  });
+  await usage('2026-03-09T18:00:00Z', 900); // 23:30 on the 9th in India
+  await usage('2026-03-09T19:00:00Z', 50); // 00:30 on the 10th
+
+  const quota = await usageService.checkQuota('patient:quota', 'nudge', 'Asia/Kolkata', new Date('2026-03-09T20:00:00Z'));
+  same([quota.allowed, quota.used], [true, 50], 'Tokens used before the patient\'s midnight count towards the day before');
+  same(quota.resetsAt, '2026-03-10T18:30:00.000Z', 'The quota resets at the patient\'s next midnight');
+  delete process.env.AI_DAILY_TOKEN_QUOTA;
+}
+
+async function runChecks() {
+  try {
+    await checkDoses();
+    checkStreaks();
+    await checkStreakRefresh();
+    checkAdherence();
+    checkMissedDoses();
+    checkTimezones();
+    await checkDailyReset();
+    await checkUsageQuota();
+  } catch (err) {
+    check(false, `Test crashed: ${err.message}`);
+  }
+
+  console.log('\n' + '='.repeat(70));
+  console.log(failures.length === 0
+    ? `✅ All ${checks} date checks passed\n`
+    : `❌ ${failures.length} of ${checks} date checks failed\n`);
+  process.exit(failures.length === 0 ? 0 : 1);
+}
+
+runChecks();
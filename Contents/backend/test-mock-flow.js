@@ -0,0 +1,57 @@
+/**
+ * Test script for AI mock mode (record-and-replay).
+ * Runs every AI step of the scan → confirm → nudge flow twice and checks
+ * the answers are identical.
+ *
+ * Run offline:        node test-mock-flow.js [prescription.jpg]
+ * Record real answers: AI_MODE=record node test-mock-flow.js [prescription.jpg]
+ */
+
+process.env.AI_MODE = process.env.AI_MODE || 'mock';
+
+const llmService = require('./services/llmService');
+const nudgeService = require('./services/nudgeService');
+const aiService = require('./services/aiService');
+
+const imagePath = process.argv[2];
+const ocrText = 'Rx\nTab. Amlodipine 5mg 1-0-0 x 30 days\nTab. Metformin 500mg 1-0-1 after food';
+const patientContext = { name: 'Lakshmi', age: 67, lifestyle: 'Morning chai at 7am' };
+
+async function runFlow() {
+  const steps = {};
+
+  if (imagePath) {
+    steps.extractFromImage = await llmService.extractFromImage(imagePath);
+  }
+  steps.extractDrugData = await llmService.extractDrugData(ocrText);
+
+  const firstMed = steps.extractDrugData.medications[0];
+  steps.generateCard = await nudgeService.generateCard(firstMed, patientContext, []);
+  steps.answerVoiceQuery = await llmService.answerVoiceQuery('When should I take my blood pressure pill?');
+  steps.translateMedicalText = await llmService.translateMedicalText(steps.generateCard.plain_instruction, 'Hindi');
+
+  return steps;
+}
+
+async function runTests() {
+  console.log(`\n🧪 Testing AI mock flow (AI_MODE=${aiService.getMode()})\n`);
+  console.log('='.repeat(70));
+
+  try {
+    const first = await runFlow();
+    const second = await runFlow();
+
+    for (const [step, result] of Object.entries(first)) {
+      const same = JSON.stringify(result) === JSON.stringify(second[step]);
+      console.log(`\n${same ? '✅' : '❌'} ${step} ${same ? '(deterministic)' : '(answers differ between runs)'}`);
+      console.log(JSON.stringify(result, null, 2).slice(0, 400));
+    }
+  } catch (err) {
+    console.error('❌ Error:', err.message);
+  }
+
+  console.log('\n' + '='.repeat(70));
+  console.log('✅ Tests completed\n');
+}
+
+runTests();
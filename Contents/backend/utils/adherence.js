@@ -0,0 +1,184 @@
+const { SLOTS, scheduledSlots, shiftDay, startedOn } = require('./streaks');
+const { patientTimezone, zonedTime } = require('./timezone');
+
+/**
+ * Adherence — How well a patient keeps to their schedule, computed from the
+ * dose log against what the schedule expected (not from log counts, and not
+ * from progress through the course).
+ *
+ * For each of the last N full days (today is still in progress, so it's left
+ * out), every active medication that existed that day expects one dose per
+ * scheduled slot. From that:
+ *   adherence — doses taken / doses expected (%)
+ *   pdc       — proportion of days covered: days with every scheduled dose
+ *               taken / days prescribed (%), per medication, averaged overall
+ *   lateness  — minutes between the slot's meal time and when the dose was
+ *               taken (negative = early); lateRate is the share over LATE_AFTER_MINUTES
+ *
+ * Days and meal times are in the patient's timezone.
+ */
+
+const WINDOWS = [7, 30, 90];
+const LATE_AFTER_MINUTES = 60;
+
+// Weak spots are judged on this window, and only with enough expected doses to mean something
+const WEAK_SPOT_WINDOW = 30;
+const WEAK_SPOT_MIN_DOSES = 4;
+const WEAK_SPOT_MISS_RATE = 0.25;
+const WEAK_SPOT_MEDICATION_ADHERENCE = 0.8;
+
+// Slot → the patient's meal time it is scheduled against
+const SLOT_TIMES = {
+  morning: ['breakfast_time', '08:00'],
+  noon: ['lunch_time', '13:00'],
+  evening: ['dinner_time', '19:00'],
+};
+
+function slotMinutes(patient, slot) {
+  const [field, fallback] = SLOT_TIMES[slot];
+  const [h, m] = String(patient?.[field] || fallback).split(':').map(n => parseInt(n, 10));
+  return (Number.isFinite(h) ? h : 0) * 60 + (Number.isFinite(m) ? m : 0);
+}
+
+// Minutes after local midnight of the dose day
+function takenMinutes(dose, timeZone) {
+  return Math.round((Date.parse(dose.taken_at) - zonedTime(dose.dose_date, 0, timeZone).getTime()) / 60000);
+}
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+const average = (values) => (values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+function emptyTally() {
+  return { expected: 0, taken: 0, delays: [] };
+}
+
+function summarize(tally) {
+  return {
+    expected: tally.expected,
+    taken: tally.taken,
+    adherence: percent(tally.taken, tally.expected),
+    averageLatenessMinutes: average(tally.delays),
+    lateRate: percent(tally.delays.filter(d => d > LATE_AFTER_MINUTES).length, tally.delays.length),
+  };
+}
+
+/**
+ * Adherence over one window
+ */
+function windowStats(medications, takenBySlot, patient, today, days) {
+  const overall = emptyTally();
+  const bySlot = Object.fromEntries(SLOTS.map(slot => [slot, emptyTally()]));
+  const byMedication = {};
+
+  for (const med of medications) {
+    const slots = scheduledSlots(med.dose_timing);
+    if (slots.length === 0) continue;
+    const started = startedOn(med, patientTimezone(patient));
+    const tally = emptyTally();
+    let daysPrescribed = 0;
+    let daysCovered = 0;
+
+    for (let i = days; i >= 1; i--) {
+      const day = shiftDay(today, -i);
+      if (day < started) continue;
+      daysPrescribed++;
+      let covered = true;
+      for (const slot of slots) {
+        const dose = takenBySlot.get(`${med.id}|${day}|${slot}`);
+        for (const t of [tally, overall, bySlot[slot]]) t.expected++;
+        if (!dose) {
+          covered = false;
+          continue;
+        }
+        const delay = dose.taken_at ? takenMinutes(dose, patientTimezone(patient)) - slotMinutes(patient, slot) : null;
+        for (const t of [tally, overall, bySlot[slot]]) {
+          t.taken++;
+          if (delay !== null) t.delays.push(delay);
+        }
+      }
+      if (covered) daysCovered++;
+    }
+
+    byMedication[med.id] = {
+      name: med.name,
+      ...summarize(tally),
+      daysPrescribed,
+      daysCovered,
+      pdc: percent(daysCovered, daysPrescribed),
+    };
+  }
+
+  const pdcs = Object.values(byMedication).map(m => m.pdc).filter(p => p !== null);
+  return {
+    days,
+    ...summarize(overall),
+    pdc: pdcs.length > 0 ? Math.round((pdcs.reduce((a, b) => a + b, 0) / pdcs.length) * 10) / 10 : null,
+    bySlot: Object.fromEntries(SLOTS.map(slot => [slot, summarize(bySlot[slot])])),
+    byMedication,
+  };
+}
+
+/**
+ * Slots and medications that are often missed or late, worst first
+ */
+function findWeakSpots(stats) {
+  const spots = [];
+
+  for (const [slot, s] of Object.entries(stats.bySlot)) {
+    if (s.expected < WEAK_SPOT_MIN_DOSES) continue;
+    const missRate = 1 - s.taken / s.expected;
+    if (missRate >= WEAK_SPOT_MISS_RATE) {
+      spots.push({
+        type: 'slot_missed',
+        slot,
+        missRate: percent(s.expected - s.taken, s.expected),
+        message: `${slot[0].toUpperCase()}${slot.slice(1)} doses missed ${Math.round(missRate * 100)}% of the time`,
+      });
+    }
+    if (s.taken >= WEAK_SPOT_MIN_DOSES && s.averageLatenessMinutes > LATE_AFTER_MINUTES) {
+      spots.push({
+        type: 'slot_late',
+        slot,
+        averageLatenessMinutes: s.averageLatenessMinutes,
+        message: `${slot[0].toUpperCase()}${slot.slice(1)} doses taken ${s.averageLatenessMinutes} minutes late on average`,
+      });
+    }
+  }
+
+  for (const [medicationId, m] of Object.entries(stats.byMedication)) {
+    if (m.expected < WEAK_SPOT_MIN_DOSES || m.taken / m.expected >= WEAK_SPOT_MEDICATION_ADHERENCE) continue;
+    spots.push({
+      type: 'medication_missed',
+      medicationId,
+      name: m.name,
+      missRate: percent(m.expected - m.taken, m.expected),
+      message: `${m.name} doses missed ${Math.round((1 - m.taken / m.expected) * 100)}% of the time`,
+    });
+  }
+
+  // Missed doses before late ones, then by how bad
+  const weight = (s) => (s.type === 'slot_late' ? s.averageLatenessMinutes / 1000 : 1 + s.missRate);
+  return spots.sort((a, b) => weight(b) - weight(a));
+}
+
+/**
+ * Adherence analytics for a patient
+ * @param {Object} patient - Patient row (meal times)
+ * @param {Object[]} medications - Active medication rows
+ * @param {Object[]} doses - Taken doses: { medication_id, dose_date, slot, taken_at } (undone excluded)
+ * @param {string} today - YYYY-MM-DD in the patient's timezone
+ * @returns {Object} { today, windows: { 7, 30, 90 }, weakSpots }
+ */
+function computeAdherence(patient, medications, doses, today) {
+  const takenBySlot = new Map();
+  for (const dose of doses) {
+    if (dose.slot && dose.dose_date) takenBySlot.set(`${dose.medication_id}|${dose.dose_date}|${dose.slot}`, dose);
+  }
+
+  const windows = {};
+  for (const days of WINDOWS) windows[days] = windowStats(medications, takenBySlot, patient, today, days);
+
+  return { today, windows, weakSpots: findWeakSpots(windows[WEAK_SPOT_WINDOW]) };
+}
+
+module.exports = { WINDOWS, computeAdherence, slotMinutes };
@@ -0,0 +1,155 @@
+/**
+ * Drug classes — ATC (Anatomical Therapeutic Chemical) codes of common
+ * ingredients, and the therapeutic classes in which two medicines at once are
+ * usually a mistake (two NSAIDs, two statins, two PPIs from different doctors).
+ * Used by drugService's duplication check; RxClass gives the ATC classes of
+ * ingredients not listed here.
+ */
+
+const { drugKey } = require('./interactions');
+
+// Full (7-character) ATC codes by ingredient: RxNorm name, and the Indian name where it differs
+const ATC_CODES = {
+  // Pain and inflammation
+  acetaminophen: ['N02BE01'],
+  paracetamol: ['N02BE01'],
+  aspirin: ['B01AC06', 'N02BA01'],
+  ibuprofen: ['M01AE01'],
+  naproxen: ['M01AE02'],
+  diclofenac: ['M01AB05'],
+  aceclofenac: ['M01AB16'],
+  ketorolac: ['M01AB15'],
+  indomethacin: ['M01AB01'],
+  piroxicam: ['M01AC01'],
+  'mefenamic acid': ['M01AG01'],
+  celecoxib: ['M01AH01'],
+  etoricoxib: ['M01AH05'],
+  nimesulide: ['M01AX17'],
+
+  // Heart and blood pressure
+  atorvastatin: ['C10AA05'],
+  rosuvastatin: ['C10AA07'],
+  simvastatin: ['C10AA01'],
+  pravastatin: ['C10AA03'],
+  telmisartan: ['C09CA07'],
+  losartan: ['C09CA01'],
+  valsartan: ['C09CA03'],
+  olmesartan: ['C09CA08'],
+  lisinopril: ['C09AA03'],
+  enalapril: ['C09AA02'],
+  ramipril: ['C09AA05'],
+  amlodipine: ['C08CA01'],
+  nifedipine: ['C08CA05'],
+  cilnidipine: ['C08CA14'],
+  metoprolol: ['C07AB02'],
+  atenolol: ['C07AB03'],
+  bisoprolol: ['C07AB07'],
+  propranolol: ['C07AA05'],
+  carvedilol: ['C07AG02'],
+  hydrochlorothiazide: ['C03AA03'],
+  clopidogrel: ['B01AC04'],
+  warfarin: ['B01AA03'],
+
+  // Diabetes and thyroid
+  metformin: ['A10BA02'],
+  glimepiride: ['A10BB12'],
+  gliclazide: ['A10BB09'],
+  glipizide: ['A10BB07'],
+  sitagliptin: ['A10BH01'],
+  vildagliptin: ['A10BH02'],
+  teneligliptin: ['A10BH08'],
+  levothyroxine: ['H03AA01'],
+
+  // Stomach
+  omeprazole: ['A02BC01'],
+  pantoprazole: ['A02BC02'],
+  lansoprazole: ['A02BC03'],
+  rabeprazole: ['A02BC04'],
+  esomeprazole: ['A02BC05'],
+  ranitidine: ['A02BA02'],
+  famotidine: ['A02BA03'],
+  domperidone: ['A03FA03'],
+
+  // Allergy and breathing
+  cetirizine: ['R06AE07'],
+  levocetirizine: ['R06AE09'],
+  loratadine: ['R06AX13'],
+  fexofenadine: ['R06AX26'],
+  montelukast: ['R03DC03'],
+
+  // Infections
+  azithromycin: ['J01FA10'],
+  clarithromycin: ['J01FA09'],
+  ciprofloxacin: ['J01MA02'],
+  ofloxacin: ['J01MA01'],
+  levofloxacin: ['J01MA12'],
+  amoxicillin: ['J01CA04'],
+
+  // Mind and sleep
+  alprazolam: ['N05BA12'],
+  diazepam: ['N05BA01'],
+  lorazepam: ['N05BA06'],
+  sertraline: ['N06AB06'],
+  fluoxetine: ['N06AB03'],
+  paroxetine: ['N06AB05'],
+  escitalopram: ['N06AB10'],
+
+  // Gout
+  allopurinol: ['M04AA01'],
+  febuxostat: ['M04AA03'],
+};
+
+// Classes where a second medicine of the same class is usually a duplicate, by ATC prefix.
+// Not every class qualifies: aspirin with clopidogrel (both antiplatelets) is often intended.
+const THERAPEUTIC_CLASSES = [
+  { code: 'M01A', name: 'NSAIDs (anti-inflammatory painkillers)', job: 'relieving pain and swelling' },
+  { code: 'C10AA', name: 'statins', job: 'lowering cholesterol' },
+  { code: 'C09CA', name: 'ARBs (sartans)', job: 'lowering blood pressure' },
+  { code: 'C09AA', name: 'ACE inhibitors', job: 'lowering blood pressure' },
+  { code: 'C08CA', name: 'calcium channel blockers', job: 'lowering blood pressure' },
+  { code: 'C07A', name: 'beta blockers', job: 'slowing the heart and lowering blood pressure' },
+  { code: 'A10BB', name: 'sulfonylureas', job: 'lowering blood sugar' },
+  { code: 'A10BH', name: 'gliptins (DPP-4 inhibitors)', job: 'lowering blood sugar' },
+  { code: 'A02BC', name: 'proton pump inhibitors (PPIs)', job: 'reducing stomach acid' },
+  { code: 'A02BA', name: 'H2 blockers', job: 'reducing stomach acid' },
+  { code: 'R06A', name: 'antihistamines', job: 'relieving allergy' },
+  { code: 'J01FA', name: 'macrolide antibiotics', job: 'treating infection' },
+  { code: 'J01MA', name: 'fluoroquinolone antibiotics', job: 'treating infection' },
+  { code: 'N05BA', name: 'benzodiazepines', job: 'calming anxiety and helping sleep' },
+  { code: 'N06AB', name: 'SSRI antidepressants', job: 'treating depression and anxiety' },
+  { code: 'H03AA', name: 'thyroid hormones', job: 'replacing thyroid hormone' },
+  { code: 'M04AA', name: 'uric acid lowering medicines', job: 'preventing gout attacks' },
+];
+
+/**
+ * ATC codes of an ingredient from the list above, or null when it isn't listed
+ * @param {string} ingredient
+ */
+function atcCodesOf(ingredient) {
+  return ATC_CODES[drugKey(ingredient)] || null;
+}
+
+/**
+ * Therapeutic classes that ATC codes (full codes or RxClass's class codes) fall in
+ * @param {string[]} atcCodes
+ * @returns {Object[]} [{ code, name, job }]
+ */
+function classesOf(atcCodes) {
+  return THERAPEUTIC_CLASSES.filter(drugClass => atcCodes.some(code => code.startsWith(drugClass.code)));
+}
+
+/**
+ * Whether two ATC code lists name the same substance (only full 7-character
+ * codes do: "M01AE" is every propionic acid NSAID)
+ */
+function sameSubstance(atcA, atcB) {
+  return atcA.some(code => code.length === 7 && atcB.includes(code));
+}
+
+module.exports = {
+  ATC_CODES,
+  THERAPEUTIC_CLASSES,
+  atcCodesOf,
+  classesOf,
+  sameSubstance,
+};
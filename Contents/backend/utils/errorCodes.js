@@ -0,0 +1,25 @@
+/**
+ * Error Codes — Stable, machine-readable codes returned as `code` in every
+ * API error body. The frontend maps them to translated messages, so never
+ * rename one; add a new code instead.
+ */
+const ErrorCodes = Object.freeze({
+  VALIDATION_FAILED: 'VALIDATION_FAILED',     // Request didn't match the route schema
+  NO_FILE: 'NO_FILE',                         // Upload route called without an image/PDF
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',           // Upload over the size limit
+  IMAGE_UNREADABLE: 'IMAGE_UNREADABLE',       // Nothing legible could be extracted
+  DRUG_NOT_RECOGNIZED: 'DRUG_NOT_RECOGNIZED', // Extracted names aren't known medications
+  TOO_MANY_PAGES: 'TOO_MANY_PAGES',           // PDF pages past the page limit weren't read
+  AUTH_REQUIRED: 'AUTH_REQUIRED',             // No session token
+  SESSION_INVALID: 'SESSION_INVALID',         // Token expired or couldn't be verified
+  FORBIDDEN: 'FORBIDDEN',                     // Someone else's patient, or admin-only
+  NOT_FOUND: 'NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',           // Daily AI token quota used up
+  DOSE_ALREADY_LOGGED: 'DOSE_ALREADY_LOGGED', // That slot was already taken on that day
+  MEDICATION_DISCONTINUED: 'MEDICATION_DISCONTINUED', // Discontinued medications can't be edited or restored
+  PROCESSING_FAILED: 'PROCESSING_FAILED',     // Prescription pipeline crashed
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+});
+
+module.exports = { ErrorCodes };
@@ -0,0 +1,134 @@
+/**
+ * Interactions — The one shape every drug interaction has, from the RxNorm
+ * check through the scan pipeline to the interactions table:
+ *
+ *   {
+ *     pair_key: 'aspirin|warfarin',   // the same whichever drug was checked first ('duplicate:' in
+ *                                     //   front for a duplication, kept apart from an interaction)
+ *     drug1, rxcui1,                  // ingredient and its RxNorm concept (null when unknown or a food),
+ *     drug2, rxcui2,                  //   drug1 being the first in pair_key order
+ *     product1, product2,             // medication the ingredient is part of, when that is a brand
+ *                                     //   or combination ("Telma-AM" for amlodipine), else null
+ *     severity: 'high' | 'moderate' | 'low',
+ *     tier: 1 | 2 | 3,                // severity as a number, for the safety flag
+ *     source: 'rxnorm' | 'fallback' | 'dietary' | 'duplicate',  // duplicate: two medications doing
+ *                                     //   the same job, drug1 and drug2 being the medications
+ *     description, recommendation,
+ *   }
+ *
+ * frontend/src/lib/interactions.js builds the same keys; keep the two in step.
+ */
+
+const SEVERITIES = ['high', 'moderate', 'low'];
+const SOURCES = ['rxnorm', 'fallback', 'dietary', 'duplicate'];
+
+const SEVERITY_TIER = { high: 1, moderate: 2, low: 3 };
+const TIER_SEVERITY = { 1: 'high', 2: 'moderate', 3: 'low' };
+
+// Other words sources use for the same severity
+const SEVERITY_ALIASES = {
+  critical: 'high',
+  major: 'high',
+  severe: 'high',
+  contraindicated: 'high',
+  medium: 'moderate',
+  minor: 'low',
+};
+
+// Strength and dose form aren't part of the ingredient ("Metformin 500mg tablet" → "metformin")
+const STRENGTH_AND_FORM = /\b(\d+(\.\d+)?\s*(mg|mcg|g|ml|iu|%)?|tablets?|tabs?|capsules?|caps?|syrup|injection|oral)\b/g;
+
+/**
+ * Normalized name a drug is matched on
+ * @param {string} name - Ingredient or medication name
+ */
+function drugKey(name) {
+  const raw = String(name || '').trim().toLowerCase();
+  const key = raw
+    .replace(/\(.*?\)/g, ' ')
+    .replace(STRENGTH_AND_FORM, ' ')
+    .replace(/[^a-z0-9+\- ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return key || raw;
+}
+
+/**
+ * Key of a pair of drugs, the same in either order
+ * @param {string} [source] - 'duplicate' keys a duplication apart from an interaction of the same pair
+ */
+function pairKey(drugA, drugB, source) {
+  const key = [drugKey(drugA), drugKey(drugB)].sort().join('|');
+  return source === 'duplicate' ? `duplicate:${key}` : key;
+}
+
+/**
+ * One of high | moderate | low; unknown values ("N/A") go by the tier, else moderate
+ * @param {string} severity
+ * @param {number} [tier]
+ */
+function normalizeSeverity(severity, tier) {
+  const value = String(severity || '').trim().toLowerCase();
+  if (SEVERITIES.includes(value)) return value;
+  return SEVERITY_ALIASES[value] || TIER_SEVERITY[tier] || 'moderate';
+}
+
+/**
+ * Build an interaction between two drugs
+ * @param {Object} first - { name, rxcui, product }
+ * @param {Object} second - { name, rxcui, product }
+ * @param {Object} details - { severity, tier, source, description, recommendation }
+ */
+function makeInteraction(first, second, { severity, tier, source, description, recommendation }) {
+  const [a, b] = drugKey(first.name) <= drugKey(second.name) ? [first, second] : [second, first];
+  const normalized = normalizeSeverity(severity, tier);
+  return {
+    pair_key: pairKey(a.name, b.name, source),
+    drug1: String(a.name).trim(),
+    rxcui1: a.rxcui || null,
+    drug2: String(b.name).trim(),
+    rxcui2: b.rxcui || null,
+    product1: a.product || null,
+    product2: b.product || null,
+    severity: normalized,
+    tier: SEVERITY_TIER[normalized],
+    source,
+    description: description || '',
+    recommendation: recommendation || '',
+  };
+}
+
+// Which of two reports of a pair to keep: the more severe, then RxNorm's wording
+const outranks = (a, b) => a.tier < b.tier || (a.tier === b.tier && a.source === 'rxnorm' && b.source !== 'rxnorm');
+
+/**
+ * One interaction per pair, with RxCUIs and products filled in from the others
+ * @param {Object[]} interactions
+ */
+function mergeInteractions(interactions) {
+  const byPair = new Map();
+  for (const interaction of interactions) {
+    const kept = byPair.get(interaction.pair_key);
+    if (!kept) {
+      byPair.set(interaction.pair_key, { ...interaction });
+      continue;
+    }
+    const merged = outranks(interaction, kept) ? { ...interaction } : kept;
+    merged.rxcui1 = merged.rxcui1 || kept.rxcui1 || interaction.rxcui1;
+    merged.rxcui2 = merged.rxcui2 || kept.rxcui2 || interaction.rxcui2;
+    merged.product1 = merged.product1 || kept.product1 || interaction.product1;
+    merged.product2 = merged.product2 || kept.product2 || interaction.product2;
+    byPair.set(interaction.pair_key, merged);
+  }
+  return [...byPair.values()];
+}
+
+module.exports = {
+  SEVERITIES,
+  SOURCES,
+  drugKey,
+  pairKey,
+  normalizeSeverity,
+  makeInteraction,
+  mergeInteractions,
+};
@@ -0,0 +1,46 @@
+/**
+ * Levenshtein distance for fuzzy drug-name matching (OCR and spelling mistakes)
+ */
+
+/**
+ * Calculate Levenshtein distance for fuzzy string matching
+ */
+function levenshteinDistance(str1, str2) {
+  const len1 = str1.length;
+  const len2 = str2.length;
+  const matrix = [];
+
+  for (let i = 0; i <= len1; i++) {
+    matrix[i] = [i];
+  }
+  for (let j = 0; j <= len2; j++) {
+    matrix[0][j] = j;
+  }
+
+  for (let i = 1; i <= len1; i++) {
+    for (let j = 1; j <= len2; j++) {
+      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      matrix[i][j] = Math.min(
+        matrix[i - 1][j] + 1,
+        matrix[i][j - 1] + 1,
+        matrix[i - 1][j - 1] + cost
+      );
+    }
+  }
+
+  return matrix[len1][len2];
+}
+
+/**
+ * 1 for the same name, 0 for nothing in common (case-insensitive)
+ * @returns {Object} { distance, similarity }
+ */
+function compareNames(a, b) {
+  const distance = levenshteinDistance(a.toLowerCase(), b.toLowerCase());
+  return { distance, similarity: 1 - (distance / Math.max(a.length, b.length, 1)) };
+}
+
+// Spelling corrections need more than this similarity
+const MIN_SIMILARITY = 0.6;
+
+module.exports = { levenshteinDistance, compareNames, MIN_SIMILARITY };
@@ -0,0 +1,118 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Logger — Structured, levelled logging with the current request ID on every line.
+ *
+ * Health data (patient details, drug names and lists, OCR text, raw AI output)
+ * must only be passed in the `fields` argument under one of the PHI_FIELDS keys,
+ * never interpolated into the message. Those fields are redacted unless debug
+ * mode is on (LOG_LEVEL=debug), so production logs stay free of patient data.
+ *
+ * LOG_LEVEL  — debug | info | warn | error (default info)
+ * LOG_FORMAT — pretty (default) or json (one JSON object per line)
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Keys whose values are health information
+const PHI_FIELDS = new Set([
+  'patientContext', 'patient', 'name', 'age', 'email',
+  'drug', 'drugName', 'drug1', 'drug2', 'originalName', 'correctedName', 'suggestions',
+  'medications', 'currentMeds', 'extractedData', 'interactions',
+  'text', 'ocrText', 'content', 'response', 'query',
+]);
+
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+function isDebug() {
+  return threshold() <= LEVELS.debug;
+}
+
+function redactValue(value) {
+  if (Array.isArray(value)) return `[redacted: ${value.length} item(s)]`;
+  if (value && typeof value === 'object') return '[redacted]';
+  if (typeof value === 'string') return `[redacted: ${value.length} chars]`;
+  return '[redacted]';
+}
+
+/**
+ * Copy of `fields` with health data hidden (unless debug mode is on)
+ */
+function redact(fields) {
+  if (!fields || isDebug()) return fields;
+  const safe = {};
+  for (const [key, value] of Object.entries(fields)) {
+    safe[key] = PHI_FIELDS.has(key) && value !== undefined && value !== null ? redactValue(value) : value;
+  }
+  return safe;
+}
+
+function formatValue(value) {
+  if (value instanceof Error) return JSON.stringify(value.message);
+  if (typeof value === 'string') return /\s|"/.test(value) ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+}
+
+function write(level, tag, message, fields) {
+  if (LEVELS[level] < threshold()) return;
+
+  const requestId = context.getStore()?.requestId;
+  const safeFields = redact(fields);
+  const stream = level === 'error' || level === 'warn' ? console.error : console.log;
+
+  if ((process.env.LOG_FORMAT || '').toLowerCase() === 'json') {
+    const entry = { time: new Date().toISOString(), level, tag, requestId, message, ...safeFields };
+    if (entry.error instanceof Error) entry.error = entry.error.message;
+    stream(JSON.stringify(entry));
+    return;
+  }
+
+  const parts = [`[${tag}]`];
+  if (requestId) parts.push(`(${requestId.slice(0, 8)})`);
+  parts.push(message);
+  for (const [key, value] of Object.entries(safeFields || {})) {
+    if (value !== undefined) parts.push(`${key}=${formatValue(value)}`);
+  }
+  stream(`${level === 'info' ? '' : `${level.toUpperCase()} `}${parts.join(' ')}`);
+}
+
+const logger = {
+  LEVELS,
+  PHI_FIELDS,
+  isDebug,
+  redact,
+
+  /**
+   * Logger for one component — log.info('message', { field: value })
+   * @param {string} tag - Shown as [Tag], e.g. 'Pipeline'
+   */
+  child(tag) {
+    return {
+      debug: (message, fields) => write('debug', tag, message, fields),
+      info: (message, fields) => write('info', tag, message, fields),
+      warn: (message, fields) => write('warn', tag, message, fields),
+      error: (message, fields) => write('error', tag, message, fields),
+    };
+  },
+
+  /**
+   * Run `fn` with a request ID that every log line inside it (including
+   * background work it starts) will carry
+   */
+  runWithRequestId(requestId, fn) {
+    return context.run({ requestId }, fn);
+  },
+
+  /**
+   * Request ID of the code currently running (null outside a request)
+   */
+  getRequestId() {
+    return context.getStore()?.requestId || null;
+  },
+};
+
+module.exports = logger;
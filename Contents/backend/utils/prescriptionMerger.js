@@ -0,0 +1,92 @@
+/**
+ * Prescription Merger - Combines medications extracted from several pages
+ * of one prescription into a single deduplicated list.
+ */
+
+/**
+ * Normalize a drug name for comparison ("Amlodipine 5 mg" ≈ "amlodipine")
+ */
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/\d+(\.\d+)?\s*(mg|mcg|ml|g|iu|units?)\b/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Normalize a dosage string for comparison ("500 mg" ≈ "500mg")
+ */
+function normalizeDosage(dosage) {
+  if (!dosage || /not specified|unknown/i.test(dosage)) return '';
+  return dosage.toLowerCase().replace(/\s+/g, '');
+}
+
+function isMissing(value) {
+  return !value || /^(not specified|as directed|unknown|na)$/i.test(String(value).trim());
+}
+
+/**
+ * Merge per-page extraction results.
+ * Same drug + same strength on two pages becomes one entry tagged with both pages.
+ * Same drug with a different strength is kept as a separate entry.
+ * @param {Array} pages - [{ page: 1, medications: [...] }, ...]
+ * @returns {Array} - Medications, each with `page` (first seen) and `pages` (all pages)
+ */
+function mergePageMedications(pages) {
+  const merged = [];
+  const byKey = new Map();
+
+  for (const { page, medications } of pages) {
+    for (const med of medications || []) {
+      const nameKey = normalizeName(med.drug_name);
+
+      // Unreadable names can't be matched across pages, keep them as-is
+      if (!nameKey || med.drug_name === 'CLARIFICATION_NEEDED') {
+        merged.push({ ...med, page, pages: [page] });
+        continue;
+      }
+
+      // A missing strength matches whatever strength the drug has elsewhere
+      const dosageKey = normalizeDosage(med.dosage);
+      let existing = byKey.get(`${nameKey}|${dosageKey}`);
+      if (!existing && !dosageKey) {
+        existing = merged.find(m => normalizeName(m.drug_name) === nameKey);
+      }
+      if (!existing && dosageKey) {
+        existing = byKey.get(`${nameKey}|`);
+        if (existing) byKey.set(`${nameKey}|${dosageKey}`, existing);
+      }
+
+      if (existing) {
+        if (!existing.pages.includes(page)) existing.pages.push(page);
+        // Fill gaps from the later page without overwriting what we already have
+        for (const [field, value] of Object.entries(med)) {
+          if (isMissing(existing[field]) && !isMissing(value)) existing[field] = value;
+        }
+        if (existing.dosing_source === 'ai_generated' && med.dosing_source === 'prescription') {
+          existing.frequency = med.frequency;
+          existing.dose_timing = med.dose_timing;
+          existing.dosing_source = 'prescription';
+        }
+        // Once an entry has learned its strength it only matches that strength
+        const existingDosageKey = normalizeDosage(existing.dosage);
+        if (existingDosageKey && byKey.get(`${nameKey}|`) === existing) {
+          byKey.delete(`${nameKey}|`);
+          byKey.set(`${nameKey}|${existingDosageKey}`, existing);
+        }
+        continue;
+      }
+
+      const entry = { ...med, page, pages: [page] };
+      merged.push(entry);
+      byKey.set(`${nameKey}|${dosageKey}`, entry);
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  mergePageMedications,
+  normalizeName,
+};
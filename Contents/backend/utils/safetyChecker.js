@@ -198,11 +198,46 @@ function comprehensiveSafetyCheck(drugName, dosage, patientAge, currentMeds = []
   return safetyReport;
 }
 
+/**
+ * Safety check of a brand or combination, one check per active ingredient.
+ * Age warnings and dosage alerts name the ingredient they are about; food
+ * interactions are merged, each reason prefixed with its ingredient.
+ * @param {string} productName - As the patient has it ("Telma-AM 40")
+ * @param {Object[]} ingredients - [{ name, strength }]
+ */
+function productSafetyCheck(productName, ingredients, patientAge, currentMeds = []) {
+  const reports = ingredients.map(({ name, strength }) => comprehensiveSafetyCheck(name, strength, patientAge, currentMeds));
+  const tagged = (items, report) => items.map(item => ({ ...item, ingredient: report.drugName }));
+  const withFood = reports.filter(report => report.foodInteractions.hasFoodInteraction);
+  const labelled = (field) => withFood
+    .filter(report => report.foodInteractions[field])
+    .map(report => `${report.drugName}: ${report.foodInteractions[field]}`)
+    .join('; ') || undefined;
+
+  const severities = ['low', 'moderate', 'high'];
+  return {
+    drugName: productName,
+    ingredients: ingredients.map(ingredient => ingredient.name),
+    foodInteractions: withFood.length === 0 ? { hasFoodInteraction: false } : {
+      hasFoodInteraction: true,
+      avoid: [...new Set(withFood.flatMap(report => report.foodInteractions.avoid || []))],
+      reason: labelled('reason'),
+      timing: labelled('timing'),
+      note: labelled('note'),
+      ingredients: withFood.map(report => report.drugName),
+    },
+    ageWarnings: reports.flatMap(report => tagged(report.ageWarnings, report)),
+    dosageAlerts: reports.flatMap(report => tagged(report.dosageAlerts, report)),
+    overallSeverity: severities[Math.max(0, ...reports.map(report => severities.indexOf(report.overallSeverity)))],
+  };
+}
+
 module.exports = {
   checkFoodInteractions,
   checkAgeWarnings,
   checkDosageAlerts,
   comprehensiveSafetyCheck,
+  productSafetyCheck,
   FOOD_INTERACTIONS,
   AGE_WARNINGS,
   DOSAGE_ALERTS,
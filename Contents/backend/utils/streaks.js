@@ -0,0 +1,122 @@
+/**
+ * Streaks — Consecutive days on which every scheduled dose was taken,
+ * computed from the dose log (one pass over the taken doses, so long
+ * histories stay cheap).
+ *
+ * A medication's day counts when every slot its dose timing schedules has a
+ * "taken" log for that day. The overall day counts when every medication
+ * that existed that day (and schedules at least one slot) was complete.
+ * Today only extends a streak once it is complete; an unfinished today
+ * doesn't break it, a missed yesterday does.
+ */
+
+const { defaultTimezone, localDate } = require('./timezone');
+
+const SLOTS = ['morning', 'noon', 'evening'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function scheduledSlots(doseTiming) {
+  const timing = (doseTiming || '1-0-0').split('-').map(Number);
+  return SLOTS.filter((slot, i) => timing[i] > 0);
+}
+
+// 'YYYY-MM-DD' ± n days
+function shiftDay(day, n) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Day a medication was added, in the patient's timezone ('0000-00-00' when unknown)
+function startedOn(med, timeZone) {
+  return med.created_at ? localDate(med.created_at, timeZone) : '0000-00-00';
+}
+
+/**
+ * Current and best run in a set of complete days
+ * @param {Set<string>} days - Complete days as YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} { current, best, lastDay } — lastDay is the last day of the current run
+ */
+function runs(days, today) {
+  const sorted = [...days].sort();
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of sorted) {
+    run = previous && shiftDay(previous, 1) === day ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = day;
+  }
+
+  const yesterday = shiftDay(today, -1);
+  const current = previous === today || previous === yesterday ? run : 0;
+  return { current, best, lastDay: current > 0 ? previous : null };
+}
+
+/**
+ * Days on which each medication, and every medication together, was complete
+ * @param {Object[]} medications - Active medication rows (id, dose_timing, created_at)
+ * @param {Object[]} doses - Taken doses: { medication_id, dose_date, slot } (undone doses excluded)
+ * @param {string} [timeZone] - The patient's timezone (the day each medication was added)
+ * @returns {Object} { overall: Set, medications: Map<id, Set> } — days as YYYY-MM-DD; medications
+ *   that schedule no slot are left out
+ */
+function completeDays(medications, doses, timeZone = defaultTimezone()) {
+  const slotsByDay = new Map(medications.map(m => [m.id, new Map()]));
+  for (const dose of doses) {
+    const days = slotsByDay.get(dose.medication_id);
+    if (!days || !dose.slot || !dose.dose_date) continue;
+    if (!days.has(dose.dose_date)) days.set(dose.dose_date, new Set());
+    days.get(dose.dose_date).add(dose.slot);
+  }
+
+  const byMedication = new Map();
+  for (const med of medications) {
+    const required = scheduledSlots(med.dose_timing);
+    if (required.length === 0) continue;
+    const complete = new Set();
+    for (const [day, slots] of slotsByDay.get(med.id)) {
+      if (required.every(slot => slots.has(slot))) complete.add(day);
+    }
+    byMedication.set(med.id, complete);
+  }
+
+  // Overall: a day counts when every medication scheduled by then was complete
+  const tracked = medications.filter(m => byMedication.has(m.id));
+  const candidates = new Set();
+  for (const complete of byMedication.values()) complete.forEach(day => candidates.add(day));
+  const overall = new Set([...candidates].filter(day => {
+    const due = tracked.filter(m => startedOn(m, timeZone) <= day);
+    return due.length > 0 && due.every(m => byMedication.get(m.id).has(day));
+  }));
+
+  return { overall, medications: byMedication };
+}
+
+/**
+ * Streaks per medication and overall
+ * @param {Object[]} medications - Active medication rows (id, dose_timing, created_at)
+ * @param {Object[]} doses - Taken doses: { medication_id, dose_date, slot } (undone doses excluded)
+ * @param {string} today - YYYY-MM-DD
+ * @param {string} [timeZone] - The patient's timezone
+ * @returns {Object} { overall: { current, best, lastDay }, medications: { [id]: { current, best, lastDay } } }
+ */
+function computeStreaks(medications, doses, today, timeZone = defaultTimezone()) {
+  const complete = completeDays(medications, doses, timeZone);
+  return {
+    overall: runs(complete.overall, today),
+    medications: Object.fromEntries(medications.map(m => [m.id, runs(complete.medications.get(m.id) || new Set(), today)])),
+  };
+}
+
+/**
+ * Streak as of today from stored values: a run that ended before yesterday is over
+ * @param {number} streak - Stored current streak
+ * @param {string} lastDay - Stored last day of that run (YYYY-MM-DD)
+ * @param {string} today - YYYY-MM-DD
+ */
+function liveStreak(streak, lastDay, today) {
+  if (!streak || !lastDay) return 0;
+  return lastDay >= shiftDay(today, -1) ? streak : 0;
+}
+
+module.exports = { SLOTS, completeDays, computeStreaks, liveStreak, shiftDay, scheduledSlots, startedOn };
@@ -0,0 +1,92 @@
+/**
+ * Timezones — Dose days, slot times and "today" are in the patient's own
+ * timezone (patients.timezone, an IANA name such as "Asia/Kolkata"), so the
+ * day rolls over at their midnight rather than at midnight UTC.
+ *
+ * DEFAULT_TIMEZONE — for patients without a (valid) timezone (default Asia/Kolkata)
+ */
+
+const FALLBACK_TIMEZONE = 'Asia/Kolkata';
+
+const formatters = new Map();
+
+// Cached, as building an Intl.DateTimeFormat is slow
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    formatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function defaultTimezone() {
+  const configured = process.env.DEFAULT_TIMEZONE;
+  return isValidTimezone(configured) ? configured : FALLBACK_TIMEZONE;
+}
+
+/**
+ * The patient's timezone, or the default when unset or unknown
+ * @param {Object} patient - Patient row
+ */
+function patientTimezone(patient) {
+  return isValidTimezone(patient?.timezone) ? patient.timezone : defaultTimezone();
+}
+
+// Wall-clock parts of an instant in a timezone
+function parts(date, timeZone) {
+  const values = {};
+  for (const { type, value } of formatter(timeZone).formatToParts(date)) values[type] = value;
+  return values;
+}
+
+/**
+ * Local calendar day of an instant, as YYYY-MM-DD
+ * @param {Date|string} date
+ * @param {string} timeZone
+ */
+function localDate(date, timeZone) {
+  const p = parts(new Date(date), timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// Minutes the timezone is ahead of UTC at an instant (330 for India)
+function offsetMinutes(instant, timeZone) {
+  const p = parts(new Date(instant), timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((wallClock - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant a local wall-clock time happens on a local day
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTime(day, minutes, timeZone) {
+  const wallClock = Date.parse(`${day}T00:00:00Z`) + minutes * 60000;
+  // Guess with the offset at that wall-clock time, then correct once for a DST change in between
+  let instant = wallClock - offsetMinutes(wallClock, timeZone) * 60000;
+  instant = wallClock - offsetMinutes(instant, timeZone) * 60000;
+  return new Date(instant);
+}
+
+module.exports = { isValidTimezone, defaultTimezone, patientTimezone, localDate, zonedTime };
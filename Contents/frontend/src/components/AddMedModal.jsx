@@ -2,6 +2,7 @@ import React, { useState, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { X, Upload, Plus } from 'lucide-react';
 import { useApp } from '../context/AppContext';
+import { getErrorMessage } from '../lib/errors';
 
 export default function AddMedModal({ onClose }) {
   const { addMedication, speak, t } = useApp();
@@ -68,7 +69,7 @@ export default function AddMedModal({ onClose }) {
       onClose();
     } catch (err) {
       console.error('Failed to add medication:', err);
-      setError('Failed to add medication. Please try again.');
+      setError(getErrorMessage(err, t, 'Failed to add medication. Please try again.'));
       setSaving(false);
     }
   };
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useApp } from '../context/AppContext';
+import { activeDrugKeys, isBetweenActive, isDuplicate, pairLabel } from '../lib/interactions';
 import { motion } from 'framer-motion';
 import {
   ShieldAlert, AlertTriangle, AlertCircle, Info, Volume2,
@@ -9,27 +10,19 @@ import {
 export default function AlertsPage() {
   const { interactions, medications, speak, t, primaryDoctor, callDoctor } = useApp();
 
-  // Get active medication names (case-insensitive)
-  const activeMedNames = medications
-    .filter(m => m.active !== false)
-    .map(m => m.name.toLowerCase());
-
   // Filter interactions to only show those where both drugs are still active
-  const activeInteractions = interactions.filter((i) => {
-    const drug1Active = activeMedNames.some(name => 
-      i.drug1.toLowerCase().includes(name) || name.includes(i.drug1.toLowerCase())
-    );
-    const drug2Active = activeMedNames.some(name => 
-      i.drug2.toLowerCase().includes(name) || name.includes(i.drug2.toLowerCase())
-    );
-    return drug1Active && drug2Active;
-  });
+  const activeKeys = activeDrugKeys(medications);
+  const activeInteractions = interactions.filter((i) => isBetweenActive(i, activeKeys));
 
   // Categorize by severity
   const red = activeInteractions.filter((i) => i.severity === 'high');
   const yellow = activeInteractions.filter((i) => i.severity === 'moderate');
   const green = activeInteractions.filter((i) => i.severity === 'low');
 
+  // Two medicines doing the same job get their own section, not the interaction ones
+  const duplicates = activeInteractions.filter(isDuplicate);
+  const interactionsOnly = (alerts) => alerts.filter((i) => !isDuplicate(i));
+
   const totalAlerts = activeInteractions.length;
 
   return (
@@ -91,31 +84,41 @@ export default function AlertsPage() {
         </motion.div>
       )}
 
+      {/* Same job, two medicines (therapeutic duplication) */}
+      {duplicates.length > 0 && (
+        <AlertSection
+          title={t('alertsDuplicatesTitle', '💊 Same job, two medicines — Ask your doctor')}
+          alerts={duplicates}
+          tier={duplicates.some((i) => i.severity === 'high') ? 'red' : 'yellow'}
+          speak={speak}
+        />
+      )}
+
       {/* Critical (RED) alerts */}
-      {red.length > 0 && (
+      {interactionsOnly(red).length > 0 && (
         <AlertSection
           title={t('alertsCriticalTitle', '🚨 Critical — Talk to your doctor')}
-          alerts={red}
+          alerts={interactionsOnly(red)}
           tier="red"
           speak={speak}
         />
       )}
 
       {/* Moderate (YELLOW) alerts */}
-      {yellow.length > 0 && (
+      {interactionsOnly(yellow).length > 0 && (
         <AlertSection
           title={t('alertsWarningTitle', '⚠️ Warnings — Be careful')}
-          alerts={yellow}
+          alerts={interactionsOnly(yellow)}
           tier="yellow"
           speak={speak}
         />
       )}
 
       {/* Low (GREEN) notices */}
-      {green.length > 0 && (
+      {interactionsOnly(green).length > 0 && (
         <AlertSection
           title={t('alertsInfoTitle', 'ℹ️ Notices — Good to know')}
-          alerts={green}
+          alerts={interactionsOnly(green)}
           tier="green"
           speak={speak}
         />
@@ -195,7 +198,7 @@ function AlertCard({ alert, colors, TierIcon, speak }) {
           <div className="flex-1">
             <p className={`font-semibold text-sm ${colors.text}`}>
               {alert.drug1 && alert.drug2
-                ? `${alert.drug1} + ${alert.drug2}`
+                ? pairLabel(alert)
                 : 'Drug Interaction'}
             </p>
             <p className={`text-sm mt-1 ${colors.desc}`}>
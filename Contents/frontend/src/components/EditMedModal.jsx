@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { X, Save, AlertCircle } from 'lucide-react';
 import { useApp } from '../context/AppContext';
+import { getErrorMessage } from '../lib/errors';
 
 export default function EditMedModal({ med, onClose }) {
   const { updateMedication, speak, t } = useApp();
@@ -53,7 +54,7 @@ export default function EditMedModal({ med, onClose }) {
       onClose();
     } catch (err) {
       console.error('Failed to update medication:', err);
-      setError('Failed to save changes. Please try again.');
+      setError(getErrorMessage(err, t, 'Failed to save changes. Please try again.'));
       setSaving(false);
     }
   };
@@ -1,8 +1,17 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { motion } from 'framer-motion';
-import { Check, X, AlertTriangle, Edit2, Plus, RefreshCw, Loader2 } from 'lucide-react';
+import { Check, X, AlertTriangle, Edit2, Plus, RefreshCw, Loader2, FilePlus } from 'lucide-react';
 import { useApp } from '../context/AppContext';
-import { clearImageCache } from '../services/api';
+import { ERROR_MESSAGE_KEYS } from '../lib/errors';
+import { drugClassNames } from '../lib/interactions';
+
+/**
+ * Why nothing could be verified: names read but unknown, or nothing legible
+ */
+function failureMessage(failedExtractions, t) {
+  const code = failedExtractions.some(f => f.code === 'DRUG_NOT_RECOGNIZED') ? 'DRUG_NOT_RECOGNIZED' : 'IMAGE_UNREADABLE';
+  return t(ERROR_MESSAGE_KEYS[code], 'Please try taking a clearer photo with good lighting.');
+}
 
 /**
  * Confirmation Modal - Shows extracted medications for user verification
@@ -14,9 +23,11 @@ export default function ExtractionConfirmModal({
   onConfirm, 
   onCancel,
   onRetry,
-  currentImageFile
+  onAddPage,
+  pageCount = 1
 }) {
   const { t } = useApp();
+  const pageInputRef = useRef(null);
   const [editingIndex, setEditingIndex] = useState(null);
   const [medications, setMedications] = useState(extractedMeds);
   const [isRetrying, setIsRetrying] = useState(false);
@@ -26,6 +37,12 @@ export default function ExtractionConfirmModal({
     const updated = [...medications];
     if (!updated[index].extracted_data) updated[index].extracted_data = {};
     updated[index].extracted_data[field] = value;
+    // A renamed medicine's brand ingredients and classes are no longer known
+    if (field === 'drug_name') {
+      delete updated[index].extracted_data.generic_name;
+      delete updated[index].extracted_data.ingredients;
+      delete updated[index].extracted_data.drug_classes;
+    }
     setMedications(updated);
   };
 
@@ -50,7 +67,9 @@ export default function ExtractionConfirmModal({
         dose_timing: extractedData.dose_timing || '1-0-0',
         dosing_source: extractedData.dosing_source || 'prescription',
         duration: extractedData.duration || '',
-        route: extractedData.route || 'Oral'
+        route: extractedData.route || 'Oral',
+        page: extractedData.page,
+        pages: extractedData.pages
       },
       safety_flag: 'YELLOW', // Mark as needing review since it was a suggestion
       interactions: [],
@@ -83,6 +102,20 @@ export default function ExtractionConfirmModal({
     // Note: Don't set isConfirming to false on success - modal will close
   };
 
+  const handleAddPage = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setIsRetrying(true);
+    try {
+      await onAddPage(file); // Re-runs extraction on all pages, including the new one
+    } catch (error) {
+      console.error('Error adding page:', error);
+    } finally {
+      setIsRetrying(false);
+    }
+  };
+
   const handleRetry = async () => {
     setIsRetrying(true);
     try {
@@ -137,10 +170,25 @@ export default function ExtractionConfirmModal({
                   <div className="mt-3 space-y-3">
                     {failedExtractions.map((failed, i) => (
                       <div key={i} className="bg-white rounded-lg p-3 border border-yellow-300">
-                        <p className="text-sm font-medium text-gray-900">
-                          Couldn't verify: <strong>"{failed.originalName || 'Unknown'}"</strong>
-                        </p>
-                        {failed.suggestions && failed.suggestions.length > 0 ? (
+                        {failed.reason === 'pages_skipped' ? (
+                          <p className="text-sm font-medium text-gray-900">
+                            {t('pdfPagesSkipped', 'Only the first {read} of {total} PDF pages were read')
+                              .replace('{read}', failed.pagesRead)
+                              .replace('{total}', failed.totalPages)}
+                          </p>
+                        ) : failed.reason === 'unreadable_page' ? (
+                          <p className="text-sm font-medium text-gray-900">
+                            {t('pageUnreadable', "Couldn't read page")} <strong>{failed.page}</strong>
+                          </p>
+                        ) : (
+                          <p className="text-sm font-medium text-gray-900">
+                            Couldn't verify: <strong>"{failed.originalName || 'Unknown'}"</strong>
+                            {pageCount > 1 && failed.extractedData?.page && (
+                              <span className="text-xs text-gray-500"> ({t('scanPageLabel', 'Page')} {failed.extractedData.page})</span>
+                            )}
+                          </p>
+                        )}
+                        {failed.reason === 'unreadable_page' || failed.reason === 'pages_skipped' ? null : failed.suggestions && failed.suggestions.length > 0 ? (
                           <div className="mt-2">
                             <p className="text-xs text-gray-600 mb-2 font-medium">Did you mean one of these?</p>
                             <div className="flex flex-wrap gap-2">
@@ -183,7 +231,7 @@ export default function ExtractionConfirmModal({
                     {failedExtractions.some(f => f.suggestions && f.suggestions.length > 0) ? (
                       <span>Please review the suggestions above or try again with a clearer photo.</span>
                     ) : (
-                      <span>Please try taking a clearer photo with good lighting.</span>
+                      <span>{failureMessage(failedExtractions, t)}</span>
                     )}
                   </>
                 ) : (
@@ -210,6 +258,7 @@ export default function ExtractionConfirmModal({
                   onStartEdit={() => setEditingIndex(index)}
                   onStopEdit={() => setEditingIndex(null)}
                   onRemove={handleRemove}
+                  showPages={pageCount > 1}
                 />
               ))}
               {failedExtractions.length > 0 && (
@@ -248,6 +297,30 @@ export default function ExtractionConfirmModal({
             )}
           </button>
 
+          {/* Add Page Button - Re-scan with one more page of the same prescription */}
+          {onAddPage && (
+            <>
+              <input
+                ref={pageInputRef}
+                type="file"
+                accept="image/*,application/pdf"
+                onChange={handleAddPage}
+                className="hidden"
+              />
+              <button
+                onClick={() => pageInputRef.current?.click()}
+                disabled={isRetrying || isConfirming}
+                className="w-full py-4 bg-white border border-gray-300 text-gray-900 rounded-2xl font-bold text-base flex items-center justify-center gap-2 hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <FilePlus size={20} />
+                {t('addAnotherPage', 'Add another page')}
+                {pageCount > 1 && (
+                  <span className="text-xs font-medium text-gray-500">({pageCount} {t('pagesScanned', 'pages scanned')})</span>
+                )}
+              </button>
+            </>
+          )}
+
           {/* Try Again Button - Always available to force re-extraction */}
           {onRetry && (
             <button
@@ -273,7 +346,8 @@ export default function ExtractionConfirmModal({
   );
 }
 
-function MedicationCard({ medication, index, isEditing, onEdit, onStartEdit, onStopEdit, onRemove }) {
+function MedicationCard({ medication, index, isEditing, onEdit, onStartEdit, onStopEdit, onRemove, showPages }) {
+  const { t } = useApp();
   const data = medication.extracted_data || {};
   const safetyFlag = medication.safety_flag || 'GREEN';
   
@@ -342,12 +416,25 @@ function MedicationCard({ medication, index, isEditing, onEdit, onStartEdit, onS
         <div className="flex-1">
           <div className="flex items-center gap-2 flex-wrap">
             <h3 className="font-bold text-gray-900 text-lg">{data.drug_name || 'Unknown'}</h3>
+            {showPages && data.pages && data.pages.length > 0 && (
+              <span className="px-2 py-0.5 bg-gray-200 text-gray-700 text-xs font-medium rounded">
+                {data.pages.length > 1 ? 'Pages' : 'Page'} {data.pages.join(', ')}
+              </span>
+            )}
             {medication.fromSuggestion && (
               <span className="px-2 py-0.5 bg-blue-100 text-blue-700 text-xs font-medium rounded">
                 From suggestion - please verify
               </span>
             )}
           </div>
+          {data.generic_name && (
+            <p className="text-sm text-gray-500 mt-0.5">{t('containsGeneric', 'Contains')} {data.generic_name}</p>
+          )}
+          {drugClassNames(data.drug_classes).length > 0 && (
+            <p className="text-xs text-gray-400 mt-0.5">
+              {t('drugClassLabel', 'Type:')} {drugClassNames(data.drug_classes).join(', ')}
+            </p>
+          )}
           <div className="mt-2 space-y-1 text-sm text-gray-600">
             <p><span className="font-medium">Dosage:</span> {data.dosage || 'Not specified'}</p>
             <p className="flex items-center gap-2 flex-wrap">
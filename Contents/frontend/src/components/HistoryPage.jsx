@@ -2,13 +2,17 @@ import React, { useState, useMemo } from 'react';
 import { useApp } from '../context/AppContext';
 import { motion } from 'framer-motion';
 import {
-  History, Check, Undo2, X, Calendar, Clock, Filter, ChevronDown, Package
+  History, Check, Undo2, X, Calendar, Clock, Filter, ChevronDown, Package, Percent, AlertTriangle
 } from 'lucide-react';
+import { formatPercent, formatLateness, slotLabel, weakSpotMessage } from '../lib/adherence';
+
+const ADHERENCE_WINDOWS = [7, 30, 90];
 
 export default function HistoryPage() {
-  const { medicationLogs, medications, t } = useApp();
+  const { medicationLogs, medications, adherence, t } = useApp();
   const [filterAction, setFilterAction] = useState('all'); // all, taken, undo, missed
   const [groupBy, setGroupBy] = useState('date'); // date, medication
+  const [windowDays, setWindowDays] = useState(30);
 
   // Filter logs based on selected action
   const filteredLogs = useMemo(() => {
@@ -22,7 +26,7 @@ export default function HistoryPage() {
       // Group by date
       const groups = {};
       filteredLogs.forEach(log => {
-        const date = new Date(log.loggedAt).toLocaleDateString();
+        const date = new Date(log.scheduledAt || log.loggedAt).toLocaleDateString();
         if (!groups[date]) groups[date] = [];
         groups[date].push(log);
       });
@@ -39,16 +43,9 @@ export default function HistoryPage() {
     }
   }, [filteredLogs, groupBy]);
 
-  // Calculate stats
-  const totalTaken = medicationLogs.filter(log => log.action === 'taken').length;
-  const totalUndo = medicationLogs.filter(log => log.action === 'undo').length;
-  const totalMissed = medicationLogs.filter(log => log.action === 'missed').length;
-  const thisWeekTaken = medicationLogs.filter(log => {
-    const logDate = new Date(log.loggedAt);
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    return log.action === 'taken' && logDate >= weekAgo;
-  }).length;
+  // Adherence analytics for the selected window (computed by the backend against the schedule)
+  const stats = adherence?.windows?.[windowDays];
+  const missedDoses = stats ? stats.expected - stats.taken : null;
 
   return (
     <div className="page-content pb-6">
@@ -62,34 +59,78 @@ export default function HistoryPage() {
         </p>
       </div>
 
+      {/* Adherence window */}
+      <div className="flex gap-2 mb-3">
+        {ADHERENCE_WINDOWS.map((days) => (
+          <FilterButton
+            key={days}
+            active={windowDays === days}
+            onClick={() => setWindowDays(days)}
+            label={t('history.lastDays', 'Last {days} days').replace('{days}', days)}
+          />
+        ))}
+      </div>
+
       {/* Stats Cards */}
       <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 mb-5">
         <StatCard
           icon={<Check size={18} />}
-          label={t('history.dosesTaken', 'Doses Taken')}
-          value={totalTaken}
+          label={t('adherence', 'Adherence')}
+          value={formatPercent(stats?.adherence)}
           color="bg-green-50 text-green-600"
         />
         <StatCard
-          icon={<Calendar size={18} />}
-          label={t('history.thisWeek', 'This Week')}
-          value={thisWeekTaken}
+          icon={<Percent size={18} />}
+          label={t('history.daysCovered', 'Days Covered')}
+          value={formatPercent(stats?.pdc)}
           color="bg-blue-50 text-blue-600"
         />
         <StatCard
-          icon={<Undo2 size={18} />}
-          label={t('history.undone', 'Undone')}
-          value={totalUndo}
+          icon={<Clock size={18} />}
+          label={t('history.avgLateness', 'Avg. Lateness')}
+          value={formatLateness(stats?.averageLatenessMinutes, t)}
           color="bg-orange-50 text-orange-600"
         />
         <StatCard
           icon={<X size={18} />}
           label={t('history.missed', 'Missed')}
-          value={totalMissed}
+          value={missedDoses ?? '—'}
           color="bg-red-50 text-red-600"
         />
       </div>
 
+      {/* Weak spots (last 30 days) */}
+      {adherence?.weakSpots?.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-2xl p-4 mb-5">
+          <h3 className="text-sm font-semibold text-amber-800 mb-2 flex items-center gap-1.5">
+            <AlertTriangle size={16} /> {t('history.weakSpots', 'Needs attention')}
+          </h3>
+          <ul className="space-y-1">
+            {adherence.weakSpots.map((spot, idx) => (
+              <li key={idx} className="text-sm text-amber-700">{weakSpotMessage(spot, t)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Breakdown by time of day and by medication */}
+      {stats && stats.expected > 0 && (
+        <div className="grid lg:grid-cols-2 gap-3 mb-5">
+          <BreakdownCard
+            title={t('history.bySlot', 'By Time of Day')}
+            rows={Object.entries(stats.bySlot)
+              .filter(([, s]) => s.expected > 0)
+              .map(([slot, s]) => ({ key: slot, label: slotLabel(slot, t), tally: s }))}
+          />
+          <BreakdownCard
+            title={t('history.groupByMedication', 'Medication')}
+            rows={Object.entries(stats.byMedication)
+              .filter(([, m]) => m.expected > 0)
+              .map(([id, m]) => ({ key: id, label: m.name, tally: m }))}
+          />
+        </div>
+      )}
+
       {/* Filters */}
       <div className="flex flex-wrap gap-2 mb-5">
         <FilterButton
@@ -174,6 +215,33 @@ function StatCard({ icon, label, value, color }) {
   );
 }
 
+function BreakdownCard({ title, rows }) {
+  const { t } = useApp();
+  return (
+    <div className="bg-white rounded-2xl border border-gray-100 shadow-sm p-4">
+      <h3 className="text-sm font-semibold text-gray-700 mb-3">{title}</h3>
+      <div className="space-y-3">
+        {rows.map(({ key, label, tally }) => (
+          <div key={key}>
+            <div className="flex items-center justify-between text-xs mb-1">
+              <span className="font-medium text-gray-700 truncate">{label}</span>
+              <span className="text-gray-500 flex-shrink-0 ml-2">
+                {formatPercent(tally.adherence)} · {formatLateness(tally.averageLatenessMinutes, t)}
+              </span>
+            </div>
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full ${tally.adherence >= 80 ? 'bg-green-500' : tally.adherence >= 60 ? 'bg-amber-500' : 'bg-red-500'}`}
+                style={{ width: `${tally.adherence || 0}%` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function FilterButton({ active, onClick, label, icon }) {
   return (
     <button
@@ -226,7 +294,7 @@ function HistoryGroup({ groupKey, logs, groupBy }) {
       {expanded && (
         <div className="border-t border-gray-100">
           {logs
-            .sort((a, b) => new Date(b.loggedAt) - new Date(a.loggedAt))
+            .sort((a, b) => new Date(b.scheduledAt || b.loggedAt) - new Date(a.scheduledAt || a.loggedAt))
             .map((log, idx) => (
               <HistoryLogItem key={log.id || idx} log={log} groupBy={groupBy} />
             ))}
@@ -257,7 +325,7 @@ function HistoryLogItem({ log, groupBy }) {
   };
 
   const config = actionConfig[log.action] || actionConfig.taken;
-  const logDate = new Date(log.loggedAt);
+  const logDate = new Date(log.scheduledAt || log.loggedAt);
   const timeStr = logDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   const dateStr = logDate.toLocaleDateString();
 
@@ -273,6 +341,12 @@ function HistoryLogItem({ log, groupBy }) {
         <div className="flex items-center gap-2 text-xs text-gray-500 mt-0.5">
           <Clock size={12} />
           <span>{timeStr}</span>
+          {log.slot && (
+            <>
+              <span>•</span>
+              <span>{slotLabel(log.slot, t)}</span>
+            </>
+          )}
           {groupBy === 'medication' && (
             <>
               <span>•</span>
@@ -8,6 +8,7 @@ import {
 } from 'lucide-react';
 import MedDetailModal from './MedDetailModal';
 import MobileHeader from './MobileHeader';
+import { formatPercent, weakSpotMessage } from '../lib/adherence';
 
 function ProgressRing({ percent, size = 120, stroke = 10 }) {
   const r = (size - stroke) / 2;
@@ -48,7 +49,7 @@ function getTimeOfDay(timeStr) {
 export default function HomePage() {
   const {
     patient, medications, pendingMeds, completedMeds,
-    adherenceRate, bestStreak, takeMedication, undoTakeMedication,
+    adherence, currentStreak, bestStreak, takeMedication, undoTakeMedication,
     unresolvedAlerts, speak, setActivePage, updatePatient, t, primaryDoctor, callDoctor
   } = useApp();
 
@@ -203,7 +204,7 @@ export default function HomePage() {
               className="flex items-center gap-1.5 bg-orange-50 px-3 py-1.5 rounded-xl"
             >
               <Flame size={18} className="text-orange-500" />
-              <span className="font-bold text-orange-600">{bestStreak}</span>
+              <span className="font-bold text-orange-600">{currentStreak}</span>
               <span className="text-xs text-orange-400">{t('dayStreak', 'day streak')}</span>
             </motion.div>
           </div>
@@ -330,13 +331,14 @@ export default function HomePage() {
                 className="absolute top-full left-1/2 -translate-x-1/2 mt-4 bg-white rounded-2xl shadow-2xl p-5 z-50 w-80 sm:w-96 border border-gray-100"
               >
                 <div className="flex gap-4">
-                  {/* Adherence Rate Box */}
+                  {/* Adherence Rate Box (last 30 days) */}
                   <div className="flex-1 bg-gradient-to-br from-blue-100 to-blue-50 rounded-2xl p-5 text-center">
                     <div className="flex items-center justify-center gap-2 mb-3">
                       <Check size={24} className="text-blue-600" strokeWidth={2.5} />
-                      <p className="text-3xl font-bold text-blue-900">{percent}%</p>
+                      <p className="text-3xl font-bold text-blue-900">{formatPercent(adherence?.windows?.[30]?.adherence)}</p>
                     </div>
                     <p className="text-xs font-bold text-blue-700 uppercase tracking-wider">{t('adherence', 'Adherence')}</p>
+                    <p className="text-[10px] text-blue-500 mt-1">{t('last30Days', 'Last 30 days')}</p>
                   </div>
                   {/* Best Streak Box */}
                   <div className="flex-1 bg-gradient-to-br from-orange-100 to-orange-50 rounded-2xl p-5 text-center">
@@ -367,12 +369,22 @@ export default function HomePage() {
             </div>
             <div className="flex items-center gap-4 text-xs text-gray-400 pt-1">
               <span className="flex items-center gap-1">
-                <Flame size={12} className="text-orange-400" /> {bestStreak} {t('dayStreak', 'day streak')}
+                <Flame size={12} className="text-orange-400" /> {currentStreak} {t('dayStreak', 'day streak')}
               </span>
               <span className="flex items-center gap-1">
                 <Trophy size={12} className="text-yellow-500" /> {completedMeds.length} {t('todayLabel', 'today')}
               </span>
             </div>
+            {/* Worst weak spot from the adherence analytics */}
+            {adherence?.weakSpots?.length > 0 && (
+              <button
+                onClick={() => setActivePage('history')}
+                className="flex items-center gap-1.5 text-xs text-amber-700 bg-amber-50 rounded-lg px-2 py-1 text-left"
+              >
+                <AlertTriangle size={12} className="flex-shrink-0" />
+                <span>{weakSpotMessage(adherence.weakSpots[0], t)}</span>
+              </button>
+            )}
           </div>
         </div>
 
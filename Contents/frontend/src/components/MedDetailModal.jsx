@@ -1,14 +1,33 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useApp } from '../context/AppContext';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, Volume2, Check, AlertTriangle, Clock, Flame, Heart, Pill, Phone, Calendar, Edit2, Trash2 } from 'lucide-react';
+import { X, Volume2, Check, AlertTriangle, Clock, Flame, Heart, Pill, Phone, Calendar, Edit2, Trash2, History, RotateCcw } from 'lucide-react';
 import EditMedModal from './EditMedModal';
+import { DISCONTINUE_REASONS, describeVersion, formatVersionDate } from '../lib/medicationHistory';
 
-export default function MedDetailModal({ med, onClose }) {
-  const { speak, takeMedication, deleteMedication, t, patient, primaryDoctor, callDoctor } = useApp();
+export default function MedDetailModal({ med: selected, onClose }) {
+  const {
+    medications, speak, takeMedication, deleteMedication, getMedicationHistory, restoreMedicationVersion,
+    t, patient, primaryDoctor, callDoctor,
+  } = useApp();
+  // The live row, so edits and restores show while the modal is open
+  const med = medications.find((m) => m.id === selected?.id) || selected;
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
-  
+  const [discontinueReason, setDiscontinueReason] = useState('course_completed');
+  const [versions, setVersions] = useState([]);
+  const [restoring, setRestoring] = useState(null);
+
+  // Reload the history whenever what's versioned changes (edits, restores)
+  useEffect(() => {
+    if (!med?.id) return;
+    let cancelled = false;
+    getMedicationHistory(med.id)
+      .then((list) => !cancelled && setVersions(list))
+      .catch((err) => console.error('Failed to load medication history:', err));
+    return () => { cancelled = true; };
+  }, [med?.id, med?.dosage, med?.frequency, med?.doseTiming, getMedicationHistory]);
+
   if (!med) return null;
 
   const nudge = med.nudge || {};
@@ -68,11 +87,22 @@ export default function MedDetailModal({ med, onClose }) {
   };
 
   const handleDelete = async () => {
-    await deleteMedication(med.id);
+    await deleteMedication(med.id, discontinueReason);
     speak(`Removed ${med.name} from your list.`);
     onClose();
   };
 
+  const handleRestore = async (version) => {
+    setRestoring(version);
+    try {
+      await restoreMedicationVersion(med.id, version);
+    } catch (err) {
+      console.error('Failed to restore version:', err);
+    } finally {
+      setRestoring(null);
+    }
+  };
+
   return (
     <AnimatePresence>
       <motion.div
@@ -262,6 +292,40 @@ export default function MedDetailModal({ med, onClose }) {
               </div>
             </div>
 
+            {/* Changes to dose, frequency and timing (only once there has been one) */}
+            {versions.length > 1 && (
+              <Section icon={<History size={16} />} title={t('medicationHistory', 'Changes')} color="blue">
+                <div className="space-y-2">
+                  {versions.map((version, i) => (
+                    <div key={version.id} className="flex items-start justify-between gap-3 p-2 bg-blue-50 rounded-lg">
+                      <div className="flex-1 min-w-0">
+                        {describeVersion(version, t).map((line) => (
+                          <p key={line} className="text-sm font-medium text-gray-900">{line}</p>
+                        ))}
+                        <p className="text-xs text-gray-500">
+                          {formatVersionDate(version.created_at)}
+                          {version.reason ? ` · ${version.reason}` : ''}
+                        </p>
+                      </div>
+                      {i === 0 ? (
+                        <span className="text-xs font-medium px-2 py-1 bg-blue-100 text-blue-700 rounded-md flex-shrink-0">
+                          {t('currentVersion', 'Current')}
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => handleRestore(version.version)}
+                          disabled={restoring !== null}
+                          className="text-xs font-medium px-2 py-1 bg-white text-blue-700 border border-blue-200 rounded-md flex items-center gap-1 flex-shrink-0 hover:bg-blue-100 disabled:opacity-50"
+                        >
+                          <RotateCcw size={12} /> {t('restoreVersion', 'Restore')}
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </Section>
+            )}
+
             {/* Refill date */}
             {med.refillDate && (
               <div className="flex items-center gap-3 p-3 bg-blue-50 rounded-xl border border-blue-200">
@@ -354,17 +418,37 @@ export default function MedDetailModal({ med, onClose }) {
                 <Trash2 size={24} className="text-red-600" />
               </div>
               <h3 className="text-xl font-bold text-gray-900 text-center mb-2">
-                Delete Medicine?
+                {t('stopMedicine', 'Stop this medicine?')}
               </h3>
-              <p className="text-gray-600 text-center mb-6">
-                Are you sure you want to remove <strong>{med.name}</strong> from your medicine list? This action cannot be undone.
+              <p className="text-gray-600 text-center mb-4">
+                <strong>{med.name}</strong> {t('stopMedicineKept', 'leaves your medicine list. Its history is kept.')}
               </p>
+              <p className="text-sm font-semibold text-gray-700 mb-2">{t('whyStopping', 'Why are you stopping it?')}</p>
+              <div className="space-y-1.5 mb-5">
+                {DISCONTINUE_REASONS.map((reason) => (
+                  <label
+                    key={reason.value}
+                    className={`flex items-center gap-2 px-3 py-2 rounded-lg border text-sm cursor-pointer ${
+                      discontinueReason === reason.value ? 'border-red-300 bg-red-50 text-red-700' : 'border-gray-200 text-gray-700'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="discontinueReason"
+                      value={reason.value}
+                      checked={discontinueReason === reason.value}
+                      onChange={() => setDiscontinueReason(reason.value)}
+                    />
+                    {t(reason.key, reason.label)}
+                  </label>
+                ))}
+              </div>
               <div className="space-y-2">
                 <button
                   onClick={handleDelete}
                   className="w-full py-3 bg-red-600 text-white rounded-xl font-semibold hover:bg-red-700 transition-colors"
                 >
-                  Yes, Delete
+                  {t('stopMedicineConfirm', 'Yes, stop it')}
                 </button>
                 <button
                   onClick={() => setShowDeleteConfirm(false)}
@@ -7,6 +7,11 @@ import {
   Trash2, Plus, Bell, Accessibility, Languages, LogOut, Edit2, Save, X, Vibrate, Clock
 } from 'lucide-react';
 
+// Zones the browser knows, with a short list for older browsers
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : ['Asia/Kolkata', 'Asia/Dubai', 'Asia/Singapore', 'Europe/London', 'America/New_York', 'America/Los_Angeles', 'Australia/Sydney', 'UTC'];
+
 const LANGUAGES = [
   { code: 'en', label: 'English' },
   { code: 'hi', label: 'हिन्दी (Hindi)' },
@@ -412,6 +417,14 @@ export default function ProfilePage() {
                 value={patient.dinner_time || '19:00'}
                 onChange={(time) => updatePatient({ dinner_time: time })}
               />
+              <TimezoneSelect
+                label={`🌍 ${t('timezone', 'Time zone')}`}
+                value={patient.timezone}
+                onChange={(timezone) => updatePatient({ timezone })}
+              />
+              <p className="text-xs text-gray-400">
+                {t('timezoneDescription', 'Your doses reset at midnight in this time zone')}
+              </p>
             </div>
           </SettingsGroup>
 
@@ -638,6 +651,24 @@ function ScaleSelector({ currentScale, onScaleChange }) {
   );
 }
 
+function TimezoneSelect({ label, value, onChange }) {
+  const options = TIMEZONES.includes(value) ? TIMEZONES : [value, ...TIMEZONES];
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <label className="text-sm font-medium text-gray-700">{label}</label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="max-w-[55%] px-3 py-2 text-sm border border-gray-200 rounded-lg bg-white focus:outline-none focus:border-blue-400 transition-colors"
+      >
+        {options.map((zone) => (
+          <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
 function TimeInput({ label, value, onChange }) {
   return (
     <div className="flex items-center justify-between">
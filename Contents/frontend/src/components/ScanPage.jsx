@@ -4,49 +4,54 @@ import { useApp } from '../context/AppContext';
 import { processPrescription, generateNudgeBatch } from '../services/api';
 import { motion, AnimatePresence } from 'framer-motion';
 import ExtractionConfirmModal from './ExtractionConfirmModal';
+import { getErrorMessage, getRequestId } from '../lib/errors';
+import { uniqueDrugInteractions, pairLabel, drugClassNames } from '../lib/interactions';
 import {
   Camera, Upload, Loader, CheckCircle, AlertTriangle,
-  RefreshCw, Sparkles, Volume2, Edit2, X, Save
+  RefreshCw, Sparkles, Volume2, Edit2, X, Save, Plus, Trash2, FileText
 } from 'lucide-react';
 
+// UI steps, each covering one or more backend job stages
 const PROCESSING_STEPS = [
-  { id: 'upload', label: 'Upload complete' },
-  { id: 'ocr', label: 'Scanning image' },
-  { id: 'extract', label: 'Extracting medications' },
-  { id: 'safety', label: 'Safety check' },
-  { id: 'nudge', label: 'Preparing reminders' },
-  { id: 'done', label: 'Complete' },
+  { id: 'upload', label: 'Upload complete', stages: ['queued', 'hashing', 'cache_lookup'] },
+  { id: 'ocr', label: 'Scanning image', stages: ['vision', 'ocr_fallback'] },
+  { id: 'scanStepValidate', label: 'Checking medicine names', stages: ['validation'] },
+  { id: 'scanStepInteractions', label: 'Checking interactions', stages: ['interactions'] },
+  { id: 'safety', label: 'Safety check', stages: ['safety'] },
+  { id: 'done', label: 'Complete', stages: ['done'] },
 ];
 
+function stepForStage(stage) {
+  const idx = PROCESSING_STEPS.findIndex((step) => step.stages.includes(stage));
+  return idx === -1 ? 0 : idx;
+}
+
 export default function ScanPage() {
   const { addMedication, addInteraction, medications, patient, speak, t } = useApp();
   const fileInputRef = useRef(null);
 
-  const [stage, setStage] = useState('idle'); // idle | processing | confirm | results | error
+  const [stage, setStage] = useState('idle'); // idle | pages | processing | confirm | results | error
   const [currentStep, setCurrentStep] = useState(0);
+  const [jobProgress, setJobProgress] = useState(null); // Latest backend job update: { progress, stage, detail }
   const [preview, setPreview] = useState(null);
-  const [currentImageFile, setCurrentImageFile] = useState(null); // Store the current image file for retries
+  const [pages, setPages] = useState([]); // Pages picked before submitting: [{ file, preview }]
+  const [currentImageFiles, setCurrentImageFiles] = useState([]); // Store the submitted pages for retries
   const [results, setResults] = useState(null);
   const [extractedData, setExtractedData] = useState(null); // For confirmation modal
   const [failedExtractions, setFailedExtractions] = useState([]); // Failed extractions
   const [error, setError] = useState('');
+  const [errorRef, setErrorRef] = useState(null); // Request ID shown so support can trace the failure
   const [editingDrugIndex, setEditingDrugIndex] = useState(null);
   const [editForm, setEditForm] = useState(null);
 
-  const processImage = useCallback(async (file, forceRefresh = false) => {
+  const processImage = useCallback(async (files, forceRefresh = false) => {
     setStage('processing');
     setCurrentStep(0);
-    setPreview(URL.createObjectURL(file));
-    setCurrentImageFile(file); // Store the file for retries
-
-    let stepTimer;
+    setJobProgress(null);
+    setPreview(isPdf(files[0]) ? null : URL.createObjectURL(files[0]));
+    setCurrentImageFiles(files); // Store the pages for retries
 
     try {
-      // Animate through the steps while the backend processes
-      setCurrentStep(0);
-      await sleep(400);
-      setCurrentStep(1);
-
       // Call the real backend full-pipeline endpoint
       const currentMedNames = medications.map((m) => m.name);
       const patientContext = {
@@ -57,14 +62,11 @@ export default function ScanPage() {
         concerns: patient.motivation,
       };
 
-      // Start the real processing - advance the UI steps on a timer
-      stepTimer = setInterval(() => {
-        setCurrentStep((prev) => Math.min(prev + 1, 4));
-      }, 1500);
-
-      const data = await processPrescription(file, currentMedNames, patientContext, forceRefresh);
-
-      clearInterval(stepTimer);
+      // Run as a backend job so the steps follow the real pipeline stages
+      const data = await processPrescription(files, currentMedNames, patientContext, forceRefresh, (job) => {
+        setJobProgress(job);
+        setCurrentStep(stepForStage(job.stage));
+      });
 
       // Backend now returns array of medications
       const extractedMedications = data.medications || [];
@@ -84,6 +86,8 @@ export default function ScanPage() {
 
         return {
           name: extractedDrug.drug_name || 'Unknown Medicine',
+          genericName: extractedDrug.generic_name || '',
+          drugClasses: extractedDrug.drug_classes || [],
           dosage: extractedDrug.dosage || '',
           frequency: extractedDrug.frequency || 'Once Daily',
           doseTiming: extractedDrug.dose_timing || '1-0-0',
@@ -106,29 +110,11 @@ export default function ScanPage() {
         };
       });
 
-      // Collect all unique interactions
-      const allInteractions = [];
-      const seenInteractions = new Set();
-      
-      extractedMedications.forEach((med) => {
-        (med.interactions || []).forEach((inter) => {
-          const key = `${inter.drug1}-${inter.drug2}-${inter.severity}`;
-          if (!seenInteractions.has(key)) {
-            seenInteractions.add(key);
-            allInteractions.push({
-              drug1: inter.drug1 || '',
-              drug2: inter.drug2 || 'Unknown',
-              severity: inter.severity === 'high' ? 'high' : 'moderate',
-              description: inter.description || '',
-              recommendation: inter.recommendation || '',
-              plainExplanation: inter.plainExplanation || inter.description || '',
-            });
-          }
-        });
-      });
+      // One per drug pair, however many medicines reported it
+      const allInteractions = uniqueDrugInteractions(extractedMedications);
 
-      // Step 5: Done
-      setCurrentStep(5);
+      // Done
+      setCurrentStep(PROCESSING_STEPS.length - 1);
       await sleep(400);
 
       console.log('🔵 Processing complete!');
@@ -151,9 +137,6 @@ export default function ScanPage() {
         speak(`Found ${enrichedDrugs.length} medication${enrichedDrugs.length > 1 ? 's' : ''}: ${drugNames}. Please verify.`);
       }
     } catch (err) {
-      // Clear the step timer if it's still running
-      if (stepTimer) clearInterval(stepTimer);
-      
       console.error('❌ Scan error:', err);
       console.error('Error details:', {
         message: err.message,
@@ -170,7 +153,7 @@ export default function ScanPage() {
         // Show confirmation modal with suggestions even though no medications were validated
         setExtractedData([]); // Empty medications list
         setFailedExtractions(failedExtractions);
-        setCurrentStep(5); // Complete the progress
+        setCurrentStep(PROCESSING_STEPS.length - 1); // Complete the progress
         await sleep(200);
         setStage('confirm');
         
@@ -186,40 +169,58 @@ export default function ScanPage() {
         return; // Don't show error screen
       }
       
-      let errorMessage = 'Something went wrong. Please try again.';
-      
-      if (err.response?.status === 400 && err.response?.data?.detail) {
-        // Backend couldn't read the prescription
-        errorMessage = err.response.data.detail;
-      } else if (err.response?.status === 500) {
-        errorMessage = `Backend error: ${err.response?.data?.error || 'OCR processing failed'}. Check backend logs.`;
-      } else if (err.code === 'ECONNREFUSED') {
-        errorMessage = 'Cannot connect to backend. Make sure the backend is running on port 5000.';
-      } else if (err.code === 'ECONNABORTED' || err.message?.includes('timeout')) {
-        errorMessage = 'Request timed out. The image may be too large or complex.';
-      } else if (err.message) {
-        errorMessage = err.message;
-      }
+      // Backend errors carry a stable code; map it to the patient's language
+      const errorMessage = getErrorMessage(err, t);
       
       setError(errorMessage);
+      setErrorRef(getRequestId(err));
       setStage('error');
     }
-  }, [medications, patient, speak]);
+  }, [medications, patient, speak, t]);
+
+  // Add picked pages and let the user review them before submitting
+  const addPages = useCallback((fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    setPages((prev) => [
+      ...prev,
+      ...files.map((file) => ({ file, preview: isPdf(file) ? null : URL.createObjectURL(file) })),
+    ]);
+    setStage('pages');
+  }, []);
 
   const handleFileSelect = (e) => {
-    const file = e.target.files?.[0];
-    if (file) processImage(file);
+    addPages(e.target.files);
+    e.target.value = ''; // Allow picking the same file again
   };
 
   const handleDrop = useCallback(
     (e) => {
       e.preventDefault();
-      const file = e.dataTransfer.files?.[0];
-      if (file) processImage(file);
+      addPages(e.dataTransfer.files);
     },
-    [processImage]
+    [addPages]
   );
 
+  const removePage = (index) => {
+    const remaining = pages.filter((_, i) => i !== index);
+    setPages(remaining);
+    if (remaining.length === 0) setStage('idle');
+  };
+
+  const handleScanPages = () => {
+    if (pages.length === 0) return;
+    processImage(pages.map((p) => p.file));
+    setPages([]);
+  };
+
+  // Add another page from the confirmation modal and re-run extraction on all pages
+  const handleAddPageToScan = async (file) => {
+    if (!file) return;
+    setExtractedData(null);
+    await processImage([...currentImageFiles, file]);
+  };
+
   const handleAddAll = async () => {
     if (!results) return;
 
@@ -273,6 +274,8 @@ export default function ScanPage() {
 
         return {
           name: extractedDrug.drug_name || 'Unknown Medicine',
+          genericName: extractedDrug.generic_name || '',
+          drugClasses: extractedDrug.drug_classes || [],
           dosage: extractedDrug.dosage || '',
           frequency: extractedDrug.frequency || 'Once Daily',
           doseTiming: extractedDrug.dose_timing || '1-0-0',
@@ -296,26 +299,8 @@ export default function ScanPage() {
         };
       });
 
-      // Collect all interactions
-      const allInteractions = [];
-      const seenInteractions = new Set();
-      
-      medsWithNudges.forEach((med) => {
-        (med.interactions || []).forEach((inter) => {
-          const key = `${inter.drug1}-${inter.drug2}-${inter.severity}`;
-          if (!seenInteractions.has(key)) {
-            seenInteractions.add(key);
-            allInteractions.push({
-              drug1: inter.drug1 || '',
-              drug2: inter.drug2 || 'Unknown',
-              severity: inter.severity === 'high' ? 'high' : 'moderate',
-              description: inter.description || '',
-              recommendation: inter.recommendation || '',
-              plainExplanation: inter.plainExplanation || inter.description || '',
-            });
-          }
-        });
-      });
+      // One per drug pair, however many medicines reported it
+      const allInteractions = uniqueDrugInteractions(medsWithNudges);
 
       // STEP 3: Add to database
       console.log('Adding', enrichedDrugs.length, 'medications...');
@@ -333,7 +318,8 @@ export default function ScanPage() {
       reset();
     } catch (err) {
       console.error('❌ Failed to add medications:', err);
-      setError(`Failed to save medications: ${err.message}`);
+      setError(getErrorMessage(err, t));
+      setErrorRef(getRequestId(err));
       setStage('error');
       speak('Sorry, there was an error saving your medications.');
     }
@@ -344,23 +330,26 @@ export default function ScanPage() {
     setExtractedData(null);
     setFailedExtractions([]);
     setPreview(null);
-    setCurrentImageFile(null);
+    setCurrentImageFiles([]);
   };
 
   // Handle retry with fresh extraction (bypassing cache)
   const handleRetryExtraction = async () => {
-    if (currentImageFile) {
+    if (currentImageFiles.length > 0) {
+      // The fresh result replaces the bad cached one, so it isn't served again later
       setExtractedData(null); // Clear current results
-      await processImage(currentImageFile, true); // Force refresh (bypass cache)
+      await processImage(currentImageFiles, true); // Force refresh (bypass cache)
     }
   };
 
   const reset = () => {
     setStage('idle');
     setPreview(null);
-    setCurrentImageFile(null);
+    setPages([]);
+    setCurrentImageFiles([]);
     setResults(null);
     setError('');
+    setErrorRef(null);
     setCurrentStep(0);
     setEditingDrugIndex(null);
     setEditForm(null);
@@ -418,6 +407,16 @@ export default function ScanPage() {
         </p>
       </div>
 
+      {/* Shared by the idle and page-review stages */}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*,application/pdf"
+        multiple
+        onChange={handleFileSelect}
+        className="hidden"
+      />
+
       <AnimatePresence mode="wait">
         {/* ─── IDLE: Camera / Upload ─── */}
         {stage === 'idle' && (
@@ -438,7 +437,7 @@ export default function ScanPage() {
               </div>
               <h3 className="text-lg font-bold text-gray-900 mb-1">{t('scanTapToPhoto', 'Tap to take a photo')}</h3>
               <p className="text-sm text-gray-500 text-center mb-4">
-                {t('scanOrDragDrop', 'or drag & drop your prescription image here')}
+                {t('scanOrDragDrop', 'or drag & drop your prescription image or PDF here')}
               </p>
 
               <div className="absolute top-4 left-4 w-8 h-8 border-t-3 border-l-3 border-gray-400 rounded-tl-lg" />
@@ -447,15 +446,6 @@ export default function ScanPage() {
               <div className="absolute bottom-4 right-4 w-8 h-8 border-b-3 border-r-3 border-gray-400 rounded-br-lg" />
             </div>
 
-            <input
-              ref={fileInputRef}
-              type="file"
-              accept="image/*"
-              capture
-              onChange={handleFileSelect}
-              className="hidden"
-            />
-
             <button
               onClick={() => fileInputRef.current?.click()}
               className="w-full py-4 bg-gray-100 rounded-2xl text-gray-700 font-semibold flex items-center justify-center gap-2 hover:bg-gray-200 transition-colors"
@@ -480,6 +470,70 @@ export default function ScanPage() {
           </motion.div>
         )}
 
+        {/* ─── PAGES: Review pages before submitting ─── */}
+        {stage === 'pages' && (
+          <motion.div
+            key="pages"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+          >
+            <p className="text-sm text-gray-500 mb-3">
+              {t('scanPagesHint', 'Add every page of the prescription, then scan them together.')}
+            </p>
+
+            <div className="grid grid-cols-2 gap-3 mb-4 sm:grid-cols-3">
+              {pages.map((page, i) => (
+                <div key={i} className="relative rounded-2xl overflow-hidden bg-gray-100 aspect-[3/4]">
+                  {page.preview ? (
+                    <img src={page.preview} alt={`Page ${i + 1}`} className="w-full h-full object-cover" />
+                  ) : (
+                    <div className="w-full h-full flex flex-col items-center justify-center gap-2 p-3 text-gray-500">
+                      <FileText size={32} />
+                      <span className="text-xs text-center break-all line-clamp-2">{page.file.name}</span>
+                    </div>
+                  )}
+                  <span className="absolute top-2 left-2 text-xs font-bold text-white bg-gray-900/80 px-2 py-0.5 rounded-lg">
+                    {t('scanPageLabel', 'Page')} {i + 1}
+                  </span>
+                  <button
+                    onClick={() => removePage(i)}
+                    className="absolute top-2 right-2 w-8 h-8 bg-white/90 rounded-lg flex items-center justify-center hover:bg-white"
+                    title="Remove page"
+                  >
+                    <Trash2 size={14} className="text-red-600" />
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="rounded-2xl border-2 border-dashed border-gray-300 aspect-[3/4] flex flex-col items-center justify-center gap-2 text-gray-500 hover:bg-gray-50 transition-colors"
+              >
+                <Plus size={24} />
+                <span className="text-sm font-medium">{t('scanAddPage', 'Add page')}</span>
+              </button>
+            </div>
+
+            <div className="space-y-2">
+              <button
+                onClick={handleScanPages}
+                className="w-full py-4 bg-gray-900 text-white rounded-2xl font-bold text-base flex items-center justify-center gap-2 hover:bg-gray-800 transition-colors"
+              >
+                <Sparkles size={18} />
+                {pages.length > 1
+                  ? `${t('scanPagesButton', 'Scan pages')} (${pages.length})`
+                  : t('scanPrescription', 'Scan Prescription')}
+              </button>
+              <button
+                onClick={reset}
+                className="w-full py-3 bg-gray-100 text-gray-600 rounded-2xl font-medium text-sm"
+              >
+                {t('cancel', 'Cancel')}
+              </button>
+            </div>
+          </motion.div>
+        )}
+
         {/* ─── PROCESSING ─── */}
         {stage === 'processing' && (
           <motion.div
@@ -500,9 +554,14 @@ export default function ScanPage() {
               <div className="progress-bar-bg">
                 <div
                   className="progress-bar-fill"
-                  style={{ width: `${((currentStep + 1) / PROCESSING_STEPS.length) * 100}%` }}
+                  style={{ width: `${jobProgress ? jobProgress.progress : 0}%` }}
                 />
               </div>
+              {jobProgress?.detail && (
+                <p className="text-sm text-gray-500 text-center mt-2">
+                  {t(PROCESSING_STEPS[currentStep].id, jobProgress.stageLabel)}: {jobProgress.detail}
+                </p>
+              )}
               <div className="progress-steps">
                 {PROCESSING_STEPS.map((step, idx) => (
                   <div
@@ -576,6 +635,16 @@ export default function ScanPage() {
                           </span>
                         )}
                       </div>
+                      {drug.genericName && (
+                        <p className="text-xs text-gray-500">
+                          {t('containsGeneric', 'Contains')} {drug.genericName}
+                        </p>
+                      )}
+                      {drugClassNames(drug.drugClasses).length > 0 && (
+                        <p className="text-xs text-gray-400">
+                          {t('drugClassLabel', 'Type:')} {drugClassNames(drug.drugClasses).join(', ')}
+                        </p>
+                      )}
                       <p className="text-sm text-gray-500">
                         {drug.dosage} — {drug.frequency}
                       </p>
@@ -783,7 +852,7 @@ export default function ScanPage() {
                     </p>
                     {results.interactions.map((inter, i) => (
                       <p key={i} className="text-xs text-red-600 mb-1">
-                        • {inter.description || `${inter.drug1} + ${inter.drug2}`}
+                        • {inter.description || pairLabel(inter)}
                       </p>
                     ))}
                   </div>
@@ -820,7 +889,12 @@ export default function ScanPage() {
           >
             <div className="text-5xl mb-4">😕</div>
             <h2 className="text-xl font-bold text-gray-900 mb-2">Oops!</h2>
-            <p className="text-sm text-gray-500 max-w-xs mx-auto mb-6">{error}</p>
+            <p className={`text-sm text-gray-500 max-w-xs mx-auto ${errorRef ? 'mb-2' : 'mb-6'}`}>{error}</p>
+            {errorRef && (
+              <p className="text-xs text-gray-400 mb-6">
+                {t('errorReference', 'Reference')}: <span className="font-mono select-all">{errorRef}</span>
+              </p>
+            )}
             <button
               onClick={reset}
               className="px-8 py-3 bg-gray-900 text-white rounded-2xl font-semibold flex items-center gap-2 mx-auto hover:bg-gray-800 transition-colors"
@@ -839,13 +913,18 @@ export default function ScanPage() {
           onConfirm={handleConfirmExtraction}
           onCancel={handleCancelConfirmation}
           onRetry={handleRetryExtraction}
-          currentImageFile={currentImageFile}
+          onAddPage={handleAddPageToScan}
+          pageCount={currentImageFiles.length}
         />
       )}
     </div>
   );
 }
 
+function isPdf(file) {
+  return file?.type === 'application/pdf' || /\.pdf$/i.test(file?.name || '');
+}
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
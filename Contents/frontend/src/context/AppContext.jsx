@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import { supabase } from '../lib/supabase';
 import { getTranslation } from '../lib/translations';
+import { pairKey, activeDrugKeys, isBetweenActive } from '../lib/interactions';
 
 const AppContext = createContext(null);
 
@@ -20,6 +21,7 @@ const INITIAL_PATIENT = {
   breakfast_time: '08:00',
   lunch_time: '13:00',
   dinner_time: '19:00',
+  timezone: browserTimezone(),
   morning_routine: '',
   motivation: '',
   height: '',
@@ -30,13 +32,41 @@ const INITIAL_PATIENT = {
 
 };
 
+// ── Helpers: days in the patient's timezone (the backend resets dose slots at their midnight) ──
+function browserTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'Asia/Kolkata';
+}
+
+// Today as YYYY-MM-DD in a timezone, the browser's when none is given
+function localToday(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+  } catch {
+    return new Intl.DateTimeFormat('en-CA', { year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+  }
+}
+
 // ── Helper: map a Supabase medication row → frontend medication object ──
-function mapMedRow(row) {
+// Streaks are computed by the backend from the dose log; a stored run that
+// ended before yesterday is over (same rule as backend/utils/streaks.js)
+function liveStreak(streak, lastDay, today = localToday()) {
+  if (!streak || !lastDay) return 0;
+  const yesterday = new Date(Date.parse(`${today}T00:00:00Z`) - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  return lastDay >= yesterday ? streak : 0;
+}
+
+function mapMedRow(row, today = localToday()) {
+  // Slot flags from before today's reset are yesterday's (same rule as backend doseService)
+  const current = !row.last_reset_date || row.last_reset_date === today;
+  const morningTaken = current && !!row.morning_taken;
+  const noonTaken = current && !!row.noon_taken;
+  const eveningTaken = current && !!row.evening_taken;
+
   // Check if all required doses for today are taken
   const timing = (row.dose_timing || '1-0-0').split('-').map(Number);
-  const morningDone = timing[0] === 0 || row.morning_taken;
-  const noonDone = timing[1] === 0 || row.noon_taken;
-  const eveningDone = timing[2] === 0 || row.evening_taken;
+  const morningDone = timing[0] === 0 || morningTaken;
+  const noonDone = timing[1] === 0 || noonTaken;
+  const eveningDone = timing[2] === 0 || eveningTaken;
   const allDosesTaken = morningDone && noonDone && eveningDone;
   
   return {
@@ -57,26 +87,43 @@ function mapMedRow(row) {
       habitHook: row.nudge_habit_hook || '',
       warning: row.nudge_warning || '',
     },
-    morningTaken: row.morning_taken || false,
-    noonTaken: row.noon_taken || false,
-    eveningTaken: row.evening_taken || false,
+    morningTaken,
+    noonTaken,
+    eveningTaken,
     takenToday: allDosesTaken, // All required doses taken
     lastResetDate: row.last_reset_date,
-    streak: row.streak || 0,
+    streak: liveStreak(row.streak, row.streak_date, today),
+    bestStreak: row.best_streak || 0,
     totalDoses: row.total_doses || 0,
     takenDoses: row.taken_doses || 0,
     refillDate: row.refill_date || null,
+    // [{ ingredient, atc, classes }] — set by the backend when the medicine is added or renamed
+    drugClasses: row.drug_classes || [],
     active: row.active !== false,
     createdAt: row.created_at,
   };
 }
 
+const DOSE_SLOTS = ['morning', 'noon', 'evening'];
+
+// Lets the backend recognise a retried dose instead of logging it twice
+function newIdempotencyKey() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
 function mapInteractionRow(row) {
   return {
     id: row.id,
+    pairKey: row.pair_key || pairKey(row.drug1, row.drug2, row.source),
     severity: row.severity || 'moderate',
+    source: row.source || null,
     drug1: row.drug1,
+    rxcui1: row.rxcui1 || null,
+    product1: row.product1 || null,
     drug2: row.drug2,
+    rxcui2: row.rxcui2 || null,
+    product2: row.product2 || null,
     description: row.description || '',
     recommendation: row.recommendation || '',
     plainExplanation: row.plain_explanation || '',
@@ -102,7 +149,10 @@ function mapMedicationLogRow(row, medications) {
     medicationId: row.medication_id,
     medicationName: medication?.name || 'Unknown Medication',
     action: row.action,
+    slot: row.slot || null,
     loggedAt: row.logged_at,
+    // Missed doses are logged after the fact; this is when they were due
+    scheduledAt: row.scheduled_at || null,
   };
 }
 
@@ -116,6 +166,8 @@ export function AppProvider({ children }) {
   const [interactions, setInteractions] = useState([]);
   const [caregivers, setCaregivers] = useState([]);
   const [medicationLogs, setMedicationLogs] = useState([]);
+  const [overallStreak, setOverallStreak] = useState({ current: 0, best: 0 });
+  const [adherence, setAdherence] = useState(null);
   const [activePage, setActivePage] = useState('home');
   const [loading, setLoading] = useState(true);
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
@@ -200,6 +252,16 @@ export function AppProvider({ children }) {
     }
   }
 
+  // ── Adherence analytics (computed by the backend from the dose log) ──
+  async function loadAdherence(pid) {
+    try {
+      const { getAdherence } = await import('../services/api');
+      setAdherence(await getAdherence(pid));
+    } catch (err) {
+      console.error('❌ Failed to load adherence:', err);
+    }
+  }
+
   // ── Load all data for a patient ──
   async function loadPatientData(pid) {
     try {
@@ -228,6 +290,7 @@ export function AppProvider({ children }) {
         breakfast_time: patientRow.breakfast_time || '08:00',
         lunch_time: patientRow.lunch_time || '13:00',
         dinner_time: patientRow.dinner_time || '19:00',
+        timezone: patientRow.timezone || browserTimezone(),
         morning_routine: patientRow.morning_routine || '',
         motivation: patientRow.motivation || '',
         height: patientRow.height || '',
@@ -237,6 +300,12 @@ export function AppProvider({ children }) {
         scale: patientRow.scale || '1',
 
       });
+      const timezone = patientRow.timezone || browserTimezone();
+      const today = localToday(timezone);
+      setOverallStreak({
+        current: liveStreak(patientRow.streak, patientRow.streak_date, today),
+        best: patientRow.best_streak || 0,
+      });
 
       // Fetch medications
       const { data: medRows } = await supabase
@@ -246,49 +315,15 @@ export function AppProvider({ children }) {
         .eq('active', true)
         .order('created_at', { ascending: false });
 
-      // Reset daily slots if needed
-      if (medRows && medRows.length > 0) {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-        const medsToReset = medRows.filter(med => {
-          if (!med.last_reset_date) return true; // Never reset before
-          return med.last_reset_date !== today; // Reset date is from a previous day
-        });
-
-        if (medsToReset.length > 0) {
-          console.log(`🔄 Resetting ${medsToReset.length} medications for new day`);
-          
-          // Reset in database
-          const resetPromises = medsToReset.map(med =>
-            supabase
-              .from('medications')
-              .update({
-                morning_taken: false,
-                noon_taken: false,
-                evening_taken: false,
-                last_reset_date: today
-              })
-              .eq('id', med.id)
-          );
-          
-          await Promise.all(resetPromises);
-          
-          // Update local rows to reflect reset
-          medsToReset.forEach(med => {
-            med.morning_taken = false;
-            med.noon_taken = false;
-            med.evening_taken = false;
-            med.last_reset_date = today;
-          });
-        }
-      }
-
-      setMedications((medRows || []).map(mapMedRow));
+      // Slots are reset server-side at the patient's midnight (backend dailyResetService)
+      setMedications((medRows || []).map(row => mapMedRow(row, today)));
 
       // Fetch interactions
       const { data: intRows } = await supabase
         .from('interactions')
         .select('*')
         .eq('patient_id', pid)
+        .is('retired_at', null)
         .order('created_at', { ascending: false });
 
       setInteractions((intRows || []).map(mapInteractionRow));
@@ -314,9 +349,11 @@ export function AppProvider({ children }) {
         .order('logged_at', { ascending: false });
 
       // Map logs with medication names
-      const mappedMedications = (medRows || []).map(mapMedRow);
+      const mappedMedications = (medRows || []).map(row => mapMedRow(row, today));
       setMedicationLogs((logRows || []).map(row => mapMedicationLogRow(row, mappedMedications)));
 
+      loadAdherence(pid);
+
       // ── Set up Realtime subscriptions ──
       subscriptionsRef.current.forEach((sub) => sub.unsubscribe());
       subscriptionsRef.current = [];
@@ -333,11 +370,14 @@ export function AppProvider({ children }) {
               setMedications((prev) => {
                 const exists = prev.some((m) => m.id === payload.new.id);
                 if (exists) return prev; // Already added, skip
-                return [mapMedRow(payload.new), ...prev];
+                return [mapMedRow(payload.new, localToday(timezone)), ...prev];
               });
+            } else if (payload.eventType === 'UPDATE' && payload.new.active === false) {
+              // Discontinued (possibly on another device)
+              setMedications((prev) => prev.filter((m) => m.id !== payload.new.id));
             } else if (payload.eventType === 'UPDATE') {
               setMedications((prev) =>
-                prev.map((m) => (m.id === payload.new.id ? mapMedRow(payload.new) : m))
+                prev.map((m) => (m.id === payload.new.id ? mapMedRow(payload.new, localToday(timezone)) : m))
               );
             } else if (payload.eventType === 'DELETE') {
               setMedications((prev) => prev.filter((m) => m.id !== payload.old.id));
@@ -361,9 +401,14 @@ export function AppProvider({ children }) {
                 return [mapInteractionRow(payload.new), ...prev];
               });
             } else if (payload.eventType === 'UPDATE') {
-              setInteractions((prev) =>
-                prev.map((i) => (i.id === payload.new.id ? mapInteractionRow(payload.new) : i))
-              );
+              // Retired when one of its drugs was stopped, and back when both are taken again
+              setInteractions((prev) => {
+                const rest = prev.filter((i) => i.id !== payload.new.id);
+                if (payload.new.retired_at) return rest;
+                return prev.some((i) => i.id === payload.new.id)
+                  ? prev.map((i) => (i.id === payload.new.id ? mapInteractionRow(payload.new) : i))
+                  : [mapInteractionRow(payload.new), ...prev];
+              });
             } else if (payload.eventType === 'DELETE') {
               setInteractions((prev) => prev.filter((i) => i.id !== payload.old.id));
             }
@@ -432,33 +477,15 @@ export function AppProvider({ children }) {
   // ── Derived state ──
   const pendingMeds = medications.filter((m) => !m.takenToday);
   const completedMeds = medications.filter((m) => m.takenToday);
-  const adherenceRate =
-    medications.length > 0
-      ? medications.reduce(
-          (sum, m) => sum + (m.totalDoses > 0 ? (m.takenDoses / m.totalDoses) * 100 : 0),
-          0
-        ) / medications.length
-      : 0;
-  const bestStreak = Math.max(...medications.map((m) => m.streak || 0), 0);
+  // Doses taken / doses scheduled over the last 30 days
+  const adherenceRate = adherence?.windows?.[30]?.adherence ?? 0;
+  // Days in a row with every scheduled dose taken (computed by the backend)
+  const currentStreak = overallStreak.current;
+  const bestStreak = overallStreak.best;
   
   // Only count interactions where both medications are still active
-  const activeMedNames = medications
-    .filter(m => m.active !== false)
-    .map(m => m.name.toLowerCase());
-  
-  const unresolvedAlerts = interactions.filter((i) => {
-    if (i.resolved) return false;
-    
-    // Check if both drugs are still in active medications
-    const drug1Active = activeMedNames.some(name => 
-      i.drug1.toLowerCase().includes(name) || name.includes(i.drug1.toLowerCase())
-    );
-    const drug2Active = activeMedNames.some(name => 
-      i.drug2.toLowerCase().includes(name) || name.includes(i.drug2.toLowerCase())
-    );
-    
-    return drug1Active && drug2Active;
-  });
+  const activeKeys = activeDrugKeys(medications);
+  const unresolvedAlerts = interactions.filter((i) => !i.resolved && isBetweenActive(i, activeKeys));
 
   // ── Patient Actions ──
   const updatePatient = useCallback(
@@ -494,6 +521,7 @@ export function AppProvider({ children }) {
         if (updates.voice_enabled !== undefined) dbUpdates.voice_enabled = updates.voice_enabled;
         if (updates.voiceEnabled !== undefined) dbUpdates.voice_enabled = updates.voiceEnabled;
         if (updates.scale !== undefined) dbUpdates.scale = updates.scale;
+        if (updates.timezone !== undefined) dbUpdates.timezone = updates.timezone;
         dbUpdates.updated_at = new Date().toISOString();
 
         await supabase.from('patients').update(dbUpdates).eq('id', patientId);
@@ -522,6 +550,7 @@ export function AppProvider({ children }) {
           age: patientData.age || '',
           language: patientData.language || patient.language || 'en',
           wake_time: patientData.wakeTime || patient.wake_time || '07:00',
+          timezone: patient.timezone || browserTimezone(),
           morning_routine: patientData.morningRoutine || patient.morning_routine || '',
           motivation: patientData.motivation || patient.motivation || '',
           height: patientData.height || '',
@@ -564,6 +593,7 @@ export function AppProvider({ children }) {
           age: newPatient.age || '',
           language: newPatient.language || 'en',
           wake_time: newPatient.wake_time || '07:00',
+          timezone: newPatient.timezone || browserTimezone(),
           morning_routine: newPatient.morning_routine || '',
           motivation: newPatient.motivation || '',
           height: newPatient.height || '',
@@ -677,149 +707,98 @@ export function AppProvider({ children }) {
 
   // ── Medication Actions ──
   const takeMedication = useCallback(
-    async (medId, timeSlot = 'morning') => {
-      // timeSlot can be 'morning', 'noon', or 'evening'
-      const slotField = `${timeSlot}_taken`;
-      
-      // Optimistic update
+    async (medId, timeSlot = null) => {
+      const med = medications.find((m) => m.id === medId);
+      if (!med) return;
+
+      // timeSlot can be 'morning', 'noon', or 'evening'; default to the first scheduled slot still pending
+      const timing = (med.doseTiming || '1-0-0').split('-').map(Number);
+      const slot = timeSlot || DOSE_SLOTS.find((s, i) => timing[i] > 0 && !med[s + 'Taken']);
+      if (!slot || med[slot + 'Taken']) return;
+
+      // Optimistic update; the backend's row replaces it once the dose is logged
       setMedications((prev) =>
         prev.map((m) => {
           if (m.id !== medId) return m;
-          
-          const updated = { ...m, [timeSlot + 'Taken']: true };
-          
-          // Check if all required doses are now taken
-          const timing = (m.doseTiming || '1-0-0').split('-').map(Number);
-          const morningDone = timing[0] === 0 || (timeSlot === 'morning' ? true : m.morningTaken);
-          const noonDone = timing[1] === 0 || (timeSlot === 'noon' ? true : m.noonTaken);
-          const eveningDone = timing[2] === 0 || (timeSlot === 'evening' ? true : m.eveningTaken);
-          updated.takenToday = morningDone && noonDone && eveningDone;
-          
-          // Increment counters only if not already taken for this slot
-          if (!m[timeSlot + 'Taken']) {
-            updated.takenDoses = m.takenDoses + 1;
-            if (updated.takenToday && !m.takenToday) {
-              updated.streak = m.streak + 1;
-            }
-          }
-          
+          const updated = { ...m, [slot + 'Taken']: true, takenDoses: m.takenDoses + 1 };
+          updated.takenToday = DOSE_SLOTS.every((s, i) => timing[i] === 0 || updated[s + 'Taken']);
           return updated;
         })
       );
 
-      // Persist to Supabase
-      const med = medications.find((m) => m.id === medId);
-      if (med && !med[timeSlot + 'Taken']) {
-        const timing = (med.doseTiming || '1-0-0').split('-').map(Number);
-        const morningDone = timing[0] === 0 || (timeSlot === 'morning' ? true : med.morningTaken);
-        const noonDone = timing[1] === 0 || (timeSlot === 'noon' ? true : med.noonTaken);
-        const eveningDone = timing[2] === 0 || (timeSlot === 'evening' ? true : med.eveningTaken);
-        const allDone = morningDone && noonDone && eveningDone;
-        
-        await supabase
-          .from('medications')
-          .update({
-            [slotField]: true,
-            taken_doses: med.takenDoses + 1,
-            streak: allDone && !med.takenToday ? med.streak + 1 : med.streak,
-          })
-          .eq('id', medId);
+      const { takeDose } = await import('../services/api');
+      const dose = { slot, takenAt: new Date().toISOString(), idempotencyKey: newIdempotencyKey() };
 
-        // Log the dose
-        if (patientId) {
-          await supabase.from('medication_logs').insert({
-            medication_id: medId,
-            patient_id: patientId,
-            action: 'taken',
-          });
+      try {
+        let result;
+        try {
+          result = await takeDose(medId, dose);
+        } catch (err) {
+          // No response: the dose may have been logged anyway, so retry once with the same key
+          if (err.response) throw err;
+          result = await takeDose(medId, dose);
         }
+        setMedications((prev) => prev.map((m) => (m.id === medId ? mapMedRow(result.medication, localToday(patient.timezone)) : m)));
+        if (result.streak) setOverallStreak(result.streak);
+        if (!result.replayed) {
+          setMedicationLogs((prev) =>
+            prev.some((l) => l.id === result.log.id) ? prev : [mapMedicationLogRow(result.log, medications), ...prev]
+          );
+          // Today isn't part of the analytics windows, but a late log for an earlier day is
+          if (result.log.dose_date !== localToday(patient.timezone)) loadAdherence(patientId);
+        }
+      } catch (err) {
+        // Already logged (another device, or a retry after a lost response): the optimistic state is right
+        if (err.response?.data?.code === 'DOSE_ALREADY_LOGGED') return;
+        console.error('❌ Failed to log dose:', err);
+        setMedications((prev) => prev.map((m) => (m.id === medId ? med : m)));
       }
     },
-    [medications, patientId]
+    [medications, patientId, patient.timezone]
   );
 
   const undoTakeMedication = useCallback(
     async (medId, timeSlot = null) => {
-      // If no timeSlot provided, reset all slots
-      if (!timeSlot) {
-        setMedications((prev) =>
-          prev.map((m) =>
-            m.id === medId
-              ? {
-                  ...m,
-                  morningTaken: false,
-                  noonTaken: false,
-                  eveningTaken: false,
-                  takenToday: false,
-                  takenDoses: Math.max(0, m.takenDoses - 1),
-                  streak: Math.max(0, m.streak - 1),
-                }
-              : m
-          )
-        );
+      const med = medications.find((m) => m.id === medId);
+      if (!med) return;
 
-        const med = medications.find((m) => m.id === medId);
-        if (med) {
-          await supabase
-            .from('medications')
-            .update({
-              morning_taken: false,
-              noon_taken: false,
-              evening_taken: false,
-              taken_doses: Math.max(0, med.takenDoses - 1),
-              streak: Math.max(0, med.streak - 1),
-            })
-            .eq('id', medId);
-
-          if (patientId) {
-            await supabase.from('medication_logs').insert({
-              medication_id: medId,
-              patient_id: patientId,
-              action: 'undo',
-            });
-          }
-        }
-      } else {
-        // Undo specific time slot
-        const slotField = `${timeSlot}_taken`;
-        
-        setMedications((prev) =>
-          prev.map((m) => {
-            if (m.id !== medId) return m;
-            
-            const updated = { ...m, [timeSlot + 'Taken']: false, takenToday: false };
-            
-            if (m[timeSlot + 'Taken']) {
-              updated.takenDoses = Math.max(0, m.takenDoses - 1);
-            }
-            
-            return updated;
-          })
-        );
+      // No timeSlot: undo every slot taken today
+      setMedications((prev) =>
+        prev.map((m) => {
+          if (m.id !== medId) return m;
+          const slots = timeSlot ? [timeSlot] : DOSE_SLOTS;
+          const undone = slots.filter((s) => m[s + 'Taken']).length;
+          const updated = { ...m, takenToday: false, takenDoses: Math.max(0, m.takenDoses - undone) };
+          slots.forEach((s) => { updated[s + 'Taken'] = false; });
+          return updated;
+        })
+      );
 
-        const med = medications.find((m) => m.id === medId);
-        if (med && med[timeSlot + 'Taken']) {
-          await supabase
-            .from('medications')
-            .update({
-              [slotField]: false,
-              taken_doses: Math.max(0, med.takenDoses - 1),
-            })
-            .eq('id', medId);
-
-          if (patientId) {
-            await supabase.from('medication_logs').insert({
-              medication_id: medId,
-              patient_id: patientId,
-              action: 'undo',
-            });
-          }
-        }
+      const { undoDose } = await import('../services/api');
+      try {
+        const result = await undoDose(medId, timeSlot);
+        setMedications((prev) => prev.map((m) => (m.id === medId ? mapMedRow(result.medication, localToday(patient.timezone)) : m)));
+        setOverallStreak(result.streak);
+      } catch (err) {
+        console.error('❌ Failed to undo dose:', err);
+        setMedications((prev) => prev.map((m) => (m.id === medId ? med : m)));
       }
     },
-    [medications, patientId]
+    [medications, patient.timezone]
   );
 
+  // The backend rechecks interactions whenever the medication list changes
+  const refreshInteractions = useCallback(async () => {
+    if (!patientId) return;
+    try {
+      const { getInteractions } = await import('../services/api');
+      const rows = await getInteractions(patientId);
+      setInteractions(rows.map(mapInteractionRow));
+    } catch (err) {
+      console.error('Failed to refresh interactions:', err);
+    }
+  }, [patientId]);
+
   const addMedication = useCallback(
     async (newMed) => {
       if (!patientId) {
@@ -864,7 +843,8 @@ export function AppProvider({ children }) {
         
         console.log('✅ Medication added via backend:', row.name);
         // Realtime will pick this up, but add immediately for responsiveness
-        setMedications((prev) => [mapMedRow(row), ...prev]);
+        setMedications((prev) => [mapMedRow(row, localToday(patient.timezone)), ...prev]);
+        await refreshInteractions();
         return row;
         
       } catch (apiError) {
@@ -904,12 +884,12 @@ export function AppProvider({ children }) {
 
         if (row) {
           console.log('✅ Medication added via Supabase fallback:', row.name);
-          setMedications((prev) => [mapMedRow(row), ...prev]);
+          setMedications((prev) => [mapMedRow(row, localToday(patient.timezone)), ...prev]);
         }
         return row;
       }
     },
-    [patientId, user]
+    [patientId, user, patient.timezone, refreshInteractions]
   );
 
   const updateMedication = useCallback(
@@ -936,7 +916,8 @@ export function AppProvider({ children }) {
         if (updates.nudge.warning !== undefined) dbUpdates.nudge_warning = updates.nudge.warning;
       }
 
-      dbUpdates.updated_at = new Date().toISOString();
+      if (updates.doseTiming !== undefined) dbUpdates.dose_timing = updates.doseTiming;
+      if (updates.reason !== undefined) dbUpdates.reason = updates.reason;
 
       // Optimistic update
       setMedications((prev) =>
@@ -946,6 +927,7 @@ export function AppProvider({ children }) {
             if (updates.name !== undefined) updatedMed.name = updates.name;
             if (updates.dosage !== undefined) updatedMed.dosage = updates.dosage;
             if (updates.frequency !== undefined) updatedMed.frequency = updates.frequency;
+            if (updates.doseTiming !== undefined) updatedMed.doseTiming = updates.doseTiming;
             if (updates.time !== undefined) updatedMed.time = updates.time;
             if (updates.route !== undefined) updatedMed.route = updates.route;
             if (updates.duration !== undefined) updatedMed.duration = updates.duration;
@@ -960,16 +942,15 @@ export function AppProvider({ children }) {
         })
       );
 
-      // Persist to Supabase
-      const { data, error } = await supabase
-        .from('medications')
-        .update(dbUpdates)
-        .eq('id', medId)
-        .select()
-        .single();
-
-      if (error) {
-        console.error('Failed to update medication:', error);
+      // Persist through the backend (dosage, frequency and timing changes are versioned there)
+      try {
+        const { updateMedication: patchMedication } = await import('../services/api');
+        const row = await patchMedication(medId, dbUpdates);
+        setMedications((prev) => prev.map((m) => (m.id === medId ? mapMedRow(row, localToday(patient.timezone)) : m)));
+        if (updates.name !== undefined) await refreshInteractions();
+        return row;
+      } catch (err) {
+        console.error('Failed to update medication:', err);
         // Revert optimistic update on error
         const med = medications.find((m) => m.id === medId);
         if (med) {
@@ -977,54 +958,52 @@ export function AppProvider({ children }) {
             prev.map((m) => (m.id === medId ? med : m))
           );
         }
+        throw err;
       }
+    },
+    [patientId, medications, patient.timezone, refreshInteractions]
+  );
+
+  // Versions of a medication, newest first (see backend medicationService)
+  const getMedicationHistory = useCallback(async (medId) => {
+    const { getMedicationHistory: fetchHistory } = await import('../services/api');
+    const { versions } = await fetchHistory(medId);
+    return versions;
+  }, []);
 
-      return data;
+  const restoreMedicationVersion = useCallback(
+    async (medId, version) => {
+      const { restoreMedicationVersion: restoreVersion } = await import('../services/api');
+      const row = await restoreVersion(medId, version);
+      setMedications((prev) => prev.map((m) => (m.id === medId ? mapMedRow(row, localToday(patient.timezone)) : m)));
+      return row;
     },
-    [patientId, medications]
+    [patient.timezone]
   );
 
+  // Discontinue (the backend keeps the medication, inactive, with the reason and its history)
   const deleteMedication = useCallback(
-    async (medId) => {
+    async (medId, reason = 'other', note = null) => {
       if (!patientId) return;
 
-      // Find the medication name before deleting
       const medication = medications.find(m => m.id === medId);
-      const medName = medication?.name;
 
       // Optimistic update
       setMedications((prev) => prev.filter((m) => m.id !== medId));
 
-      // Soft delete (mark as inactive)
-      const { error } = await supabase
-        .from('medications')
-        .update({ active: false })
-        .eq('id', medId);
-
-      if (error) {
-        console.error('Failed to delete medication:', error);
-        // Could revert here if needed
+      try {
+        const { discontinueMedication } = await import('../services/api');
+        await discontinueMedication(medId, reason, note);
+      } catch (err) {
+        console.error('Failed to delete medication:', err);
+        if (medication) setMedications((prev) => [medication, ...prev]);
+        return;
       }
 
-      // Also remove related interactions from database
-      if (medName) {
-        // Remove from local state
-        setInteractions((prev) => 
-          prev.filter((i) => 
-            !i.drug1.toLowerCase().includes(medName.toLowerCase()) &&
-            !i.drug2.toLowerCase().includes(medName.toLowerCase())
-          )
-        );
-
-        // Remove from database (case-insensitive matching)
-        await supabase
-          .from('interactions')
-          .delete()
-          .eq('patient_id', patientId)
-          .or(`drug1.ilike.%${medName}%,drug2.ilike.%${medName}%`);
-      }
+      // Its interactions were retired by the backend
+      await refreshInteractions();
     },
-    [patientId, medications]
+    [patientId, medications, refreshInteractions]
   );
 
   const addInteraction = useCallback(
@@ -1044,8 +1023,13 @@ export function AppProvider({ children }) {
         const interactionData = {
           patient_id: patientId,
           drug1: inter.drug1,
+          rxcui1: inter.rxcui1 || undefined,
+          product1: inter.product1 || undefined,
           drug2: inter.drug2,
+          rxcui2: inter.rxcui2 || undefined,
+          product2: inter.product2 || undefined,
           severity: inter.severity || 'moderate',
+          source: inter.source || undefined,
           description: inter.description || '',
           recommendation: inter.recommendation || '',
           plain_explanation: inter.plainExplanation || inter.plain_explanation || '',
@@ -1054,9 +1038,9 @@ export function AppProvider({ children }) {
         const row = await createInteraction(interactionData);
         
         console.log('✅ Interaction added via backend:', row.drug1, 'with', row.drug2);
-        // Add to local state
+        // Add to local state (the backend may have found this pair already)
         if (row) {
-          setInteractions((prev) => [mapInteractionRow(row), ...prev]);
+          setInteractions((prev) => (prev.some((i) => i.id === row.id) ? prev : [mapInteractionRow(row), ...prev]));
         }
         return row;
         
@@ -1068,9 +1052,15 @@ export function AppProvider({ children }) {
           .from('interactions')
           .insert({
             patient_id: patientId,
+            pair_key: inter.pairKey || pairKey(inter.drug1, inter.drug2, inter.source),
             drug1: inter.drug1,
+            rxcui1: inter.rxcui1 || null,
+            product1: inter.product1 || null,
             drug2: inter.drug2,
+            rxcui2: inter.rxcui2 || null,
+            product2: inter.product2 || null,
             severity: inter.severity || 'moderate',
+            source: inter.source || null,
             description: inter.description || '',
             recommendation: inter.recommendation || '',
             plain_explanation: inter.plainExplanation || inter.plain_explanation || '',
@@ -1196,6 +1186,8 @@ export function AppProvider({ children }) {
     addMedication,
     updateMedication,
     deleteMedication,
+    getMedicationHistory,
+    restoreMedicationVersion,
     medicationLogs,
     // Interactions & Safety
     interactions,
@@ -1210,7 +1202,9 @@ export function AppProvider({ children }) {
     primaryDoctor,
     callDoctor,
     // Stats
+    adherence,
     adherenceRate,
+    currentStreak,
     bestStreak,
     // Voice
     speak,
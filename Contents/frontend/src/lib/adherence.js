@@ -0,0 +1,61 @@
+/**
+ * Adherence display helpers for the analytics from GET /api/patient/:id/adherence
+ * (see backend/utils/adherence.js).
+ */
+
+// Backend slot → existing translation key
+const SLOT_LABEL_KEYS = { morning: 'morning', noon: 'afternoon', evening: 'evening' };
+const SLOT_LABELS = { morning: 'Morning', noon: 'Afternoon', evening: 'Evening' };
+
+/**
+ * Fill {placeholders} in a translated template
+ */
+function fill(template, values) {
+  return Object.entries(values).reduce((text, [key, value]) => text.split(`{${key}}`).join(value), template);
+}
+
+/**
+ * Translated name of a dose slot
+ * @param {string} slot - morning | noon | evening
+ * @param {Function} t - Translation function from useApp()
+ */
+export function slotLabel(slot, t) {
+  return t(SLOT_LABEL_KEYS[slot] || slot, SLOT_LABELS[slot] || slot);
+}
+
+/**
+ * Translated sentence for a weak spot, e.g. "Evening doses missed 40% of the time"
+ * @param {Object} spot - { type, slot, name, missRate, averageLatenessMinutes }
+ * @param {Function} t - Translation function from useApp()
+ */
+export function weakSpotMessage(spot, t) {
+  const percent = Math.round(spot.missRate || 0);
+  switch (spot.type) {
+    case 'slot_missed':
+      return fill(t('weakSpotSlotMissed', '{slot} doses missed {percent}% of the time'), { slot: slotLabel(spot.slot, t), percent });
+    case 'slot_late':
+      return fill(t('weakSpotSlotLate', '{slot} doses taken {minutes} minutes late on average'), {
+        slot: slotLabel(spot.slot, t),
+        minutes: spot.averageLatenessMinutes,
+      });
+    case 'medication_missed':
+      return fill(t('weakSpotMedicationMissed', '{name} doses missed {percent}% of the time'), { name: spot.name, percent });
+    default:
+      return spot.message;
+  }
+}
+
+/**
+ * "85%" or "—" when nothing was scheduled
+ */
+export function formatPercent(value) {
+  return value === null || value === undefined ? '—' : `${Math.round(value)}%`;
+}
+
+/**
+ * Lateness in minutes as "+25 min" / "-10 min" (negative = early), "—" without data
+ */
+export function formatLateness(minutes, t) {
+  if (minutes === null || minutes === undefined) return '—';
+  return `${minutes > 0 ? '+' : ''}${minutes} ${t('minutesShort', 'min')}`;
+}
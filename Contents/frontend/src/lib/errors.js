@@ -0,0 +1,63 @@
+import { translations } from './translations';
+
+/**
+ * API error → translated message.
+ * The backend puts a stable `code` on every error body (see backend/utils/errorCodes.js);
+ * map it to a translation key instead of showing the raw English text.
+ */
+export const ERROR_MESSAGE_KEYS = {
+  VALIDATION_FAILED: 'errorValidationFailed',
+  NO_FILE: 'errorNoFile',
+  FILE_TOO_LARGE: 'errorFileTooLarge',
+  IMAGE_UNREADABLE: 'noClearPrescription',
+  DRUG_NOT_RECOGNIZED: 'errorDrugNotRecognized',
+  AUTH_REQUIRED: 'errorSessionExpired',
+  SESSION_INVALID: 'errorSessionExpired',
+  FORBIDDEN: 'errorForbidden',
+  NOT_FOUND: 'errorNotFound',
+  RATE_LIMITED: 'errorRateLimited',
+  QUOTA_EXCEEDED: 'errorQuotaExceeded',
+  DOSE_ALREADY_LOGGED: 'errorDoseAlreadyLogged',
+  MEDICATION_DISCONTINUED: 'errorMedicationDiscontinued',
+  PROCESSING_FAILED: 'errorOccurred',
+  INTERNAL_ERROR: 'errorOccurred',
+};
+
+/**
+ * Get the code from an axios error (or a failed job, which rejects the same way)
+ * @param {Error} err
+ * @returns {string|null}
+ */
+export function getErrorCode(err) {
+  return err?.response?.data?.code || null;
+}
+
+/**
+ * Request ID of a failed call, for support to find it in the server logs
+ * @param {Error} err - axios error
+ * @returns {string|null}
+ */
+export function getRequestId(err) {
+  return err?.response?.data?.requestId || err?.response?.headers?.['x-request-id'] || null;
+}
+
+/**
+ * Translated message for an API error
+ * @param {Error} err - axios error
+ * @param {Function} t - Translation function from useApp()
+ * @param {string} [fallback] - English text when nothing more specific applies
+ */
+export function getErrorMessage(err, t, fallback = 'Something went wrong. Please try again.') {
+  const key = ERROR_MESSAGE_KEYS[getErrorCode(err)];
+  // Languages without the key fall back to the English text, not the generic message
+  if (key) return t(key, translations.en[key] || fallback);
+
+  if (err?.code === 'ECONNABORTED' || err?.message?.includes('timeout')) {
+    return t('requestTimeout', 'Request timed out. The image may be too large or complex.');
+  }
+  // No response at all: backend is down or unreachable
+  if (err && !err.response && (err.code === 'ECONNREFUSED' || err.code === 'ERR_NETWORK')) {
+    return t('cannotConnectBackend', 'Cannot connect to backend. Make sure the backend is running.');
+  }
+  return t('errorOccurred', fallback);
+}
@@ -0,0 +1,120 @@
+/**
+ * Interaction helpers for the interactions from the scan pipeline and
+ * GET /api/patient/:id/interactions. Builds the same drug and pair keys as
+ * backend/utils/interactions.js; keep the two in step.
+ */
+
+// Strength and dose form aren't part of the ingredient ("Metformin 500mg tablet" → "metformin")
+const STRENGTH_AND_FORM = /\b(\d+(\.\d+)?\s*(mg|mcg|g|ml|iu|%)?|tablets?|tabs?|capsules?|caps?|syrup|injection|oral)\b/g;
+
+/**
+ * Normalized name a drug is matched on
+ * @param {string} name - Ingredient or medication name
+ */
+export function drugKey(name) {
+  const raw = String(name || '').trim().toLowerCase();
+  const key = raw
+    .replace(/\(.*?\)/g, ' ')
+    .replace(STRENGTH_AND_FORM, ' ')
+    .replace(/[^a-z0-9+\- ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return key || raw;
+}
+
+/**
+ * Key of a pair of drugs, the same in either order ("aspirin|warfarin")
+ * @param {string} [source] - 'duplicate' keys a duplication apart from an interaction of the same pair
+ */
+export function pairKey(drugA, drugB, source) {
+  const key = [drugKey(drugA), drugKey(drugB)].sort().join('|');
+  return source === 'duplicate' ? `duplicate:${key}` : key;
+}
+
+/**
+ * Keys of the drugs the patient is taking now
+ * @param {Object[]} medications - From useApp()
+ * @returns {Set<string>}
+ */
+export function activeDrugKeys(medications) {
+  return new Set(medications.filter((m) => m.active !== false).map((m) => drugKey(m.name)));
+}
+
+/**
+ * Whether both drugs of an interaction are among the active ones (an
+ * ingredient counts while the brand or combination it came from is taken)
+ * @param {Object} interaction - { drug1, drug2, product1, product2 }
+ * @param {Set<string>} activeKeys - From activeDrugKeys()
+ */
+export function isBetweenActive(interaction, activeKeys) {
+  return activeKeys.has(drugKey(interaction.product1 || interaction.drug1))
+    && activeKeys.has(drugKey(interaction.product2 || interaction.drug2));
+}
+
+/**
+ * One drug of an interaction as the patient knows it: "amlodipine (Telma-AM 40)"
+ * for an ingredient of a brand or combination
+ * @param {string} drug - drug1 or drug2
+ * @param {string} [product] - product1 or product2
+ */
+export function drugLabel(drug, product) {
+  return product ? `${drug} (${product})` : drug;
+}
+
+/**
+ * "amlodipine (Telma-AM 40) + warfarin"
+ * @param {Object} interaction - { drug1, drug2, product1, product2 }
+ */
+export function pairLabel(interaction) {
+  return `${drugLabel(interaction.drug1, interaction.product1)} + ${drugLabel(interaction.drug2, interaction.product2)}`;
+}
+
+/**
+ * Whether an interaction is a therapeutic duplication: two medicines doing the same job
+ */
+export function isDuplicate(interaction) {
+  return interaction.source === 'duplicate';
+}
+
+/**
+ * Therapeutic class names of a medication ("statins"), from its drug_classes
+ * @param {Object[]} [drugClasses] - [{ ingredient, atc, classes: [{ code, name }] }]
+ * @returns {string[]}
+ */
+export function drugClassNames(drugClasses) {
+  return [...new Set((drugClasses || []).flatMap((entry) => entry.classes || []).map((c) => c.name))];
+}
+
+/**
+ * One entry per drug pair from the scan pipeline's interactions, leaving out
+ * foods (dietary advice is shown with each medicine instead)
+ * @param {Object[]} medications - Pipeline medications, each with interactions
+ * @returns {Object[]} Interactions ready for addInteraction()
+ */
+export function uniqueDrugInteractions(medications) {
+  const byPair = new Map();
+  for (const med of medications) {
+    for (const inter of med.interactions || []) {
+      if (inter.source === 'dietary') continue;
+      const key = inter.pair_key || pairKey(inter.drug1, inter.drug2, inter.source);
+      const kept = byPair.get(key);
+      if (kept && kept.tier <= inter.tier) continue;
+      byPair.set(key, {
+        pairKey: key,
+        drug1: inter.drug1,
+        rxcui1: inter.rxcui1 || null,
+        product1: inter.product1 || null,
+        drug2: inter.drug2,
+        rxcui2: inter.rxcui2 || null,
+        product2: inter.product2 || null,
+        severity: inter.severity || 'moderate',
+        tier: inter.tier,
+        source: inter.source,
+        description: inter.description || '',
+        recommendation: inter.recommendation || '',
+        plainExplanation: inter.plainExplanation || inter.description || '',
+      });
+    }
+  }
+  return [...byPair.values()];
+}
@@ -0,0 +1,55 @@
+/**
+ * Medication history display helpers for the versions from
+ * GET /api/medications/:id/history (see backend/services/medicationService.js).
+ */
+
+// Why a medication was stopped → translation key and English fallback
+export const DISCONTINUE_REASONS = [
+  { value: 'course_completed', key: 'reasonCourseCompleted', label: 'Finished the course' },
+  { value: 'doctor_stopped', key: 'reasonDoctorStopped', label: 'My doctor stopped it' },
+  { value: 'side_effects', key: 'reasonSideEffects', label: 'Side effects' },
+  { value: 'replaced', key: 'reasonReplaced', label: 'Switched to another medicine' },
+  { value: 'other', key: 'reasonOther', label: 'Other reason' },
+];
+
+const CHANGE_TEMPLATES = {
+  dosage: ['historyDoseChanged', 'Dose changed from {from} to {to}'],
+  frequency: ['historyFrequencyChanged', 'Frequency changed from {from} to {to}'],
+  dose_timing: ['historyTimingChanged', 'Timing changed from {from} to {to}'],
+};
+
+/**
+ * Fill {placeholders} in a translated template
+ */
+function fill(template, values) {
+  return Object.entries(values).reduce((text, [key, value]) => text.split(`{${key}}`).join(value), template);
+}
+
+/**
+ * Translated lines describing one version, e.g. ["Dose changed from 500mg to 1000mg"]
+ * @param {Object} version - { version, change_type, dosage, frequency, restored_from, changes }
+ * @param {Function} t - Translation function from useApp()
+ * @returns {string[]}
+ */
+export function describeVersion(version, t) {
+  if (version.change_type === 'created' || version.changes.length === 0) {
+    const started = [version.dosage, version.frequency].filter(Boolean).join(', ');
+    return [fill(t('historyStarted', 'Started: {details}'), { details: started || '—' })];
+  }
+  const lines = version.changes.map(({ field, from, to }) => {
+    const [key, fallback] = CHANGE_TEMPLATES[field];
+    return fill(t(key, fallback), { from: from || '—', to: to || '—' });
+  });
+  if (version.change_type === 'restored') {
+    lines.unshift(fill(t('historyRestored', 'Went back to version {version}'), { version: version.restored_from }));
+  }
+  return lines;
+}
+
+/**
+ * Short date of a version, e.g. "3 Oct"
+ */
+export function formatVersionDate(isoDate) {
+  if (!isoDate) return '';
+  return new Date(isoDate).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+}
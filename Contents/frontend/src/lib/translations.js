@@ -161,17 +161,26 @@ export const translations = {
     medicinesAdded: 'Medicines added to your list!',
     tryAgain: 'Try again',
     scanTapToPhoto: 'Tap to take a photo',
-    scanOrDragDrop: 'or drag & drop your prescription image here',
+    scanOrDragDrop: 'or drag & drop your prescription image or PDF here',
     scanUploadFromGallery: 'Upload from gallery',
     scanTipsTitle: 'Tips for best results',
     scanTipFlatSurface: 'Place prescription on a flat surface',
     scanTipGoodLighting: "Make sure there's good lighting",
     scanTipFullPhoto: 'Include the full prescription in the photo',
+    scanPagesHint: 'Add every page of the prescription, then scan them together.',
+    scanPageLabel: 'Page',
+    scanAddPage: 'Add page',
+    scanPagesButton: 'Scan pages',
+    addAnotherPage: 'Add another page',
+    pagesScanned: 'pages scanned',
+    pageUnreadable: "Couldn't read page",
     upload: 'Upload complete',
     ocr: 'Scanning image',
     extract: 'Extracting medications',
     safety: 'Safety check',
     nudge: 'Preparing reminders',
+    scanStepValidate: 'Checking medicine names',
+    scanStepInteractions: 'Checking interactions',
     doneProcessing: 'Complete',
     
     // Medicine Details
@@ -318,6 +327,51 @@ export const translations = {
     cannotConnectBackend: 'Cannot connect to backend. Make sure the backend is running.',
     requestTimeout: 'Request timed out. The image may be too large or complex.',
     noClearPrescription: 'The prescription image is not clear enough. Please take a clearer photo.',
+    errorValidationFailed: 'Some details in the request were not valid. Please check and try again.',
+    errorNoFile: 'Please choose a photo or PDF of the prescription.',
+    errorFileTooLarge: 'The file is too large. Please use a file under 10 MB.',
+    errorDrugNotRecognized: 'We could not recognise these medicine names. Please check the spelling or add them manually.',
+    errorSessionExpired: 'Your session has expired. Please sign in again.',
+    errorForbidden: 'You don\'t have access to this information.',
+    errorNotFound: 'We couldn\'t find what you were looking for.',
+    errorRateLimited: 'Too many requests right now. Please wait a minute and try again.',
+    errorQuotaExceeded: 'You have reached today\'s limit for AI features. Please try again tomorrow.',
+    errorDoseAlreadyLogged: 'This dose was already logged today.',
+    last30Days: 'Last 30 days',
+    "history.lastDays": 'Last {days} days',
+    "history.daysCovered": 'Days Covered',
+    "history.avgLateness": 'Avg. Lateness',
+    "history.weakSpots": 'Needs attention',
+    "history.bySlot": 'By Time of Day',
+    minutesShort: 'min',
+    weakSpotSlotMissed: '{slot} doses missed {percent}% of the time',
+    weakSpotSlotLate: '{slot} doses taken {minutes} minutes late on average',
+    weakSpotMedicationMissed: '{name} doses missed {percent}% of the time',
+    timezone: 'Time zone',
+    timezoneDescription: 'Your doses reset at midnight in this time zone',
+    errorReference: 'Reference',
+    medicationHistory: 'Changes',
+    historyStarted: 'Started: {details}',
+    historyDoseChanged: 'Dose changed from {from} to {to}',
+    historyFrequencyChanged: 'Frequency changed from {from} to {to}',
+    historyTimingChanged: 'Timing changed from {from} to {to}',
+    historyRestored: 'Went back to version {version}',
+    currentVersion: 'Current',
+    restoreVersion: 'Restore',
+    stopMedicine: 'Stop this medicine?',
+    stopMedicineKept: 'leaves your medicine list. Its history is kept.',
+    whyStopping: 'Why are you stopping it?',
+    reasonCourseCompleted: 'Finished the course',
+    reasonDoctorStopped: 'My doctor stopped it',
+    reasonSideEffects: 'Side effects',
+    reasonReplaced: 'Switched to another medicine',
+    reasonOther: 'Other reason',
+    stopMedicineConfirm: 'Yes, stop it',
+    containsGeneric: 'Contains',
+    alertsDuplicatesTitle: '💊 Same job, two medicines — Ask your doctor',
+    drugClassLabel: 'Type:',
+    pdfPagesSkipped: 'Only the first {read} of {total} PDF pages were read',
+    errorMedicationDiscontinued: 'This medication was stopped. Add it again to start taking it.',
   },
   
   hi: {
@@ -476,17 +530,26 @@ export const translations = {
     medicinesAdded: 'दवाइयां आपकी सूची में जोड़ दी गई हैं!',
     tryAgain: 'फिर से प्रयास करें',
     scanTapToPhoto: 'फोटो लेने के लिए टैप करें',
-    scanOrDragDrop: 'या प्रिस्क्रिप्शन की फोटो यहां खींचकर छोड़ें',
+    scanOrDragDrop: 'या प्रिस्क्रिप्शन की फोटो या PDF यहां खींचकर छोड़ें',
     scanUploadFromGallery: 'गैलरी से अपलोड करें',
     scanTipsTitle: 'बेहतर रिज़ल्ट के लिए सुझाव',
     scanTipFlatSurface: 'प्रिस्क्रिप्शन को समतल सतह पर रखें',
     scanTipGoodLighting: 'ध्यान रखें कि रोशनी अच्छी हो',
     scanTipFullPhoto: 'तस्वीर में पूरा प्रिस्क्रिप्शन आए यह सुनिश्चित करें',
+    scanPagesHint: 'प्रिस्क्रिप्शन के सभी पेज जोड़ें, फिर उन्हें एक साथ स्कैन करें।',
+    scanPageLabel: 'पेज',
+    scanAddPage: 'पेज जोड़ें',
+    scanPagesButton: 'पेज स्कैन करें',
+    addAnotherPage: 'एक और पेज जोड़ें',
+    pagesScanned: 'पेज स्कैन हुए',
+    pageUnreadable: 'यह पेज पढ़ा नहीं जा सका',
     upload: 'अपलोड पूरा',
     ocr: 'इमेज स्कैन हो रही है',
     extract: 'दवाइयां निकाली जा रही हैं',
     safety: 'सेफ़्टी चेक',
     nudge: 'रिमाइंडर तैयार हो रहे हैं',
+    scanStepValidate: 'दवाइयों के नाम जांचे जा रहे हैं',
+    scanStepInteractions: 'इंटरैक्शन जांचे जा रहे हैं',
     doneProcessing: 'पूरा',
     
     // Medicine Details
@@ -633,6 +696,51 @@ export const translations = {
     cannotConnectBackend: 'बैकएंड से कनेक्ट नहीं हो सका। सुनिश्चित करें कि बैकएंड चल रहा है।',
     requestTimeout: 'अनुरोध समय समाप्त हो गया। छवि बहुत बड़ी या जटिल हो सकती है।',
     noClearPrescription: 'प्रिस्क्रिप्शन छवि पर्याप्त स्पष्ट नहीं है। कृपया एक स्पष्ट फोटो लें।',
+    errorValidationFailed: 'अनुरोध में कुछ जानकारी सही नहीं थी। कृपया जांचें और फिर से प्रयास करें।',
+    errorNoFile: 'कृपया प्रिस्क्रिप्शन की फोटो या PDF चुनें।',
+    errorFileTooLarge: 'फ़ाइल बहुत बड़ी है। कृपया 10 MB से छोटी फ़ाइल का उपयोग करें।',
+    errorDrugNotRecognized: 'इन दवाओं के नाम पहचाने नहीं जा सके। कृपया वर्तनी जांचें या इन्हें स्वयं जोड़ें।',
+    errorSessionExpired: 'आपका सत्र समाप्त हो गया है। कृपया फिर से साइन इन करें।',
+    errorForbidden: 'आपको इस जानकारी तक पहुंच नहीं है।',
+    errorNotFound: 'आप जो खोज रहे थे वह नहीं मिला।',
+    errorRateLimited: 'अभी बहुत अधिक अनुरोध हैं। कृपया एक मिनट रुककर फिर से प्रयास करें।',
+    errorQuotaExceeded: 'आज की AI सुविधाओं की सीमा पूरी हो गई है। कृपया कल फिर से प्रयास करें।',
+    errorDoseAlreadyLogged: 'यह खुराक आज पहले ही दर्ज हो चुकी है।',
+    last30Days: 'पिछले 30 दिन',
+    "history.lastDays": 'पिछले {days} दिन',
+    "history.daysCovered": 'पूरे किए गए दिन',
+    "history.avgLateness": 'औसत देरी',
+    "history.weakSpots": 'ध्यान दें',
+    "history.bySlot": 'दिन के समय के अनुसार',
+    minutesShort: 'मिनट',
+    weakSpotSlotMissed: '{slot} की खुराक {percent}% बार छूटी',
+    weakSpotSlotLate: '{slot} की खुराक औसतन {minutes} मिनट देर से ली गई',
+    weakSpotMedicationMissed: '{name} की खुराक {percent}% बार छूटी',
+    timezone: 'समय क्षेत्र',
+    timezoneDescription: 'आपकी खुराकें इस समय क्षेत्र की आधी रात को रीसेट होती हैं',
+    errorReference: 'संदर्भ',
+    medicationHistory: 'बदलाव',
+    historyStarted: 'शुरुआत: {details}',
+    historyDoseChanged: 'खुराक {from} से {to} की गई',
+    historyFrequencyChanged: 'आवृत्ति {from} से {to} की गई',
+    historyTimingChanged: 'समय {from} से {to} किया गया',
+    historyRestored: 'संस्करण {version} पर वापस गए',
+    currentVersion: 'वर्तमान',
+    restoreVersion: 'वापस लाएँ',
+    stopMedicine: 'यह दवा बंद करें?',
+    stopMedicineKept: 'आपकी दवा सूची से हट जाएगी। इसका इतिहास रखा जाएगा।',
+    whyStopping: 'आप इसे क्यों बंद कर रहे हैं?',
+    reasonCourseCompleted: 'कोर्स पूरा हो गया',
+    reasonDoctorStopped: 'डॉक्टर ने बंद की',
+    reasonSideEffects: 'दुष्प्रभाव',
+    reasonReplaced: 'दूसरी दवा पर बदला',
+    reasonOther: 'कोई और कारण',
+    stopMedicineConfirm: 'हाँ, बंद करें',
+    containsGeneric: 'इसमें है',
+    alertsDuplicatesTitle: '💊 एक ही काम की दो दवाइयाँ — डॉक्टर से पूछें',
+    drugClassLabel: 'प्रकार:',
+    pdfPagesSkipped: 'PDF के {total} में से केवल पहले {read} पेज पढ़े गए',
+    errorMedicationDiscontinued: 'यह दवा बंद कर दी गई थी। इसे फिर से लेना शुरू करने के लिए दोबारा जोड़ें।',
   },
   
   kn: {
@@ -804,6 +912,51 @@ export const translations = {
     cannotConnectBackend: 'ಬ್ಯಾಕೆಂಡ್‌ಗೆ ಸಂಪರ್ಕಿಸಲು ಸಾಧ್ಯವಾಗುತ್ತಿಲ್ಲ. ಬ್ಯಾಕೆಂಡ್ ಚಾಲನೆಯಲ್ಲಿದೆ ಎಂದು ಖಚಿತಪಡಿಸಿಕೊಳ್ಳಿ.',
     requestTimeout: 'ವಿನಂತಿ ಸಮಯ ಮುಗಿದಿದೆ. ಚಿತ್ರವು ತುಂಬಾ ದೊಡ್ಡದಾಗಿರಬಹುದು ಅಥವಾ ಸಂಕೀರ್ಣವಾಗಿರಬಹುದು.',
     noClearPrescription: 'ಪ್ರಿಸ್ಕ್ರಿಪ್ಶನ್ ಚಿತ್ರ ಸಾಕಷ್ಟು ಸ್ಪಷ್ಟವಾಗಿಲ್ಲ. ದಯವಿಟ್ಟು ಸ್ಪಷ್ಟವಾದ ಫೋಟೋ ತೆಗೆಯಿರಿ.',
+    errorValidationFailed: 'ವಿನಂತಿಯಲ್ಲಿನ ಕೆಲವು ವಿವರಗಳು ಸರಿಯಾಗಿಲ್ಲ. ದಯವಿಟ್ಟು ಪರಿಶೀಲಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    errorNoFile: 'ದಯವಿಟ್ಟು ಪ್ರಿಸ್ಕ್ರಿಪ್ಶನ್‌ನ ಫೋಟೋ ಅಥವಾ PDF ಆಯ್ಕೆಮಾಡಿ.',
+    errorFileTooLarge: 'ಫೈಲ್ ತುಂಬಾ ದೊಡ್ಡದಾಗಿದೆ. ದಯವಿಟ್ಟು 10 MB ಗಿಂತ ಚಿಕ್ಕ ಫೈಲ್ ಬಳಸಿ.',
+    errorDrugNotRecognized: 'ಈ ಔಷಧಿ ಹೆಸರುಗಳನ್ನು ಗುರುತಿಸಲಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಕಾಗುಣಿತ ಪರಿಶೀಲಿಸಿ ಅಥವಾ ಕೈಯಾರೆ ಸೇರಿಸಿ.',
+    errorSessionExpired: 'ನಿಮ್ಮ ಸೆಷನ್ ಮುಗಿದಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಸೈನ್ ಇನ್ ಮಾಡಿ.',
+    errorForbidden: 'ಈ ಮಾಹಿತಿಗೆ ನಿಮಗೆ ಪ್ರವೇಶವಿಲ್ಲ.',
+    errorNotFound: 'ನೀವು ಹುಡುಕುತ್ತಿರುವುದು ಸಿಗಲಿಲ್ಲ.',
+    errorRateLimited: 'ಈಗ ತುಂಬಾ ವಿನಂತಿಗಳಿವೆ. ದಯವಿಟ್ಟು ಒಂದು ನಿಮಿಷ ಕಾಯಿರಿ ಮತ್ತು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    errorQuotaExceeded: 'ಇಂದಿನ AI ವೈಶಿಷ್ಟ್ಯಗಳ ಮಿತಿ ತಲುಪಿದೆ. ದಯವಿಟ್ಟು ನಾಳೆ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    errorDoseAlreadyLogged: 'ಈ ಡೋಸ್ ಅನ್ನು ಇಂದು ಈಗಾಗಲೇ ದಾಖಲಿಸಲಾಗಿದೆ.',
+    last30Days: 'ಕಳೆದ 30 ದಿನಗಳು',
+    "history.lastDays": 'ಕಳೆದ {days} ದಿನಗಳು',
+    "history.daysCovered": 'ಪೂರ್ಣಗೊಂಡ ದಿನಗಳು',
+    "history.avgLateness": 'ಸರಾಸರಿ ತಡ',
+    "history.weakSpots": 'ಗಮನ ಕೊಡಿ',
+    "history.bySlot": 'ದಿನದ ಸಮಯದ ಪ್ರಕಾರ',
+    minutesShort: 'ನಿಮಿಷ',
+    weakSpotSlotMissed: '{slot} ಡೋಸ್‌ಗಳು {percent}% ಬಾರಿ ತಪ್ಪಿವೆ',
+    weakSpotSlotLate: '{slot} ಡೋಸ್‌ಗಳನ್ನು ಸರಾಸರಿ {minutes} ನಿಮಿಷ ತಡವಾಗಿ ತೆಗೆದುಕೊಳ್ಳಲಾಗಿದೆ',
+    weakSpotMedicationMissed: '{name} ಡೋಸ್‌ಗಳು {percent}% ಬಾರಿ ತಪ್ಪಿವೆ',
+    timezone: 'ಸಮಯ ವಲಯ',
+    timezoneDescription: 'ಈ ಸಮಯ ವಲಯದ ಮಧ್ಯರಾತ್ರಿಯಲ್ಲಿ ನಿಮ್ಮ ಡೋಸ್‌ಗಳು ಮರುಹೊಂದಿಸಲ್ಪಡುತ್ತವೆ',
+    errorReference: 'ಉಲ್ಲೇಖ',
+    medicationHistory: 'ಬದಲಾವಣೆಗಳು',
+    historyStarted: 'ಆರಂಭ: {details}',
+    historyDoseChanged: 'ಡೋಸ್ {from} ರಿಂದ {to} ಗೆ ಬದಲಾಯಿತು',
+    historyFrequencyChanged: 'ಆವರ್ತನ {from} ರಿಂದ {to} ಗೆ ಬದಲಾಯಿತು',
+    historyTimingChanged: 'ಸಮಯ {from} ರಿಂದ {to} ಗೆ ಬದಲಾಯಿತು',
+    historyRestored: 'ಆವೃತ್ತಿ {version} ಗೆ ಹಿಂತಿರುಗಿದೆ',
+    currentVersion: 'ಪ್ರಸ್ತುತ',
+    restoreVersion: 'ಮರುಸ್ಥಾಪಿಸಿ',
+    stopMedicine: 'ಈ ಔಷಧಿಯನ್ನು ನಿಲ್ಲಿಸಬೇಕೇ?',
+    stopMedicineKept: 'ನಿಮ್ಮ ಔಷಧಿ ಪಟ್ಟಿಯಿಂದ ಹೊರಹೋಗುತ್ತದೆ. ಅದರ ಇತಿಹಾಸ ಉಳಿಯುತ್ತದೆ.',
+    whyStopping: 'ಏಕೆ ನಿಲ್ಲಿಸುತ್ತಿದ್ದೀರಿ?',
+    reasonCourseCompleted: 'ಕೋರ್ಸ್ ಮುಗಿದಿದೆ',
+    reasonDoctorStopped: 'ವೈದ್ಯರು ನಿಲ್ಲಿಸಿದರು',
+    reasonSideEffects: 'ಅಡ್ಡಪರಿಣಾಮಗಳು',
+    reasonReplaced: 'ಬೇರೆ ಔಷಧಿಗೆ ಬದಲಾಯಿಸಿದೆ',
+    reasonOther: 'ಬೇರೆ ಕಾರಣ',
+    stopMedicineConfirm: 'ಹೌದು, ನಿಲ್ಲಿಸಿ',
+    containsGeneric: 'ಒಳಗೊಂಡಿದೆ',
+    alertsDuplicatesTitle: '💊 ಒಂದೇ ಕೆಲಸದ ಎರಡು ಔಷಧಿಗಳು — ವೈದ್ಯರನ್ನು ಕೇಳಿ',
+    drugClassLabel: 'ಪ್ರಕಾರ:',
+    pdfPagesSkipped: 'PDF ನ {total} ಪುಟಗಳಲ್ಲಿ ಮೊದಲ {read} ಪುಟಗಳನ್ನು ಮಾತ್ರ ಓದಲಾಗಿದೆ',
+    errorMedicationDiscontinued: 'ಈ ಔಷಧಿಯನ್ನು ನಿಲ್ಲಿಸಲಾಗಿದೆ. ಮತ್ತೆ ತೆಗೆದುಕೊಳ್ಳಲು ಪ್ರಾರಂಭಿಸಲು ಅದನ್ನು ಮತ್ತೆ ಸೇರಿಸಿ.',
   },
   
   ta: {
@@ -962,17 +1115,26 @@ export const translations = {
     medicinesAdded: 'மருந்துகள் உங்கள் பட்டியலில் சேர்க்கப்பட்டன!',
     tryAgain: 'மீண்டும் முயற்சிக்கவும்',
     scanTapToPhoto: 'புகைப்படம் எடுக்க தட்டவும்',
-    scanOrDragDrop: 'அல்லது மருந்துச்சீட்டு படத்தை இங்கே இழுத்து விடவும்',
+    scanOrDragDrop: 'அல்லது மருந்துச்சீட்டு படம் அல்லது PDF-ஐ இங்கே இழுத்து விடவும்',
     scanUploadFromGallery: 'கேலரியிலிருந்து பதிவேற்று',
     scanTipsTitle: 'சிறந்த முடிவுக்கான குறிப்புகள்',
     scanTipFlatSurface: 'மருந்துச்சீட்டை சமமான மேற்பரப்பில் வைக்கவும்',
     scanTipGoodLighting: 'சுற்றிலும் போதுமான ஒளி இருக்குமா என்பதை உறுதி செய்யவும்',
     scanTipFullPhoto: 'முழு மருந்துச்சீட்டும் படத்தில் தெளிவாக வரும்படி எடுக்கவும்',
+    scanPagesHint: 'மருந்துச்சீட்டின் அனைத்து பக்கங்களையும் சேர்த்து, பின்னர் ஒன்றாக ஸ்கேன் செய்யவும்.',
+    scanPageLabel: 'பக்கம்',
+    scanAddPage: 'பக்கம் சேர்',
+    scanPagesButton: 'பக்கங்களை ஸ்கேன் செய்',
+    addAnotherPage: 'இன்னொரு பக்கம் சேர்',
+    pagesScanned: 'பக்கங்கள் ஸ்கேன் செய்யப்பட்டன',
+    pageUnreadable: 'இந்த பக்கத்தைப் படிக்க முடியவில்லை',
     upload: 'பதிவேற்றம் முடிந்தது',
     ocr: 'படம் ஸ்கேன் செய்யப்படுகிறது',
     extract: 'மருந்துகள் பிரித்தெடுக்கப்படுகின்றன',
     safety: 'பாதுகாப்பு சரிபார்ப்பு',
     nudge: 'நினைவூட்டல்கள் தயார் செய்யப்படுகின்றன',
+    scanStepValidate: 'மருந்துப் பெயர்கள் சரிபார்க்கப்படுகின்றன',
+    scanStepInteractions: 'இடைவினைகள் சரிபார்க்கப்படுகின்றன',
     doneProcessing: 'முடிந்தது',
     
     // Medicine Details
@@ -1119,6 +1281,51 @@ export const translations = {
     cannotConnectBackend: 'பின்தளத்துடன் இணைக்க முடியவில்லை. பின்தளம் இயங்குகிறதா என்று உறுதிப்படுத்தவும்.',
     requestTimeout: 'கோரிக்கை காலாவதியானது. படம் மிகப் பெரியதாக அல்லது சிக்கலானதாக இருக்கலாம்.',
     noClearPrescription: 'மருந்துச்சீட்டு படம் போதுமான அளவு தெளிவாக இல்லை. தயவுசெய்து தெளிவான புகைப்படம் எடுக்கவும்.',
+    errorValidationFailed: 'கோரிக்கையில் உள்ள சில விவரங்கள் சரியாக இல்லை. சரிபார்த்து மீண்டும் முயற்சிக்கவும்.',
+    errorNoFile: 'மருந்துச்சீட்டின் புகைப்படம் அல்லது PDF-ஐத் தேர்ந்தெடுக்கவும்.',
+    errorFileTooLarge: 'கோப்பு மிகப் பெரியது. 10 MB-க்குக் குறைவான கோப்பைப் பயன்படுத்தவும்.',
+    errorDrugNotRecognized: 'இந்த மருந்துப் பெயர்களை அடையாளம் காண முடியவில்லை. எழுத்துப்பிழையைச் சரிபார்க்கவும் அல்லது கைமுறையாகச் சேர்க்கவும்.',
+    errorSessionExpired: 'உங்கள் அமர்வு காலாவதியானது. மீண்டும் உள்நுழையவும்.',
+    errorForbidden: 'இந்தத் தகவலை அணுக உங்களுக்கு அனுமதி இல்லை.',
+    errorNotFound: 'நீங்கள் தேடியது கிடைக்கவில்லை.',
+    errorRateLimited: 'இப்போது அதிகமான கோரிக்கைகள் உள்ளன. ஒரு நிமிடம் காத்திருந்து மீண்டும் முயற்சிக்கவும்.',
+    errorQuotaExceeded: 'இன்றைய AI வசதிகளின் வரம்பை அடைந்துவிட்டீர்கள். நாளை மீண்டும் முயற்சிக்கவும்.',
+    errorDoseAlreadyLogged: 'இந்த டோஸ் இன்று ஏற்கனவே பதிவு செய்யப்பட்டது.',
+    last30Days: 'கடந்த 30 நாட்கள்',
+    "history.lastDays": 'கடந்த {days} நாட்கள்',
+    "history.daysCovered": 'முழுமையான நாட்கள்',
+    "history.avgLateness": 'சராசரி தாமதம்',
+    "history.weakSpots": 'கவனம் தேவை',
+    "history.bySlot": 'நேரத்தின்படி',
+    minutesShort: 'நிமி',
+    weakSpotSlotMissed: '{slot} டோஸ்கள் {percent}% நேரம் தவறவிடப்பட்டன',
+    weakSpotSlotLate: '{slot} டோஸ்கள் சராசரியாக {minutes} நிமிடங்கள் தாமதமாக எடுக்கப்பட்டன',
+    weakSpotMedicationMissed: '{name} டோஸ்கள் {percent}% நேரம் தவறவிடப்பட்டன',
+    timezone: 'நேர மண்டலம்',
+    timezoneDescription: 'இந்த நேர மண்டலத்தின் நள்ளிரவில் உங்கள் மருந்தளவுகள் மீட்டமைக்கப்படும்',
+    errorReference: 'குறிப்பு எண்',
+    medicationHistory: 'மாற்றங்கள்',
+    historyStarted: 'தொடக்கம்: {details}',
+    historyDoseChanged: 'மருந்தளவு {from} இலிருந்து {to} ஆக மாற்றப்பட்டது',
+    historyFrequencyChanged: 'அடிக்கடி {from} இலிருந்து {to} ஆக மாற்றப்பட்டது',
+    historyTimingChanged: 'நேரம் {from} இலிருந்து {to} ஆக மாற்றப்பட்டது',
+    historyRestored: 'பதிப்பு {version} க்கு திரும்பியது',
+    currentVersion: 'தற்போதையது',
+    restoreVersion: 'மீட்டமை',
+    stopMedicine: 'இந்த மருந்தை நிறுத்தவா?',
+    stopMedicineKept: 'உங்கள் மருந்து பட்டியலில் இருந்து நீக்கப்படும். அதன் வரலாறு வைக்கப்படும்.',
+    whyStopping: 'ஏன் நிறுத்துகிறீர்கள்?',
+    reasonCourseCompleted: 'படிப்பு முடிந்தது',
+    reasonDoctorStopped: 'மருத்துவர் நிறுத்தினார்',
+    reasonSideEffects: 'பக்க விளைவுகள்',
+    reasonReplaced: 'வேறு மருந்துக்கு மாறினேன்',
+    reasonOther: 'வேறு காரணம்',
+    stopMedicineConfirm: 'ஆம், நிறுத்து',
+    containsGeneric: 'உள்ளடக்கம்',
+    alertsDuplicatesTitle: '💊 ஒரே வேலைக்கு இரண்டு மருந்துகள் — மருத்துவரிடம் கேளுங்கள்',
+    drugClassLabel: 'வகை:',
+    pdfPagesSkipped: 'PDF இன் {total} பக்கங்களில் முதல் {read} பக்கங்கள் மட்டுமே படிக்கப்பட்டன',
+    errorMedicationDiscontinued: 'இந்த மருந்து நிறுத்தப்பட்டது. மீண்டும் எடுத்துக்கொள்ளத் தொடங்க அதை மீண்டும் சேர்க்கவும்.',
   },
   
   te: {
@@ -1290,6 +1497,51 @@ export const translations = {
     cannotConnectBackend: 'బ్యాకెండ్‌తో కనెక్ట్ చేయడం సాధ్యం కాలేదు. బ్యాకెండ్ నడుస్తుందని నిర్ధారించుకోండి.',
     requestTimeout: 'అభ్యర్థన సమయం ముగిసింది. చిత్రం చాలా పెద్దది లేదా క్లిష్టంగా ఉండవచ్చు.',
     noClearPrescription: 'ప్రిస్క్రిప్షన్ చిత్రం తగినంత స్పష్టంగా లేదు. దయచేసి స్పష్టమైన ఫోటో తీయండి.',
+    errorValidationFailed: 'అభ్యర్థనలోని కొన్ని వివరాలు సరిగ్గా లేవు. దయచేసి తనిఖీ చేసి మళ్లీ ప్రయత్నించండి.',
+    errorNoFile: 'దయచేసి ప్రిస్క్రిప్షన్ ఫోటో లేదా PDF ఎంచుకోండి.',
+    errorFileTooLarge: 'ఫైల్ చాలా పెద్దది. దయచేసి 10 MB కంటే చిన్న ఫైల్ ఉపయోగించండి.',
+    errorDrugNotRecognized: 'ఈ మందుల పేర్లను గుర్తించలేకపోయాము. దయచేసి స్పెల్లింగ్ తనిఖీ చేయండి లేదా మాన్యువల్‌గా జోడించండి.',
+    errorSessionExpired: 'మీ సెషన్ ముగిసింది. దయచేసి మళ్లీ సైన్ ఇన్ చేయండి.',
+    errorForbidden: 'ఈ సమాచారానికి మీకు ప్రాప్యత లేదు.',
+    errorNotFound: 'మీరు వెతుకుతున్నది కనుగొనబడలేదు.',
+    errorRateLimited: 'ప్రస్తుతం చాలా అభ్యర్థనలు ఉన్నాయి. దయచేసి ఒక నిమిషం ఆగి మళ్లీ ప్రయత్నించండి.',
+    errorQuotaExceeded: 'నేటి AI ఫీచర్ల పరిమితిని చేరుకున్నారు. దయచేసి రేపు మళ్లీ ప్రయత్నించండి.',
+    errorDoseAlreadyLogged: 'ఈ డోస్ ఈరోజు ఇప్పటికే నమోదు చేయబడింది.',
+    last30Days: 'గత 30 రోజులు',
+    "history.lastDays": 'గత {days} రోజులు',
+    "history.daysCovered": 'పూర్తయిన రోజులు',
+    "history.avgLateness": 'సగటు ఆలస్యం',
+    "history.weakSpots": 'శ్రద్ధ అవసరం',
+    "history.bySlot": 'రోజు సమయం ప్రకారం',
+    minutesShort: 'నిమి',
+    weakSpotSlotMissed: '{slot} డోస్‌లు {percent}% సార్లు తప్పిపోయాయి',
+    weakSpotSlotLate: '{slot} డోస్‌లు సగటున {minutes} నిమిషాలు ఆలస్యంగా తీసుకున్నారు',
+    weakSpotMedicationMissed: '{name} డోస్‌లు {percent}% సార్లు తప్పిపోయాయి',
+    timezone: 'సమయ మండలం',
+    timezoneDescription: 'ఈ సమయ మండలంలో అర్ధరాత్రి మీ మోతాదులు రీసెట్ అవుతాయి',
+    errorReference: 'సూచన',
+    medicationHistory: 'మార్పులు',
+    historyStarted: 'ప్రారంభం: {details}',
+    historyDoseChanged: 'మోతాదు {from} నుండి {to} కి మార్చబడింది',
+    historyFrequencyChanged: 'తరచుదనం {from} నుండి {to} కి మార్చబడింది',
+    historyTimingChanged: 'సమయం {from} నుండి {to} కి మార్చబడింది',
+    historyRestored: 'వెర్షన్ {version} కి తిరిగి వెళ్ళారు',
+    currentVersion: 'ప్రస్తుతం',
+    restoreVersion: 'పునరుద్ధరించు',
+    stopMedicine: 'ఈ మందును ఆపాలా?',
+    stopMedicineKept: 'మీ మందుల జాబితా నుండి తొలగించబడుతుంది. దాని చరిత్ర ఉంచబడుతుంది.',
+    whyStopping: 'ఎందుకు ఆపుతున్నారు?',
+    reasonCourseCompleted: 'కోర్సు పూర్తయింది',
+    reasonDoctorStopped: 'డాక్టర్ ఆపేశారు',
+    reasonSideEffects: 'దుష్ప్రభావాలు',
+    reasonReplaced: 'వేరే మందుకు మారాను',
+    reasonOther: 'ఇతర కారణం',
+    stopMedicineConfirm: 'అవును, ఆపండి',
+    containsGeneric: 'ఇందులో ఉన్నది',
+    alertsDuplicatesTitle: '💊 ఒకే పనికి రెండు మందులు — డాక్టర్‌ను అడగండి',
+    drugClassLabel: 'రకం:',
+    pdfPagesSkipped: 'PDF లోని {total} పేజీలలో మొదటి {read} పేజీలు మాత్రమే చదవబడ్డాయి',
+    errorMedicationDiscontinued: 'ఈ మందు ఆపివేయబడింది. మళ్లీ తీసుకోవడం ప్రారంభించడానికి దాన్ని మళ్లీ జోడించండి.',
   },
   
   bn: {
@@ -1461,6 +1713,51 @@ export const translations = {
     cannotConnectBackend: 'ব্যাকএন্ডের সাথে সংযোগ করতে পারছি না। নিশ্চিত করুন যে ব্যাকএন্ড চলছে।',
     requestTimeout: 'অনুরোধের সময় শেষ হয়ে গেছে। ছবিটি খুব বড় বা জটিল হতে পারে।',
     noClearPrescription: 'প্রেসক্রিপশন ছবি যথেষ্ট পরিষ্কার নয়। অনুগ্রহ করে একটি পরিষ্কার ছবি তুলুন।',
+    errorValidationFailed: 'অনুরোধের কিছু তথ্য সঠিক ছিল না। অনুগ্রহ করে যাচাই করে আবার চেষ্টা করুন।',
+    errorNoFile: 'অনুগ্রহ করে প্রেসক্রিপশনের ছবি বা PDF বেছে নিন।',
+    errorFileTooLarge: 'ফাইলটি খুব বড়। অনুগ্রহ করে 10 MB-এর চেয়ে ছোট ফাইল ব্যবহার করুন।',
+    errorDrugNotRecognized: 'এই ওষুধের নামগুলি চেনা যায়নি। অনুগ্রহ করে বানান যাচাই করুন বা নিজে যোগ করুন।',
+    errorSessionExpired: 'আপনার সেশন শেষ হয়েছে। অনুগ্রহ করে আবার সাইন ইন করুন।',
+    errorForbidden: 'এই তথ্যে আপনার অ্যাক্সেস নেই।',
+    errorNotFound: 'আপনি যা খুঁজছিলেন তা পাওয়া যায়নি।',
+    errorRateLimited: 'এখন অনেক বেশি অনুরোধ। অনুগ্রহ করে এক মিনিট অপেক্ষা করে আবার চেষ্টা করুন।',
+    errorQuotaExceeded: 'আজকের AI বৈশিষ্ট্যের সীমা পূর্ণ হয়েছে। অনুগ্রহ করে আগামীকাল আবার চেষ্টা করুন।',
+    errorDoseAlreadyLogged: 'এই ডোজটি আজ ইতিমধ্যেই লগ করা হয়েছে।',
+    last30Days: 'গত ৩০ দিন',
+    "history.lastDays": 'গত {days} দিন',
+    "history.daysCovered": 'সম্পূর্ণ দিন',
+    "history.avgLateness": 'গড় দেরি',
+    "history.weakSpots": 'মনোযোগ দিন',
+    "history.bySlot": 'দিনের সময় অনুযায়ী',
+    minutesShort: 'মিনিট',
+    weakSpotSlotMissed: '{slot} ডোজ {percent}% সময় বাদ পড়েছে',
+    weakSpotSlotLate: '{slot} ডোজ গড়ে {minutes} মিনিট দেরিতে নেওয়া হয়েছে',
+    weakSpotMedicationMissed: '{name} ডোজ {percent}% সময় বাদ পড়েছে',
+    timezone: 'সময় অঞ্চল',
+    timezoneDescription: 'এই সময় অঞ্চলের মধ্যরাতে আপনার ডোজ রিসেট হয়',
+    errorReference: 'রেফারেন্স',
+    medicationHistory: 'পরিবর্তন',
+    historyStarted: 'শুরু: {details}',
+    historyDoseChanged: 'ডোজ {from} থেকে {to} করা হয়েছে',
+    historyFrequencyChanged: 'কতবার {from} থেকে {to} করা হয়েছে',
+    historyTimingChanged: 'সময় {from} থেকে {to} করা হয়েছে',
+    historyRestored: 'সংস্করণ {version}-এ ফিরে গেছে',
+    currentVersion: 'বর্তমান',
+    restoreVersion: 'ফিরিয়ে আনুন',
+    stopMedicine: 'এই ওষুধ বন্ধ করবেন?',
+    stopMedicineKept: 'আপনার ওষুধের তালিকা থেকে সরে যাবে। এর ইতিহাস রাখা হবে।',
+    whyStopping: 'কেন বন্ধ করছেন?',
+    reasonCourseCompleted: 'কোর্স শেষ হয়েছে',
+    reasonDoctorStopped: 'ডাক্তার বন্ধ করেছেন',
+    reasonSideEffects: 'পার্শ্বপ্রতিক্রিয়া',
+    reasonReplaced: 'অন্য ওষুধে বদলেছি',
+    reasonOther: 'অন্য কারণ',
+    stopMedicineConfirm: 'হ্যাঁ, বন্ধ করুন',
+    containsGeneric: 'এতে আছে',
+    alertsDuplicatesTitle: '💊 একই কাজের দুটি ওষুধ — ডাক্তারকে জিজ্ঞাসা করুন',
+    drugClassLabel: 'ধরন:',
+    pdfPagesSkipped: 'PDF-এর {total}টি পৃষ্ঠার মধ্যে শুধু প্রথম {read}টি পড়া হয়েছে',
+    errorMedicationDiscontinued: 'এই ওষুধটি বন্ধ করা হয়েছে। আবার খাওয়া শুরু করতে এটি আবার যোগ করুন।',
   },
   
   mr: {
@@ -1632,6 +1929,51 @@ export const translations = {
     cannotConnectBackend: 'बॅकएंडशी कनेक्ट होऊ शकत नाही. बॅकएंड चालू असल्याची खात्री करा.',
     requestTimeout: 'विनंती वेळेत संपली. प्रतिमा खूप मोठी किंवा क्लिष्ट असू शकते.',
     noClearPrescription: 'प्रिस्क्रिप्शन प्रतिमा पुरेशी स्पष्ट नाही. कृपया स्पष्ट फोटो काढा.',
+    errorValidationFailed: 'विनंतीतील काही तपशील योग्य नव्हते. कृपया तपासा आणि पुन्हा प्रयत्न करा.',
+    errorNoFile: 'कृपया प्रिस्क्रिप्शनचा फोटो किंवा PDF निवडा.',
+    errorFileTooLarge: 'फाइल खूप मोठी आहे. कृपया 10 MB पेक्षा लहान फाइल वापरा.',
+    errorDrugNotRecognized: 'या औषधांची नावे ओळखता आली नाहीत. कृपया स्पेलिंग तपासा किंवा स्वतः जोडा.',
+    errorSessionExpired: 'तुमचे सत्र संपले आहे. कृपया पुन्हा साइन इन करा.',
+    errorForbidden: 'तुम्हाला या माहितीचा प्रवेश नाही.',
+    errorNotFound: 'तुम्ही शोधत असलेले सापडले नाही.',
+    errorRateLimited: 'सध्या खूप विनंत्या आहेत. कृपया एक मिनिट थांबा आणि पुन्हा प्रयत्न करा.',
+    errorQuotaExceeded: 'आजची AI वैशिष्ट्यांची मर्यादा संपली आहे. कृपया उद्या पुन्हा प्रयत्न करा.',
+    errorDoseAlreadyLogged: 'हा डोस आज आधीच नोंदवला गेला आहे.',
+    last30Days: 'मागील 30 दिवस',
+    "history.lastDays": 'मागील {days} दिवस',
+    "history.daysCovered": 'पूर्ण झालेले दिवस',
+    "history.avgLateness": 'सरासरी उशीर',
+    "history.weakSpots": 'लक्ष द्या',
+    "history.bySlot": 'दिवसाच्या वेळेनुसार',
+    minutesShort: 'मिनिटे',
+    weakSpotSlotMissed: '{slot} डोस {percent}% वेळा चुकले',
+    weakSpotSlotLate: '{slot} डोस सरासरी {minutes} मिनिटे उशिरा घेतले',
+    weakSpotMedicationMissed: '{name} डोस {percent}% वेळा चुकले',
+    timezone: 'वेळ क्षेत्र',
+    timezoneDescription: 'या वेळ क्षेत्रातील मध्यरात्री तुमचे डोस रीसेट होतात',
+    errorReference: 'संदर्भ',
+    medicationHistory: 'बदल',
+    historyStarted: 'सुरुवात: {details}',
+    historyDoseChanged: 'डोस {from} वरून {to} केला',
+    historyFrequencyChanged: 'वारंवारता {from} वरून {to} केली',
+    historyTimingChanged: 'वेळ {from} वरून {to} केली',
+    historyRestored: 'आवृत्ती {version} वर परत गेले',
+    currentVersion: 'सध्याचे',
+    restoreVersion: 'परत आणा',
+    stopMedicine: 'हे औषध बंद करायचे?',
+    stopMedicineKept: 'तुमच्या औषधांच्या यादीतून जाईल. त्याचा इतिहास ठेवला जाईल.',
+    whyStopping: 'तुम्ही ते का बंद करत आहात?',
+    reasonCourseCompleted: 'कोर्स पूर्ण झाला',
+    reasonDoctorStopped: 'डॉक्टरांनी बंद केले',
+    reasonSideEffects: 'दुष्परिणाम',
+    reasonReplaced: 'दुसऱ्या औषधावर बदलले',
+    reasonOther: 'इतर कारण',
+    stopMedicineConfirm: 'होय, बंद करा',
+    containsGeneric: 'यात आहे',
+    alertsDuplicatesTitle: '💊 एकाच कामाची दोन औषधे — डॉक्टरांना विचारा',
+    drugClassLabel: 'प्रकार:',
+    pdfPagesSkipped: 'PDF च्या {total} पैकी फक्त पहिली {read} पाने वाचली गेली',
+    errorMedicationDiscontinued: 'हे औषध बंद करण्यात आले होते. ते पुन्हा घेणे सुरू करण्यासाठी पुन्हा जोडा.',
   },
 };
 
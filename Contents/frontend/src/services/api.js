@@ -3,6 +3,7 @@
  * (OCR processing, drug lookups, voice queries, translations)
  */
 import axios from 'axios';
+import { supabase } from '../lib/supabase';
 
 const API = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -12,27 +13,55 @@ const api = axios.create({
 });
 
 /**
- * Full pipeline: Upload image → OCR → Extract → Interactions → Nudge
- * @param {File} imageFile - The prescription image
+ * Current Supabase access token (null when signed out)
+ */
+async function getAccessToken() {
+  const { data } = await supabase.auth.getSession();
+  return data.session?.access_token || null;
+}
+
+// Send the signed-in user's session with every request
+api.interceptors.request.use(async (config) => {
+  const token = await getAccessToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+/**
+ * Full pipeline: Upload image(s) → OCR → Extract → Interactions → Nudge
+ * @param {File|File[]} imageFiles - The prescription image, or all pages of a multi-page prescription
  * @param {string[]} currentMeds - Names of current medications
  * @param {Object} patientContext - Patient info for nudge personalization
  * @param {boolean} forceRefresh - Skip cache and force fresh extraction
- * @returns {Object} { extracted_data, interactions, patient_facing_card, safety_flag, safety_reasoning }
+ * @param {Function} [onProgress] - If given, runs as a background job and is called with each
+ *   job update ({ stage, stageLabel, detail, progress }) as the backend reaches it
+ * @returns {Object} { medications, failedExtractions, image_hash, total_pages } — each medication's extracted_data carries the `pages` it was found on
  */
-export async function processPrescription(imageFile, currentMeds = [], patientContext = {}, forceRefresh = false) {
+export async function processPrescription(imageFiles, currentMeds = [], patientContext = {}, forceRefresh = false, onProgress = null) {
+  const pages = Array.isArray(imageFiles) ? imageFiles : [imageFiles];
+
   console.log('🔵 [API] processPrescription called');
-  console.log('  Image:', imageFile.name, imageFile.size, 'bytes');
+  console.log('  Pages:', pages.map((f) => `${f.name} (${f.size} bytes)`));
   console.log('  Current meds:', currentMeds);
   console.log('  Patient context:', patientContext);
   console.log('  Force refresh:', forceRefresh);
   
   const formData = new FormData();
-  formData.append('image', imageFile);
+  if (pages.length === 1) {
+    formData.append('image', pages[0]);
+  } else {
+    pages.forEach((page) => formData.append('images', page));
+  }
   formData.append('currentMeds', JSON.stringify(currentMeds));
   formData.append('patientContext', JSON.stringify(patientContext));
   if (forceRefresh) {
     formData.append('forceRefresh', 'true');
   }
+  if (onProgress) {
+    formData.append('async', 'true');
+  }
   
   console.log('  FormData created, sending to:', `${API}/prescription/process`);
 
@@ -40,16 +69,102 @@ export async function processPrescription(imageFile, currentMeds = [], patientCo
     const { data } = await api.post('/prescription/process', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
     });
+    if (onProgress && data.jobId) {
+      const result = await watchJob(data.jobId, onProgress);
+      console.log('✅ [API] Success:', result);
+      return result;
+    }
     console.log('✅ [API] Success:', data);
     return data;
   } catch (error) {
     console.error('❌ [API] Error:', error);
     console.error('  Response:', error.response?.data);
     console.error('  Status:', error.response?.status);
+    console.error('  Request ID:', error.response?.data?.requestId || error.response?.headers?.['x-request-id']);
     throw error;
   }
 }
 
+/**
+ * Get the current state of a processing job
+ * @param {string} jobId - Job ID returned by an async pipeline call
+ */
+export async function getJobStatus(jobId) {
+  const { data } = await api.get(`/jobs/${jobId}`);
+  return data;
+}
+
+/**
+ * Follow a processing job until it finishes.
+ * Streams updates over Server-Sent Events, falling back to polling if the stream drops.
+ * Failed jobs reject with the same { response: { status, data } } shape axios uses,
+ * so callers handle them exactly like a synchronous request.
+ * @param {string} jobId - Job ID
+ * @param {Function} onProgress - Called with each job update
+ * @returns {Promise<Object>} - The pipeline result
+ */
+export async function watchJob(jobId, onProgress = () => {}) {
+  // EventSource can't set headers, so the stream gets the token in the query string
+  const token = await getAccessToken();
+
+  return new Promise((resolve, reject) => {
+    let finished = false;
+
+    const finish = (job) => {
+      finished = true;
+      onProgress(job);
+      if (job.status === 'completed') {
+        resolve(job.result);
+      } else {
+        const error = new Error(job.error || 'Processing failed');
+        const data = job.result || { error: job.error };
+        error.response = { status: job.httpStatus || 500, data: { ...data, requestId: data.requestId || job.requestId } };
+        reject(error);
+      }
+    };
+
+    const handle = (job) => {
+      if (finished) return;
+      if (job.status === 'completed' || job.status === 'failed') finish(job);
+      else onProgress(job);
+    };
+
+    const poll = async () => {
+      while (!finished) {
+        try {
+          handle(await getJobStatus(jobId));
+        } catch (error) {
+          finished = true;
+          reject(error);
+          return;
+        }
+        if (!finished) await new Promise((r) => setTimeout(r, 1000));
+      }
+    };
+
+    if (typeof EventSource === 'undefined') {
+      poll();
+      return;
+    }
+
+    const query = token ? `?access_token=${encodeURIComponent(token)}` : '';
+    const source = new EventSource(`${API}/jobs/${jobId}/events${query}`);
+    ['progress', 'completed', 'failed'].forEach((type) => {
+      source.addEventListener(type, (event) => {
+        handle(JSON.parse(event.data));
+        if (finished) source.close();
+      });
+    });
+    source.onerror = () => {
+      source.close();
+      if (!finished) {
+        console.warn('⚠️ [API] Job stream dropped, polling instead');
+        poll();
+      }
+    };
+  });
+}
+
 /**
  * OCR-only: Upload image and get raw text back
  */
@@ -85,7 +200,99 @@ export async function createMedication(medication) {
 }
 
 /**
- * Create a new drug interaction via backend API
+ * Log a dose as taken. Send the same idempotencyKey when retrying a failed call,
+ * so the dose is never counted twice.
+ * @param {string} medicationId
+ * @param {Object} dose - { slot: 'morning'|'noon'|'evening', takenAt?: ISO string, idempotencyKey }
+ * @returns {Object} { medication, log, replayed } — rejects with code DOSE_ALREADY_LOGGED (409)
+ *   if that slot was already taken that day
+ */
+export async function takeDose(medicationId, dose) {
+  const { data } = await api.post(`/medications/${medicationId}/take`, dose);
+  return data;
+}
+
+/**
+ * Undo today's dose for one slot, or every slot when none is given
+ * @param {string} medicationId
+ * @param {string} [slot]
+ * @returns {Object} { medication, undone }
+ */
+export async function undoDose(medicationId, slot = null) {
+  const { data } = await api.post(`/medications/${medicationId}/undo`, slot ? { slot } : {});
+  return data;
+}
+
+/**
+ * Change some fields of a medication. A change to dosage, frequency or dose timing
+ * is kept as a new version.
+ * @param {string} medicationId
+ * @param {Object} changes - medications columns (snake_case), plus an optional reason for the change
+ * @returns {Object} The updated medication row — rejects with code MEDICATION_DISCONTINUED (409) once it was stopped
+ */
+export async function updateMedication(medicationId, changes) {
+  const { data } = await api.patch(`/medications/${medicationId}`, changes);
+  return data;
+}
+
+/**
+ * Stop taking a medication. It is kept, inactive, with its history.
+ * @param {string} medicationId
+ * @param {string} reason - course_completed | doctor_stopped | side_effects | replaced | other
+ * @param {string} [note]
+ * @returns {Object} The discontinued medication row
+ */
+export async function discontinueMedication(medicationId, reason = 'other', note = null) {
+  const { data } = await api.delete(`/medications/${medicationId}`, { data: note ? { reason, note } : { reason } });
+  return data;
+}
+
+/**
+ * Versions of a medication, newest first
+ * @param {string} medicationId
+ * @returns {Object} { medication_id, versions } — each version has dosage, frequency, dose_timing,
+ *   change_type, reason, created_at and changes: [{ field, from, to }]
+ */
+export async function getMedicationHistory(medicationId) {
+  const { data } = await api.get(`/medications/${medicationId}/history`);
+  return data;
+}
+
+/**
+ * Go back to an older version's dosage, frequency and dose timing
+ * @param {string} medicationId
+ * @param {number} version
+ * @returns {Object} The updated medication row — rejects with code MEDICATION_DISCONTINUED (409) once it was stopped
+ */
+export async function restoreMedicationVersion(medicationId, version) {
+  const { data } = await api.post(`/medications/${medicationId}/versions/${version}/restore`);
+  return data;
+}
+
+/**
+ * Adherence analytics over the last 7, 30 and 90 days
+ * @param {string} patientId
+ * @returns {Object} { today, windows: { 7, 30, 90 }, weakSpots } — each window has adherence and pdc
+ *   (%, null when nothing was scheduled), bySlot, byMedication and lateness in minutes
+ */
+export async function getAdherence(patientId) {
+  const { data } = await api.get(`/patient/${patientId}/adherence`);
+  return data;
+}
+
+/**
+ * Interactions between the patient's active medications, newest first. The backend
+ * rechecks them whenever a medication is added, renamed or discontinued.
+ * @param {string} patientId
+ * @returns {Object[]} interactions rows
+ */
+export async function getInteractions(patientId) {
+  const { data } = await api.get(`/patient/${patientId}/interactions`);
+  return data;
+}
+
+/**
+ * Create a new drug interaction via backend API (returns the stored one if the pair is already there)
  * @param {Object} interaction - Interaction data to create
  */
 export async function createInteraction(interaction) {
@@ -97,24 +304,6 @@ export async function createInteraction(interaction) {
   return data;
 }
 
-/**
- * Clear cached result for specific image
- * @param {string} imageHash - Hash of the image to clear from cache
- */
-export async function clearImageCache(imageHash) {
-  console.log('🗑️ [API] Clearing cache for:', imageHash);
-  
-  const response = await fetch(`${API}/cache/clear/${imageHash}`, {
-    method: 'POST'
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Failed to clear cache: ${response.status}`);
-  }
-  
-  return response.json();
-}
-
 /**
  * Generate nudges for multiple confirmed medications (batch)
  * Called AFTER user confirms extraction - saves tokens